@@ -11,6 +11,13 @@ module.exports = {
   parserOptions: { ecmaVersion: 'latest', sourceType: 'module' },
   settings: { react: { version: '18.2' } },
   plugins: ['react-refresh'],
+  overrides: [
+    {
+      // Cloud Functions run on Node, not in the browser
+      files: ['functions/**/*.js'],
+      env: { browser: false, node: true },
+    },
+  ],
   rules: {
     'react-refresh/only-export-components': [
       'warn',
@@ -0,0 +1,330 @@
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { Timestamp, collection, deleteDoc, doc, getDoc, getDocs, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+
+// Runs against the Firestore emulator: npm run test:rules
+const APP_ID = 'test-app';
+const NOW = '2026-10-19T08:00:00.000Z';
+const DATE = '2030-01-07';
+const SLOTS = ['18:00 - 18:30', '18:30 - 19:00'];
+
+const dataPath = (collectionName, docId) => `artifacts/${APP_ID}/public/data/${collectionName}/${docId}`;
+const lockId = (date, timeSlot, court) => `${date}-${timeSlot.replace(/:/g, '-').replace(/\s/g, '')}-${court}`;
+
+// A quote at the standard rate (see quoteBooking), or at the rate in position `rateIndex` of a stored table
+const quote = (timeSlots, guestCount = 0, { rateId = 'standard', rateIndex = 0, amount = 250 } = {}) => {
+    const slots = timeSlots.map(time => ({ time, rateId, rateIndex, rateName: 'Standard', amount, nonMemberAmount: 0 }));
+    const courtFee = amount * timeSlots.length;
+    const guestFee = [200, 200, 200].slice(0, guestCount).reduce((sum, fee) => sum + fee, 0);
+    return { slots, guestCount, guestTiers: [200], guestRateName: 'Standard', courtFee, nonMemberFee: 0, guestFee, total: courtFee + guestFee };
+};
+
+const booking = (overrides = {}) => ({
+    date: DATE,
+    court: 'court1',
+    courtName: 'Court 1',
+    startTime: '18:00',
+    endTime: '19:00',
+    timeSlots: SLOTS,
+    type: 'booking',
+    status: 'booked',
+    createdAt: NOW,
+    updatedAt: NOW,
+    userId: 'alice',
+    mpcNumber: 'A1',
+    email: 'alice@example.com',
+    players: ['A1'],
+    guestCount: 0,
+    estimatedCost: 500,
+    ...overrides
+});
+
+const lock = (bookingId, timeSlot, b = booking()) => ({ date: b.date, timeSlot, court: b.court, bookingId });
+
+const cancellation = (lateCancelFee = 0) => ({
+    status: 'cancelled',
+    cancelledAt: NOW,
+    cancelledBy: { uid: 'alice', role: 'member' },
+    lateCancel: lateCancelFee > 0,
+    lateCancelFee,
+    updatedAt: NOW
+});
+
+const player = (mpcNumber, userId) => ({ mpcNumber, userId, email: `${userId}@example.com`, name: mpcNumber, joinedAt: NOW });
+
+const session = (overrides = {}) => ({
+    date: DATE,
+    startTime: '18:00',
+    endTime: '20:00',
+    title: 'Americano',
+    capacity: 16,
+    ruleId: null,
+    players: [player('A1', 'alice')],
+    status: 'open',
+    rounds: [],
+    scores: {},
+    createdAt: NOW,
+    updatedAt: NOW,
+    ...overrides
+});
+
+let testEnv;
+
+const as = (uid, email = `${uid}@example.com`) =>
+    testEnv.authenticatedContext(uid, { email, email_verified: true }).firestore();
+
+// Writes a member's new booking the way reserveBlockInTransaction does: the booking, a lock
+// per slot and the member's quota lock
+const bookAs = (db, bookingId, b, lockedSlots = b.timeSlots) => {
+    const batch = writeBatch(db);
+    batch.set(doc(db, dataPath('padelBookings', bookingId)), b);
+    lockedSlots.forEach(timeSlot => batch.set(doc(db, dataPath('padelReservations', lockId(b.date, timeSlot, b.court))), lock(bookingId, timeSlot, b)));
+    batch.set(doc(db, dataPath('quotaLocks', 'A1')), { mpcNumber: 'A1', bookingId, updatedAt: NOW });
+    return batch.commit();
+};
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'mpc-padel-rules-test',
+        firestore: { rules: readFileSync(new URL('./firestore.rules', import.meta.url), 'utf8') }
+    });
+});
+
+afterAll(() => testEnv.cleanup());
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await Promise.all([
+            setDoc(doc(db, dataPath('admins', 'admin')), {}),
+            setDoc(doc(db, `artifacts/${APP_ID}/users/alice`), { mpcNumber: 'A1', email: 'alice@example.com', name: 'Alice', linkedAt: NOW }),
+            setDoc(doc(db, `artifacts/${APP_ID}/users/bob`), { mpcNumber: 'B2', email: 'bob@example.com', name: 'Bob', linkedAt: NOW }),
+            setDoc(doc(db, dataPath('members', 'A1')), { mpcNumber: 'A1', name: 'Alice', email: 'alice@example.com', status: 'active', uid: 'alice' }),
+            setDoc(doc(db, dataPath('members', 'B2')), { mpcNumber: 'B2', name: 'Bob', email: 'bob@example.com', status: 'active', uid: 'bob' }),
+            setDoc(doc(db, dataPath('members', 'C3')), { mpcNumber: 'C3', name: 'Carol', email: 'carol@example.com', status: 'active' }),
+            setDoc(doc(db, dataPath('members', 'D4')), { mpcNumber: 'D4', name: 'Dave', email: '', status: 'active' }),
+            setDoc(doc(db, dataPath('padelBookings', 'booked')), booking()),
+            setDoc(doc(db, dataPath('padelBookings', 'past')), booking({ date: '2020-01-06' })),
+            setDoc(doc(db, dataPath('padelBookings', 'freed')), booking({ date: '2030-01-08', status: 'cancelled' })),
+            ...SLOTS.map(timeSlot => setDoc(doc(db, dataPath('padelReservations', lockId(DATE, timeSlot, 'court1'))), lock('booked', timeSlot))),
+            setDoc(doc(db, dataPath('padelReservations', lockId('2030-01-08', SLOTS[0], 'court1'))), lock('freed', SLOTS[0], booking({ date: '2030-01-08' }))),
+            setDoc(doc(db, dataPath('waitlist', 'w1')), { date: '2030-01-09', timeSlots: SLOTS, userId: 'alice', mpcNumber: 'A1', email: 'alice@example.com', status: 'waiting', createdAt: NOW }),
+            setDoc(doc(db, dataPath('waitlist', 'lapsed')), {
+                date: '2030-01-09', timeSlots: SLOTS, userId: 'alice', mpcNumber: 'A1', email: 'alice@example.com', status: 'offered', createdAt: NOW,
+                offeredAt: NOW, offerExpiresAt: Timestamp.fromDate(new Date('2020-01-01T00:00:00Z')), court: 'court1', courtName: 'Court 1', bookingId: 'gone', quotedCost: 500
+            }),
+            setDoc(doc(db, dataPath('specialSlotRules', 'r1')), { status: 'AMERICANO', startHour: 18, startMinute: 0, capacity: 8 }),
+            setDoc(doc(db, dataPath('americanoSessions', 'open')), session({ date: '2030-01-08' }))
+        ]);
+    });
+});
+
+describe('bookings', () => {
+    it('lets a member book for themselves with every slot locked', async () => {
+        await assertSucceeds(bookAs(as('alice'), 'new', booking({ date: '2030-01-10', priceQuote: quote(SLOTS) })));
+    });
+
+    it('refuses a member booking without a quote, or with a quote that does not add up', async () => {
+        const db = as('alice');
+        await assertFails(bookAs(db, 'new', booking({ date: '2030-01-10', estimatedCost: 0 })));
+        await assertFails(bookAs(db, 'new', booking({ date: '2030-01-10', estimatedCost: 0, priceQuote: { ...quote(SLOTS), total: 0 } })));
+        await assertFails(bookAs(db, 'new', booking({ date: '2030-01-10', estimatedCost: 0, priceQuote: quote(SLOTS, 0, { amount: 0 }) })));
+    });
+
+    it('prices a member booking at the stored rate that covers each slot', async () => {
+        const evening = { id: 'evening', name: 'Standard', dayTypes: [], fromTime: '18:00', toTime: '24:00', courts: ['court1'], effectiveFrom: '', effectiveTo: '', courtPerHour: 800, nonMemberPerHour: 0, guestTiers: [200] };
+        const courtTwo = { ...evening, id: 'court2', courts: ['court2'], courtPerHour: 100 };
+        await testEnv.withSecurityRulesDisabled((context) =>
+            setDoc(doc(context.firestore(), dataPath('settings', 'rateTable')), { rates: [evening, courtTwo], holidays: [] }));
+
+        const db = as('alice');
+        const atRate = (rateIndex, amount) => booking({ date: '2030-01-10', estimatedCost: amount * 2, priceQuote: quote(SLOTS, 0, { rateId: rateIndex ? 'court2' : 'evening', rateIndex, amount }) });
+        await assertFails(bookAs(db, 'new', atRate(0, 250)));
+        await assertFails(bookAs(db, 'new', atRate(1, 50)));
+        await assertSucceeds(bookAs(db, 'new', atRate(0, 400)));
+    });
+
+    it('refuses a member booking that leaves a slot unlocked', async () => {
+        const b = booking({ date: '2030-01-10', priceQuote: quote(SLOTS) });
+        await assertFails(bookAs(as('alice'), 'new', b, [SLOTS[0]]));
+    });
+
+    it("refuses a booking in another member's name", async () => {
+        const b = booking({ date: '2030-01-10', userId: 'bob', mpcNumber: 'B2', email: 'bob@example.com', players: ['B2'], priceQuote: quote(SLOTS) });
+        await assertFails(bookAs(as('alice'), 'new', b));
+    });
+
+    it('lets an admin write a booking without locks', async () => {
+        await assertSucceeds(setDoc(doc(as('admin'), dataPath('padelBookings', 'new')), booking({ date: '2030-01-10' })));
+    });
+
+    it('lets only the owner or an admin cancel a booking', async () => {
+        await assertFails(updateDoc(doc(as('bob'), dataPath('padelBookings', 'booked')), cancellation()));
+        await assertSucceeds(updateDoc(doc(as('alice'), dataPath('padelBookings', 'booked')), cancellation()));
+        await assertSucceeds(updateDoc(doc(as('admin'), dataPath('padelBookings', 'past')), { ...cancellation(), cancelledBy: { uid: 'admin', role: 'admin' } }));
+    });
+
+    it('charges the late-cancellation fee inside the cutoff', async () => {
+        const db = as('alice');
+        await assertFails(updateDoc(doc(db, dataPath('padelBookings', 'past')), cancellation()));
+        await assertSucceeds(updateDoc(doc(db, dataPath('padelBookings', 'past')), cancellation(500)));
+    });
+
+    it('refuses a member repricing their booking', async () => {
+        await assertFails(updateDoc(doc(as('alice'), dataPath('padelBookings', 'booked')), { estimatedCost: 0, updatedAt: NOW }));
+    });
+
+    it('lets the owner change guests only before the booking starts', async () => {
+        const change = { guests: [{ name: 'Gus' }], guestCount: 1, priceQuote: quote(SLOTS, 1), estimatedCost: 700, updatedAt: NOW };
+        const db = as('alice');
+        await assertFails(updateDoc(doc(db, dataPath('padelBookings', 'past')), change));
+        await assertSucceeds(updateDoc(doc(db, dataPath('padelBookings', 'booked')), change));
+    });
+
+    it('never lets a member delete a booking', async () => {
+        await assertFails(deleteDoc(doc(as('alice'), dataPath('padelBookings', 'booked'))));
+    });
+});
+
+describe('slot locks', () => {
+    it('refuses a lock whose id is not its slot', async () => {
+        await assertFails(setDoc(doc(as('alice'), dataPath('padelReservations', 'elsewhere')), lock('booked', SLOTS[0])));
+    });
+
+    it('refuses a lock for a slot its booking does not hold', async () => {
+        const b = booking({ date: '2030-01-10' });
+        await assertFails(setDoc(doc(as('alice'), dataPath('padelReservations', lockId(b.date, SLOTS[0], b.court))), lock('booked', SLOTS[0], b)));
+    });
+
+    it('only releases a lock once its booking no longer holds the slot', async () => {
+        const db = as('bob');
+        await assertFails(deleteDoc(doc(db, dataPath('padelReservations', lockId(DATE, SLOTS[0], 'court1')))));
+        await assertSucceeds(deleteDoc(doc(db, dataPath('padelReservations', lockId('2030-01-08', SLOTS[0], 'court1')))));
+    });
+
+    it('keeps a replaced legacy slot record only for the booking taking the slot', async () => {
+        const b = booking({ date: '2030-01-10', priceQuote: quote(SLOTS) });
+        const legacyId = lockId(b.date, SLOTS[0], b.court);
+        const legacy = { date: b.date, timeSlot: SLOTS[0], court: b.court, userId: 'bob', status: 'cancelled' };
+        await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), dataPath('padelReservations', legacyId)), legacy));
+
+        const keepRecord = (db, replacedBy) => {
+            const batch = writeBatch(db);
+            batch.set(doc(db, dataPath('padelBookings', 'new')), b);
+            SLOTS.forEach(timeSlot => batch.set(doc(db, dataPath('padelReservations', lockId(b.date, timeSlot, b.court))), lock('new', timeSlot, b)));
+            batch.set(doc(db, dataPath('quotaLocks', 'A1')), { mpcNumber: 'A1', bookingId: 'new', updatedAt: NOW });
+            batch.set(doc(db, dataPath('reservationHistory', 'record')), { id: legacyId, ...legacy, replacedBy });
+            return batch.commit();
+        };
+        await assertFails(keepRecord(as('alice'), 'booked'));
+        await assertSucceeds(keepRecord(as('alice'), 'new'));
+    });
+});
+
+describe('waitlist', () => {
+    const entry = dataPath('waitlist', 'w1');
+    const hold = booking({ date: '2030-01-09', status: 'held', waitlistEntryId: 'w1', holdExpiresAt: NOW, priceQuote: quote(SLOTS) });
+
+    // Any member running the queue holds the court and offers it in one transaction
+    const offer = (db, quotedCost) => {
+        const batch = writeBatch(db);
+        batch.set(doc(db, dataPath('padelBookings', 'hold')), hold);
+        SLOTS.forEach(timeSlot => batch.set(doc(db, dataPath('padelReservations', lockId(hold.date, timeSlot, hold.court))), lock('hold', timeSlot, hold)));
+        batch.update(doc(db, entry), {
+            status: 'offered',
+            offeredAt: NOW,
+            // Before the block starts at 18:00 in Manila
+            offerExpiresAt: Timestamp.fromDate(new Date('2030-01-09T09:00:00Z')),
+            court: 'court1',
+            courtName: 'Court 1',
+            bookingId: 'hold',
+            quotedCost
+        });
+        return batch.commit();
+    };
+
+    it('lets members join the queue only for themselves', async () => {
+        const waiting = { date: DATE, timeSlots: SLOTS, userId: 'alice', mpcNumber: 'A1', email: 'alice@example.com', status: 'waiting', createdAt: NOW };
+        await assertSucceeds(setDoc(doc(as('alice'), dataPath('waitlist', 'w2')), waiting));
+        await assertFails(setDoc(doc(as('bob'), dataPath('waitlist', 'w3')), waiting));
+    });
+
+    it('lets only the waiting member leave the queue', async () => {
+        await assertFails(updateDoc(doc(as('bob'), entry), { status: 'left', closedAt: NOW }));
+        await assertSucceeds(updateDoc(doc(as('alice'), entry), { status: 'left', closedAt: NOW }));
+    });
+
+    it('refuses an offer without its held booking', async () => {
+        await assertFails(updateDoc(doc(as('bob'), entry), { status: 'offered', bookingId: 'booked', quotedCost: 500 }));
+    });
+
+    it('lets other members expire an entry only once it has lapsed', async () => {
+        const expiry = { status: 'expired', closedAt: NOW };
+        await assertFails(updateDoc(doc(as('bob'), entry), expiry));
+        await assertSucceeds(updateDoc(doc(as('bob'), dataPath('waitlist', 'lapsed')), expiry));
+        await assertSucceeds(updateDoc(doc(as('alice'), entry), expiry));
+    });
+
+    it('lets any member hold a court at the quoted cost for the waiting member', async () => {
+        await assertFails(offer(as('bob'), 400));
+        await assertSucceeds(offer(as('bob'), 500));
+    });
+});
+
+describe('members', () => {
+    const link = { uid: 'carol', linkedAt: NOW };
+
+    it('lists the roster for admins only', async () => {
+        await assertSucceeds(getDoc(doc(as('alice'), dataPath('members', 'B2'))));
+        await assertFails(getDocs(collection(as('alice'), `artifacts/${APP_ID}/public/data/members`)));
+        await assertSucceeds(getDocs(collection(as('admin'), `artifacts/${APP_ID}/public/data/members`)));
+    });
+
+    it('links a roster entry to the account with its verified email', async () => {
+        const unverified = testEnv.authenticatedContext('carol', { email: 'carol@example.com', email_verified: false }).firestore();
+        await assertFails(updateDoc(doc(unverified, dataPath('members', 'C3')), link));
+        await assertFails(updateDoc(doc(as('carol', 'other@example.com'), dataPath('members', 'C3')), link));
+        await assertSucceeds(updateDoc(doc(as('carol'), dataPath('members', 'C3')), link));
+    });
+
+    it('never links a roster entry without an email', async () => {
+        await assertFails(updateDoc(doc(as('dave'), dataPath('members', 'D4')), { uid: 'dave', linkedAt: NOW }));
+    });
+
+    it('refuses members changing roster details', async () => {
+        await assertFails(updateDoc(doc(as('alice'), dataPath('members', 'A1')), { status: 'active', name: 'Alice B' }));
+        await assertSucceeds(updateDoc(doc(as('admin'), dataPath('members', 'A1')), { name: 'Alice B' }));
+    });
+});
+
+describe('Americano sessions', () => {
+    const sessionDoc = (db, sessionId) => doc(db, dataPath('americanoSessions', sessionId));
+
+    it('creates a session at the club default capacity under the built-in schedule', async () => {
+        await assertFails(setDoc(sessionDoc(as('alice'), 'new'), session({ capacity: 24 })));
+        await assertSucceeds(setDoc(sessionDoc(as('alice'), 'new'), session()));
+    });
+
+    it("creates a session at its rule's capacity", async () => {
+        await assertFails(setDoc(sessionDoc(as('alice'), 'new'), session({ ruleId: 'r1' })));
+        await assertSucceeds(setDoc(sessionDoc(as('alice'), 'new'), session({ ruleId: 'r1', capacity: 8 })));
+    });
+
+    it('lets members sign up without changing the capacity', async () => {
+        const players = [player('A1', 'alice'), player('B2', 'bob')];
+        await assertFails(updateDoc(sessionDoc(as('bob'), 'open'), { players, capacity: 32, updatedAt: NOW }));
+        await assertSucceeds(updateDoc(sessionDoc(as('bob'), 'open'), { players, updatedAt: NOW }));
+    });
+
+    it('refuses a member taking someone else off', async () => {
+        await assertFails(updateDoc(sessionDoc(as('bob'), 'open'), { players: [], updatedAt: NOW }));
+        await assertSucceeds(updateDoc(sessionDoc(as('alice'), 'open'), { players: [], updatedAt: NOW }));
+    });
+
+    it('leaves the rotation and scores to the organiser', async () => {
+        await assertFails(updateDoc(sessionDoc(as('alice'), 'open'), { status: 'in_progress', updatedAt: NOW }));
+        await assertSucceeds(updateDoc(sessionDoc(as('admin'), 'open'), { status: 'in_progress', updatedAt: NOW }));
+    });
+});
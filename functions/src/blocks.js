@@ -0,0 +1,27 @@
+// Booking helpers for the functions. Mirrors the booking helpers in src/lib/scheduling.js,
+// which the web app bundles and is not deployed with the functions.
+
+/**
+ * Summarises a booking document for emails and calendar events.
+ * @param {object} booking - The booking document data, with its id.
+ * @returns {object} Date, court, start/end time, players, guests, cost and booker details.
+ */
+export const describeBlock = (booking) => ({
+    id: booking.id,
+    date: booking.date,
+    court: booking.courtName || booking.court,
+    startTime: booking.startTime,
+    endTime: booking.endTime,
+    timeRange: `${booking.startTime} - ${booking.endTime}`,
+    slotCount: booking.timeSlots.length,
+    guestCount: booking.guestCount || 0,
+    // Named co-players and guests; bookings made before names were recorded have none
+    playerNames: [...(booking.coPlayers || []), ...(booking.guests || [])].map(player => player.name),
+    estimatedCost: booking.estimatedCost || 0,
+    mpcNumber: booking.mpcNumber,
+    email: booking.email,
+    status: booking.status
+});
+
+// Stable calendar UID for a booking, shared by its emails and the member feed
+export const getBlockUid = (block) => `${block.id}@mpc-padel`;
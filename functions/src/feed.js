@@ -0,0 +1,47 @@
+import { describeBlock, getBlockUid } from './blocks.js';
+import { buildCalendar, buildEvent } from './ics.js';
+
+// Past bookings older than this are left out to keep the feed small
+const FEED_HISTORY_DAYS = 90;
+
+// Statuses that appear in the feed; waitlist holds are not bookings yet
+const EVENT_STATUS = {
+    booked: 'CONFIRMED',
+    no_show: 'CONFIRMED',
+    cancelled: 'CANCELLED'
+};
+
+/**
+ * Builds a member's iCalendar feed: one event per booking. A booking keeps the UID its
+ * confirmation email used, so a cancellation updates the event already in the calendar.
+ * @param {Array<object>} bookings - The member's booking documents, with their ids.
+ * @param {object} params
+ * @param {string} params.name - Calendar name.
+ * @param {Date} [params.now] - The current time.
+ * @returns {string} The iCalendar document.
+ */
+export const buildMemberFeed = (bookings, { name, now = new Date() }) => {
+    const since = new Date(now.getTime() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    const events = bookings
+        .filter(booking => EVENT_STATUS[booking.status] && booking.type !== 'block' && booking.date >= since)
+        .map(booking => {
+            const block = describeBlock(booking);
+
+            return buildEvent({
+                uid: getBlockUid(block),
+                date: block.date,
+                startTime: block.startTime,
+                endTime: block.endTime,
+                summary: `Padel - ${block.court}${block.status === 'cancelled' ? ' (cancelled)' : ''}`,
+                description: (block.playerNames.length > 0 ? `With ${block.playerNames.join(', ')}. ` : '')
+                    + `${block.guestCount} guest${block.guestCount !== 1 ? 's' : ''}. Estimated cost PHP ${block.estimatedCost.toFixed(2)}.`,
+                status: EVENT_STATUS[block.status],
+                // Seconds since the last change, like the booking emails, so revisions always increase
+                sequence: Math.floor(Date.parse(booking.cancelledAt || booking.updatedAt || booking.createdAt) / 1000) || 0,
+                stamp: now
+            });
+        });
+
+    return buildCalendar({ events, name });
+};
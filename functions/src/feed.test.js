@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { buildMemberFeed } from './feed.js';
+
+const NOW = new Date('2026-10-19T08:00:00Z');
+
+const booking = (id, overrides = {}) => ({
+    id,
+    type: 'booking',
+    date: '2026-10-20',
+    court: 'Court 1',
+    startTime: '18:00',
+    endTime: '19:00',
+    timeSlots: ['18:00 - 18:30', '18:30 - 19:00'],
+    status: 'booked',
+    guestCount: 1,
+    estimatedCost: 650,
+    createdAt: '2026-10-19T08:00:00.000Z',
+    ...overrides
+});
+
+// The events of a feed, each as its unfolded content lines
+const feedEvents = (bookings) => buildMemberFeed(bookings, { name: 'Padel', now: NOW })
+    .replace(/\r\n /g, '')
+    .split('BEGIN:VEVENT')
+    .slice(1)
+    .map(event => event.split('\r\n'));
+
+describe('buildMemberFeed', () => {
+    it('gives each booking the UID of its confirmation email', () => {
+        const [event] = feedEvents([booking('b1', { coPlayers: [{ name: 'Ana' }] })]);
+
+        expect(event).toContain('UID:b1@mpc-padel');
+        expect(event).toContain('SUMMARY:Padel - Court 1');
+        expect(event).toContain('DESCRIPTION:With Ana. 1 guest. Estimated cost PHP 650.00.');
+        expect(event).toContain('STATUS:CONFIRMED');
+    });
+
+    it('keeps cancelled bookings as cancelled events with a later sequence', () => {
+        const [event] = feedEvents([booking('b1', { status: 'cancelled', cancelledAt: '2026-10-19T09:00:00.000Z' })]);
+
+        expect(event).toContain('SUMMARY:Padel - Court 1 (cancelled)');
+        expect(event).toContain('STATUS:CANCELLED');
+        expect(event).toContain(`SEQUENCE:${Date.parse('2026-10-19T09:00:00.000Z') / 1000}`);
+    });
+
+    it('leaves out waitlist holds, court blocks and bookings older than 90 days', () => {
+        const events = feedEvents([
+            booking('held', { status: 'held' }),
+            booking('block', { type: 'block' }),
+            booking('old', { date: '2026-07-20' }),
+            booking('recent', { date: '2026-07-21' })
+        ]);
+
+        expect(events.map(event => event.find(line => line.startsWith('UID:')))).toEqual(['UID:recent@mpc-padel']);
+    });
+});
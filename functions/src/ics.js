@@ -0,0 +1,96 @@
+// iCalendar (RFC 5545) output for bookings: email attachments and member feeds.
+// Reservation times are club-local (Manila), so events carry a TZID rather than UTC times.
+
+export const CLUB_TIMEZONE = 'Asia/Manila';
+export const CLUB_LOCATION = 'Manila Polo Club Padel Courts';
+
+// Manila has been UTC+8 without daylight saving since 1978
+const VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${CLUB_TIMEZONE}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    'TZOFFSETFROM:+0800',
+    'TZOFFSETTO:+0800',
+    'TZNAME:PHT',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+// Escapes TEXT values (RFC 5545 section 3.3.11)
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Folds content lines longer than 75 octets (section 3.1)
+const foldLine = (line) => {
+    const chunks = [];
+    let rest = line;
+    while (Buffer.byteLength(rest) > 75) {
+        let cut = 75;
+        while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+        chunks.push(rest.slice(0, cut));
+        rest = ` ${rest.slice(cut)}`;
+    }
+    chunks.push(rest);
+    return chunks.join('\r\n');
+};
+
+// "2026-10-20" and "18:00" to "20261020T180000"
+export const formatLocalDateTime = (dateString, time) =>
+    `${dateString.replace(/-/g, '')}T${time.replace(':', '')}00`;
+
+// A Date to a UTC timestamp such as "20261019T103000Z"
+export const formatUtcDateTime = (date) =>
+    date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Builds one VEVENT.
+ * @param {object} event
+ * @param {string} event.uid - Stable identifier; updates and cancellations reuse it.
+ * @param {string} event.date - YYYY-MM-DD (club-local).
+ * @param {string} event.startTime - HH:MM (club-local).
+ * @param {string} event.endTime - HH:MM (club-local).
+ * @param {string} event.summary - Event title.
+ * @param {string} [event.description] - Event notes.
+ * @param {string} [event.location] - Defaults to the club courts.
+ * @param {'CONFIRMED'|'TENTATIVE'|'CANCELLED'} [event.status]
+ * @param {number} [event.sequence] - Revision number; must increase with every update of the same uid.
+ * @param {Date} [event.stamp] - When the event data was generated.
+ * @returns {Array<string>} Unfolded content lines.
+ */
+export const buildEvent = ({ uid, date, startTime, endTime, summary, description = '', location = CLUB_LOCATION, status = 'CONFIRMED', sequence = 0, stamp = new Date() }) => [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtcDateTime(stamp)}`,
+    `DTSTART;TZID=${CLUB_TIMEZONE}:${formatLocalDateTime(date, startTime)}`,
+    `DTEND;TZID=${CLUB_TIMEZONE}:${formatLocalDateTime(date, endTime)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    `LOCATION:${escapeText(location)}`,
+    `STATUS:${status}`,
+    `SEQUENCE:${sequence}`,
+    'END:VEVENT'
+];
+
+/**
+ * Wraps events in a VCALENDAR.
+ * @param {object} params
+ * @param {Array<Array<string>>} params.events - Events from buildEvent.
+ * @param {string} [params.method] - iTIP method for email invitations (REQUEST or CANCEL); omitted for feeds.
+ * @param {string} [params.name] - Calendar name shown by subscribing clients.
+ * @returns {string} The calendar, with CRLF line endings.
+ */
+export const buildCalendar = ({ events, method, name }) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Manila Polo Club//Padel Reservations//EN',
+    'CALSCALE:GREGORIAN',
+    ...(method ? [`METHOD:${method}`] : []),
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`, `X-WR-TIMEZONE:${CLUB_TIMEZONE}`] : []),
+    ...VTIMEZONE,
+    ...events.flat(),
+    'END:VCALENDAR'
+].map(foldLine).join('\r\n') + '\r\n';
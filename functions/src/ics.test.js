@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { buildCalendar, buildEvent } from './ics.js';
+
+const event = (overrides = {}) => buildEvent({
+    uid: 'booking-1@mpc-padel',
+    date: '2026-10-20',
+    startTime: '18:00',
+    endTime: '19:00',
+    summary: 'Padel - Court 1',
+    stamp: new Date('2026-10-19T08:00:00Z'),
+    ...overrides
+});
+
+// The content lines of a calendar, with folded lines joined back up
+const unfold = (calendar) => calendar.replace(/\r\n /g, '').split('\r\n');
+
+describe('buildEvent', () => {
+    it('gives club-local start and end times with the club time zone', () => {
+        const lines = event();
+
+        expect(lines).toContain('DTSTART;TZID=Asia/Manila:20261020T180000');
+        expect(lines).toContain('DTEND;TZID=Asia/Manila:20261020T190000');
+        expect(lines).toContain('DTSTAMP:20261019T080000Z');
+    });
+
+    it('escapes backslashes, semicolons, commas and newlines in text', () => {
+        const lines = event({ summary: 'Padel; Court 1, lights\\on', description: 'With Ana.\nBring balls.' });
+
+        expect(lines).toContain('SUMMARY:Padel\\; Court 1\\, lights\\\\on');
+        expect(lines).toContain('DESCRIPTION:With Ana.\\nBring balls.');
+    });
+});
+
+describe('buildCalendar', () => {
+    it('ends every line with CRLF', () => {
+        const calendar = buildCalendar({ events: [event()] });
+
+        expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(calendar.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+    });
+
+    it('folds lines longer than 75 octets without splitting characters', () => {
+        const description = `With ${'Señora Peña, '.repeat(12)}and guests.`;
+        const calendar = buildCalendar({ events: [event({ description })] });
+        const lines = calendar.split('\r\n');
+
+        expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+        expect(lines.filter(line => line.startsWith(' ')).length).toBeGreaterThan(1);
+        expect(unfold(calendar)).toContain(`DESCRIPTION:${description.replace(/,/g, '\\,')}`);
+    });
+
+    it('adds the iTIP method for invitations only', () => {
+        expect(unfold(buildCalendar({ events: [event()], method: 'REQUEST' }))).toContain('METHOD:REQUEST');
+        expect(buildCalendar({ events: [event()], name: 'Padel' })).not.toContain('METHOD:');
+    });
+});
@@ -0,0 +1,62 @@
+// Cloud Functions for the padel reservation app. Deployed from this directory with the
+// Firebase CLI (see firebase.json); run locally with `npm run serve` and the emulators.
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { setGlobalOptions } from 'firebase-functions/v2';
+import { onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { onRequest } from 'firebase-functions/v2/https';
+import { buildMemberFeed } from './feed.js';
+import { createMailTransport } from './mail/transport.js';
+import { handleBookingWrite } from './notifications.js';
+
+initializeApp();
+setGlobalOptions({ region: 'asia-southeast1' });
+
+// HTTP functions are not tied to a document path, so they read the app's data tree from APP_ID
+// (the same value as VITE_APP_ID in the web app)
+const DATA_PATH = `artifacts/${process.env.APP_ID}/public/data`;
+
+// Created on first use so a misconfigured transport fails the invocation, not the deploy
+let transport = null;
+
+// Booking, change and cancellation emails with a calendar attachment
+export const sendReservationEmails = onDocumentWritten(
+    'artifacts/{appId}/public/data/padelBookings/{bookingId}',
+    async (event) => {
+        transport = transport || createMailTransport();
+        await handleBookingWrite({
+            db: getFirestore(),
+            transport,
+            appId: event.params.appId,
+            bookingId: event.params.bookingId,
+            before: event.data.before.exists ? event.data.before.data() : null,
+            after: event.data.after.exists ? event.data.after.data() : null
+        });
+    }
+);
+
+// Private iCalendar feed of a member's bookings: GET .../calendarFeed?token=<token>
+export const calendarFeed = onRequest(async (req, res) => {
+    const db = getFirestore();
+    const token = String(req.query.token || '');
+    const feed = token ? await db.collection(`${DATA_PATH}/calendarFeeds`).doc(token).get() : null;
+
+    if (!feed || !feed.exists) {
+        res.status(404).send('Calendar feed not found.');
+        return;
+    }
+
+    // The member's own bookings, and those where another member named them as a player
+    const bookingsRef = db.collection(`${DATA_PATH}/padelBookings`);
+    const { mpcNumber } = feed.data();
+    const snapshots = await Promise.all([
+        bookingsRef.where('mpcNumber', '==', mpcNumber).get(),
+        bookingsRef.where('players', 'array-contains', mpcNumber).get()
+    ]);
+    const bookings = new Map(snapshots.flatMap(snapshot => snapshot.docs).map(d => [d.id, { id: d.id, ...d.data() }]));
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    // Calendar apps poll the feed; keep caches short so new bookings and cancellations show up soon
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(buildMemberFeed([...bookings.values()], { name: 'MPC Padel Bookings' }));
+});
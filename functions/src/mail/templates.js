@@ -0,0 +1,102 @@
+import { getBlockUid } from '../blocks.js';
+import { buildCalendar, buildEvent } from '../ics.js';
+
+const formatPeso = (amount) => `PHP ${amount.toFixed(2)}`;
+
+const formatDate = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+};
+
+const formatDateTime = (isoString) =>
+    new Date(isoString).toLocaleString('en-US', { timeZone: 'Asia/Manila', dateStyle: 'medium', timeStyle: 'short' });
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Detail rows shared by every booking email
+const describeRows = (block) => [
+    ['Date', formatDate(block.date)],
+    ['Time', block.timeRange],
+    ['Court', block.court],
+    ['Member', block.mpcNumber],
+    ['Guests', String(block.guestCount)],
+    ['Estimated cost', formatPeso(block.estimatedCost)]
+];
+
+const renderBody = (intro, rows, outro = '') => ({
+    text: [intro, '', ...rows.map(([label, value]) => `${label}: ${value}`), ...(outro ? ['', outro] : [])].join('\n'),
+    html: `<p>${escapeHtml(intro)}</p>`
+        + `<table>${rows.map(([label, value]) => `<tr><td><strong>${escapeHtml(label)}</strong></td><td>${escapeHtml(value)}</td></tr>`).join('')}</table>`
+        + (outro ? `<p>${escapeHtml(outro)}</p>` : '')
+});
+
+const calendarAttachment = (block, { method, status, sequence }) => ({
+    filename: 'padel-booking.ics',
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+    content: buildCalendar({
+        method,
+        events: [buildEvent({
+            uid: getBlockUid(block),
+            date: block.date,
+            startTime: block.startTime,
+            endTime: block.endTime,
+            summary: `Padel - ${block.court}`,
+            description: `MPC ${block.mpcNumber}, ${block.guestCount} guest${block.guestCount !== 1 ? 's' : ''}. Estimated cost ${formatPeso(block.estimatedCost)}.`,
+            status,
+            sequence
+        })]
+    })
+});
+
+/**
+ * Renders the email for a change to a member's booking.
+ * @param {object} params
+ * @param {'booked'|'modified'|'cancelled'|'offered'} params.kind - What happened.
+ * @param {object} params.block - The booking, from describeBlock.
+ * @param {object} [params.details] - Kind-specific fields (cancelReason, lateCancelFee, offerExpiresAt).
+ * @param {number} [params.sequence] - Calendar revision number.
+ * @returns {import('./transport.js').MailMessage}
+ */
+export const renderReservationEmail = ({ kind, block, details = {}, sequence = 0 }) => {
+    const to = block.email;
+
+    if (kind === 'booked' || kind === 'modified') {
+        const isUpdate = kind === 'modified';
+        return {
+            to,
+            subject: `${isUpdate ? 'Updated' : 'Confirmed'}: padel court ${block.court}, ${block.date} ${block.timeRange}`,
+            ...renderBody(
+                isUpdate ? 'Your padel court booking has been updated.' : 'Your padel court booking is confirmed.',
+                describeRows(block),
+                'The calendar invitation attached adds the booking to your calendar.'
+            ),
+            attachments: [calendarAttachment(block, { method: 'REQUEST', status: 'CONFIRMED', sequence })]
+        };
+    }
+
+    if (kind === 'offered') {
+        return {
+            to,
+            subject: `Court available: ${block.date} ${block.timeRange}`,
+            ...renderBody(
+                `A court has come free for the time you are waitlisted for. It is held for you until ${formatDateTime(details.offerExpiresAt)}; claim it in the booking app before then or it passes to the next member.`,
+                describeRows(block).slice(0, 4)
+            )
+        };
+    }
+
+    const rows = describeRows(block);
+    if (details.cancelReason) rows.push(['Reason', details.cancelReason]);
+    if (details.lateCancelFee > 0) rows.push(['Late-cancellation fee', formatPeso(details.lateCancelFee)]);
+
+    return {
+        to,
+        subject: `Cancelled: padel court ${block.court}, ${block.date} ${block.timeRange}`,
+        ...renderBody('Your padel court booking has been cancelled.', rows),
+        attachments: [calendarAttachment(block, { method: 'CANCEL', status: 'CANCELLED', sequence })]
+    };
+};
@@ -0,0 +1,60 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * @typedef {object} MailMessage
+ * @property {string} to - Recipient address.
+ * @property {string} subject
+ * @property {string} text - Plain-text body.
+ * @property {string} html - HTML body.
+ * @property {Array<{filename: string, content: string, contentType: string}>} [attachments]
+ */
+
+/**
+ * @typedef {object} MailTransport
+ * @property {string} name - Transport name, recorded with each sent notification.
+ * @property {(message: MailMessage) => Promise<void>} send
+ */
+
+// Sends through any SMTP server: the club's provider in production, a capture server (e.g. Mailpit) locally
+const createSmtpTransport = (env) => {
+    const transporter = nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT || 587),
+        secure: env.SMTP_SECURE === 'true',
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: async (message) => {
+            await transporter.sendMail({ from: env.MAIL_FROM, ...message });
+        }
+    };
+};
+
+// Prints messages instead of sending them, for emulator runs without a mail server
+const createLogTransport = () => ({
+    name: 'log',
+    send: async (message) => {
+        console.log(`[mail] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+    }
+});
+
+const TRANSPORTS = {
+    smtp: createSmtpTransport,
+    log: createLogTransport
+};
+
+/**
+ * Creates the mail transport selected by MAIL_TRANSPORT (smtp or log).
+ * @param {object} [env] - Environment variables.
+ * @returns {MailTransport}
+ */
+export const createMailTransport = (env = process.env) => {
+    const name = env.MAIL_TRANSPORT || 'log';
+    const create = TRANSPORTS[name];
+    if (!create) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}.`);
+    }
+    return create(env);
+};
@@ -0,0 +1,96 @@
+import { describeBlock } from './blocks.js';
+import { renderReservationEmail } from './mail/templates.js';
+
+// Firestore "already exists" error code, raised when a retry of the same change got there first
+const ALREADY_EXISTS = 6;
+
+const isBooking = (data) => !!data && data.type !== 'block' && !!data.email;
+
+/**
+ * Works out which email (if any) a write to a booking document calls for. The returned stamp
+ * identifies the change, so retries of the same event send the email only once.
+ * @param {object|null} before - The booking document before the write.
+ * @param {object|null} after - The booking document after the write.
+ * @returns {{kind: string, stamp: string}|null}
+ */
+export const classifyChange = (before, after) => {
+    if (!isBooking(after)) return null;
+
+    const wasBooked = isBooking(before) && before.status === 'booked';
+
+    if (after.status === 'booked' && !wasBooked) {
+        // New booking, or a waitlist hold being claimed
+        return { kind: 'booked', stamp: after.updatedAt };
+    }
+
+    if (after.status === 'held' && (!before || before.status !== 'held')) {
+        return { kind: 'offered', stamp: after.holdExpiresAt };
+    }
+
+    if (after.status === 'cancelled' && wasBooked) {
+        return { kind: 'cancelled', stamp: after.cancelledAt };
+    }
+
+    // Edits to a booking (shortened, guests, cost) record when they were made in updatedAt
+    if (after.status === 'booked' && wasBooked && after.updatedAt && after.updatedAt !== before.updatedAt) {
+        return { kind: 'modified', stamp: after.updatedAt };
+    }
+
+    return null;
+};
+
+/**
+ * Sends the email for a write to a padelBookings document. The notification document (one
+ * per change, created before sending) doubles as the send record and as the lock that stops
+ * a retried event sending a duplicate.
+ * @param {object} params
+ * @param {import('firebase-admin/firestore').Firestore} params.db
+ * @param {import('./mail/transport.js').MailTransport} params.transport
+ * @param {string} params.appId - From the document path.
+ * @param {string} params.bookingId - From the document path.
+ * @param {object|null} params.before - Booking document data before the write.
+ * @param {object|null} params.after - Booking document data after the write.
+ * @returns {Promise<void>}
+ */
+export const handleBookingWrite = async ({ db, transport, appId, bookingId, before, after }) => {
+    const change = classifyChange(before, after);
+    if (!change) return;
+
+    const notificationId = `${bookingId}-${change.kind}-${change.stamp}`.replace(/[^\w-]/g, '');
+    const notificationRef = db.collection(`artifacts/${appId}/public/data/notifications`).doc(notificationId);
+
+    try {
+        await notificationRef.create({
+            kind: change.kind,
+            to: after.email,
+            mpcNumber: after.mpcNumber || '',
+            status: 'pending',
+            createdAt: new Date().toISOString()
+        });
+    } catch (error) {
+        if (error.code === ALREADY_EXISTS) return;
+        throw error;
+    }
+
+    const message = renderReservationEmail({
+        kind: change.kind,
+        block: describeBlock({ id: bookingId, ...after }),
+        details: { ...after, offerExpiresAt: after.holdExpiresAt },
+        // Seconds since the epoch always increase between revisions of the same event
+        sequence: Math.floor(Date.now() / 1000)
+    });
+
+    try {
+        await transport.send(message);
+        await notificationRef.update({
+            status: 'sent',
+            subject: message.subject,
+            transport: transport.name,
+            bookingId,
+            sentAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error("Reservation Email Error:", error);
+        await notificationRef.update({ status: 'failed', error: String(error.message || error) });
+    }
+};
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { classifyChange } from './notifications.js';
+
+const booking = (overrides = {}) => ({
+    type: 'booking',
+    email: 'member@example.com',
+    status: 'booked',
+    createdAt: '2026-10-19T08:00:00.000Z',
+    updatedAt: '2026-10-19T08:00:00.000Z',
+    ...overrides
+});
+
+describe('classifyChange', () => {
+    it('sends a confirmation for a new booking and for a claimed hold', () => {
+        expect(classifyChange(null, booking())).toEqual({ kind: 'booked', stamp: '2026-10-19T08:00:00.000Z' });
+
+        const held = booking({ status: 'held', holdExpiresAt: '2026-10-19T08:30:00.000Z' });
+        const claimed = booking({ updatedAt: '2026-10-19T08:10:00.000Z' });
+        expect(classifyChange(held, claimed)).toEqual({ kind: 'booked', stamp: '2026-10-19T08:10:00.000Z' });
+    });
+
+    it('sends an offer when a waitlist hold is created', () => {
+        const held = booking({ status: 'held', holdExpiresAt: '2026-10-19T08:30:00.000Z' });
+
+        expect(classifyChange(null, held)).toEqual({ kind: 'offered', stamp: '2026-10-19T08:30:00.000Z' });
+        expect(classifyChange(held, held)).toBeNull();
+    });
+
+    it('sends a cancellation only for a booking that was booked', () => {
+        const cancelled = booking({ status: 'cancelled', cancelledAt: '2026-10-19T09:00:00.000Z' });
+
+        expect(classifyChange(booking(), cancelled)).toEqual({ kind: 'cancelled', stamp: '2026-10-19T09:00:00.000Z' });
+        expect(classifyChange(booking({ status: 'held' }), cancelled)).toBeNull();
+    });
+
+    it('sends an update when a booking is edited', () => {
+        const edited = booking({ guestCount: 2, updatedAt: '2026-10-19T09:00:00.000Z' });
+
+        expect(classifyChange(booking(), edited)).toEqual({ kind: 'modified', stamp: '2026-10-19T09:00:00.000Z' });
+        expect(classifyChange(booking(), booking({ guestCount: 2 }))).toBeNull();
+    });
+
+    it('ignores court blocks, deletions and bookings without an email', () => {
+        expect(classifyChange(null, booking({ type: 'block' }))).toBeNull();
+        expect(classifyChange(booking(), null)).toBeNull();
+        expect(classifyChange(null, booking({ email: '' }))).toBeNull();
+    });
+});
@@ -1,125 +1,116 @@
-import { onAuthStateChanged, signInAnonymously, signInWithCustomToken, signOut } from 'firebase/auth';
-import { collection, deleteDoc, doc, onSnapshot, setDoc } from 'firebase/firestore';
-import React, { useCallback, useEffect, useMemo, useState } from 'react';
-import { app, appId, auth, db, initialAuthToken } from './firebase/config';
+import { onAuthStateChanged, signInWithCustomToken, signOut } from 'firebase/auth';
+import { collection, doc, onSnapshot, query, where } from 'firebase/firestore';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import AdminConsole from './components/AdminConsole';
+import AmericanoPanel from './components/AmericanoPanel';
+import CalendarFeedLink from './components/CalendarFeedLink';
+import LoginScreen from './components/LoginScreen';
+import MyBookings from './components/MyBookings';
+import OpenMatches from './components/OpenMatches';
+import PlayersEditor from './components/PlayersEditor';
+import SeriesReport from './components/SeriesReport';
+import WaitlistPanel from './components/WaitlistPanel';
+import WeekGrid from './components/WeekGrid';
+import { getSpecialSlotColor } from './components/slotColors';
+import { getUserProfileRef } from './firebase/accounts';
+import { ADMINS_PATH, BOOKINGS_PATH, COURTS_PATH, SPECIAL_SLOT_RULES_PATH, WAITLIST_PATH } from './firebase/collections';
+import { app, auth, db, initialAuthToken } from './firebase/config';
+import { openMatch } from './firebase/matches';
+import { getMemberRef } from './firebase/members';
+import { cancelBooking, fetchBookingsBetween, reserveBlock, shortenBooking, updateBookingPlayers } from './firebase/reservations';
+import { reserveSeries } from './firebase/series';
+import { getBookingPolicyRef, getRateTableRef } from './firebase/settings';
+import { claimWaitlistOffer, joinWaitlist, leaveWaitlist, processWaitlist } from './firebase/waitlist';
+import { DEFAULT_BOOKING_POLICY, checkBookingPolicy, getCancellationTerms, getLastBookableDate, getWeekStart } from './lib/policies';
+import { GUEST_LIMIT_ACTIONS, checkGuestLimits, getMonth, getMonthRange } from './lib/guests';
+import { MATCH_LEVELS, PLAYERS_PER_MATCH } from './lib/matches';
+import { buildPlayerList, isCoPlayerOf, validateBookingPlayers } from './lib/players';
+import { DEFAULT_RATE_TABLE, getQuoteLines, quoteBooking, requoteBooking } from './lib/pricing';
+import { normalizeMpcNumber, verifyMemberLogin } from './lib/roster';
+import {
+    DEFAULT_COURTS,
+    DEFAULT_SPECIAL_SLOTS,
+    MAX_GUESTS,
+    RECENT_BOOKINGS_DAYS,
+    RESERVATION_STATUS,
+    addDays,
+    buildDaySlots,
+    expandBookings,
+    findAvailableCourt,
+    formatDate,
+    getActiveCourts,
+    getBlockTimeRange,
+    getBookingCourtName,
+    getBookingStart,
+    getBookingTimeRange,
+    getShortenedSlots,
+    getSlotStart,
+    getSpecialSlotConflict,
+    getWeeklyDates,
+    isActiveReservation,
+    parseDate,
+    updateSelection
+} from './lib/scheduling';
+import { WAITLIST_STATUS, entriesOverlap, getEntrySlots, getWaitlistDatesToProcess } from './lib/waitlist';
+
+// Chip colours for the per-court availability shown in each slot
+const COURT_STATE_STYLES = {
+    free: 'border-green-500 text-green-400',
+    own: 'border-indigo-400 text-indigo-300',
+    booked: 'border-red-500 text-red-300',
+    blocked: 'border-gray-600 text-gray-500'
+};
 
-// The number of courts available per time slot
-const COURT_COUNT = 2;
 // Use BASE_URL for GitHub Pages compatibility - automatically adjusts for base path
 const LOGO_URL = `${import.meta.env.BASE_URL}mpc_logo.png`;
 
-// --- Special Slot Configuration ---
-const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-
-const SPECIAL_SLOTS = [
-    // First Come First Serve Hours: Tuesday, Thursday (12:00 PM - 4:00 PM)
-    { 
-        status: 'FCFS', 
-        message: 'First Come First Serve Hours',
-        days: [2, 4], // Tuesday (2), Thursday (4)
-        startHour: 12, startMinute: 0, 
-        endHour: 16, endMinute: 0 // Slot starting at 15:30 ends at 16:00
-    },
-    // Americano Time Slots (Group Play): Wednesday, Friday (9:30 AM - 1:30 PM)
-    { 
-        status: 'AMERICANO', 
-        message: 'Americano Group Play',
-        days: [3, 5], // Wednesday (3), Friday (5)
-        startHour: 9, startMinute: 30, 
-        endHour: 13, endMinute: 30 // Slot starting at 13:00 ends at 13:30
-    }
-];
-
-// --- Constants for Cost Calculation (New) ---
-const COURT_FEE_PER_HOUR = 500; // PHP
-const COURT_FEE_PER_SLOT = COURT_FEE_PER_HOUR / 2; // Slots are 30 min (0.5 hour)
-const GUEST_FEE_PER_PERSON = 200; // PHP
-
-// Helper function to format date as YYYY-MM-DD
-const formatDate = (date) => {
-    const d = new Date(date);
-    const year = d.getFullYear();
-    const month = String(d.getMonth() + 1).padStart(2, '0');
-    const day = String(d.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
-};
-
-// Helper function to convert minutes (0-59) to '00' or '30' string
-const minutesToTime = (totalMinutes) => {
-    const h = Math.floor(totalMinutes / 60) % 24;
-    const m = totalMinutes % 60;
-    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
-};
-
-// Define 30-minute time slots (06:00 to 21:00)
-const generateTimeSlots = () => {
-    const slots = [];
-    const START_MINUTES = 6 * 60; // 6:00 AM
-    const END_MINUTES = 21 * 60; // 9:00 PM (Exclusive, last slot ends at 21:00)
-
-    for (let minutes = START_MINUTES; minutes < END_MINUTES; minutes += 30) {
-        const start = minutesToTime(minutes);
-        const end = minutesToTime(minutes + 30);
-        slots.push(`${start} - ${end}`);
-    }
-    return slots;
-};
-
-const TIME_SLOTS = generateTimeSlots();
-
-/**
- * Checks if a specific date and time slot falls under a special, non-bookable status.
- * @param {Date} date - The date being checked.
- * @param {string} timeSlotStart - The start time of the slot (e.g., "12:00").
- * @returns {{status: string, message: string}} The special status or {status: 'BOOKABLE', message: ''}.
- */
-const getSpecialSlotStatus = (date, timeSlotStart) => {
-    const dayOfWeek = date.getDay(); // 0 (Sun) to 6 (Sat)
-    
-    // Parse the slot start time
-    const [hourStr, minuteStr] = timeSlotStart.split(':');
-    const slotHour = parseInt(hourStr, 10);
-    const slotMinute = parseInt(minuteStr, 10);
-
-    // Calculate total minutes since midnight for the slot start
-    const slotStartInMinutes = slotHour * 60 + slotMinute;
-
-    for (const rule of SPECIAL_SLOTS) {
-        if (rule.days.includes(dayOfWeek)) {
-            // Calculate total minutes since midnight for rule start/end
-            const ruleStartInMinutes = rule.startHour * 60 + rule.startMinute;
-            const ruleEndInMinutes = rule.endHour * 60 + rule.endMinute;
-
-            // Check if the slot START time falls within the rule range
-            if (slotStartInMinutes >= ruleStartInMinutes && slotStartInMinutes < ruleEndInMinutes) {
-                return { status: rule.status, message: rule.message };
-            }
-        }
-    }
-
-    return { status: 'BOOKABLE', message: '' };
-};
-
 const App = () => {
     // Firebase states
     const [userId, setUserId] = useState(null);
     const [isAuthReady, setIsAuthReady] = useState(false);
 
-    // App states
+    // App states (member profile linked to the signed-in account)
     const [mpcNumber, setMpcNumber] = useState('');
     const [email, setEmail] = useState('');
     const [isMpcNumberSet, setIsMpcNumberSet] = useState(false);
-    const [reservations, setReservations] = useState([]);
+    const [calendarFeedToken, setCalendarFeedToken] = useState(null);
+    const [visibleBookings, setVisibleBookings] = useState([]); // Every member's bookings on the dates on screen
+    const [memberBookings, setMemberBookings] = useState([]); // The member's own recent and upcoming bookings
+    const [namedBookings, setNamedBookings] = useState([]); // Recent and upcoming bookings naming the member as a player
+    const [waitlistBookings, setWaitlistBookings] = useState([]); // Bookings on the dates members are waiting for
     const [currentDate, setCurrentDate] = useState(new Date());
     const [loading, setLoading] = useState(true);
     const [message, setMessage] = useState('');
+    const [storedSpecialSlotRules, setStoredSpecialSlotRules] = useState([]); // Rules saved by admins in Firestore
+    const [storedCourts, setStoredCourts] = useState([]); // Courts saved by admins in Firestore
+    const [storedRateTable, setStoredRateTable] = useState(null); // Rate table saved by admins in Firestore
+    const [bookingPolicy, setBookingPolicy] = useState(DEFAULT_BOOKING_POLICY);
+    const [isAdmin, setIsAdmin] = useState(false);
+    const [view, setView] = useState('booking'); // 'booking' | 'bookings' | 'matches' | 'admin'
+    const [gridMode, setGridMode] = useState('day'); // 'day' | 'week'
+    const [waitlistEntries, setWaitlistEntries] = useState([]); // Open entries of every member, for queue positions
+    const [clock, setClock] = useState(() => Date.now()); // Ticks every minute so lapsed waitlist offers are noticed
+    const isProcessingWaitlist = useRef(false);
 
     // --- NEW STATES for Multi-Slot Selection and Confirmation ---
     const [selectedSlots, setSelectedSlots] = useState([]); // Array of selected slot objects
     const [confirmationData, setConfirmationData] = useState(null); // Flag/data to open the modal
-    const [guestCount, setGuestCount] = useState(0); // Number of guests (0-3)
+    const [coPlayers, setCoPlayers] = useState([]); // Fellow members playing, added by MPC number
+    const [guests, setGuests] = useState([]); // Named guests (up to MAX_GUESTS), who pay the guest fee
     const [privacyAgreed, setPrivacyAgreed] = useState(false); // Data privacy checkbox
+    const [repeatWeeks, setRepeatWeeks] = useState(1); // 1 = a single booking, more = a weekly series
+    const [preferredCourt, setPreferredCourt] = useState('auto'); // 'auto' or the id of the court the member picked
+    const [matchPlayersNeeded, setMatchPlayersNeeded] = useState(0); // Players wanted when listing the booking as an open match
+    const [matchLevel, setMatchLevel] = useState(MATCH_LEVELS[0]);
+    const [seriesReport, setSeriesReport] = useState(null); // Per-date outcome of the last recurring booking
+
 
+    // The grid shows one day, or the week containing it; only those dates are listened to
+    const currentDateString = formatDate(currentDate);
+    const visibleFrom = gridMode === 'week' ? getWeekStart(currentDateString) : currentDateString;
+    const visibleTo = gridMode === 'week' ? addDays(visibleFrom, 6) : currentDateString;
+    // Changes at midnight, moving the member's booking window along with it
+    const today = formatDate(new Date(clock));
 
     // 1. Firebase Initialization and Authentication
     useEffect(() => {
@@ -130,14 +121,11 @@ const App = () => {
         }
 
         try {
-            // setDb(db); // This line was removed as per the new_code, as db is now imported directly.
-
+            // Members sign in through the login screen; a custom token (if configured) signs in automatically
             const signIn = async () => {
                 try {
                     if (initialAuthToken) {
                         await signInWithCustomToken(auth, initialAuthToken);
-                    } else {
-                        await signInAnonymously(auth);
                     }
                 } catch (e) {
                     console.error("Firebase Sign-In Error:", e);
@@ -145,9 +133,7 @@ const App = () => {
             };
 
             const unsubscribe = onAuthStateChanged(auth, (user) => {
-                if (user) {
-                    setUserId(user.uid);
-                }
+                setUserId(user ? user.uid : null);
                 setIsAuthReady(true);
             });
 
@@ -160,23 +146,31 @@ const App = () => {
         }
     }, []);
 
-    // 2. Fetching MPC Number and Email from local storage
+    // 2. Member profile (MPC number and email) linked to the signed-in account, shared across devices
     useEffect(() => {
-        const storedMpcNumber = localStorage.getItem('mpcNumber');
-        const storedEmail = localStorage.getItem('email');
-        
-        // We only proceed if BOTH MPC number and Email are set
-        if (storedMpcNumber && storedEmail) {
-            setMpcNumber(storedMpcNumber);
-            setEmail(storedEmail);
-            setIsMpcNumberSet(true);
-        } else if (storedMpcNumber) {
-            // If only MPC is set (from a previous version), pre-fill it
-            setMpcNumber(storedMpcNumber);
+        if (!db || !userId) {
+            setMpcNumber('');
+            setEmail('');
+            setIsMpcNumberSet(false);
+            setCalendarFeedToken(null);
+            return;
         }
-    }, []);
 
-    // 3. Real-time Reservation Listener
+        const unsubscribe = onSnapshot(getUserProfileRef(userId), (snapshot) => {
+            const profile = snapshot.exists() ? snapshot.data() : null;
+            setMpcNumber(profile ? profile.mpcNumber : '');
+            setEmail(profile ? profile.email : '');
+            setCalendarFeedToken(profile ? profile.calendarFeedToken || null : null);
+            setIsMpcNumberSet(!!profile);
+        }, (error) => {
+            console.error("Member Profile Snapshot Error:", error);
+            setMessage("Error loading your member profile.");
+        });
+
+        return () => unsubscribe();
+    }, [userId]);
+
+    // 3. Real-time Booking Listener, limited to the dates on screen and re-subscribed on navigation
     useEffect(() => {
         if (!isAuthReady || !db || !userId) {
             setLoading(true);
@@ -184,149 +178,279 @@ const App = () => {
         }
 
         // Using Firestore as the real-time, synchronized source of truth
-        const collectionPath = `artifacts/${appId}/public/data/padelReservations`;
-        const q = collection(db, collectionPath);
+        const q = query(
+            collection(db, BOOKINGS_PATH),
+            where('date', '>=', visibleFrom),
+            where('date', '<=', visibleTo)
+        );
 
         setLoading(false);
 
         const unsubscribe = onSnapshot(q, (snapshot) => {
-            const currentReservations = [];
-            snapshot.forEach((doc) => {
-                currentReservations.push({ id: doc.id, ...doc.data() });
-            });
-            setReservations(currentReservations);
+            setVisibleBookings(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
         }, (error) => {
             console.error("Firestore Snapshot Error:", error);
-            setMessage("Error fetching real-time reservations.");
+            setMessage("Error fetching real-time bookings.");
         });
 
         return () => unsubscribe();
-    }, [db, userId, isAuthReady]);
+    }, [userId, isAuthReady, visibleFrom, visibleTo]);
 
-    // 4. Date Navigation Handlers
-    const handleDateChange = (days) => {
-        const newDate = new Date(currentDate);
-        newDate.setDate(currentDate.getDate() + days);
-        
-        const todayStart = new Date();
-        todayStart.setHours(0, 0, 0, 0);
-        const newDateStart = new Date(newDate);
-        newDateStart.setHours(0, 0, 0, 0);
+    // Slot occupancy is derived from the bookings: one entry per booked slot
+    const reservations = useMemo(() => expandBookings(visibleBookings), [visibleBookings]);
 
-        // Prevent navigating to past days
-        if (days < 0 && newDateStart.getTime() < todayStart.getTime()) {
-            return;
-        }
-        
-        setCurrentDate(newDate);
-        setSelectedSlots([]); // Clear selection on date change
-        setMessage('');
-    };
+    // Until admins save their own courts, the two built-in courts apply
+    const isUsingDefaultCourts = storedCourts.length === 0;
+    const courts = isUsingDefaultCourts ? DEFAULT_COURTS : storedCourts;
+    const activeCourts = useMemo(() => getActiveCourts(courts), [courts]);
 
-    // Helper for basic email validation
-    const isValidEmail = (input) => {
-        return /\S+@\S+\.\S+/.test(input);
-    };
+    // Until admins save a rate table, every slot is charged the standard rate
+    const isUsingDefaultRates = !storedRateTable;
+    const rateTable = storedRateTable || DEFAULT_RATE_TABLE;
+
+    // 3b. Special slot rules, courts, booking policy, rates and admin role, read live so schedule changes need no redeploy
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId) return;
+
+        const unsubscribeRules = onSnapshot(collection(db, SPECIAL_SLOT_RULES_PATH), (snapshot) => {
+            setStoredSpecialSlotRules(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => {
+            console.error("Special Slot Rules Snapshot Error:", error);
+        });
+
+        const unsubscribeCourts = onSnapshot(collection(db, COURTS_PATH), (snapshot) => {
+            setStoredCourts(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => {
+            console.error("Courts Snapshot Error:", error);
+        });
+
+        const unsubscribePolicy = onSnapshot(getBookingPolicyRef(), (snapshot) => {
+            setBookingPolicy({ ...DEFAULT_BOOKING_POLICY, ...(snapshot.exists() ? snapshot.data() : {}) });
+        }, (error) => {
+            console.error("Booking Policy Snapshot Error:", error);
+        });
+
+        const unsubscribeRates = onSnapshot(getRateTableRef(), (snapshot) => {
+            setStoredRateTable(snapshot.exists() ? { ...DEFAULT_RATE_TABLE, ...snapshot.data() } : null);
+        }, (error) => {
+            console.error("Rate Table Snapshot Error:", error);
+        });
+
+        const unsubscribeAdmin = onSnapshot(doc(db, ADMINS_PATH, userId), (snapshot) => {
+            setIsAdmin(snapshot.exists());
+        }, (error) => {
+            // Non-admins may not be allowed to read the admins collection
+            console.error("Admin Role Snapshot Error:", error);
+            setIsAdmin(false);
+        });
+
+        return () => {
+            unsubscribeRules();
+            unsubscribeCourts();
+            unsubscribePolicy();
+            unsubscribeRates();
+            unsubscribeAdmin();
+        };
+    }, [userId, isAuthReady]);
+
+    // 3c. Keep watching the member's roster entry so a suspension takes effect immediately
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId || !isMpcNumberSet) return;
+
+        const unsubscribe = onSnapshot(getMemberRef(mpcNumber), (snapshot) => {
+            const refusal = verifyMemberLogin(snapshot.exists() ? snapshot.data() : null, mpcNumber, email);
+            if (refusal) {
+                setSelectedSlots([]);
+                setConfirmationData(null);
+                setView('booking');
+                setMessage(refusal);
+                signOut(auth).catch(e => console.error("Sign out error:", e));
+            }
+        }, (error) => {
+            console.error("Member Roster Snapshot Error:", error);
+        });
+
+        return () => unsubscribe();
+    }, [userId, isAuthReady, isMpcNumberSet, mpcNumber, email]);
+
+    // 3d. Open waitlist entries (waiting or holding an offer)
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId) return;
+
+        const q = query(collection(db, WAITLIST_PATH), where('status', 'in', [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED]));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setWaitlistEntries(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => {
+            console.error("Waitlist Snapshot Error:", error);
+        });
+
+        const interval = setInterval(() => setClock(Date.now()), 60 * 1000);
 
-    const handleMpcNumberSubmit = (e) => {
-        e.preventDefault();
-        const trimmedMpc = mpcNumber.trim();
-        const trimmedEmail = email.trim();
+        return () => {
+            unsubscribe();
+            clearInterval(interval);
+        };
+    }, [userId, isAuthReady]);
 
-        if (!trimmedMpc) {
-            setMessage('Please enter your MPC Number.');
+    // 3e. Bookings on the dates with open waitlist entries, to notice when a court comes free
+    const waitlistDates = useMemo(() => [...new Set(waitlistEntries.map(entry => entry.date))].sort().join(','), [waitlistEntries]);
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId || !waitlistDates) {
+            setWaitlistBookings([]);
             return;
         }
-        
-        if (!trimmedEmail || !isValidEmail(trimmedEmail)) {
-            setMessage('Please enter a valid email address for confirmation.');
+
+        // Firestore allows at most 30 values in an 'in' filter; the nearest dates come first
+        const q = query(collection(db, BOOKINGS_PATH), where('date', 'in', waitlistDates.split(',').slice(0, 30)));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setWaitlistBookings(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => {
+            console.error("Waitlist Bookings Snapshot Error:", error);
+        });
+
+        return () => unsubscribe();
+    }, [userId, isAuthReady, waitlistDates]);
+    const waitlistReservations = useMemo(() => expandBookings(waitlistBookings), [waitlistBookings]);
+
+    // 3f. Move the queue along when an offer lapses or a court comes free. Any signed-in
+    // client may do this; each step is a transaction, so concurrent runs are safe.
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId || isProcessingWaitlist.current) return;
+
+        const dates = getWaitlistDatesToProcess(waitlistEntries, waitlistReservations, activeCourts.map(court => court.id), new Date(clock));
+        if (dates.length === 0) return;
+
+        isProcessingWaitlist.current = true;
+        Promise.all(dates.map(date => processWaitlist(date, bookingPolicy.waitlistClaimMinutes, activeCourts, rateTable)))
+            .catch(error => console.error("Waitlist Processing Error:", error))
+            .finally(() => { isProcessingWaitlist.current = false; });
+    }, [waitlistEntries, waitlistReservations, activeCourts, rateTable, clock, bookingPolicy.waitlistClaimMinutes, userId, isAuthReady]);
+
+    // Until admins save their own rules, the built-in schedule applies
+    const isUsingDefaultSpecialSlots = storedSpecialSlotRules.length === 0;
+    const specialSlotRules = isUsingDefaultSpecialSlots ? DEFAULT_SPECIAL_SLOTS : storedSpecialSlotRules;
+
+    // 3g. The member's own bookings (quota checks and My Bookings) and the bookings naming them
+    // as a player, from RECENT_BOOKINGS_DAYS ago onwards
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId || !isMpcNumberSet) {
+            setMemberBookings([]);
+            setNamedBookings([]);
             return;
         }
 
-        localStorage.setItem('mpcNumber', trimmedMpc);
-        localStorage.setItem('email', trimmedEmail);
-        setIsMpcNumberSet(true);
-        setMessage(''); // Clear any previous error message
+        const fromDate = addDays(today, -RECENT_BOOKINGS_DAYS);
+        const ownQuery = query(collection(db, BOOKINGS_PATH), where('mpcNumber', '==', mpcNumber), where('date', '>=', fromDate));
+        const playingQuery = query(collection(db, BOOKINGS_PATH), where('players', 'array-contains', normalizeMpcNumber(mpcNumber)), where('date', '>=', fromDate));
+
+        const unsubscribeOwn = onSnapshot(ownQuery, (snapshot) => {
+            setMemberBookings(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => {
+            console.error("Member Bookings Snapshot Error:", error);
+            setMessage("Error fetching your bookings.");
+        });
+        const unsubscribePlaying = onSnapshot(playingQuery, (snapshot) => {
+            setNamedBookings(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => {
+            console.error("Playing Bookings Snapshot Error:", error);
+        });
+
+        return () => {
+            unsubscribeOwn();
+            unsubscribePlaying();
+        };
+    }, [userId, isAuthReady, isMpcNumberSet, mpcNumber, today]);
+
+    // Bookings by other members that name this member as a player
+    const playingBookings = useMemo(
+        () => namedBookings.filter(b => b.status !== RESERVATION_STATUS.CANCELLED && isCoPlayerOf(b, mpcNumber)),
+        [namedBookings, mpcNumber]
+    );
+    const lastBookableDate = getLastBookableDate(bookingPolicy);
+    const isGuestLimitBlocking = bookingPolicy.guestLimitAction === GUEST_LIMIT_ACTIONS.BLOCK;
+
+    // Monthly guest caps count every member's bookings, so they are re-checked against fresh
+    // server data for the month at write time
+    const fetchGuestLimitProblems = async ({ dateString, bookingGuests, bookingId = null }) => {
+        if (bookingGuests.length === 0) return [];
+        const { from, to } = getMonthRange(getMonth(dateString));
+        return checkGuestLimits({
+            policy: bookingPolicy,
+            bookings: await fetchBookingsBetween(from, to),
+            dateString,
+            mpcNumber: mpcNumber.trim(),
+            guests: bookingGuests,
+            bookingId
+        });
     };
 
-    // 5. Multi-Slot Selection Logic
-    const handleSlotSelection = useCallback((slot) => {
-        // Pre-checks (Disabling non-bookable slots in the render handles most of this)
-        if (slot.isDisabled || slot.isFullyBooked || slot.isSpecialSlot) {
-            return;
-        }
+    // When no single court is free for the whole selection, the member can join the waitlist instead
+    const isWaitlistSelection = selectedSlots.length > 0 &&
+        !findAvailableCourt(reservations.filter(isActiveReservation), formatDate(currentDate), selectedSlots, activeCourts.map(court => court.id));
 
-        const slotTimeIndex = TIME_SLOTS.indexOf(slot.time);
-        const isSelected = selectedSlots.some(s => s.id === slot.id);
+    // 4. Date Navigation Handlers
+    // Moves the grid to a date, kept between today and the end of the advance-booking window
+    const showDate = (dateString) => {
+        let target = dateString;
 
-        if (isSelected) {
-            // CASE 1: Deselect/Shorten the selected block
-            // Find the index of the clicked slot in the currently selected array
-            const selectedIndex = selectedSlots.findIndex(s => s.id === slot.id);
-            
-            // New logic: Clicking a selected slot shortens the block to all slots *before* the clicked one.
-            const newSelectedSlots = selectedSlots.slice(0, selectedIndex);
-            
-            setSelectedSlots(newSelectedSlots);
-            
-            if (newSelectedSlots.length === 0) {
-                setMessage('Selection cleared.');
-            } else {
-                 // Get the start time of the new, shortened block
-                const startTime = newSelectedSlots[0].time.split(' - ')[0];
-                setMessage(`Reservation block adjusted to ${newSelectedSlots.length * 30} minutes. Selection starts at ${startTime}.`);
-            }
-            
-        } else {
-            // CASE 2: Select/Extend the block
-            
-            if (selectedSlots.length >= 4) {
-                setMessage('Maximum of 4 adjacent slots (2 hours) can be selected.');
+        // Prevent navigating to past days
+        const today = formatDate(new Date());
+        if (target < today) {
+            target = today;
+        }
+
+        // Prevent navigating beyond the advance-booking window
+        if (lastBookableDate && target > lastBookableDate) {
+            if (currentDateString === lastBookableDate) {
+                setMessage(`Courts can be booked up to ${bookingPolicy.advanceBookingDays} days ahead.`);
                 return;
             }
-            
-            if (slot.isUserBooking) {
-                 setMessage('You already have a reservation in this block. Please cancel the existing reservation first if you wish to re-book.');
-                 return;
-            }
+            target = lastBookableDate;
+        }
 
-            if (selectedSlots.length === 0) {
-                // First slot selection
-                setSelectedSlots([slot]);
-                setMessage('Slot selected. Select an adjacent slot to extend (max 4).');
-            } else {
-                // Subsequent slot selection: Must be adjacent to the start or the end
-                
-                const firstSelectedSlot = selectedSlots[0];
-                const lastSelectedSlot = selectedSlots[selectedSlots.length - 1];
-                
-                const firstTimeIndex = TIME_SLOTS.indexOf(firstSelectedSlot.time);
-                const lastTimeIndex = TIME_SLOTS.indexOf(lastSelectedSlot.time);
-                
-                // Check if the new slot is contiguous to the start (before it)
-                const isAdjacentBefore = slotTimeIndex === firstTimeIndex - 1;
-                // Check if the new slot is contiguous to the end (after it)
-                const isAdjacentAfter = slotTimeIndex === lastTimeIndex + 1;
-                
-                if (isAdjacentBefore || isAdjacentAfter) {
-                    // Add the new slot and sort to keep chronological order
-                    const newSlots = [...selectedSlots, slot].sort((a, b) => 
-                        TIME_SLOTS.indexOf(a.time) - TIME_SLOTS.indexOf(b.time)
-                    );
-
-                    if (newSlots.length > 4) {
-                        setMessage('Maximum of 4 adjacent slots (2 hours) can be selected.');
-                        return; // Should not happen if length check is correct, but good guard
-                    }
-                    
-                    setSelectedSlots(newSlots);
-                    setMessage(`Extended selection to ${newSlots.length} slots. Total time: ${newSlots.length * 30} minutes.`);
-                } else {
-                    setMessage('Slots must be immediately adjacent to the start or end of the current selection to form a contiguous block.');
-                }
+        if (target === currentDateString) return;
+
+        setCurrentDate(parseDate(target));
+        setSelectedSlots([]); // Clear selection on date change
+        setMessage('');
+    };
+
+    // The arrows step a day at a time, or a week at a time in the week view
+    const handleDateChange = (direction) => {
+        const newDate = new Date(currentDate);
+        newDate.setDate(currentDate.getDate() + direction * (gridMode === 'week' ? 7 : 1));
+        showDate(formatDate(newDate));
+    };
+
+    // 5. Multi-Slot Selection Logic
+    // In the week view a slot can be on another day; the selection then starts over on that day
+    const handleSlotSelection = useCallback((slot, dateString = formatDate(currentDate)) => {
+        const isOtherDay = dateString !== formatDate(currentDate);
+        const currentSelection = isOtherDay ? [] : selectedSlots;
+        const result = updateSelection(currentSelection, slot);
+
+        // Refuse to grow the selection past the member's quotas
+        if (result.selectedSlots.length > currentSelection.length) {
+            const refusal = checkBookingPolicy({
+                policy: bookingPolicy,
+                memberBookings,
+                dateString,
+                slotCount: result.selectedSlots.length
+            });
+            if (refusal) {
+                setMessage(refusal);
+                return;
             }
         }
-    }, [selectedSlots, userId]);
+
+        if (isOtherDay) {
+            setCurrentDate(parseDate(dateString));
+        }
+        setSelectedSlots(result.selectedSlots);
+        if (result.message) {
+            setMessage(result.message);
+        }
+    }, [selectedSlots, bookingPolicy, memberBookings, currentDate]);
 
     // 6. Function to open the Confirmation Modal
     const openConfirmationModal = () => {
@@ -338,20 +462,35 @@ const App = () => {
             setMessage('Authentication is not complete. Please refresh and ensure your MPC number and Email are entered.');
             return;
         }
-        
-        // Define the time range for display
-        const startTime = selectedSlots[0].time.split(' - ')[0];
-        const endTime = selectedSlots[selectedSlots.length - 1].time.split(' - ')[1];
 
+        const refusal = checkBookingPolicy({
+            policy: bookingPolicy,
+            memberBookings,
+            dateString: formatDate(currentDate),
+            slotCount: selectedSlots.length
+        });
+        if (refusal) {
+            setMessage(refusal);
+            return;
+        }
+        
         setConfirmationData({
-            timeRange: `${startTime} - ${endTime}`,
+            date: formatDate(currentDate),
+            // Define the time range for display
+            timeRange: getBlockTimeRange(selectedSlots),
             totalSlots: selectedSlots.length,
             // Keep guest count and privacy agreed state managed by the modal itself.
         });
 
         // Reset modal specific states before opening
-        setGuestCount(0);
+        setCoPlayers([]);
+        setGuests([]);
         setPrivacyAgreed(false);
+        setRepeatWeeks(1);
+        setPreferredCourt('auto');
+        setMatchPlayersNeeded(0);
+        setMatchLevel(MATCH_LEVELS[0]);
+        setSeriesReport(null);
         setMessage('');
     };
 
@@ -359,114 +498,395 @@ const App = () => {
     const handleFinalBooking = async () => {
         if (!confirmationData || !privacyAgreed || !db || selectedSlots.length === 0) return;
 
+        const playersError = validateBookingPlayers({ bookerMpcNumber: mpcNumber, coPlayers, guests });
+        if (playersError) {
+            setMessage(playersError);
+            return;
+        }
+
         // Store data needed for success message before closing modal
         const timeRange = confirmationData.timeRange;
         
         // Close modal immediately when confirm is clicked
         setConfirmationData(null);
 
-        // --- COST CALCULATION ---
-        const calculatedCourtFee = selectedSlots.length * COURT_FEE_PER_SLOT;
-        const calculatedGuestFee = guestCount * GUEST_FEE_PER_PERSON;
-        const estimatedCost = calculatedCourtFee + calculatedGuestFee;
-
-        // Determine which court is available across *all* selected slots
+        // The price is quoted from the rate table once the court is assigned
         const dateString = formatDate(currentDate);
-        
-        let courtToReserve = null;
-        
-        // Check Court 1 availability across all selected slots
-        const isCourt1Available = selectedSlots.every(slot => {
-            const reservationsForTime = reservations.filter(r => r.date === dateString && r.timeSlot === slot.time);
-            const bookedCourts = reservationsForTime.map(r => r.court);
-            return !bookedCourts.includes('Court 1');
-        });
+        const candidateCourts = preferredCourt === 'auto' ? activeCourts : activeCourts.filter(court => court.id === preferredCourt);
+        const details = {
+            userId: userId,
+            mpcNumber: mpcNumber.trim(),
+            email: email.trim(),
+            players: buildPlayerList(mpcNumber.trim(), coPlayers),
+            coPlayers,
+            guests,
+            guestCount: guests.length
+        };
+
+        if (repeatWeeks > 1) {
+            await handleSeriesBooking({ dateString, timeRange, details, candidateCourts });
+            return;
+        }
 
-        if (isCourt1Available) {
-            courtToReserve = 'Court 1';
-        } else {
-             // Check Court 2 availability across all selected slots
-            const isCourt2Available = selectedSlots.every(slot => {
-                const reservationsForTime = reservations.filter(r => r.date === dateString && r.timeSlot === slot.time);
-                const bookedCourts = reservationsForTime.map(r => r.court);
-                return !bookedCourts.includes('Court 2');
+        try {
+            const guestLimitProblems = await fetchGuestLimitProblems({ dateString, bookingGuests: guests });
+            if (isGuestLimitBlocking && guestLimitProblems.length > 0) {
+                setMessage(guestLimitProblems.join(' '));
+                setSelectedSlots([]);
+                return;
+            }
+
+            // Quotas are re-checked against fresh server data inside the booking transaction
+            const reserved = await reserveBlock({
+                dateString,
+                blockSlots: selectedSlots,
+                details,
+                courts: candidateCourts,
+                rateTable,
+                checkQuota: (freshBookings) => checkBookingPolicy({
+                    policy: bookingPolicy,
+                    memberBookings: freshBookings,
+                    dateString,
+                    slotCount: selectedSlots.length
+                })
             });
+            if (reserved && reserved.refusal) {
+                setMessage(reserved.refusal);
+                setSelectedSlots([]);
+                return;
+            }
+            const courtToReserve = reserved && reserved.courtName;
 
-            if (isCourt2Available) {
-                courtToReserve = 'Court 2';
+            if (!courtToReserve) {
+                setMessage(preferredCourt === 'auto'
+                    ? 'A court became fully booked during your selection. Please re-select your desired time block.'
+                    : `${candidateCourts[0]?.name || 'The court you picked'} was booked during your selection. Please pick another court or let us assign one.`);
+                setSelectedSlots([]);
+                return;
             }
+
+            // Listing the match is a separate step; the booking stands even if it fails
+            const playersWanted = Math.min(matchPlayersNeeded, PLAYERS_PER_MATCH - 1 - coPlayers.length - guests.length);
+            const listingRefusal = playersWanted > 0
+                ? await openMatch({ booking: { id: reserved.bookingId, mpcNumber: details.mpcNumber }, level: matchLevel, playersNeeded: playersWanted })
+                : null;
+
+            setMessage(`Successfully reserved ${timeRange} on ${courtToReserve}! Total estimated cost: PHP ${reserved.estimatedCost.toFixed(2)}. A confirmation is on its way to ${email}.`
+                + (playersWanted > 0 && !listingRefusal ? ' Your booking is listed as an open match.' : '')
+                + (listingRefusal ? ` It could not be listed as an open match: ${listingRefusal}` : '')
+                + (guestLimitProblems.length > 0 ? ` Please note: ${guestLimitProblems.join(' ')}` : ''));
+            setSelectedSlots([]); // Clear selection
+        } catch (error) {
+            console.error("Error reserving slot block:", error);
+            setMessage("Failed to make reservation. No slots were reserved, please try again.");
+        }
+    };
+
+    // 7a. Recurring booking: the same block every week. Each date is checked against special
+    // windows and quotas, free dates are booked and the rest are listed in the series report.
+    const handleSeriesBooking = async ({ dateString, timeRange, details, candidateCourts }) => {
+        const blockSlots = selectedSlots;
+        setSelectedSlots([]);
+
+        try {
+            // Quotas are checked in each occurrence's transaction, where the occurrences already
+            // booked are among the member's fresh bookings
+            const dates = getWeeklyDates(dateString, repeatWeeks);
+            const monthBookings = isGuestLimitBlocking && details.guests.length > 0
+                ? await fetchBookingsBetween(getMonthRange(getMonth(dates[0])).from, getMonthRange(getMonth(dates[dates.length - 1])).to)
+                : [];
+            const { results } = await reserveSeries({
+                dates,
+                blockSlots,
+                details,
+                courts: candidateCourts,
+                rateTable,
+                checkOccurrence: (occurrenceDate, seriesId, seriesBookings) =>
+                    getSpecialSlotConflict(occurrenceDate, blockSlots, specialSlotRules) || (isGuestLimitBlocking && checkGuestLimits({
+                        policy: bookingPolicy,
+                        bookings: [...monthBookings, ...seriesBookings],
+                        dateString: occurrenceDate,
+                        mpcNumber: details.mpcNumber,
+                        guests: details.guests
+                    })[0]) || null,
+                checkQuota: (occurrenceDate, freshBookings) => checkBookingPolicy({
+                    policy: bookingPolicy,
+                    memberBookings: freshBookings,
+                    dateString: occurrenceDate,
+                    slotCount: blockSlots.length
+                })
+            });
+
+            const booked = results.filter(result => result.bookingId);
+            const bookedCount = booked.length;
+            setSeriesReport({ timeRange, results });
+            setMessage(bookedCount === results.length
+                ? `Successfully reserved ${timeRange} for all ${bookedCount} weeks! Estimated cost: PHP ${booked.reduce((sum, result) => sum + result.estimatedCost, 0).toFixed(2)} in total. Confirmations are on their way to ${email}.`
+                : `Reserved ${timeRange} for ${bookedCount} of ${results.length} weeks. See below for the dates that could not be booked.`);
+        } catch (error) {
+            console.error("Error reserving weekly series:", error);
+            setMessage("Failed to complete the weekly booking. Check My Bookings for the dates that were reserved.");
         }
+    };
+
+
+    // 7b. Waitlist: join for a fully booked block, claim a held court, or leave the queue
+    const handleJoinWaitlist = async () => {
+        if (selectedSlots.length === 0 || !userId || !mpcNumber) return;
 
-        if (!courtToReserve) {
-            setMessage('A court became fully booked during your selection. Please re-select your desired time block.');
+        const dateString = formatDate(currentDate);
+        const timeRange = getBlockTimeRange(selectedSlots);
+
+        const refusal = checkBookingPolicy({
+            policy: bookingPolicy,
+            memberBookings,
+            dateString,
+            slotCount: selectedSlots.length
+        });
+        if (refusal) {
+            setMessage(refusal);
+            return;
+        }
+
+        const block = { date: dateString, timeSlots: selectedSlots.map(slot => slot.time) };
+        if (waitlistEntries.some(entry => entry.userId === userId && entriesOverlap(entry, block))) {
+            setMessage('You are already on the waitlist for this time.');
+            return;
+        }
+
+        try {
+            await joinWaitlist({ dateString, blockSlots: selectedSlots, member: { userId, mpcNumber: mpcNumber.trim(), email: email.trim() } });
+            setMessage(bookingPolicy.waitlistClaimMinutes
+                ? `You are on the waitlist for ${timeRange}. If a court comes free, it will be held for you for ${bookingPolicy.waitlistClaimMinutes} minutes.`
+                : `You are on the waitlist for ${timeRange}. If a court comes free, it will be held for you until the block starts.`);
             setSelectedSlots([]);
+        } catch (error) {
+            console.error("Error joining waitlist:", error);
+            setMessage("Failed to join the waitlist. Check console for details.");
+        }
+    };
+
+    const openClaimModal = (entry) => {
+        setConfirmationData({
+            date: entry.date,
+            timeRange: getBlockTimeRange(getEntrySlots(entry)),
+            totalSlots: entry.timeSlots.length,
+            waitlistEntry: entry
+        });
+        setCoPlayers([]);
+        setGuests([]);
+        setPrivacyAgreed(false);
+        setMessage('');
+    };
+
+    const handleClaimOffer = async () => {
+        if (!confirmationData || !privacyAgreed || !db) return;
+
+        const playersError = validateBookingPlayers({ bookerMpcNumber: mpcNumber, coPlayers, guests });
+        if (playersError) {
+            setMessage(playersError);
             return;
         }
-        
-        const bookingPromises = selectedSlots.map(slot => {
-            // Firestore Doc ID must be unique per court AND per time slot
-            const reservationRef = doc(db, 
-                `artifacts/${appId}/public/data/padelReservations`, 
-                `${dateString}-${slot.id}-${courtToReserve.replace(/\s/g, '')}`
-            );
-
-            return setDoc(reservationRef, {
-                date: dateString,
-                timeSlot: slot.time,
-                userId: userId,
-                mpcNumber: mpcNumber.trim(),
-                email: email.trim(),
-                timestamp: new Date().toISOString(),
-                court: courtToReserve,
-                // --- NEW SCHEMA FIELDS (only store these on one doc, but for simplicity, storing on all) ---
-                guestCount: guestCount, 
-                estimatedCost: estimatedCost / selectedSlots.length, // Cost per slot
-                blockId: Date.now() // Unique ID for the block reservation
+
+        const { waitlistEntry: entry, timeRange, totalSlots } = confirmationData;
+        setConfirmationData(null);
+
+        try {
+            const guestLimitProblems = await fetchGuestLimitProblems({ dateString: entry.date, bookingGuests: guests, bookingId: entry.bookingId });
+            if (isGuestLimitBlocking && guestLimitProblems.length > 0) {
+                setMessage(guestLimitProblems.join(' '));
+                return;
+            }
+
+            // The held booking already belongs to the member, so leave it out of the quota check
+            const claimed = await claimWaitlistOffer(entry.id, {
+                players: buildPlayerList(entry.mpcNumber, coPlayers),
+                coPlayers,
+                guests,
+                guestCount: guests.length
+            }, (freshBookings) => checkBookingPolicy({
+                policy: bookingPolicy,
+                memberBookings: freshBookings.filter(b => b.id !== entry.bookingId),
+                dateString: entry.date,
+                slotCount: totalSlots
+            }));
+            if (claimed && claimed.refusal) {
+                setMessage(claimed.refusal);
+                return;
+            }
+            if (!claimed) {
+                setMessage('This offer is no longer available. The claim window may have closed.');
+                return;
+            }
+
+            setMessage(`Successfully reserved ${timeRange} on ${claimed.courtName}! Total estimated cost: PHP ${claimed.estimatedCost.toFixed(2)}. A confirmation is on its way to ${email}.`
+                + (guestLimitProblems.length > 0 ? ` Please note: ${guestLimitProblems.join(' ')}` : ''));
+        } catch (error) {
+            console.error("Error claiming waitlist offer:", error);
+            setMessage("Failed to claim the court. Please try again.");
+        }
+    };
+
+    const handleLeaveWaitlist = async (entry) => {
+        try {
+            await leaveWaitlist(entry.id);
+            setMessage(entry.status === WAITLIST_STATUS.OFFERED
+                ? 'Offer declined. The court has been released to the next member in the queue.'
+                : 'You have left the waitlist.');
+        } catch (error) {
+            console.error("Error leaving waitlist:", error);
+            setMessage("Failed to leave the waitlist. Check console for details.");
+        }
+    };
+
+    const handleCancel = async (booking) => {
+        if (!userId || !db) return;
+
+        const timeRange = getBookingTimeRange(booking);
+        const terms = getCancellationTerms({ start: getBookingStart(booking), amount: booking.estimatedCost || 0, policy: bookingPolicy });
+
+        if (terms.hasStarted) {
+            setMessage('This booking has already started and can no longer be cancelled.');
+            return;
+        }
+
+        const confirmed = window.confirm(terms.isLate && terms.fee > 0
+            ? `Cancellations less than ${bookingPolicy.cancellationCutoffHours} hours before play are charged a late-cancellation fee of PHP ${terms.fee.toFixed(2)}. Cancel ${timeRange} on ${getBookingCourtName(booking)} anyway?`
+            : `Cancel your booking for ${timeRange} on ${getBookingCourtName(booking)}?`);
+        if (!confirmed) return;
+
+        try {
+            const cancelled = await cancelBooking({
+                booking,
+                actor: { uid: userId, role: 'member' },
+                lateCancelFee: terms.fee
             });
+            if (!cancelled) {
+                setMessage('This booking has already been cancelled.');
+                return;
+            }
+            setMessage(terms.isLate && terms.fee > 0
+                ? `Booking cancelled. A late-cancellation fee of PHP ${terms.fee.toFixed(2)} has been recorded.`
+                : 'Booking cancelled successfully.');
+        } catch (error) {
+            console.error("Error cancelling booking:", error);
+            setMessage("Failed to cancel booking. Check console for details.");
+        }
+    };
+
+    // Gives up the first or last slot of a booking and keeps the rest of the block
+    const handleShorten = async (booking, timeSlot) => {
+        if (!userId || !db) return;
+
+        const timeSlots = getShortenedSlots(booking, timeSlot);
+        if (!timeSlots) return;
+
+        const keptCost = requoteBooking(booking, { timeSlots, guestCount: booking.guestCount || 0 }).total;
+        const terms = getCancellationTerms({
+            start: getSlotStart(booking.date, timeSlot),
+            amount: Math.max((booking.estimatedCost || 0) - keptCost, 0),
+            policy: bookingPolicy
         });
 
+        if (terms.hasStarted) {
+            setMessage('This slot has already started and can no longer be cancelled.');
+            return;
+        }
+
+        const confirmed = window.confirm(terms.isLate && terms.fee > 0
+            ? `Cancellations less than ${bookingPolicy.cancellationCutoffHours} hours before play are charged a late-cancellation fee of PHP ${terms.fee.toFixed(2)}. Remove ${timeSlot} from your booking anyway?`
+            : `Remove ${timeSlot} from your booking on ${getBookingCourtName(booking)}?`);
+        if (!confirmed) return;
+
         try {
-            await Promise.all(bookingPromises);
-            setMessage(`Successfully reserved ${timeRange} on ${courtToReserve}! Total estimated cost: PHP ${estimatedCost.toFixed(2)}.`);
-            setSelectedSlots([]); // Clear selection
+            const shortened = await shortenBooking({
+                booking,
+                timeSlots,
+                actor: { uid: userId, role: 'member' },
+                lateCancelFee: terms.fee
+            });
+            if (!shortened) {
+                setMessage('This booking has changed in the meantime. Please try again.');
+                return;
+            }
+            setMessage(`Your booking now runs ${getBlockTimeRange(timeSlots.map(time => ({ time })))}. New estimated cost: PHP ${keptCost.toFixed(2)}.`
+                + (terms.isLate && terms.fee > 0 ? ` A late-cancellation fee of PHP ${terms.fee.toFixed(2)} has been recorded.` : ''));
         } catch (error) {
-            console.error("Error reserving slot block:", error);
-            setMessage("Failed to make reservation. Check console for details.");
+            console.error("Error shortening booking:", error);
+            setMessage("Failed to shorten booking. Check console for details.");
         }
     };
 
+    const handleUpdatePlayers = async (booking, players) => {
+        try {
+            const guestLimitProblems = await fetchGuestLimitProblems({ dateString: booking.date, bookingGuests: players.guests, bookingId: booking.id });
+            const refusal = isGuestLimitBlocking && guestLimitProblems.length > 0
+                ? guestLimitProblems.join(' ')
+                : await updateBookingPlayers({ booking, ...players, actor: { uid: userId, role: 'member' } });
+            if (refusal) {
+                setMessage(refusal);
+                return false;
+            }
+            const estimatedCost = requoteBooking(booking, { guestCount: players.guests.length }).total;
+            setMessage(`Players updated for ${getBookingTimeRange(booking)} on ${booking.date}. New estimated cost: PHP ${estimatedCost.toFixed(2)}.`
+                + (guestLimitProblems.length > 0 ? ` Please note: ${guestLimitProblems.join(' ')}` : ''));
+            return true;
+        } catch (error) {
+            console.error("Error updating players:", error);
+            setMessage("Failed to update players. Check console for details.");
+            return false;
+        }
+    };
 
-    const handleCancel = async (reservationId) => {
+    // Cancels the upcoming bookings of a weekly series; played ones are kept
+    const handleCancelSeries = async (seriesId) => {
         if (!userId || !db) return;
 
-        const reservationRef = doc(db, `artifacts/${appId}/public/data/padelReservations`, reservationId);
+        const now = new Date();
+        const upcoming = memberBookings.filter(b => b.seriesId === seriesId && b.status === RESERVATION_STATUS.BOOKED && getBookingStart(b) > now);
+        if (upcoming.length === 0) return;
+
+        const fees = upcoming.map(b => getCancellationTerms({ start: getBookingStart(b), amount: b.estimatedCost || 0, policy: bookingPolicy, now }).fee);
+        const totalFee = fees.reduce((sum, fee) => sum + fee, 0);
+
+        const confirmed = window.confirm(`Cancel the ${upcoming.length} upcoming booking${upcoming.length !== 1 ? 's' : ''} of this weekly series?`
+            + (totalFee > 0 ? ` Late-cancellation fees of PHP ${totalFee.toFixed(2)} apply.` : ''));
+        if (!confirmed) return;
 
         try {
-            await deleteDoc(reservationRef);
-            setMessage('Reservation cancelled successfully.');
+            let cancelledCount = 0;
+            for (const [i, booking] of upcoming.entries()) {
+                if (await cancelBooking({ booking, actor: { uid: userId, role: 'member' }, lateCancelFee: fees[i] })) {
+                    cancelledCount += 1;
+                }
+            }
+            setMessage(`Cancelled ${cancelledCount} booking${cancelledCount !== 1 ? 's' : ''} of the weekly series.`
+                + (totalFee > 0 ? ` Late-cancellation fees of PHP ${totalFee.toFixed(2)} have been recorded.` : ''));
         } catch (error) {
-            console.error("Error cancelling slot:", error);
-            setMessage("Failed to cancel reservation. Check console for details.");
+            console.error("Error cancelling weekly series:", error);
+            setMessage("Failed to cancel the whole series. Check My Bookings for what is still booked.");
         }
     };
 
+    // Opens the booking grid on the day of a booking
+    const handleShowDay = (dateString) => {
+        setCurrentDate(parseDate(dateString));
+        setSelectedSlots([]);
+        setView('booking');
+        setMessage('');
+    };
+
     const handleSignOut = async () => {
         try {
-            // Sign out from Firebase
+            // Sign out from Firebase; the profile listener clears the member details
             if (auth) {
                 await signOut(auth);
             }
             
-            // Clear local storage
-            localStorage.removeItem('mpcNumber');
-            localStorage.removeItem('email');
-            
             // Reset app state
-            setMpcNumber('');
-            setEmail('');
-            setIsMpcNumberSet(false);
             setSelectedSlots([]);
             setConfirmationData(null);
+            setView('booking');
             setMessage('You have been signed out successfully.');
             
             // The component will re-render and show the login form
@@ -477,87 +897,59 @@ const App = () => {
     };
 
     // 8. Memoized Computed Data (Slots)
-    const slots = useMemo(() => {
-        const dateString = formatDate(currentDate);
-        const bookedSlotGroups = reservations
-            .filter(r => r.date === dateString)
-            .reduce((acc, r) => {
-                if (!acc[r.timeSlot]) {
-                    acc[r.timeSlot] = [];
-                }
-                acc[r.timeSlot].push(r);
-                return acc;
-            }, {});
-
-        // Determine if current day is in the past (to disable past slots)
-        const todayStart = new Date();
-        todayStart.setHours(0, 0, 0, 0);
-        const currentDateStart = new Date(currentDate);
-        currentDateStart.setHours(0, 0, 0, 0);
-        const isPastDay = currentDateStart.getTime() < todayStart.getTime();
-
-        return TIME_SLOTS.map((time) => {
-            const reservationsForTime = bookedSlotGroups[time] || [];
-            const bookedCount = reservationsForTime.length;
-            const availableCourts = COURT_COUNT - bookedCount;
-            const isFullyBooked = bookedCount >= COURT_COUNT;
-            
-            // Find ALL user reservations for this time slot (could be one on Court 1 and one on Court 2)
-            const userReservations = reservationsForTime.filter(r => r.userId === userId);
-            
-            const timeParts = time.split(' - ');
-            const timeSlotStart = timeParts[0];
-
-            // Check for special status (FCFS/AMERICANO)
-            const specialStatus = getSpecialSlotStatus(currentDate, timeSlotStart);
-
-            // Check if the slot is in the past for the current day
-            const now = new Date();
-            const slotStart = new Date(currentDateStart.getTime());
-            const [hour, minute] = timeSlotStart.split(':').map(Number);
-            slotStart.setHours(hour, minute, 0, 0);
-            
-            const isSlotInPast = !isPastDay && (slotStart.getTime() < now.getTime());
-
-            const isSpecialSlot = specialStatus.status !== 'BOOKABLE';
-            const isSelected = selectedSlots.some(s => s.time === time);
-
-            return {
-                time,
-                // ID for Firestore path segment (e.g., "06:00 - 06:30" -> "06-00--06-30")
-                id: time.replace(/:/g, '-').replace(/\s/g, ''),
-                bookedCount,
-                availableCourts,
-                isFullyBooked,
-                userReservations, // Array of user's bookings for this slot (max 2)
-                isUserBooking: userReservations.length > 0,
-                specialStatus: specialStatus,
-                isSpecialSlot: isSpecialSlot, // Export flag for easy checking
-                isSelected: isSelected, // New flag
-                // Disable if past, or if it falls under a non-bookable special rule
-                isDisabled: isPastDay || isSlotInPast || isSpecialSlot
-            };
-        });
-    }, [reservations, currentDate, userId, selectedSlots]); // Added selectedSlots to dependencies
-
-    // Confirmation Modal Component (Inline for simplicity)
-    const ConfirmationModal = () => {
+    const slots = useMemo(() => buildDaySlots({
+        date: currentDate,
+        reservations,
+        userId,
+        mpcNumber,
+        selectedSlots,
+        specialSlotRules,
+        courts
+    }), [reservations, currentDate, userId, mpcNumber, selectedSlots, specialSlotRules, courts]);
+
+    // Confirmation modal, rendered inline by calling this function rather than as a component:
+    // a component defined in App would be remounted on every App render, losing what is being
+    // typed into PlayersEditor
+    const renderConfirmationModal = () => {
         if (!confirmationData) return null;
 
-        const dateString = new Date(currentDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', weekday: 'short' });
-        
-        // Cost calculation for display
-        const totalCourtFee = confirmationData.totalSlots * COURT_FEE_PER_SLOT;
-        const guestFee = guestCount * GUEST_FEE_PER_PERSON;
-        const totalEstimatedCost = totalCourtFee + guestFee;
-        
-        const guestOptions = [0, 1, 2, 3];
+        const dateString = parseDate(confirmationData.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', weekday: 'short' });
+        const isClaim = !!confirmationData.waitlistEntry;
         const durationHours = confirmationData.totalSlots / 2;
+        const canRepeat = !isClaim && bookingPolicy.maxSeriesWeeks > 1;
+        const activeReservations = reservations.filter(isActiveReservation);
+
+        // Guest caps as far as the bookings already loaded show; re-checked on the server data when confirming
+        const loadedBookings = [...new Map([...visibleBookings, ...memberBookings].map(b => [b.id, b])).values()];
+        const guestLimitProblems = checkGuestLimits({ policy: bookingPolicy, bookings: loadedBookings, dateString: confirmationData.date, mpcNumber: mpcNumber.trim(), guests, bookingId: confirmationData.waitlistEntry?.bookingId });
+
+        // A held court keeps the prices it was held at. Otherwise quoted for the court the member
+        // picked, or the one that would be assigned; the stored price is quoted again on the
+        // court actually reserved.
+        const hold = isClaim ? loadedBookings.find(b => b.id === confirmationData.waitlistEntry.bookingId) : null;
+        const quotedCourt = isClaim
+            ? confirmationData.waitlistEntry.court
+            : preferredCourt !== 'auto'
+                ? preferredCourt
+                : findAvailableCourt(activeReservations, confirmationData.date, selectedSlots, activeCourts.map(court => court.id)) || activeCourts[0]?.id;
+        const quote = hold
+            ? requoteBooking(hold, { guestCount: guests.length })
+            : quoteBooking({
+                rateTable,
+                dateString: confirmationData.date,
+                court: quotedCourt,
+                timeSlots: isClaim ? confirmationData.waitlistEntry.timeSlots : selectedSlots.map(slot => slot.time),
+                guestCount: guests.length
+            });
+
+        // The booker, co-players and guests already take places on court
+        const maxMatchPlayers = PLAYERS_PER_MATCH - 1 - coPlayers.length - guests.length;
+        const weekday = parseDate(confirmationData.date).toLocaleDateString('en-US', { weekday: 'long' });
 
         return (
             <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center p-4 z-50">
                 <div className="bg-[#001a35] text-white p-6 rounded-xl shadow-2xl w-full max-w-lg border-2 border-[#d4af37] transform transition-all duration-300 scale-100">
-                    <h2 className="text-2xl font-bold mb-4 text-[#d4af37]">Confirm Your Block Reservation</h2>
+                    <h2 className="text-2xl font-bold mb-4 text-[#d4af37]">{isClaim ? 'Claim Your Waitlisted Court' : 'Confirm Your Block Reservation'}</h2>
                     
                     <div className="space-y-3 mb-6 p-4 bg-[#0e1f37] rounded-lg">
                         <p className="font-semibold text-lg">
@@ -574,38 +966,136 @@ const App = () => {
                         </p>
                     </div>
 
-                    {/* Guest Selector */}
+                    {/* Players */}
                     <div className="mb-6">
-                        <label htmlFor="guest-select" className="block text-lg font-medium mb-2 text-white">
-                            Number of Guests (0-3):
-                        </label>
-                        <select
-                            id="guest-select"
-                            value={guestCount}
-                            onChange={(e) => setGuestCount(Number(e.target.value))}
-                            className="w-full px-4 py-3 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white focus:outline-none focus:ring-2 focus:ring-[#d4af37]"
-                        >
-                            {guestOptions.map(num => (
-                                <option key={num} value={num}>{num} Guest{num !== 1 ? 's' : ''}</option>
-                            ))}
-                        </select>
+                        <p className="block text-lg font-medium mb-2 text-white">
+                            Who else is playing? (up to {MAX_GUESTS} guests)
+                        </p>
+                        <PlayersEditor
+                            bookerMpcNumber={mpcNumber}
+                            coPlayers={coPlayers}
+                            guests={guests}
+                            onChange={(players) => { setCoPlayers(players.coPlayers); setGuests(players.guests); }}
+                        />
+                        {guestLimitProblems.length > 0 && (
+                            <div className={`mt-3 p-3 rounded-lg text-sm border ${isGuestLimitBlocking ? 'bg-red-900/30 border-red-500 text-red-300' : 'bg-amber-900/30 border-amber-600 text-amber-300'}`}>
+                                {guestLimitProblems.map(problem => <p key={problem}>{problem}</p>)}
+                                <p className="mt-1">{isGuestLimitBlocking ? 'Remove guests over the limit to book.' : 'You can still book; club staff can see guest visits over the limit.'}</p>
+                            </div>
+                        )}
                     </div>
 
+                    {/* Court Choice */}
+                    {!isClaim && (
+                        <div className="mb-6">
+                            <label htmlFor="court-select" className="block text-lg font-medium mb-2 text-white">
+                                Court:
+                            </label>
+                            <select
+                                id="court-select"
+                                value={preferredCourt}
+                                onChange={(e) => setPreferredCourt(e.target.value)}
+                                className="w-full px-4 py-3 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white focus:outline-none focus:ring-2 focus:ring-[#d4af37]"
+                            >
+                                <option value="auto">Any free court (automatic)</option>
+                                {activeCourts.map(court => {
+                                    const isFree = findAvailableCourt(activeReservations, confirmationData.date, selectedSlots, [court.id]);
+                                    const attributes = (court.attributes || []).join(', ');
+                                    return (
+                                        <option key={court.id} value={court.id} disabled={!isFree}>
+                                            {court.name}{attributes ? ` (${attributes})` : ''}{isFree ? '' : ' - taken'}
+                                        </option>
+                                    );
+                                })}
+                            </select>
+                        </div>
+                    )}
+
+                    {/* Open Match */}
+                    {!isClaim && repeatWeeks === 1 && maxMatchPlayers > 0 && (
+                        <div className="mb-6">
+                            <label htmlFor="match-select" className="block text-lg font-medium mb-2 text-white">
+                                Looking for players?
+                            </label>
+                            <div className="flex gap-2">
+                                <select
+                                    id="match-select"
+                                    value={Math.min(matchPlayersNeeded, maxMatchPlayers)}
+                                    onChange={(e) => setMatchPlayersNeeded(Number(e.target.value))}
+                                    className="flex-1 px-4 py-3 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white focus:outline-none focus:ring-2 focus:ring-[#d4af37]"
+                                >
+                                    <option value={0}>No, we have our players</option>
+                                    {Array.from({ length: maxMatchPlayers }, (_, i) => i + 1).map(num => (
+                                        <option key={num} value={num}>List as open match: {num} player{num !== 1 ? 's' : ''} wanted</option>
+                                    ))}
+                                </select>
+                                {Math.min(matchPlayersNeeded, maxMatchPlayers) > 0 && (
+                                    <select
+                                        value={matchLevel}
+                                        onChange={(e) => setMatchLevel(e.target.value)}
+                                        className="px-4 py-3 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white focus:outline-none focus:ring-2 focus:ring-[#d4af37]"
+                                    >
+                                        {MATCH_LEVELS.map(option => <option key={option} value={option}>{option}</option>)}
+                                    </select>
+                                )}
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Weekly Repeat */}
+                    {canRepeat && (
+                        <div className="mb-6">
+                            <label htmlFor="repeat-select" className="block text-lg font-medium mb-2 text-white">
+                                Repeat:
+                            </label>
+                            <select
+                                id="repeat-select"
+                                value={repeatWeeks}
+                                onChange={(e) => setRepeatWeeks(Number(e.target.value))}
+                                className="w-full px-4 py-3 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white focus:outline-none focus:ring-2 focus:ring-[#d4af37]"
+                            >
+                                {Array.from({ length: bookingPolicy.maxSeriesWeeks }, (_, i) => i + 1).map(weeks => (
+                                    <option key={weeks} value={weeks}>
+                                        {weeks === 1 ? 'Just this date' : `Every ${weekday} for ${weeks} weeks`}
+                                    </option>
+                                ))}
+                            </select>
+                            {repeatWeeks > 1 && (
+                                <p className="text-sm text-gray-400 mt-2">
+                                    Each week is booked on its own. Dates that are taken, fall in a special window or exceed your quotas are skipped and listed afterwards.
+                                </p>
+                            )}
+                        </div>
+                    )}
+
                     {/* Estimated Cost Breakdown */}
                     <div className="mb-6 p-4 bg-yellow-900/30 rounded-lg border border-yellow-700">
                         <h3 className="text-xl font-bold text-[#d4af37] mb-2">Estimated Cost</h3>
-                        <div className="flex justify-between text-gray-300">
-                            <span>Court Rental ({durationHours} hr @ PHP {COURT_FEE_PER_HOUR}/hr)</span>
-                            <span>PHP {totalCourtFee.toFixed(2)}</span>
-                        </div>
-                        <div className="flex justify-between text-gray-300">
-                            <span>Guest Fees ({guestCount} x PHP {GUEST_FEE_PER_PERSON})</span>
-                            <span>+ PHP {guestFee.toFixed(2)}</span>
-                        </div>
+                        {getQuoteLines(quote).map(line => (
+                            <div key={line.timeRange} className="flex justify-between text-gray-300">
+                                <span>Court {line.timeRange} · {line.rateName} ({line.slotCount / 2} hr)</span>
+                                <span>PHP {line.amount.toFixed(2)}</span>
+                            </div>
+                        ))}
+                        {quote.nonMemberFee > 0 && (
+                            <div className="flex justify-between text-gray-300">
+                                <span>Non-member Rate ({quote.guestCount} guest{quote.guestCount !== 1 ? 's' : ''})</span>
+                                <span>+ PHP {quote.nonMemberFee.toFixed(2)}</span>
+                            </div>
+                        )}
+                        {quote.guestCount > 0 && (
+                            <div className="flex justify-between text-gray-300">
+                                <span>Guest Fees ({quote.guestCount} guest{quote.guestCount !== 1 ? 's' : ''})</span>
+                                <span>+ PHP {(quote.guestFee - quote.nonMemberFee).toFixed(2)}</span>
+                            </div>
+                        )}
                         <div className="flex justify-between text-lg font-bold mt-2 text-white border-t border-yellow-700 pt-2">
-                            <span>Total Estimated Cost</span>
-                            <span>PHP {totalEstimatedCost.toFixed(2)}</span>
+                            <span>{repeatWeeks > 1 ? 'Estimated Cost, First Session' : 'Total Estimated Cost'}</span>
+                            <span>PHP {quote.total.toFixed(2)}</span>
                         </div>
+                        {repeatWeeks > 1 && (
+                            <p className="text-sm text-gray-400 mt-2">Each week is priced at the rates in effect on its date, such as holiday rates.</p>
+                        )}
                     </div>
 
 
@@ -635,11 +1125,11 @@ const App = () => {
                             Cancel
                         </button>
                         <button
-                            onClick={handleFinalBooking}
-                            disabled={!privacyAgreed}
+                            onClick={isClaim ? handleClaimOffer : handleFinalBooking}
+                            disabled={!privacyAgreed || (isGuestLimitBlocking && guestLimitProblems.length > 0)}
                             className="px-6 py-2 bg-[#d4af37] text-[#001a35] font-bold rounded-lg disabled:opacity-50 hover:bg-yellow-400 transition duration-300 shadow-md"
                         >
-                            Confirm Booking ({confirmationData.totalSlots} Slots)
+                            {isClaim ? 'Claim Court' : repeatWeeks > 1 ? `Book ${repeatWeeks} Weeks` : 'Confirm Booking'} ({confirmationData.totalSlots} Slots)
                         </button>
                     </div>
                 </div>
@@ -649,64 +1139,26 @@ const App = () => {
 
 
     // 9. Component Render Logic
-    if (!isMpcNumberSet) {
+    if (!isAuthReady) {
         return (
-            <div className="min-h-screen flex items-center justify-center p-4 bg-[#0e1f37] font-sans">
-                <div className="bg-[#001a35] text-white p-8 rounded-xl shadow-2xl w-full max-w-md">
-                    {/* Image tag using the corrected LOGO_URL */}
-                    <div className="h-20 w-full mb-4 flex justify-center">
-                        <img 
-                            src={LOGO_URL} 
-                            alt="Manila Polo Club Logo" 
-                            className="mx-auto h-20 w-auto object-contain"
-                            // FIX: Removed console.error to stop repeated console messages
-                            onError={(e) => { e.target.style.display = 'none'; }} 
-                        />
-                    </div>
-                    
-                    <h1 className="text-3xl font-bold mb-6 text-[#d4af37] text-center">
-                        Manila Polo Club Padel
-                    </h1>
-                    
-                    {message && (
-                        <div className="bg-red-700 text-white font-semibold p-3 rounded-lg mb-4 text-center shadow-md">
-                            {message}
-                        </div>
-                    )}
-
-                    <p className="text-center mb-6">
-                        Please enter your MPC Number and Email address to proceed with booking.
-                    </p>
-                    <form onSubmit={handleMpcNumberSubmit} className="space-y-4">
-                        <input
-                            type="text"
-                            value={mpcNumber}
-                            onChange={(e) => setMpcNumber(e.target.value)}
-                            placeholder="Enter MPC Number (e.g., 12345)"
-                            className="w-full px-4 py-3 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-[#d4af37]"
-                            required
-                        />
-                        <input
-                            type="email"
-                            value={email}
-                            onChange={(e) => setEmail(e.target.value)}
-                            placeholder="Enter Valid Email Address (for confirmation)"
-                            className="w-full px-4 py-3 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-[#d4af37]"
-                            required
-                        />
-                        <button
-                            type="submit"
-                            className="w-full bg-[#d4af37] text-[#001a35] font-bold py-3 rounded-lg hover:bg-yellow-400 transition duration-300 shadow-md"
-                        >
-                            Enter Club
-                        </button>
-                    </form>
-                </div>
+            <div className="min-h-screen flex items-center justify-center bg-[#0e1f37] text-[#d4af37] font-sans">
+                <p className="text-xl">Loading Reservation System...</p>
             </div>
         );
     }
 
-    if (loading || !isAuthReady) {
+    if (!isMpcNumberSet) {
+        return (
+            <LoginScreen
+                isSignedIn={!!userId}
+                message={message}
+                setMessage={setMessage}
+                onSignOut={handleSignOut}
+            />
+        );
+    }
+
+    if (loading) {
         return (
             <div className="min-h-screen flex items-center justify-center bg-[#0e1f37] text-[#d4af37] font-sans">
                 <p className="text-xl">Loading Reservation System...</p>
@@ -731,13 +1183,26 @@ const App = () => {
                     </div>
                     
                     <h1 className="text-3xl sm:text-4xl font-extrabold text-[#d4af37] tracking-wider">
-                        MPC Padel Court Booking ({COURT_COUNT} Courts)
+                        MPC Padel Court Booking ({activeCourts.length} Courts)
                     </h1>
                     <p className="text-gray-300 text-sm mt-1">
                         Welcome, Member {mpcNumber} (<span className="text-[#d4af37]">{email}</span>)
                     </p>
                 </header>
 
+                {/* Navigation */}
+                <nav className="flex justify-center gap-2 bg-[#001a35] p-3 rounded-b-xl shadow-md">
+                    {[['booking', 'Court Booking'], ['bookings', 'My Bookings'], ['matches', 'Open Matches'], ...(isAdmin ? [['admin', 'Admin Console']] : [])].map(([key, label]) => (
+                        <button
+                            key={key}
+                            onClick={() => { setView(key); setMessage(''); }}
+                            className={`px-4 py-2 rounded-lg text-sm font-semibold transition duration-150 ${view === key ? 'bg-[#d4af37] text-[#001a35]' : 'text-[#d4af37] border border-[#d4af37] hover:bg-[#d4af37]/20'}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </nav>
+
                 {/* Message Box */}
                 {message && (
                     <div className="bg-[#d4af37] text-[#001a35] font-semibold p-3 rounded-lg my-4 text-center shadow-md">
@@ -745,156 +1210,293 @@ const App = () => {
                     </div>
                 )}
 
-                {/* Date Navigation */}
-                <div className="flex justify-between items-center bg-[#001a35] p-4 rounded-xl my-6 shadow-md">
-                    <button
-                        onClick={() => handleDateChange(-1)}
-                        className="bg-[#d4af37] text-[#001a35] p-2 rounded-full disabled:opacity-50 transition duration-150 hover:scale-105"
-                        disabled={new Date(currentDate).setHours(0, 0, 0, 0) <= new Date().setHours(0, 0, 0, 0)}
-                    >
-                        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 19l-7-7 7-7"></path></svg>
-                    </button>
-                    <h2 className="text-xl sm:text-2xl font-bold text-white">
-                        {new Date(currentDate).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
-                    </h2>
-                    <button
-                        onClick={() => handleDateChange(1)}
-                        className="bg-[#d4af37] text-[#001a35] p-2 rounded-full transition duration-150 hover:scale-105"
-                    >
-                        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7"></path></svg>
-                    </button>
-                </div>
+                {view === 'admin' && isAdmin ? (
+                    <AdminConsole
+                        userId={userId}
+                        specialSlotRules={specialSlotRules}
+                        isUsingDefaultSpecialSlots={isUsingDefaultSpecialSlots}
+                        courts={courts}
+                        isUsingDefaultCourts={isUsingDefaultCourts}
+                        rateTable={rateTable}
+                        isUsingDefaultRates={isUsingDefaultRates}
+                        bookingPolicy={bookingPolicy}
+                        setMessage={setMessage}
+                    />
+                ) : view === 'bookings' ? (
+                    <MyBookings
+                        bookings={memberBookings}
+                        playingBookings={playingBookings}
+                        onCancel={handleCancel}
+                        onCancelSeries={handleCancelSeries}
+                        onUpdatePlayers={handleUpdatePlayers}
+                        onShowDay={handleShowDay}
+                        setMessage={setMessage}
+                    />
+                ) : view === 'matches' ? (
+                    <OpenMatches
+                        member={{ userId, mpcNumber, email }}
+                        onShowDay={handleShowDay}
+                        setMessage={setMessage}
+                    />
+                ) : (
+                    <>
+                        {/* Date Navigation */}
+                        <div className="flex justify-between items-center bg-[#001a35] p-4 rounded-xl my-6 shadow-md">
+                            <button
+                                onClick={() => handleDateChange(-1)}
+                                className="bg-[#d4af37] text-[#001a35] p-2 rounded-full disabled:opacity-50 transition duration-150 hover:scale-105"
+                                disabled={new Date(currentDate).setHours(0, 0, 0, 0) <= new Date().setHours(0, 0, 0, 0)}
+                            >
+                                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 19l-7-7 7-7"></path></svg>
+                            </button>
+                            <div className="flex flex-col items-center gap-2">
+                                <h2 className="text-xl sm:text-2xl font-bold text-white text-center">
+                                    {gridMode === 'week'
+                                        ? `Week of ${parseDate(getWeekStart(formatDate(currentDate))).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`
+                                        : new Date(currentDate).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
+                                </h2>
+                                <div className="flex flex-wrap justify-center items-center gap-2">
+                                    <input
+                                        type="date"
+                                        aria-label="Go to date"
+                                        value={formatDate(currentDate)}
+                                        min={formatDate(new Date())}
+                                        max={lastBookableDate || undefined}
+                                        onChange={(e) => e.target.value && showDate(e.target.value)}
+                                        className="px-2 py-1 rounded-lg border border-[#d4af37] bg-[#0e1f37] text-white text-sm [color-scheme:dark]"
+                                    />
+                                    {[['day', 'Day'], ['week', 'Week']].map(([mode, label]) => (
+                                        <button
+                                            key={mode}
+                                            onClick={() => setGridMode(mode)}
+                                            className={`px-3 py-1 rounded-lg text-sm font-semibold transition duration-150 ${gridMode === mode ? 'bg-[#d4af37] text-[#001a35]' : 'text-[#d4af37] border border-[#d4af37] hover:bg-[#d4af37]/20'}`}
+                                        >
+                                            {label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                            <button
+                                onClick={() => handleDateChange(1)}
+                                className="bg-[#d4af37] text-[#001a35] p-2 rounded-full transition duration-150 hover:scale-105"
+                            >
+                                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5l7 7-7 7"></path></svg>
+                            </button>
+                        </div>
                 
-                {/* Main Action Button */}
-                <div className="mb-6 flex justify-center">
-                    <button
-                        onClick={openConfirmationModal}
-                        disabled={selectedSlots.length === 0}
-                        className="w-full sm:w-auto px-10 py-3 bg-green-600 text-white font-bold rounded-lg disabled:opacity-50 hover:bg-green-700 transition duration-300 shadow-xl shadow-green-900/50"
-                    >
-                        {selectedSlots.length > 0 ? 
-                            `Proceed to Booking (${selectedSlots.length * 30} min)` : 
-                            'Select Time Slots (Max 4)'
-                        }
-                    </button>
-                </div>
+                        {/* Outcome of the last weekly booking */}
+                        <SeriesReport report={seriesReport} onClose={() => setSeriesReport(null)} />
+
+                        {/* Member's Waitlist Entries */}
+                        <WaitlistPanel
+                            entries={waitlistEntries}
+                            userId={userId}
+                            onClaim={openClaimModal}
+                            onLeave={handleLeaveWaitlist}
+                        />
+
+                        {/* Americano sign-ups for the selected day */}
+                        <AmericanoPanel
+                            dateString={formatDate(currentDate)}
+                            specialSlotRules={specialSlotRules}
+                            member={{ userId, mpcNumber, email }}
+                            setMessage={setMessage}
+                        />
+
+                        {/* Main Action Button */}
+                        <div className="mb-6 flex justify-center">
+                            {isWaitlistSelection ? (
+                                <button
+                                    onClick={handleJoinWaitlist}
+                                    className="w-full sm:w-auto px-10 py-3 bg-amber-600 text-white font-bold rounded-lg hover:bg-amber-700 transition duration-300 shadow-xl shadow-amber-900/50"
+                                >
+                                    Join Waitlist ({selectedSlots.length * 30} min)
+                                </button>
+                            ) : (
+                                <button
+                                    onClick={openConfirmationModal}
+                                    disabled={selectedSlots.length === 0}
+                                    className="w-full sm:w-auto px-10 py-3 bg-green-600 text-white font-bold rounded-lg disabled:opacity-50 hover:bg-green-700 transition duration-300 shadow-xl shadow-green-900/50"
+                                >
+                                    {selectedSlots.length > 0 ? 
+                                        `Proceed to Booking (${selectedSlots.length * 30} min)` : 
+                                        'Select Time Slots (Max 4)'
+                                    }
+                                </button>
+                            )}
+                        </div>
 
 
-                {/* Reservation Grid */}
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                    {slots.map((slot) => {
-                        const isSpecial = slot.isSpecialSlot;
+                        {/* Reservation Grid: seven days side by side, or one day in detail */}
+                        {gridMode === 'week' ? (
+                            <WeekGrid
+                                weekStart={getWeekStart(formatDate(currentDate))}
+                                selectedDate={formatDate(currentDate)}
+                                reservations={reservations}
+                                userId={userId}
+                                mpcNumber={mpcNumber}
+                                selectedSlots={selectedSlots}
+                                specialSlotRules={specialSlotRules}
+                                courts={courts}
+                                lastBookableDate={lastBookableDate}
+                                onSelect={handleSlotSelection}
+                            />
+                        ) : (
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                {slots.map((slot) => {
+                                    const isSpecial = slot.isSpecialSlot;
+                                    const specialColor = getSpecialSlotColor(slot.specialStatus.color);
                         
-                        let bgColor = 'bg-[#001a35] hover:bg-[#d4af37]/20 cursor-pointer'; // Default bookable
-                        let borderColor = 'border-[#d4af37]/50';
-
-                        if (slot.isDisabled) {
-                            bgColor = 'bg-gray-800 opacity-60 pointer-events-none';
-                        } else if (isSpecial) {
-                            bgColor = 'bg-purple-900 border-2 border-purple-500 opacity-90 pointer-events-none'; 
-                        } else if (slot.isFullyBooked) {
-                            bgColor = 'bg-red-900 border-2 border-red-500 opacity-90 pointer-events-none';
-                        } else if (slot.isUserBooking) {
-                             bgColor = 'bg-indigo-700 border-2 border-indigo-400 hover:bg-indigo-800'; // Make user-booked slots hoverable
-                        } else if (slot.isSelected) {
-                            // Selected state overrides general colors
-                            bgColor = 'bg-green-700 border-2 border-green-400 hover:bg-green-800';
-                            borderColor = 'border-green-400';
-                        }
+                                    let bgColor = 'bg-[#001a35] hover:bg-[#d4af37]/20 cursor-pointer'; // Default bookable
+                                    let borderColor = 'border-[#d4af37]/50';
+
+                                    if (slot.isDisabled) {
+                                        bgColor = 'bg-gray-800 opacity-60 pointer-events-none';
+                                    } else if (isSpecial) {
+                                        bgColor = `${specialColor.card} opacity-90 pointer-events-none`;
+                                    } else if (slot.isSelected) {
+                                        // Selected state overrides general colors (a fully booked selection is for the waitlist)
+                                        bgColor = slot.isFullyBooked
+                                            ? 'bg-amber-800 border-2 border-amber-400 hover:bg-amber-900'
+                                            : 'bg-green-700 border-2 border-green-400 hover:bg-green-800';
+                                        borderColor = slot.isFullyBooked ? 'border-amber-400' : 'border-green-400';
+                                    } else if (slot.isFullyBooked) {
+                                        bgColor = 'bg-red-900 border-2 border-red-500 opacity-90 hover:bg-red-950'; // Selectable to join the waitlist
+                                    } else if (slot.isUserBooking) {
+                                         bgColor = 'bg-indigo-700 border-2 border-indigo-400 hover:bg-indigo-800'; // Make user-booked slots hoverable
+                                    }
                         
-                        // A slot is clickable if it is NOT disabled, special, or fully booked
-                        const isBookableClickable = !slot.isDisabled && !isSpecial && !slot.isFullyBooked;
+                                    // A slot is clickable if it is NOT disabled or special (fully booked slots can be waitlisted)
+                                    const isBookableClickable = !slot.isDisabled && !isSpecial;
                         
-                        return (
-                            <div 
-                                key={slot.time} 
-                                className={`p-5 rounded-xl shadow-lg transition duration-300 border-2 ${bgColor} ${borderColor} ${isBookableClickable || slot.isUserBooking ? 'cursor-pointer' : 'cursor-default'}`}
-                                // Handle slot selection/deselection only if it's a bookable slot
-                                onClick={() => isBookableClickable && handleSlotSelection(slot)}
-                            >
-                                <div className="flex justify-between items-center mb-2">
-                                    <h3 className={`text-xl font-semibold ${isSpecial ? 'text-purple-300' : slot.isDisabled ? 'text-gray-400' : 'text-white'}`}>
-                                        {slot.time}
-                                    </h3>
-                                    
-                                    {slot.isDisabled ? (
-                                        isSpecial ? (
-                                            <span className="text-purple-300 px-3 py-1 rounded-full text-sm font-medium border border-purple-500">
-                                                {slot.specialStatus.status}
-                                            </span>
-                                        ) : (
-                                            <span className="text-gray-500 px-3 py-1 rounded-full text-sm font-medium border border-gray-700">
-                                                Expired
-                                            </span>
-                                        )
-                                    ) : slot.isFullyBooked ? (
-                                        <span className="text-red-300 px-3 py-1 rounded-full text-sm font-medium border border-red-500">
-                                            Fully Booked
-                                        </span>
-                                    ) : slot.isSelected ? (
-                                        <span className="bg-green-400 text-green-900 px-3 py-1 rounded-full font-bold text-sm">
-                                            Selected
-                                        </span>
-                                    ) : (
-                                        <span className="text-[#d4af37] px-3 py-1 rounded-full text-sm font-medium border border-[#d4af37]">
-                                            Available
-                                        </span>
-                                    )}
-                                </div>
-                                
-                                {/* Status and User Bookings */}
-                                <div className="text-sm">
-                                    {isSpecial ? (
-                                        <p className="font-medium text-purple-300">
-                                            {slot.specialStatus.message} - Not bookable online.
-                                        </p>
-                                    ) : slot.isDisabled ? (
-                                        <p className="text-gray-500">This time slot is in the past.</p>
-                                    ) : (
-                                        <p className={`font-medium ${slot.isFullyBooked ? 'text-red-300' : 'text-green-400'}`}>
-                                            {slot.availableCourts} / {COURT_COUNT} courts available
-                                        </p>
-                                    )}
-
-                                    {/* Display User's specific bookings for easy cancellation */}
-                                    {/* These are clickable even if the slot is otherwise not bookable for selection (e.g. past, but not special) */}
-                                    {slot.userReservations.map(res => (
+                                    return (
                                         <div 
-                                            key={res.id} 
-                                            className="mt-2 flex justify-between items-center p-2 bg-black/30 rounded-lg"
+                                            key={slot.time} 
+                                            className={`p-5 rounded-xl shadow-lg transition duration-300 border-2 ${bgColor} ${borderColor} ${isBookableClickable || slot.isUserBooking ? 'cursor-pointer' : 'cursor-default'}`}
+                                            // Handle slot selection/deselection only if it's a bookable slot
+                                            onClick={() => isBookableClickable && handleSlotSelection(slot)}
                                         >
-                                            <span className="text-sm font-semibold text-white">
-                                                {res.court} (Yours)
-                                            </span>
-                                            <button
-                                                // CRITICAL: Stop propagation so clicking the cancel button doesn't trigger slot selection/deselection logic
-                                                onClick={(e) => {
-                                                    e.stopPropagation(); 
-                                                    handleCancel(res.id);
-                                                }}
-                                                className="bg-red-500 text-white px-2 py-1 rounded-full text-xs hover:bg-red-600 transition duration-150"
-                                            >
-                                                Cancel
-                                            </button>
-                                        </div>
-                                    ))}
-
-                                    {/* Display Other Bookings (if not fully booked by user) */}
-                                    {slot.bookedCount > 0 && !isSpecial && (
-                                        <p className="text-gray-400 mt-1">
-                                            {slot.bookedCount - slot.userReservations.length} booked by other members.
-                                        </p>
-                                    )}
-                                </div>
+                                            <div className="flex justify-between items-center mb-2">
+                                                <h3 className={`text-xl font-semibold ${isSpecial ? specialColor.text : slot.isDisabled ? 'text-gray-400' : 'text-white'}`}>
+                                                    {slot.time}
+                                                </h3>
+                                    
+                                                {slot.isDisabled ? (
+                                                    isSpecial ? (
+                                                        <span className={`${specialColor.badge} px-3 py-1 rounded-full text-sm font-medium border`}>
+                                                            {slot.specialStatus.status}
+                                                        </span>
+                                                    ) : (
+                                                        <span className="text-gray-500 px-3 py-1 rounded-full text-sm font-medium border border-gray-700">
+                                                            Expired
+                                                        </span>
+                                                    )
+                                                ) : slot.isSelected ? (
+                                                    <span className={`${slot.isFullyBooked ? 'bg-amber-400 text-amber-900' : 'bg-green-400 text-green-900'} px-3 py-1 rounded-full font-bold text-sm`}>
+                                                        Selected
+                                                    </span>
+                                                ) : slot.isFullyBooked ? (
+                                                    <span className="text-red-300 px-3 py-1 rounded-full text-sm font-medium border border-red-500">
+                                                        Fully Booked
+                                                    </span>
+                                                ) : (
+                                                    <span className="text-[#d4af37] px-3 py-1 rounded-full text-sm font-medium border border-[#d4af37]">
+                                                        Available
+                                                    </span>
+                                                )}
+                                            </div>
+                                
+                                            {/* Status and User Bookings */}
+                                            <div className="text-sm">
+                                                {isSpecial ? (
+                                                    <p className={`font-medium ${specialColor.text}`}>
+                                                        {slot.specialStatus.message} - {slot.specialStatus.status === 'AMERICANO' ? 'Sign up for the session below.' : 'Not bookable online.'}
+                                                    </p>
+                                                ) : slot.isDisabled ? (
+                                                    <p className="text-gray-500">This time slot is in the past.</p>
+                                                ) : (
+                                                    <p className={`font-medium ${slot.isFullyBooked ? 'text-red-300' : 'text-green-400'}`}>
+                                                        {slot.availableCourts} / {slot.courtCount} courts available
+                                                    </p>
+                                                )}
+
+                                                {/* Per-court availability, so members can see which court is free */}
+                                                {!isSpecial && !slot.isDisabled && (
+                                                    <div className="mt-1 flex flex-wrap gap-1">
+                                                        {slot.courtStates.map(court => (
+                                                            <span key={court.id} className={`px-2 py-0.5 rounded-full text-xs border ${COURT_STATE_STYLES[court.state]}`}>
+                                                                {court.name}
+                                                            </span>
+                                                        ))}
+                                                    </div>
+                                                )}
+
+                                                {/* Display User's specific bookings for easy cancellation */}
+                                                {/* These are clickable even if the slot is otherwise not bookable for selection (e.g. past, but not special) */}
+                                                {slot.userReservations.map(res => (
+                                                    <div 
+                                                        key={res.id} 
+                                                        className="mt-2 flex justify-between items-center gap-2 p-2 bg-black/30 rounded-lg"
+                                                    >
+                                                        <span className="text-sm font-semibold text-white">
+                                                            {res.courtName}, {getBookingTimeRange(res.booking)} ({res.status === RESERVATION_STATUS.HELD ? 'Held for you' : 'Yours'})
+                                                        </span>
+                                                        {res.status !== RESERVATION_STATUS.HELD && (
+                                                            <div className="flex gap-1 shrink-0">
+                                                                {getShortenedSlots(res.booking, res.timeSlot) && (
+                                                                    <button
+                                                                        onClick={(e) => {
+                                                                            e.stopPropagation();
+                                                                            handleShorten(res.booking, res.timeSlot);
+                                                                        }}
+                                                                        className="border border-red-400 text-red-300 px-2 py-1 rounded-full text-xs hover:bg-red-500/20 transition duration-150"
+                                                                    >
+                                                                        Remove Slot
+                                                                    </button>
+                                                                )}
+                                                                <button
+                                                                    // CRITICAL: Stop propagation so clicking the cancel button doesn't trigger slot selection/deselection logic
+                                                                    onClick={(e) => {
+                                                                        e.stopPropagation(); 
+                                                                        handleCancel(res.booking);
+                                                                    }}
+                                                                    className="bg-red-500 text-white px-2 py-1 rounded-full text-xs hover:bg-red-600 transition duration-150"
+                                                                >
+                                                                    Cancel
+                                                                </button>
+                                                            </div>
+                                                        )}
+                                                    </div>
+                                                ))}
+
+                                                {/* Display Other Bookings (if not fully booked by user) */}
+                                                {slot.bookedCount > 0 && !isSpecial && (
+                                                    <p className="text-gray-400 mt-1">
+                                                        {slot.bookedCount - slot.userReservations.length - slot.blockedCount} booked by other members.
+                                                        {slot.blockedCount > 0 && ` ${slot.blockedCount} blocked by the club.`}
+                                                    </p>
+                                                )}
+                                            </div>
 
+                                        </div>
+                                    );
+                                })}
                             </div>
-                        );
-                    })}
-                </div>
+                        )}
+
+                        <CalendarFeedLink
+                            userId={userId}
+                            mpcNumber={mpcNumber}
+                            token={calendarFeedToken}
+                            setMessage={setMessage}
+                        />
 
-                {/* Confirmation Modal Render */}
-                <ConfirmationModal />
+                        {/* Confirmation Modal Render */}
+                        {renderConfirmationModal()}
                 
+                    </>
+                )}
+
                 {/* Footer and Info */}
                 <footer className="text-center mt-10 pt-4 border-t border-gray-700">
                     <button
@@ -0,0 +1,215 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { getMember } from '../firebase/members';
+import { logAdminAction, reserveBlock } from '../firebase/reservations';
+import { buildPlayerList, validateBookingPlayers } from '../lib/players';
+import { normalizeMpcNumber } from '../lib/roster';
+import {
+    MAX_BLOCK_SLOTS,
+    TIME_SLOTS,
+    formatDate,
+    getBlockTimeRange,
+    getSlotRange
+} from '../lib/scheduling';
+import PlayersEditor from './PlayersEditor';
+
+const inputClass = 'w-full px-3 py-2 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white focus:outline-none focus:ring-2 focus:ring-[#d4af37]';
+
+const START_TIMES = TIME_SLOTS.map(time => time.split(' - ')[0]);
+const END_TIMES = TIME_SLOTS.map(time => time.split(' - ')[1]);
+
+/**
+ * Admin form to book a block on a member's behalf, or to block out a court for a time range.
+ * @param {object} props
+ * @param {'member'|'block'} props.mode - Book for a member, or block a court.
+ * @param {string} props.userId - The admin's uid.
+ * @param {Array<object>} props.courts - The active courts, in assignment order.
+ * @param {object} props.rateTable - The rate table bookings are priced with.
+ * @param {Function} props.setMessage - Shows a status message in the app banner.
+ */
+const AdminBookingForm = ({ mode, userId, courts, rateTable, setMessage }) => {
+    const isBlock = mode === 'block';
+    const [date, setDate] = useState(() => formatDate(new Date()));
+    const [startTime, setStartTime] = useState('18:00');
+    const [endTime, setEndTime] = useState('19:00');
+    const [court, setCourt] = useState(isBlock ? (courts[0]?.id || '') : 'auto');
+    const [mpcNumber, setMpcNumber] = useState('');
+    const [email, setEmail] = useState('');
+    const [players, setPlayers] = useState({ coPlayers: [], guests: [] });
+    const [reason, setReason] = useState('');
+    const [formError, setFormError] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const blockSlots = getSlotRange(startTime, endTime);
+
+    const validate = () => {
+        if (!date) return 'Please choose a date.';
+        if (blockSlots.length === 0) return 'The end time must be after the start time.';
+        if (new Date(`${date}T${startTime}`).getTime() < Date.now()) return 'The selected time is in the past.';
+        if (isBlock) {
+            if (!reason.trim()) return 'Please enter a reason for blocking the court.';
+        } else {
+            if (blockSlots.length > MAX_BLOCK_SLOTS) return `Members can book at most ${MAX_BLOCK_SLOTS} adjacent slots (2 hours).`;
+            if (!mpcNumber.trim()) return "Please enter the member's MPC Number.";
+            if (email.trim() && !/\S+@\S+\.\S+/.test(email.trim())) return "Please enter a valid email address, or leave it blank to use the roster email.";
+            const playersError = validateBookingPlayers({ bookerMpcNumber: mpcNumber, ...players });
+            if (playersError) return playersError;
+        }
+        return null;
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const error = validate();
+        if (error) {
+            setFormError(error);
+            return;
+        }
+
+        setFormError('');
+        setIsSubmitting(true);
+
+        // Bookings on behalf must still belong to an active member on the roster
+        let member = null;
+        if (!isBlock) {
+            try {
+                member = await getMember(mpcNumber);
+            } catch (error) {
+                console.error("Error looking up member:", error);
+            }
+            if (!member || member.status !== 'active') {
+                setFormError(member
+                    ? `Membership ${member.mpcNumber} is ${member.status}.`
+                    : `MPC Number ${normalizeMpcNumber(mpcNumber)} is not on the member roster.`);
+                setIsSubmitting(false);
+                return;
+            }
+        }
+
+        const timeRange = getBlockTimeRange(blockSlots);
+        const candidateCourts = court === 'auto' ? courts : courts.filter(candidate => candidate.id === court);
+
+        const details = isBlock
+            ? { type: 'block', blockReason: reason.trim(), userId: null, mpcNumber: null, email: null, players: [], guestCount: 0, estimatedCost: 0, bookedBy: userId }
+            : {
+                userId: member.uid || null, // The member's account, once they have registered one
+                mpcNumber: member.mpcNumber,
+                email: email.trim() || member.email,
+                players: buildPlayerList(member.mpcNumber, players.coPlayers),
+                coPlayers: players.coPlayers,
+                guests: players.guests,
+                guestCount: players.guests.length,
+                bookedBy: userId
+            };
+
+        try {
+            // Member bookings are priced on the court assigned; court blocks cost nothing
+            const reserved = await reserveBlock({ dateString: date, blockSlots, details, courts: candidateCourts, rateTable: isBlock ? null : rateTable });
+            if (!reserved) {
+                setFormError(court === 'auto'
+                    ? 'No single court is free for the whole time range.'
+                    : `${candidateCourts[0]?.name || 'That court'} is already booked for part of this time range.`);
+                return;
+            }
+
+            await logAdminAction({
+                action: isBlock ? 'block' : 'book_on_behalf',
+                actorId: userId,
+                date,
+                timeRange,
+                court: reserved.court,
+                bookingId: reserved.bookingId,
+                ...(isBlock ? { reason: reason.trim() } : { mpcNumber: member.mpcNumber })
+            });
+
+            setMessage(isBlock
+                ? `${reserved.courtName} blocked on ${date} from ${timeRange}.`
+                : `Reserved ${timeRange} on ${reserved.courtName} (${date}) for member ${member.mpcNumber}. Estimated cost: PHP ${reserved.estimatedCost.toFixed(2)}.`);
+            setMpcNumber('');
+            setEmail('');
+            setPlayers({ coPlayers: [], guests: [] });
+            setReason('');
+        } catch (error) {
+            console.error("Error saving admin reservation:", error);
+            setFormError('Failed to save. No slots were reserved, please try again.');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            {formError && (
+                <div className="bg-red-700 text-white font-semibold p-3 rounded-lg text-center">{formError}</div>
+            )}
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <label className="block">
+                    <span className="block text-sm mb-1">Date</span>
+                    <input type="date" value={date} min={formatDate(new Date())} onChange={(e) => setDate(e.target.value)} className={inputClass} />
+                </label>
+                <label className="block">
+                    <span className="block text-sm mb-1">Court</span>
+                    <select value={court} onChange={(e) => setCourt(e.target.value)} className={inputClass}>
+                        {!isBlock && <option value="auto">First available</option>}
+                        {courts.map(option => <option key={option.id} value={option.id}>{option.name}</option>)}
+                    </select>
+                </label>
+                <label className="block">
+                    <span className="block text-sm mb-1">From</span>
+                    <select value={startTime} onChange={(e) => setStartTime(e.target.value)} className={inputClass}>
+                        {START_TIMES.map(time => <option key={time} value={time}>{time}</option>)}
+                    </select>
+                </label>
+                <label className="block">
+                    <span className="block text-sm mb-1">To</span>
+                    <select value={endTime} onChange={(e) => setEndTime(e.target.value)} className={inputClass}>
+                        {END_TIMES.map(time => <option key={time} value={time}>{time}</option>)}
+                    </select>
+                </label>
+            </div>
+
+            {isBlock ? (
+                <label className="block">
+                    <span className="block text-sm mb-1">Reason (shown in the admin list)</span>
+                    <input type="text" value={reason} onChange={(e) => setReason(e.target.value)} placeholder="e.g. Resurfacing, tournament" className={inputClass} />
+                </label>
+            ) : (
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <label className="block">
+                        <span className="block text-sm mb-1">MPC Number</span>
+                        <input type="text" value={mpcNumber} onChange={(e) => setMpcNumber(e.target.value)} className={inputClass} />
+                    </label>
+                    <label className="block">
+                        <span className="block text-sm mb-1">Member email (optional)</span>
+                        <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} className={inputClass} />
+                    </label>
+                    <div className="sm:col-span-2">
+                        <span className="block text-sm mb-1">Other players</span>
+                        <PlayersEditor bookerMpcNumber={mpcNumber} coPlayers={players.coPlayers} guests={players.guests} onChange={setPlayers} />
+                    </div>
+                </div>
+            )}
+
+            <div className="flex justify-end">
+                <button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className="px-6 py-2 bg-[#d4af37] text-[#001a35] font-bold rounded-lg disabled:opacity-50 hover:bg-yellow-400 transition duration-300 shadow-md"
+                >
+                    {isBlock ? 'Block Court' : 'Book for Member'}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+AdminBookingForm.propTypes = {
+    mode: PropTypes.oneOf(['member', 'block']),
+    userId: PropTypes.string,
+    courts: PropTypes.arrayOf(PropTypes.object),
+    rateTable: PropTypes.object,
+    setMessage: PropTypes.func
+};
+
+export default AdminBookingForm;
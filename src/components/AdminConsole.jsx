@@ -0,0 +1,112 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { getActiveCourts } from '../lib/scheduling';
+import AdminBookingForm from './AdminBookingForm';
+import AdminReservationList from './AdminReservationList';
+import AmericanoAdmin from './AmericanoAdmin';
+import BookingArchiveAdmin from './BookingArchiveAdmin';
+import BookingPolicyAdmin from './BookingPolicyAdmin';
+import CourtsAdmin from './CourtsAdmin';
+import GuestVisitsReport from './GuestVisitsReport';
+import MemberRosterAdmin from './MemberRosterAdmin';
+import RateTableAdmin from './RateTableAdmin';
+import ReportsAdmin from './ReportsAdmin';
+import SlotMigrationAdmin from './SlotMigrationAdmin';
+import SpecialSlotRulesAdmin from './SpecialSlotRulesAdmin';
+import StatementsAdmin from './StatementsAdmin';
+
+const TABS = [
+    ['reservations', 'Reservations'],
+    ['bookForMember', 'Book for Member'],
+    ['blockCourt', 'Block Court'],
+    ['americano', 'Americano'],
+    ['guests', 'Guest Visits'],
+    ['statements', 'Statements'],
+    ['reports', 'Reports'],
+    ['roster', 'Member Roster'],
+    ['courts', 'Courts'],
+    ['rates', 'Rates'],
+    ['policy', 'Booking Policy'],
+    ['specialSlots', 'Special Slot Rules'],
+    ['migration', 'Data Migration'],
+    ['archive', 'Archive']
+];
+
+/**
+ * Role-gated console for club staff. Only rendered for users with an admins/<uid> document.
+ * @param {object} props
+ * @param {string} props.userId - The admin's uid.
+ * @param {Array<object>} props.specialSlotRules - Special slot rules currently in effect.
+ * @param {boolean} props.isUsingDefaultSpecialSlots - True while no rules are stored in Firestore.
+ * @param {Array<object>} props.courts - Courts currently in effect, active or not.
+ * @param {boolean} props.isUsingDefaultCourts - True while no courts are stored in Firestore.
+ * @param {object} props.rateTable - The rate table currently in effect.
+ * @param {boolean} props.isUsingDefaultRates - True while no rate table is stored in Firestore.
+ * @param {object} props.bookingPolicy - The booking policy currently in effect.
+ * @param {Function} props.setMessage - Shows a status message in the app banner.
+ */
+const AdminConsole = ({ userId, specialSlotRules, isUsingDefaultSpecialSlots, courts, isUsingDefaultCourts, rateTable, isUsingDefaultRates, bookingPolicy, setMessage }) => {
+    const [tab, setTab] = useState('reservations');
+
+    return (
+        <div className="my-6 space-y-4">
+            <div className="flex flex-wrap justify-center gap-2">
+                {TABS.map(([key, label]) => (
+                    <button
+                        key={key}
+                        onClick={() => { setTab(key); setMessage(''); }}
+                        className={`px-4 py-2 rounded-lg text-sm font-semibold transition duration-150 ${tab === key ? 'bg-[#d4af37] text-[#001a35]' : 'text-[#d4af37] border border-[#d4af37] hover:bg-[#d4af37]/20'}`}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+
+            {tab === 'specialSlots' ? (
+                <SpecialSlotRulesAdmin
+                    rules={specialSlotRules}
+                    isUsingDefaults={isUsingDefaultSpecialSlots}
+                    setMessage={setMessage}
+                />
+            ) : tab === 'courts' ? (
+                <CourtsAdmin
+                    courts={courts}
+                    isUsingDefaults={isUsingDefaultCourts}
+                    setMessage={setMessage}
+                />
+            ) : (
+                <div className="bg-[#001a35] text-white p-6 rounded-xl shadow-lg">
+                    <h2 className="text-2xl font-bold mb-4 text-[#d4af37]">
+                        {TABS.find(([key]) => key === tab)[1]}
+                    </h2>
+                    {tab === 'reservations' && <AdminReservationList userId={userId} bookingPolicy={bookingPolicy} setMessage={setMessage} />}
+                    {tab === 'bookForMember' && <AdminBookingForm key="member" mode="member" userId={userId} courts={getActiveCourts(courts)} rateTable={rateTable} setMessage={setMessage} />}
+                    {tab === 'blockCourt' && <AdminBookingForm key="block" mode="block" userId={userId} courts={getActiveCourts(courts)} rateTable={rateTable} setMessage={setMessage} />}
+                    {tab === 'americano' && <AmericanoAdmin userId={userId} courts={getActiveCourts(courts)} specialSlotRules={specialSlotRules} setMessage={setMessage} />}
+                    {tab === 'guests' && <GuestVisitsReport bookingPolicy={bookingPolicy} setMessage={setMessage} />}
+                    {tab === 'statements' && <StatementsAdmin userId={userId} setMessage={setMessage} />}
+                    {tab === 'reports' && <ReportsAdmin courts={getActiveCourts(courts)} specialSlotRules={specialSlotRules} setMessage={setMessage} />}
+                    {tab === 'roster' && <MemberRosterAdmin userId={userId} setMessage={setMessage} />}
+                    {tab === 'rates' && <RateTableAdmin rateTable={rateTable} isUsingDefaults={isUsingDefaultRates} courts={courts} userId={userId} setMessage={setMessage} />}
+                    {tab === 'policy' && <BookingPolicyAdmin policy={bookingPolicy} userId={userId} setMessage={setMessage} />}
+                    {tab === 'migration' && <SlotMigrationAdmin userId={userId} setMessage={setMessage} />}
+                    {tab === 'archive' && <BookingArchiveAdmin userId={userId} setMessage={setMessage} />}
+                </div>
+            )}
+        </div>
+    );
+};
+
+AdminConsole.propTypes = {
+    userId: PropTypes.string,
+    specialSlotRules: PropTypes.arrayOf(PropTypes.object),
+    isUsingDefaultSpecialSlots: PropTypes.bool,
+    courts: PropTypes.arrayOf(PropTypes.object),
+    isUsingDefaultCourts: PropTypes.bool,
+    rateTable: PropTypes.object,
+    isUsingDefaultRates: PropTypes.bool,
+    bookingPolicy: PropTypes.object,
+    setMessage: PropTypes.func
+};
+
+export default AdminConsole;
@@ -0,0 +1,225 @@
+import { collection, onSnapshot, query, where } from 'firebase/firestore';
+import { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { BOOKINGS_PATH } from '../firebase/collections';
+import { db } from '../firebase/config';
+import { cancelBooking, markNoShow } from '../firebase/reservations';
+import { getCoPlayers, getGuests } from '../lib/players';
+import { RESERVATION_STATUS, formatDate, getBookingCourtName, getBookingStart, getBookingTimeRange } from '../lib/scheduling';
+
+const inputClass = 'px-3 py-2 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white focus:outline-none focus:ring-2 focus:ring-[#d4af37]';
+
+/**
+ * Admin list of every booking in a date range, with cancellation, no-show marking and the
+ * record of past cancellations.
+ * @param {object} props
+ * @param {string} props.userId - The admin's uid (recorded as the actor of cancellations).
+ * @param {object} props.bookingPolicy - The booking policy in effect (for the no-show fee).
+ * @param {Function} props.setMessage - Shows a status message in the app banner.
+ */
+const AdminReservationList = ({ userId, bookingPolicy, setMessage }) => {
+    const [fromDate, setFromDate] = useState(() => formatDate(new Date()));
+    const [toDate, setToDate] = useState(() => {
+        const weekAhead = new Date();
+        weekAhead.setDate(weekAhead.getDate() + 6);
+        return formatDate(weekAhead);
+    });
+    const [bookings, setBookings] = useState([]);
+    const [cancellingKey, setCancellingKey] = useState(null);
+    const [cancelReason, setCancelReason] = useState('');
+    const [showCancelled, setShowCancelled] = useState(false);
+
+    // Live listener for the selected range only
+    useEffect(() => {
+        if (!fromDate || !toDate || toDate < fromDate) {
+            setBookings([]);
+            return;
+        }
+
+        const q = query(
+            collection(db, BOOKINGS_PATH),
+            where('date', '>=', fromDate),
+            where('date', '<=', toDate)
+        );
+
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setBookings(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => {
+            console.error("Admin Reservations Snapshot Error:", error);
+            setMessage("Error fetching reservations for the selected range.");
+        });
+
+        return () => unsubscribe();
+    }, [fromDate, toDate, setMessage]);
+
+    const blocks = useMemo(() => bookings
+        .filter(booking => showCancelled || booking.status !== RESERVATION_STATUS.CANCELLED)
+        .map(booking => ({ ...booking, timeRange: getBookingTimeRange(booking) }))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime) || getBookingCourtName(a).localeCompare(getBookingCourtName(b))),
+    [bookings, showCancelled]);
+
+    const handleCancel = async (block) => {
+        if (!cancelReason.trim()) {
+            setMessage('Please enter a reason for the cancellation.');
+            return;
+        }
+
+        try {
+            // Club cancellations are never charged a late fee
+            await cancelBooking({ booking: block, actor: { uid: userId, role: 'admin' }, reason: cancelReason.trim() });
+            setMessage(`Cancelled ${block.timeRange} on ${getBookingCourtName(block)} (${block.date}).`);
+            setCancellingKey(null);
+            setCancelReason('');
+        } catch (error) {
+            console.error("Error cancelling reservation as admin:", error);
+            setMessage("Failed to cancel reservation. Check console for details.");
+        }
+    };
+
+    const handleNoShow = async (block) => {
+        if (!window.confirm(`Mark ${block.mpcNumber} as a no-show for ${block.timeRange} on ${block.date}?`)) return;
+
+        try {
+            await markNoShow({ booking: block, actorId: userId, feePercent: bookingPolicy.noShowFeePercent || 0 });
+            setMessage(`Recorded a no-show for ${block.mpcNumber} (${block.date} ${block.timeRange}).`);
+        } catch (error) {
+            console.error("Error marking no-show:", error);
+            setMessage("Failed to record the no-show. Check console for details.");
+        }
+    };
+
+    // Summary of a held, cancelled or no-show block for the status column
+    const describeStatus = (block) => {
+        if (block.status === RESERVATION_STATUS.HELD) {
+            return `Held for ${block.mpcNumber} from the waitlist until ${new Date(block.holdExpiresAt).toLocaleString('en-US')}`;
+        }
+        if (block.status === RESERVATION_STATUS.CANCELLED) {
+            const fee = block.lateCancelFee || 0;
+            const by = block.cancelledBy ? ` by ${block.cancelledBy.role}` : '';
+            return `Cancelled${by} ${block.cancelledAt ? new Date(block.cancelledAt).toLocaleString('en-US') : ''}`
+                + (block.cancelReason ? ` - ${block.cancelReason}` : '')
+                + (fee > 0 ? ` (late fee PHP ${fee.toFixed(2)})` : '');
+        }
+        const fee = block.noShowFee || 0;
+        return `No-show${fee > 0 ? ` (fee PHP ${fee.toFixed(2)})` : ''}`;
+    };
+
+    return (
+        <div>
+            <div className="flex flex-wrap items-end gap-4 mb-4">
+                <label className="block">
+                    <span className="block text-sm mb-1">From</span>
+                    <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} className={inputClass} />
+                </label>
+                <label className="block">
+                    <span className="block text-sm mb-1">To</span>
+                    <input type="date" value={toDate} min={fromDate} onChange={(e) => setToDate(e.target.value)} className={inputClass} />
+                </label>
+                <label className="flex items-center space-x-2 text-sm cursor-pointer pb-2">
+                    <input type="checkbox" checked={showCancelled} onChange={() => setShowCancelled(!showCancelled)} />
+                    <span>Show cancelled</span>
+                </label>
+                <p className="text-gray-400 text-sm pb-2">{blocks.length} booking{blocks.length !== 1 ? 's' : ''}</p>
+            </div>
+
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm text-left">
+                    <thead className="text-[#d4af37] border-b border-gray-700">
+                        <tr>
+                            <th className="py-2 pr-3">Date</th>
+                            <th className="py-2 pr-3">Time</th>
+                            <th className="py-2 pr-3">Court</th>
+                            <th className="py-2 pr-3">MPC No.</th>
+                            <th className="py-2 pr-3">Email</th>
+                            <th className="py-2 pr-3">Players</th>
+                            <th className="py-2 pr-3">Est. Cost</th>
+                            <th className="py-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {blocks.map(block => (
+                            <tr key={block.id} className="border-b border-gray-800 align-top">
+                                <td className="py-2 pr-3 whitespace-nowrap">{block.date}</td>
+                                <td className="py-2 pr-3 whitespace-nowrap">{block.timeRange}</td>
+                                <td className="py-2 pr-3 whitespace-nowrap">{getBookingCourtName(block)}</td>
+                                {block.type === 'block' ? (
+                                    <td className="py-2 pr-3 text-gray-400" colSpan={4}>
+                                        Blocked by staff{block.blockReason ? `: ${block.blockReason}` : ''}
+                                    </td>
+                                ) : (
+                                    <>
+                                        <td className="py-2 pr-3">{block.mpcNumber}</td>
+                                        <td className="py-2 pr-3 break-all">{block.email}</td>
+                                        <td className="py-2 pr-3">
+                                            {getCoPlayers(block).map(player => <div key={player.mpcNumber}>{player.name} ({player.mpcNumber})</div>)}
+                                            {getGuests(block).map((guest, index) => <div key={index} className="text-gray-400">{guest.name} (guest)</div>)}
+                                        </td>
+                                        <td className="py-2 pr-3 whitespace-nowrap">PHP {(block.estimatedCost ?? 0).toFixed(2)}</td>
+                                    </>
+                                )}
+                                <td className="py-2">
+                                    {block.status !== RESERVATION_STATUS.BOOKED ? (
+                                        <span className={`text-xs ${block.status === RESERVATION_STATUS.NO_SHOW ? 'text-red-300' : 'text-gray-400'}`}>
+                                            {describeStatus(block)}
+                                        </span>
+                                    ) : block.type !== 'block' && getBookingStart(block).getTime() < Date.now() ? (
+                                        <button
+                                            onClick={() => handleNoShow(block)}
+                                            className="border border-red-500 text-red-300 px-3 py-1 rounded-full text-xs hover:bg-red-900/50 transition duration-150"
+                                        >
+                                            Mark No-show
+                                        </button>
+                                    ) : cancellingKey === block.id ? (
+                                        <div className="flex flex-col gap-2 min-w-[12rem]">
+                                            <input
+                                                type="text"
+                                                value={cancelReason}
+                                                onChange={(e) => setCancelReason(e.target.value)}
+                                                placeholder="Reason for cancellation"
+                                                className={inputClass}
+                                            />
+                                            <div className="flex gap-2">
+                                                <button
+                                                    onClick={() => handleCancel(block)}
+                                                    className="bg-red-500 text-white px-3 py-1 rounded-full text-xs hover:bg-red-600 transition duration-150"
+                                                >
+                                                    Confirm
+                                                </button>
+                                                <button
+                                                    onClick={() => { setCancellingKey(null); setCancelReason(''); }}
+                                                    className="border border-gray-600 text-gray-300 px-3 py-1 rounded-full text-xs hover:bg-gray-700 transition duration-150"
+                                                >
+                                                    Keep
+                                                </button>
+                                            </div>
+                                        </div>
+                                    ) : (
+                                        <button
+                                            onClick={() => { setCancellingKey(block.id); setCancelReason(''); }}
+                                            className="bg-red-500 text-white px-3 py-1 rounded-full text-xs hover:bg-red-600 transition duration-150"
+                                        >
+                                            {block.type === 'block' ? 'Unblock' : 'Cancel'}
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                        {blocks.length === 0 && (
+                            <tr>
+                                <td colSpan={8} className="py-6 text-center text-gray-500">No bookings in this range.</td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+AdminReservationList.propTypes = {
+    userId: PropTypes.string,
+    bookingPolicy: PropTypes.object,
+    setMessage: PropTypes.func
+};
+
+export default AdminReservationList;
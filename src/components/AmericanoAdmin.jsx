@@ -0,0 +1,268 @@
+import { onSnapshot } from 'firebase/firestore';
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { getAmericanoSessionRef, reopenAmericanoSession, saveAmericanoRotation, saveAmericanoScores } from '../firebase/americano';
+import {
+    AMERICANO_STATUS,
+    DEFAULT_AMERICANO_POINTS,
+    generateAmericanoRounds,
+    getAmericanoScheduleError,
+    getAmericanoSessions,
+    getMatchKey,
+    getMaxAmericanoRounds,
+    validateMatchScore
+} from '../lib/americano';
+import { formatDate } from '../lib/scheduling';
+import AmericanoStandings from './AmericanoStandings';
+
+const inputClass = 'px-3 py-2 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white focus:outline-none focus:ring-2 focus:ring-[#d4af37]';
+const scoreInputClass = 'w-16 px-2 py-1 rounded-lg border border-[#d4af37] bg-[#001a35] text-white text-center';
+
+/**
+ * Organiser screen for an Americano session: the sign-up list, rotation generation across
+ * the courts and rounds, per-round score entry and the standings.
+ * @param {object} props
+ * @param {string} props.userId - The organiser's uid.
+ * @param {Array<object>} props.courts - The active courts, in display order.
+ * @param {Array<object>} props.specialSlotRules - The special slot rules in effect.
+ * @param {Function} props.setMessage - Shows a status message in the app banner.
+ */
+const AmericanoAdmin = ({ userId, courts, specialSlotRules, setMessage }) => {
+    const [date, setDate] = useState(() => formatDate(new Date()));
+    const [sessionId, setSessionId] = useState('');
+    const [stored, setStored] = useState(null);
+    const [courtCount, setCourtCount] = useState(courts.length);
+    const [roundCount, setRoundCount] = useState('');
+    const [pointsPerMatch, setPointsPerMatch] = useState(String(DEFAULT_AMERICANO_POINTS));
+    const [draftScores, setDraftScores] = useState({});
+    const [formError, setFormError] = useState('');
+
+    const sessions = date ? getAmericanoSessions(date, specialSlotRules) : [];
+    const session = sessions.find(s => s.id === sessionId) || sessions[0] || null;
+    const activeSessionId = session ? session.id : null;
+
+    // Live view of the chosen session's document (absent until the first sign-up)
+    useEffect(() => {
+        setStored(null);
+        setDraftScores({});
+        setFormError('');
+        if (!activeSessionId) return;
+
+        const unsubscribe = onSnapshot(getAmericanoSessionRef(activeSessionId), (snapshot) => {
+            setStored(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+        }, (error) => {
+            console.error("Americano Session Snapshot Error:", error);
+            setMessage("Error fetching the Americano session.");
+        });
+
+        return () => unsubscribe();
+    }, [activeSessionId, setMessage]);
+
+    const players = stored ? stored.players : [];
+    const rounds = stored ? stored.rounds : [];
+    const scores = stored ? stored.scores || {} : {};
+    const names = Object.fromEntries(players.map(player => [player.mpcNumber, player.name]));
+    const describeTeam = (team) => team.map(id => names[id] || id).join(' & ');
+    const maxRounds = getMaxAmericanoRounds(players.length);
+
+    const handleGenerate = async () => {
+        const requestedRounds = roundCount === '' ? maxRounds : Number(roundCount);
+        const error = getAmericanoScheduleError(players.length, Math.min(courtCount, courts.length), requestedRounds);
+        if (error) {
+            setFormError(error);
+            return;
+        }
+        if (Object.keys(scores).length > 0 && !window.confirm('Generating a new rotation discards the scores entered so far. Continue?')) return;
+
+        try {
+            const rotation = generateAmericanoRounds(players.map(player => player.mpcNumber), courts.slice(0, courtCount), requestedRounds);
+            await saveAmericanoRotation({ sessionId: stored.id, rounds: rotation, pointsPerMatch: Number(pointsPerMatch) || 0, actorId: userId });
+            setFormError('');
+            setDraftScores({});
+            setMessage(`Rotation of ${requestedRounds} rounds generated for ${players.length} players. Sign-ups are now closed.`);
+        } catch (error) {
+            console.error("Error generating Americano rotation:", error);
+            setFormError('Failed to save the rotation. Check console for details.');
+        }
+    };
+
+    const handleReopen = async () => {
+        if (!window.confirm('Reopen sign-ups? The rotation and all scores are discarded.')) return;
+        try {
+            await reopenAmericanoSession(stored.id, userId);
+            setMessage('Sign-ups reopened.');
+        } catch (error) {
+            console.error("Error reopening Americano session:", error);
+            setMessage('Failed to reopen sign-ups. Check console for details.');
+        }
+    };
+
+    const getDraft = (key, team) => {
+        const draft = draftScores[key];
+        if (draft && draft[team] !== undefined) return draft[team];
+        return scores[key] ? String(scores[key][team]) : '';
+    };
+
+    const setDraft = (key, team, value) => {
+        setDraftScores(prev => ({ ...prev, [key]: { teamA: getDraft(key, 'teamA'), teamB: getDraft(key, 'teamB'), ...prev[key], [team]: value } }));
+    };
+
+    const handleSaveRound = async (round) => {
+        const roundScores = {};
+        for (let index = 0; index < round.matches.length; index++) {
+            const key = getMatchKey(round.round, index);
+            const score = { teamA: Number(getDraft(key, 'teamA')), teamB: Number(getDraft(key, 'teamB')) };
+            const error = getDraft(key, 'teamA') === '' || getDraft(key, 'teamB') === ''
+                ? 'Please enter a score for every match of the round.'
+                : validateMatchScore(score, stored.pointsPerMatch);
+            if (error) {
+                setFormError(`Round ${round.round}, ${round.matches[index].courtName}: ${error}`);
+                return;
+            }
+            roundScores[key] = score;
+        }
+
+        try {
+            await saveAmericanoScores(stored.id, roundScores);
+            setFormError('');
+            setMessage(`Scores for round ${round.round} saved.`);
+        } catch (error) {
+            console.error("Error saving Americano scores:", error);
+            setFormError('Failed to save the scores. Check console for details.');
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            {formError && (
+                <div className="bg-red-700 text-white font-semibold p-3 rounded-lg text-center">{formError}</div>
+            )}
+
+            <div className="flex flex-wrap items-end gap-4">
+                <label className="block">
+                    <span className="block text-sm mb-1">Date</span>
+                    <input type="date" value={date} onChange={(e) => { setDate(e.target.value); setSessionId(''); }} className={inputClass} />
+                </label>
+                {sessions.length > 1 && (
+                    <label className="block">
+                        <span className="block text-sm mb-1">Session</span>
+                        <select value={activeSessionId} onChange={(e) => setSessionId(e.target.value)} className={inputClass}>
+                            {sessions.map(s => <option key={s.id} value={s.id}>{s.title}, {s.startTime} - {s.endTime}</option>)}
+                        </select>
+                    </label>
+                )}
+            </div>
+
+            {!session ? (
+                <p className="text-gray-400">There is no Americano window on this date. Americano windows are set up under Special Slot Rules.</p>
+            ) : (
+                <>
+                    {/* Sign-ups */}
+                    <div>
+                        <h3 className="text-xl font-bold text-[#d4af37] mb-2">
+                            {session.title}, {session.startTime} - {session.endTime} ({players.length} / {session.capacity} players)
+                        </h3>
+                        {players.length === 0 ? (
+                            <p className="text-gray-400 text-sm">No one has signed up yet.</p>
+                        ) : (
+                            <ol className="list-decimal list-inside text-sm text-gray-300 grid grid-cols-1 sm:grid-cols-2 gap-1">
+                                {players.map(player => (
+                                    <li key={player.mpcNumber}>{player.name} <span className="text-gray-500">({player.mpcNumber})</span></li>
+                                ))}
+                            </ol>
+                        )}
+                    </div>
+
+                    {/* Rotation */}
+                    {stored && (
+                        <div className="p-4 bg-[#0e1f37] rounded-lg space-y-4">
+                            <div className="flex flex-wrap items-end gap-4">
+                                <label className="block">
+                                    <span className="block text-sm mb-1">Courts</span>
+                                    <select value={courtCount} onChange={(e) => setCourtCount(Number(e.target.value))} className={inputClass}>
+                                        {courts.map((court, i) => <option key={court.id} value={i + 1}>{i + 1} ({courts.slice(0, i + 1).map(c => c.name).join(', ')})</option>)}
+                                    </select>
+                                </label>
+                                <label className="block">
+                                    <span className="block text-sm mb-1">Rounds (max {maxRounds})</span>
+                                    <input type="number" min="1" max={maxRounds} value={roundCount} placeholder={String(maxRounds)} onChange={(e) => setRoundCount(e.target.value)} className={`${inputClass} w-28`} />
+                                </label>
+                                <label className="block">
+                                    <span className="block text-sm mb-1">Points per match (0 = any)</span>
+                                    <input type="number" min="0" value={pointsPerMatch} onChange={(e) => setPointsPerMatch(e.target.value)} className={`${inputClass} w-28`} />
+                                </label>
+                                <button
+                                    onClick={handleGenerate}
+                                    className="px-4 py-2 bg-[#d4af37] text-[#001a35] font-bold rounded-lg hover:bg-yellow-400 transition duration-300"
+                                >
+                                    {stored.status === AMERICANO_STATUS.SCHEDULED ? 'Regenerate Rotation' : 'Generate Rotation'}
+                                </button>
+                                {stored.status === AMERICANO_STATUS.SCHEDULED && (
+                                    <button
+                                        onClick={handleReopen}
+                                        className="px-4 py-2 border border-gray-600 text-gray-300 rounded-lg hover:bg-gray-700 transition duration-150"
+                                    >
+                                        Reopen Sign-ups
+                                    </button>
+                                )}
+                            </div>
+                            <p className="text-gray-400 text-sm">
+                                Everyone partners a different player each round. Players who do not fit on the courts sit out in turn.
+                                Generating the rotation closes sign-ups.
+                            </p>
+                        </div>
+                    )}
+
+                    {/* Rounds and Scores */}
+                    {rounds.map(round => (
+                        <div key={round.round} className="p-4 bg-[#0e1f37] rounded-lg space-y-2">
+                            <div className="flex justify-between items-center">
+                                <h4 className="font-bold text-[#d4af37]">Round {round.round}</h4>
+                                <button
+                                    onClick={() => handleSaveRound(round)}
+                                    className="px-3 py-1 bg-[#d4af37] text-[#001a35] font-bold rounded-lg text-xs hover:bg-yellow-400 transition duration-150"
+                                >
+                                    Save Scores
+                                </button>
+                            </div>
+                            {round.matches.map((match, index) => {
+                                const key = getMatchKey(round.round, index);
+                                return (
+                                    <div key={key} className="flex flex-wrap items-center gap-2 text-sm">
+                                        <span className="text-gray-400 w-20">{match.courtName}</span>
+                                        <span className="text-white">{describeTeam(match.teamA)}</span>
+                                        <input type="number" min="0" value={getDraft(key, 'teamA')} onChange={(e) => setDraft(key, 'teamA', e.target.value)} className={scoreInputClass} />
+                                        <span className="text-gray-400">:</span>
+                                        <input type="number" min="0" value={getDraft(key, 'teamB')} onChange={(e) => setDraft(key, 'teamB', e.target.value)} className={scoreInputClass} />
+                                        <span className="text-white">{describeTeam(match.teamB)}</span>
+                                        {scores[key] && <span className="text-green-400 text-xs">Saved</span>}
+                                    </div>
+                                );
+                            })}
+                            {round.resting.length > 0 && (
+                                <p className="text-gray-500 text-xs">Sitting out: {round.resting.map(id => names[id] || id).join(', ')}</p>
+                            )}
+                        </div>
+                    ))}
+
+                    {/* Standings */}
+                    {rounds.length > 0 && (
+                        <div>
+                            <h3 className="text-xl font-bold text-[#d4af37] mb-2">Standings</h3>
+                            <AmericanoStandings session={stored} />
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+AmericanoAdmin.propTypes = {
+    userId: PropTypes.string,
+    courts: PropTypes.arrayOf(PropTypes.object),
+    specialSlotRules: PropTypes.arrayOf(PropTypes.object),
+    setMessage: PropTypes.func
+};
+
+export default AmericanoAdmin;
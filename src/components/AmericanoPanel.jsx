@@ -0,0 +1,137 @@
+import { collection, onSnapshot, query, where } from 'firebase/firestore';
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { joinAmericanoSession, leaveAmericanoSession } from '../firebase/americano';
+import { AMERICANO_SESSIONS_PATH } from '../firebase/collections';
+import { db } from '../firebase/config';
+import { AMERICANO_STATUS, getAmericanoSessions } from '../lib/americano';
+import { normalizeMpcNumber } from '../lib/roster';
+import { getSlotStart } from '../lib/scheduling';
+import AmericanoStandings from './AmericanoStandings';
+
+/**
+ * Americano sessions on the selected day: members sign up until the session is full or the
+ * organiser closes sign-ups, then see their own rounds and the standings.
+ * @param {object} props
+ * @param {string} props.dateString - The day shown (YYYY-MM-DD).
+ * @param {Array<object>} props.specialSlotRules - The special slot rules in effect.
+ * @param {{userId: string, mpcNumber: string, email: string}} props.member - The signed-in member.
+ * @param {Function} props.setMessage - Shows a status message in the app banner.
+ */
+const AmericanoPanel = ({ dateString, specialSlotRules, member, setMessage }) => {
+    const [storedSessions, setStoredSessions] = useState({});
+    const sessions = getAmericanoSessions(dateString, specialSlotRules);
+    const hasSessions = sessions.length > 0;
+    const mpcNumber = normalizeMpcNumber(member.mpcNumber);
+
+    useEffect(() => {
+        if (!db || !hasSessions) return;
+
+        const q = query(collection(db, AMERICANO_SESSIONS_PATH), where('date', '==', dateString));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setStoredSessions(Object.fromEntries(snapshot.docs.map(d => [d.id, { id: d.id, ...d.data() }])));
+        }, (error) => {
+            console.error("Americano Sessions Snapshot Error:", error);
+        });
+
+        return () => unsubscribe();
+    }, [dateString, hasSessions]);
+
+    if (!hasSessions) return null;
+
+    const handleJoin = async (session) => {
+        try {
+            const refusal = await joinAmericanoSession({ session, member });
+            setMessage(refusal || `You are signed up for ${session.title} on ${session.date} (${session.startTime} - ${session.endTime}).`);
+        } catch (error) {
+            console.error("Error joining Americano session:", error);
+            setMessage("Failed to sign up. Please try again.");
+        }
+    };
+
+    const handleLeave = async (session) => {
+        try {
+            const left = await leaveAmericanoSession(session.id, mpcNumber);
+            setMessage(left ? `You are no longer signed up for ${session.title}.` : 'Sign-ups for this session have closed. Please contact the organiser.');
+        } catch (error) {
+            console.error("Error leaving Americano session:", error);
+            setMessage("Failed to cancel your sign-up. Please try again.");
+        }
+    };
+
+    return (
+        <div className="bg-[#001a35] p-4 rounded-xl my-6 shadow-md space-y-4">
+            <h2 className="text-lg font-bold text-[#d4af37]">Americano Sessions</h2>
+            {sessions.map(session => {
+                const stored = storedSessions[session.id];
+                const players = stored ? stored.players : [];
+                const isRegistered = players.some(player => player.mpcNumber === mpcNumber);
+                const isOpen = !stored || stored.status === AMERICANO_STATUS.OPEN;
+                const hasStarted = getSlotStart(session.date, session.startTime) <= new Date();
+                const names = Object.fromEntries(players.map(player => [player.mpcNumber, player.name]));
+                const describeTeam = (team) => team.map(id => names[id] || id).join(' & ');
+                const myRounds = stored && isRegistered ? stored.rounds.map(round => ({
+                    round: round.round,
+                    match: round.matches.find(match => [...match.teamA, ...match.teamB].includes(mpcNumber))
+                })) : [];
+
+                return (
+                    <div key={session.id} className="p-3 bg-[#0e1f37] rounded-lg space-y-3">
+                        <div className="flex flex-wrap justify-between items-center gap-2">
+                            <div className="text-sm">
+                                <p className="font-semibold text-white">{session.title}, {session.startTime} - {session.endTime}</p>
+                                <p className="text-gray-400">
+                                    {players.length} / {session.capacity} players
+                                    {!isOpen && ' · Sign-ups closed'}
+                                    {isRegistered && <span className="text-green-400"> · You are signed up</span>}
+                                </p>
+                            </div>
+                            {isOpen && !hasStarted && (isRegistered ? (
+                                <button
+                                    onClick={() => handleLeave(session)}
+                                    className="border border-red-400 text-red-300 px-3 py-1 rounded-full text-xs hover:bg-red-500/20 transition duration-150"
+                                >
+                                    Cancel Sign-up
+                                </button>
+                            ) : (
+                                <button
+                                    onClick={() => handleJoin(session)}
+                                    disabled={players.length >= session.capacity}
+                                    className="px-3 py-1 bg-[#d4af37] text-[#001a35] font-bold rounded-full text-xs disabled:opacity-50 hover:bg-yellow-400 transition duration-150"
+                                >
+                                    {players.length >= session.capacity ? 'Full' : 'Sign Up'}
+                                </button>
+                            ))}
+                        </div>
+
+                        {myRounds.length > 0 && (
+                            <div className="text-sm space-y-1">
+                                <p className="text-gray-300 font-semibold">Your rounds</p>
+                                {myRounds.map(({ round, match }) => (
+                                    <p key={round} className="text-gray-400">
+                                        Round {round}: {match
+                                            ? `${match.courtName}, ${describeTeam(match.teamA)} vs ${describeTeam(match.teamB)}`
+                                            : 'Sitting out'}
+                                    </p>
+                                ))}
+                            </div>
+                        )}
+
+                        {stored && Object.keys(stored.scores || {}).length > 0 && (
+                            <AmericanoStandings session={stored} highlightMpcNumber={mpcNumber} />
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+AmericanoPanel.propTypes = {
+    dateString: PropTypes.string,
+    specialSlotRules: PropTypes.arrayOf(PropTypes.object),
+    member: PropTypes.shape({ userId: PropTypes.string, mpcNumber: PropTypes.string, email: PropTypes.string }),
+    setMessage: PropTypes.func
+};
+
+export default AmericanoPanel;
@@ -0,0 +1,46 @@
+import PropTypes from 'prop-types';
+import { computeAmericanoStandings } from '../lib/americano';
+
+/**
+ * Standings of an Americano session from the scores entered so far.
+ * @param {object} props
+ * @param {object} props.session - The session document (players, rounds, scores).
+ * @param {string} [props.highlightMpcNumber] - A player to highlight (the signed-in member).
+ */
+const AmericanoStandings = ({ session, highlightMpcNumber }) => {
+    const standings = computeAmericanoStandings(session.players, session.rounds || [], session.scores || {});
+
+    return (
+        <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left">
+                <thead className="text-gray-400">
+                    <tr>
+                        <th className="py-1 pr-3">#</th>
+                        <th className="py-1 pr-3">Player</th>
+                        <th className="py-1 pr-3 text-right">Points</th>
+                        <th className="py-1 pr-3 text-right">Won</th>
+                        <th className="py-1 text-right">Played</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {standings.map(row => (
+                        <tr key={row.mpcNumber} className={`border-t border-gray-700 ${row.mpcNumber === highlightMpcNumber ? 'text-[#d4af37] font-semibold' : 'text-white'}`}>
+                            <td className="py-1 pr-3">{row.rank}</td>
+                            <td className="py-1 pr-3">{row.name}</td>
+                            <td className="py-1 pr-3 text-right">{row.points}</td>
+                            <td className="py-1 pr-3 text-right">{row.won}</td>
+                            <td className="py-1 text-right">{row.played}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+AmericanoStandings.propTypes = {
+    session: PropTypes.object,
+    highlightMpcNumber: PropTypes.string
+};
+
+export default AmericanoStandings;
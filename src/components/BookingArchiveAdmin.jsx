@@ -0,0 +1,100 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { archiveBookingsBefore, countBookingsBefore } from '../firebase/archive';
+import { RECENT_BOOKINGS_DAYS, addDays, formatDate } from '../lib/scheduling';
+
+const inputClass = 'px-3 py-2 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white focus:outline-none focus:ring-2 focus:ring-[#d4af37]';
+
+// A year of bookings stays live for reports and statements
+const getDefaultCutoff = () => {
+    const [year, month] = formatDate(new Date()).split('-');
+    return `${Number(year) - 1}-${month}-01`;
+};
+
+/**
+ * Admin tool that moves old bookings out of the live bookings collection into the archive.
+ * @param {object} props
+ * @param {string} props.userId - The admin's uid.
+ * @param {Function} props.setMessage - Shows a status message in the app banner.
+ */
+const BookingArchiveAdmin = ({ userId, setMessage }) => {
+    const [cutoffDate, setCutoffDate] = useState(getDefaultCutoff);
+    const [count, setCount] = useState(null);
+    const [isArchiving, setIsArchiving] = useState(false);
+
+    // Members see their own bookings from RECENT_BOOKINGS_DAYS back, so those are never archived
+    const latestCutoff = addDays(formatDate(new Date()), -RECENT_BOOKINGS_DAYS);
+    const isValidCutoff = !!cutoffDate && cutoffDate <= latestCutoff;
+
+    useEffect(() => {
+        if (!isValidCutoff) {
+            setCount(null);
+            return;
+        }
+
+        let isCurrent = true;
+        setCount(null);
+        countBookingsBefore(cutoffDate)
+            .then(result => { if (isCurrent) setCount(result); })
+            .catch(error => {
+                console.error("Archive Count Error:", error);
+                setMessage("Error counting bookings to archive.");
+            });
+        return () => { isCurrent = false; };
+    }, [cutoffDate, isValidCutoff, setMessage]);
+
+    const handleArchive = async () => {
+        if (!window.confirm(`Archive all ${count} bookings dated before ${cutoffDate}? They will no longer appear in reports, statements or members' booking lists.`)) return;
+
+        setIsArchiving(true);
+        try {
+            const archived = await archiveBookingsBefore(cutoffDate, userId);
+            setMessage(`Archived ${archived} booking${archived !== 1 ? 's' : ''} dated before ${cutoffDate}.`);
+            setCount(await countBookingsBefore(cutoffDate));
+        } catch (error) {
+            console.error("Error archiving bookings:", error);
+            setMessage("The archive stopped with an error. It is safe to run it again. Check console for details.");
+        } finally {
+            setIsArchiving(false);
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            <p className="text-gray-400 text-sm">
+                Old bookings are moved from <code>padelBookings</code> to <code>bookingArchive</code> with their
+                ids and details unchanged, and their slot locks are removed. Archived bookings no longer count in
+                reports, statements or guest visits, so choose a cutoff before any period still to be billed.
+            </p>
+            <div className="flex flex-wrap items-end gap-4">
+                <label className="block">
+                    <span className="block text-sm mb-1">Archive bookings dated before</span>
+                    <input type="date" value={cutoffDate} max={latestCutoff} onChange={(e) => setCutoffDate(e.target.value)} className={inputClass} />
+                </label>
+                {isValidCutoff && (
+                    <button
+                        onClick={handleArchive}
+                        disabled={isArchiving || !count}
+                        className="px-6 py-2 bg-[#d4af37] text-[#001a35] font-bold rounded-lg disabled:opacity-50 hover:bg-yellow-400 transition duration-300 shadow-md"
+                    >
+                        {isArchiving ? 'Archiving...' : 'Archive Bookings'}
+                    </button>
+                )}
+            </div>
+            {!isValidCutoff ? (
+                <p className="text-red-300 text-sm">Bookings from the last {RECENT_BOOKINGS_DAYS} days stay live. Choose {latestCutoff} or earlier.</p>
+            ) : count === null ? (
+                <p className="text-gray-400 text-sm">Counting bookings...</p>
+            ) : (
+                <p className="text-sm">{count === 0 ? 'Nothing to archive before this date.' : `${count} booking${count !== 1 ? 's' : ''} to archive.`}</p>
+            )}
+        </div>
+    );
+};
+
+BookingArchiveAdmin.propTypes = {
+    userId: PropTypes.string,
+    setMessage: PropTypes.func
+};
+
+export default BookingArchiveAdmin;
@@ -0,0 +1,95 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { saveBookingPolicy } from '../firebase/settings';
+import { GUEST_LIMIT_ACTIONS } from '../lib/guests';
+import { BOOKING_POLICY_FIELDS } from '../lib/policies';
+
+const inputClass = 'w-full px-3 py-2 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white focus:outline-none focus:ring-2 focus:ring-[#d4af37]';
+
+/**
+ * Admin form for the member booking policy (quotas, advance window, fees and guest caps).
+ * @param {object} props
+ * @param {object} props.policy - The policy currently in effect.
+ * @param {string} props.userId - The admin's uid.
+ * @param {Function} props.setMessage - Shows a status message in the app banner.
+ */
+const BookingPolicyAdmin = ({ policy, userId, setMessage }) => {
+    const [form, setForm] = useState(() =>
+        Object.fromEntries(BOOKING_POLICY_FIELDS.map(({ key }) => [key, String(policy[key] ?? 0)]))
+    );
+    const [guestLimitAction, setGuestLimitAction] = useState(policy.guestLimitAction || GUEST_LIMIT_ACTIONS.WARN);
+    const [formError, setFormError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const values = {};
+        for (const { key, label, step } of BOOKING_POLICY_FIELDS) {
+            const value = Number(form[key]);
+            if (!Number.isFinite(value) || value < 0 || Math.round(value / step) * step !== value) {
+                setFormError(`${label} must be zero or a positive multiple of ${step}.`);
+                return;
+            }
+            values[key] = value;
+        }
+
+        try {
+            await saveBookingPolicy({ ...values, guestLimitAction }, userId);
+            setFormError('');
+            setMessage('Booking policy saved.');
+        } catch (error) {
+            console.error("Error saving booking policy:", error);
+            setFormError('Failed to save the policy. Check console for details.');
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <p className="text-gray-400 text-sm">
+                These limits are checked when members select slots and again when the booking is written.
+                Set a value to 0 for no limit or no fee. Staff bookings and cancellations made from the admin console are not limited or charged.
+            </p>
+
+            {formError && (
+                <div className="bg-red-700 text-white font-semibold p-3 rounded-lg text-center">{formError}</div>
+            )}
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                {BOOKING_POLICY_FIELDS.map(({ key, label, step }) => (
+                    <label key={key} className="block">
+                        <span className="block text-sm mb-1">{label}</span>
+                        <input
+                            type="number"
+                            min="0"
+                            step={step}
+                            value={form[key]}
+                            onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+                            className={inputClass}
+                        />
+                    </label>
+                ))}
+                <label className="block">
+                    <span className="block text-sm mb-1">When a guest cap is exceeded</span>
+                    <select value={guestLimitAction} onChange={(e) => setGuestLimitAction(e.target.value)} className={inputClass}>
+                        <option value={GUEST_LIMIT_ACTIONS.WARN}>Warn the member and allow the booking</option>
+                        <option value={GUEST_LIMIT_ACTIONS.BLOCK}>Refuse the booking</option>
+                    </select>
+                </label>
+            </div>
+
+            <div className="flex justify-end">
+                <button type="submit" className="px-6 py-2 bg-[#d4af37] text-[#001a35] font-bold rounded-lg hover:bg-yellow-400 transition duration-300 shadow-md">
+                    Save Policy
+                </button>
+            </div>
+        </form>
+    );
+};
+
+BookingPolicyAdmin.propTypes = {
+    policy: PropTypes.object,
+    userId: PropTypes.string,
+    setMessage: PropTypes.func
+};
+
+export default BookingPolicyAdmin;
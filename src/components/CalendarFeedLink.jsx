@@ -0,0 +1,96 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { calendarFeedUrl } from '../firebase/config';
+import { getCalendarFeedUrl, resetCalendarFeed } from '../firebase/calendarFeeds';
+
+/**
+ * The member's private calendar feed: create it, copy or subscribe to it, and reset it if it leaks.
+ * Hidden when no feed function is configured.
+ * @param {object} props
+ * @param {string} props.userId - The member's uid.
+ * @param {string} props.mpcNumber - The member's MPC number.
+ * @param {string|null} props.token - The current feed token from the member profile.
+ * @param {Function} props.setMessage - Shows a status message in the app banner.
+ */
+const CalendarFeedLink = ({ userId, mpcNumber, token, setMessage }) => {
+    const [isOpen, setIsOpen] = useState(false);
+
+    if (!calendarFeedUrl) return null;
+
+    const feedUrl = getCalendarFeedUrl(token);
+
+    const handleReset = async () => {
+        if (token && !window.confirm('Resetting the link stops the old one from working. Calendars subscribed to it will need the new link. Continue?')) return;
+
+        try {
+            await resetCalendarFeed({ userId, mpcNumber, previousToken: token });
+            setMessage(token ? 'Your calendar link has been reset.' : 'Your calendar link is ready.');
+        } catch (error) {
+            console.error("Calendar Feed Error:", error);
+            setMessage("Failed to create the calendar link. Check console for details.");
+        }
+    };
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(feedUrl);
+            setMessage('Calendar link copied.');
+        } catch (error) {
+            console.error("Clipboard Error:", error);
+            setMessage('Could not copy the link. Please select and copy it instead.');
+        }
+    };
+
+    return (
+        <div className="bg-[#001a35] p-4 rounded-xl mt-6 shadow-md text-sm">
+            <button onClick={() => setIsOpen(!isOpen)} className="text-[#d4af37] font-semibold hover:text-yellow-300">
+                {isOpen ? 'Hide' : 'Add my bookings to my calendar'}
+            </button>
+
+            {isOpen && (
+                <div className="mt-3 space-y-3 text-gray-300">
+                    <p>
+                        Subscribe to this private link in Google Calendar (Other calendars, From URL) or Apple Calendar
+                        (File, New Calendar Subscription). Your bookings appear and update automatically; cancelled
+                        bookings are marked as cancelled. Keep the link to yourself.
+                    </p>
+                    {feedUrl ? (
+                        <>
+                            <input
+                                type="text"
+                                readOnly
+                                value={feedUrl}
+                                onFocus={(e) => e.target.select()}
+                                className="w-full px-3 py-2 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white text-xs"
+                            />
+                            <div className="flex flex-wrap gap-2">
+                                <button onClick={handleCopy} className="px-4 py-1 bg-[#d4af37] text-[#001a35] font-bold rounded-lg hover:bg-yellow-400 transition duration-150">
+                                    Copy Link
+                                </button>
+                                <a href={feedUrl.replace(/^https?:/, 'webcal:')} className="px-4 py-1 border border-[#d4af37] text-[#d4af37] rounded-lg hover:bg-[#d4af37]/20 transition duration-150">
+                                    Subscribe
+                                </a>
+                                <button onClick={handleReset} className="px-4 py-1 border border-gray-600 text-gray-300 rounded-lg hover:bg-gray-700 transition duration-150">
+                                    Reset Link
+                                </button>
+                            </div>
+                        </>
+                    ) : (
+                        <button onClick={handleReset} className="px-4 py-1 bg-[#d4af37] text-[#001a35] font-bold rounded-lg hover:bg-yellow-400 transition duration-150">
+                            Create My Calendar Link
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+CalendarFeedLink.propTypes = {
+    userId: PropTypes.string,
+    mpcNumber: PropTypes.string,
+    token: PropTypes.string,
+    setMessage: PropTypes.func
+};
+
+export default CalendarFeedLink;
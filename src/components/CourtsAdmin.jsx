@@ -0,0 +1,192 @@
+import { collection, doc, setDoc, writeBatch } from 'firebase/firestore';
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { COURTS_PATH } from '../firebase/collections';
+import { db } from '../firebase/config';
+import { DEFAULT_COURTS, validateCourt } from '../lib/scheduling';
+
+const EMPTY_FORM = { name: '', attributes: '', active: true, order: '' };
+
+const inputClass = 'w-full px-3 py-2 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white focus:outline-none focus:ring-2 focus:ring-[#d4af37]';
+
+// Converts a stored court into the editable form shape (attributes as a comma-separated list)
+const courtToForm = (court) => ({
+    name: court.name,
+    attributes: (court.attributes || []).join(', '),
+    active: court.active !== false,
+    order: String(court.order ?? '')
+});
+
+// Converts the form back into the stored court shape
+const formToCourt = (form) => ({
+    name: form.name.trim(),
+    attributes: form.attributes.split(',').map(attribute => attribute.trim()).filter(Boolean),
+    active: form.active,
+    order: form.order === '' ? NaN : Number(form.order)
+});
+
+// The stored fields of a court (without its id)
+const toStored = ({ name, attributes, active, order }) => ({ name, attributes, active, order });
+
+/**
+ * Admin screen for the courts: names, attributes shown to members (lighting, shade, ...),
+ * whether a court can be booked, and the order in which courts are shown and assigned.
+ * Courts are never deleted, since bookings refer to them; deactivate a court instead.
+ * @param {object} props
+ * @param {Array<object>} props.courts - Courts currently in effect (Firestore docs with id, or the built-in defaults).
+ * @param {boolean} props.isUsingDefaults - True while no courts are stored in Firestore.
+ * @param {Function} props.setMessage - Shows a status message in the app banner.
+ */
+const CourtsAdmin = ({ courts, isUsingDefaults, setMessage }) => {
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState(null);
+    const [formError, setFormError] = useState('');
+
+    const courtsCollection = collection(db, COURTS_PATH);
+
+    const resetForm = () => {
+        setForm(EMPTY_FORM);
+        setEditingId(null);
+        setFormError('');
+    };
+
+    // Copies the built-in courts into Firestore under their own ids, so existing bookings keep pointing at them
+    const saveDefaultsToFirestore = async (extraCourt = null) => {
+        const batch = writeBatch(db);
+        DEFAULT_COURTS.forEach(court => batch.set(doc(courtsCollection, court.id), toStored(court)));
+        if (extraCourt) {
+            batch.set(doc(courtsCollection), extraCourt);
+        }
+        await batch.commit();
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const court = formToCourt(form);
+        const error = validateCourt({ ...court, id: editingId }, courts);
+        if (error) {
+            setFormError(error);
+            return;
+        }
+
+        try {
+            if (isUsingDefaults && !editingId) {
+                // Adding the first stored court must not silently drop the built-in ones
+                await saveDefaultsToFirestore(court);
+            } else {
+                await setDoc(editingId ? doc(courtsCollection, editingId) : doc(courtsCollection), court);
+            }
+            setMessage(editingId ? `${court.name} updated.` : `${court.name} added.`);
+            resetForm();
+        } catch (error) {
+            console.error("Error saving court:", error);
+            setFormError('Failed to save the court. Check console for details.');
+        }
+    };
+
+    const handleSaveDefaults = async () => {
+        try {
+            await saveDefaultsToFirestore();
+            setMessage('Built-in courts saved. They can now be edited individually.');
+        } catch (error) {
+            console.error("Error saving built-in courts:", error);
+            setMessage('Failed to save the built-in courts. Check console for details.');
+        }
+    };
+
+    return (
+        <div className="bg-[#001a35] text-white p-6 rounded-xl shadow-lg">
+            <h2 className="text-2xl font-bold mb-2 text-[#d4af37]">Courts</h2>
+            <p className="text-gray-400 text-sm mb-4">
+                Members see every active court with its attributes and can pick one when booking; otherwise courts are assigned in display order.
+                Courts cannot be removed because bookings refer to them. Set a court inactive to stop new bookings on it.
+            </p>
+
+            {isUsingDefaults && (
+                <div className="mb-4 p-3 rounded-lg border border-yellow-700 bg-yellow-900/30 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                    <span className="text-sm text-gray-300">The built-in courts are active. Save them to Firestore to edit them individually.</span>
+                    <button
+                        onClick={handleSaveDefaults}
+                        className="px-4 py-2 bg-[#d4af37] text-[#001a35] font-bold rounded-lg hover:bg-yellow-400 transition duration-300"
+                    >
+                        Save Built-in Courts
+                    </button>
+                </div>
+            )}
+
+            {/* Existing Courts */}
+            <div className="space-y-3 mb-6">
+                {[...courts].sort((a, b) => (a.order ?? 0) - (b.order ?? 0)).map(court => (
+                    <div key={court.id} className="p-4 rounded-lg bg-[#0e1f37] flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                        <div>
+                            <p className="font-semibold text-[#d4af37]">
+                                {court.name}
+                                {court.active === false && <span className="ml-2 text-xs text-red-300">Inactive</span>}
+                            </p>
+                            <p className="text-sm text-gray-300">
+                                {(court.attributes || []).length > 0 ? court.attributes.join(' · ') : 'No attributes'} · Order {court.order ?? '-'}
+                            </p>
+                        </div>
+                        {!isUsingDefaults && (
+                            <button
+                                onClick={() => { setEditingId(court.id); setForm(courtToForm(court)); setFormError(''); }}
+                                className="px-3 py-1 border border-[#d4af37] text-[#d4af37] rounded-full text-sm hover:bg-[#d4af37]/20 transition duration-150"
+                            >
+                                Edit
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            {/* Add / Edit Form */}
+            <form onSubmit={handleSave} className="space-y-4 p-4 bg-[#0e1f37] rounded-lg">
+                <h3 className="text-xl font-bold text-[#d4af37]">{editingId ? 'Edit Court' : 'Add Court'}</h3>
+
+                {formError && (
+                    <div className="bg-red-700 text-white font-semibold p-3 rounded-lg text-center">{formError}</div>
+                )}
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <label className="block">
+                        <span className="block text-sm mb-1">Name</span>
+                        <input type="text" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} className={inputClass} placeholder="e.g. Court 3" />
+                    </label>
+                    <label className="block">
+                        <span className="block text-sm mb-1">Display order</span>
+                        <input type="number" step="1" value={form.order} onChange={(e) => setForm({ ...form, order: e.target.value })} className={inputClass} placeholder="e.g. 3" />
+                    </label>
+                </div>
+
+                <label className="block">
+                    <span className="block text-sm mb-1">Attributes shown to members (comma-separated)</span>
+                    <input type="text" value={form.attributes} onChange={(e) => setForm({ ...form, attributes: e.target.value })} className={inputClass} placeholder="e.g. LED lighting, Shaded" />
+                </label>
+
+                <label className="flex items-center space-x-2 cursor-pointer">
+                    <input type="checkbox" checked={form.active} onChange={() => setForm({ ...form, active: !form.active })} />
+                    <span>Active (can be booked)</span>
+                </label>
+
+                <div className="flex justify-end space-x-4">
+                    {editingId && (
+                        <button type="button" onClick={resetForm} className="px-6 py-2 border border-gray-600 text-gray-300 rounded-lg hover:bg-gray-700 transition duration-150">
+                            Cancel Edit
+                        </button>
+                    )}
+                    <button type="submit" className="px-6 py-2 bg-[#d4af37] text-[#001a35] font-bold rounded-lg hover:bg-yellow-400 transition duration-300 shadow-md">
+                        {editingId ? 'Save Changes' : 'Add Court'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+CourtsAdmin.propTypes = {
+    courts: PropTypes.arrayOf(PropTypes.object),
+    isUsingDefaults: PropTypes.bool,
+    setMessage: PropTypes.func
+};
+
+export default CourtsAdmin;
@@ -0,0 +1,125 @@
+import { collection, onSnapshot, query, where } from 'firebase/firestore';
+import { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { BOOKINGS_PATH } from '../firebase/collections';
+import { db } from '../firebase/config';
+import { buildGuestReport, formatMonth, getMonth, getMonthRange } from '../lib/guests';
+import { formatDate, parseDate } from '../lib/scheduling';
+
+const inputClass = 'px-3 py-2 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white focus:outline-none focus:ring-2 focus:ring-[#d4af37]';
+
+const formatDay = (dateString) => parseDate(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+/**
+ * Admin report of guest visits in a calendar month, per guest and per sponsoring member,
+ * with visits over the policy caps highlighted.
+ * @param {object} props
+ * @param {object} props.bookingPolicy - The booking policy in effect (for the guest caps).
+ * @param {Function} props.setMessage - Shows a status message in the app banner.
+ */
+const GuestVisitsReport = ({ bookingPolicy, setMessage }) => {
+    const [month, setMonth] = useState(() => getMonth(formatDate(new Date())));
+    const [bookings, setBookings] = useState([]);
+
+    // Live listener for the selected month only
+    useEffect(() => {
+        if (!month) {
+            setBookings([]);
+            return;
+        }
+
+        const { from, to } = getMonthRange(month);
+        const q = query(
+            collection(db, BOOKINGS_PATH),
+            where('date', '>=', from),
+            where('date', '<=', to)
+        );
+
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setBookings(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => {
+            console.error("Guest Visits Snapshot Error:", error);
+            setMessage("Error fetching guest visits for the selected month.");
+        });
+
+        return () => unsubscribe();
+    }, [month, setMessage]);
+
+    const report = useMemo(() => buildGuestReport(bookings), [bookings]);
+    const { maxGuestVisitsPerGuest: guestCap, maxGuestVisitsPerMember: memberCap } = bookingPolicy;
+    const overClass = 'text-red-300 font-semibold';
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-wrap items-end gap-4">
+                <label className="block">
+                    <span className="block text-sm mb-1">Month</span>
+                    <input type="month" value={month} onChange={(e) => setMonth(e.target.value)} className={inputClass} />
+                </label>
+                <p className="text-gray-400 text-sm pb-2">
+                    Limits: {guestCap || 'no limit'} visit{guestCap !== 1 ? 's' : ''} per guest, {memberCap || 'no limit'} guest visit{memberCap !== 1 ? 's' : ''} per member.
+                    A guest playing several bookings on one day counts as one visit.
+                </p>
+            </div>
+
+            {report.guests.length === 0 ? (
+                <p className="text-gray-400 text-sm">No named guests played in {month ? formatMonth(month) : 'this month'}.</p>
+            ) : (
+                <>
+                    <div className="overflow-x-auto">
+                        <h3 className="text-lg font-bold text-[#d4af37] mb-2">Guests</h3>
+                        <table className="w-full text-sm text-left">
+                            <thead className="text-[#d4af37] border-b border-gray-700">
+                                <tr>
+                                    <th className="py-2 pr-3">Guest</th>
+                                    <th className="py-2 pr-3">Visits</th>
+                                    <th className="py-2 pr-3">Dates</th>
+                                    <th className="py-2 pr-3">Sponsored by</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {report.guests.map(guest => (
+                                    <tr key={guest.key} className="border-b border-gray-800 align-top">
+                                        <td className="py-2 pr-3">{guest.name}</td>
+                                        <td className={`py-2 pr-3 ${guestCap && guest.dates.length > guestCap ? overClass : ''}`}>{guest.dates.length}</td>
+                                        <td className="py-2 pr-3">{guest.dates.map(formatDay).join(', ')}</td>
+                                        <td className="py-2 pr-3">{guest.sponsors.join(', ')}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="overflow-x-auto">
+                        <h3 className="text-lg font-bold text-[#d4af37] mb-2">Sponsoring Members</h3>
+                        <table className="w-full text-sm text-left">
+                            <thead className="text-[#d4af37] border-b border-gray-700">
+                                <tr>
+                                    <th className="py-2 pr-3">MPC No.</th>
+                                    <th className="py-2 pr-3">Guest visits</th>
+                                    <th className="py-2 pr-3">Guests</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {report.members.map(member => (
+                                    <tr key={member.mpcNumber} className="border-b border-gray-800 align-top">
+                                        <td className="py-2 pr-3">{member.mpcNumber}</td>
+                                        <td className={`py-2 pr-3 ${memberCap && member.visits > memberCap ? overClass : ''}`}>{member.visits}</td>
+                                        <td className="py-2 pr-3">{member.guests.join(', ')}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+GuestVisitsReport.propTypes = {
+    bookingPolicy: PropTypes.object,
+    setMessage: PropTypes.func
+};
+
+export default GuestVisitsReport;
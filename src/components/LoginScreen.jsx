@@ -0,0 +1,225 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { auth } from '../firebase/config';
+import {
+    describeAuthError,
+    linkMemberAccount,
+    registerMember,
+    sendPasswordReset,
+    sendVerificationEmail,
+    signInMember
+} from '../firebase/accounts';
+
+// Use BASE_URL for GitHub Pages compatibility - automatically adjusts for base path
+const LOGO_URL = `${import.meta.env.BASE_URL}mpc_logo.png`;
+
+const inputClass = 'w-full px-4 py-3 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-[#d4af37]';
+
+const INTRO = {
+    signIn: 'Sign in with your member account to book a court.',
+    register: 'Create your member account. Your MPC Number and email must match the club roster.',
+    reset: 'Enter your account email and we will send you a link to reset your password.',
+    link: 'Your account is not linked to a membership yet. Verify your email with the link we sent you, then enter your MPC Number to continue.'
+};
+
+const SUBMIT_LABEL = {
+    signIn: 'Sign In',
+    register: 'Create Account',
+    reset: 'Send Reset Link',
+    link: 'Link Membership'
+};
+
+/**
+ * Sign-in, registration and password reset for member accounts (Firebase Auth email/password).
+ * @param {object} props
+ * @param {boolean} props.isSignedIn - True when an account is signed in but not yet linked to an MPC number.
+ * @param {string} props.message - The current banner message.
+ * @param {Function} props.setMessage - Shows a status message in the banner.
+ * @param {Function} props.onSignOut - Signs the current account out.
+ */
+const LoginScreen = ({ isSignedIn, message, setMessage, onSignOut }) => {
+    const [mode, setMode] = useState('signIn'); // 'signIn' | 'register' | 'reset'
+    const [mpcNumber, setMpcNumber] = useState('');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const currentMode = isSignedIn ? 'link' : mode;
+
+    const switchMode = (nextMode) => {
+        setMode(nextMode);
+        setPassword('');
+        setConfirmPassword('');
+        setMessage('');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (currentMode !== 'link' && !/\S+@\S+\.\S+/.test(email.trim())) {
+            setMessage('Please enter a valid email address.');
+            return;
+        }
+        if ((currentMode === 'register' || currentMode === 'link') && !mpcNumber.trim()) {
+            setMessage('Please enter your MPC Number.');
+            return;
+        }
+        if (currentMode === 'register' && password !== confirmPassword) {
+            setMessage('The passwords do not match.');
+            return;
+        }
+
+        setIsSubmitting(true);
+        try {
+            if (currentMode === 'signIn') {
+                await signInMember(email, password);
+                setMessage('');
+            } else if (currentMode === 'register') {
+                const refusal = await registerMember({ mpcNumber, email, password });
+                setMessage(refusal || `We sent a verification link to ${email.trim()}. Open it, then press ${SUBMIT_LABEL.link}.`);
+            } else if (currentMode === 'link') {
+                const refusal = await linkMemberAccount(auth.currentUser, mpcNumber);
+                setMessage(refusal || '');
+            } else {
+                await sendPasswordReset(email);
+                setMessage('If an account exists for this email, a password reset link is on its way.');
+                setMode('signIn');
+            }
+        } catch (error) {
+            console.error("Member Account Error:", error);
+            setMessage(describeAuthError(error));
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleResendVerification = async () => {
+        try {
+            await sendVerificationEmail(auth.currentUser);
+            setMessage(`A new verification link is on its way to ${auth.currentUser.email}.`);
+        } catch (error) {
+            console.error("Verification Email Error:", error);
+            setMessage(describeAuthError(error));
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center p-4 bg-[#0e1f37] font-sans">
+            <div className="bg-[#001a35] text-white p-8 rounded-xl shadow-2xl w-full max-w-md">
+                <div className="h-20 w-full mb-4 flex justify-center">
+                    <img
+                        src={LOGO_URL}
+                        alt="Manila Polo Club Logo"
+                        className="mx-auto h-20 w-auto object-contain"
+                        onError={(e) => { e.target.style.display = 'none'; }}
+                    />
+                </div>
+
+                <h1 className="text-3xl font-bold mb-6 text-[#d4af37] text-center">
+                    Manila Polo Club Padel
+                </h1>
+
+                {message && (
+                    <div className="bg-red-700 text-white font-semibold p-3 rounded-lg mb-4 text-center shadow-md">
+                        {message}
+                    </div>
+                )}
+
+                <p className="text-center mb-6">{INTRO[currentMode]}</p>
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    {(currentMode === 'register' || currentMode === 'link') && (
+                        <input
+                            type="text"
+                            value={mpcNumber}
+                            onChange={(e) => setMpcNumber(e.target.value)}
+                            placeholder="Enter MPC Number (e.g., 12345)"
+                            className={inputClass}
+                            required
+                        />
+                    )}
+                    {currentMode !== 'link' && (
+                        <input
+                            type="email"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            placeholder="Email Address"
+                            autoComplete="email"
+                            className={inputClass}
+                            required
+                        />
+                    )}
+                    {(currentMode === 'signIn' || currentMode === 'register') && (
+                        <input
+                            type="password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            placeholder="Password"
+                            autoComplete={currentMode === 'register' ? 'new-password' : 'current-password'}
+                            className={inputClass}
+                            required
+                        />
+                    )}
+                    {currentMode === 'register' && (
+                        <input
+                            type="password"
+                            value={confirmPassword}
+                            onChange={(e) => setConfirmPassword(e.target.value)}
+                            placeholder="Confirm Password"
+                            autoComplete="new-password"
+                            className={inputClass}
+                            required
+                        />
+                    )}
+                    <button
+                        type="submit"
+                        disabled={isSubmitting}
+                        className="w-full bg-[#d4af37] text-[#001a35] font-bold py-3 rounded-lg disabled:opacity-50 hover:bg-yellow-400 transition duration-300 shadow-md"
+                    >
+                        {SUBMIT_LABEL[currentMode]}
+                    </button>
+                </form>
+
+                <div className="mt-6 text-center text-sm space-y-2">
+                    {currentMode === 'signIn' && (
+                        <>
+                            <button onClick={() => switchMode('register')} className="text-[#d4af37] underline hover:text-yellow-300">
+                                New here? Create a member account
+                            </button>
+                            <br />
+                            <button onClick={() => switchMode('reset')} className="text-gray-400 underline hover:text-gray-200">
+                                Forgot your password?
+                            </button>
+                        </>
+                    )}
+                    {(currentMode === 'register' || currentMode === 'reset') && (
+                        <button onClick={() => switchMode('signIn')} className="text-[#d4af37] underline hover:text-yellow-300">
+                            Back to sign in
+                        </button>
+                    )}
+                    {currentMode === 'link' && (
+                        <>
+                            <button onClick={handleResendVerification} className="text-[#d4af37] underline hover:text-yellow-300">
+                                Send the verification email again
+                            </button>
+                            <br />
+                            <button onClick={onSignOut} className="text-gray-400 underline hover:text-gray-200">
+                                Sign out
+                            </button>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+LoginScreen.propTypes = {
+    isSignedIn: PropTypes.bool,
+    message: PropTypes.string,
+    setMessage: PropTypes.func,
+    onSignOut: PropTypes.func
+};
+
+export default LoginScreen;
@@ -0,0 +1,33 @@
+import PropTypes from 'prop-types';
+import { getApprovedJoiners, getOpenSpots } from '../lib/matches';
+import { getCoPlayers, getGuests } from '../lib/players';
+
+/**
+ * Who is playing in a booking: the booker, approved players, guests and the places still open.
+ * @param {object} props
+ * @param {object} props.booking - The booking document.
+ */
+const MatchRoster = ({ booking }) => {
+    const bookerName = booking.openMatch?.bookerName || booking.mpcNumber;
+    const players = [bookerName, ...getCoPlayers(booking).map(player => player.name), ...getApprovedJoiners(booking).map(joiner => joiner.name)];
+    const guests = getGuests(booking).map(guest => guest.name);
+    const openSpots = getOpenSpots(booking);
+
+    return (
+        <p className="text-gray-300 text-sm">
+            Players: {players.join(', ')}
+            {guests.length > 0 && ` + guest${guests.length !== 1 ? 's' : ''} ${guests.join(', ')}`}
+            {booking.openMatch && (
+                <span className={openSpots > 0 ? 'text-green-400' : 'text-gray-400'}>
+                    {' · '}{openSpots > 0 ? `${openSpots} place${openSpots !== 1 ? 's' : ''} open` : 'Full'}
+                </span>
+            )}
+        </p>
+    );
+};
+
+MatchRoster.propTypes = {
+    booking: PropTypes.object
+};
+
+export default MatchRoster;
@@ -0,0 +1,162 @@
+import { collection, onSnapshot } from 'firebase/firestore';
+import { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { MEMBERS_PATH } from '../firebase/collections';
+import { db } from '../firebase/config';
+import { importRoster, setMemberStatus } from '../firebase/members';
+import { parseRosterCsv } from '../lib/roster';
+
+const inputClass = 'px-3 py-2 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white focus:outline-none focus:ring-2 focus:ring-[#d4af37]';
+
+/**
+ * Admin screen for importing the member roster from CSV and suspending/reactivating members.
+ * @param {object} props
+ * @param {string} props.userId - The admin's uid.
+ * @param {Function} props.setMessage - Shows a status message in the app banner.
+ */
+const MemberRosterAdmin = ({ userId, setMessage }) => {
+    const [members, setMembers] = useState([]);
+    const [search, setSearch] = useState('');
+    const [parsed, setParsed] = useState(null); // {fileName, members, errors} awaiting confirmation
+    const [isImporting, setIsImporting] = useState(false);
+
+    useEffect(() => {
+        const unsubscribe = onSnapshot(collection(db, MEMBERS_PATH), (snapshot) => {
+            setMembers(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => {
+            console.error("Member Roster Snapshot Error:", error);
+            setMessage("Error fetching the member roster.");
+        });
+        return () => unsubscribe();
+    }, [setMessage]);
+
+    const filteredMembers = useMemo(() => {
+        const term = search.trim().toLowerCase();
+        return members
+            .filter(m => !term || [m.mpcNumber, m.name, m.email].some(value => (value || '').toLowerCase().includes(term)))
+            .sort((a, b) => a.mpcNumber.localeCompare(b.mpcNumber, undefined, { numeric: true }));
+    }, [members, search]);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow re-selecting the same file
+        if (!file) return;
+
+        const text = await file.text();
+        setParsed({ fileName: file.name, ...parseRosterCsv(text) });
+    };
+
+    const handleImport = async () => {
+        setIsImporting(true);
+        try {
+            const count = await importRoster(parsed.members, userId);
+            setMessage(`Imported ${count} member record${count !== 1 ? 's' : ''} from ${parsed.fileName}.`);
+            setParsed(null);
+        } catch (error) {
+            console.error("Error importing roster:", error);
+            setMessage("Failed to import the roster. Check console for details.");
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
+    const handleToggleStatus = async (member) => {
+        const status = member.status === 'suspended' ? 'active' : 'suspended';
+        try {
+            await setMemberStatus(member.mpcNumber, status, userId);
+            setMessage(`Member ${member.mpcNumber} is now ${status}.`);
+        } catch (error) {
+            console.error("Error updating member status:", error);
+            setMessage("Failed to update the member. Check console for details.");
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            {/* CSV Import */}
+            <div className="p-4 bg-[#0e1f37] rounded-lg space-y-3">
+                <h3 className="text-xl font-bold text-[#d4af37]">Import from CSV</h3>
+                <p className="text-sm text-gray-400">
+                    The first row must be a header with MPC Number, Name, Email and Status (active or suspended).
+                    Existing members are updated by MPC number; members missing from the file are left unchanged.
+                </p>
+                <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="text-sm text-gray-300" />
+
+                {parsed && (
+                    <div className="space-y-2">
+                        <p className="text-sm">
+                            {parsed.fileName}: <span className="text-green-400">{parsed.members.length} valid</span>
+                            {parsed.errors.length > 0 && <span className="text-red-300">, {parsed.errors.length} skipped</span>}
+                        </p>
+                        {parsed.errors.length > 0 && (
+                            <ul className="text-xs text-red-300 max-h-32 overflow-y-auto list-disc pl-5">
+                                {parsed.errors.map(error => <li key={error}>{error}</li>)}
+                            </ul>
+                        )}
+                        <div className="flex gap-2">
+                            <button
+                                onClick={handleImport}
+                                disabled={isImporting || parsed.members.length === 0}
+                                className="px-4 py-2 bg-[#d4af37] text-[#001a35] font-bold rounded-lg disabled:opacity-50 hover:bg-yellow-400 transition duration-300"
+                            >
+                                Import {parsed.members.length} Member{parsed.members.length !== 1 ? 's' : ''}
+                            </button>
+                            <button
+                                onClick={() => setParsed(null)}
+                                className="px-4 py-2 border border-gray-600 text-gray-300 rounded-lg hover:bg-gray-700 transition duration-150"
+                            >
+                                Discard
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            {/* Roster List */}
+            <div>
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                    <input type="search" value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search MPC number, name or email" className={inputClass} />
+                    <p className="text-gray-400 text-sm">{members.length} member{members.length !== 1 ? 's' : ''} on roster</p>
+                </div>
+                <div className="overflow-x-auto max-h-[28rem] overflow-y-auto">
+                    <table className="w-full text-sm text-left">
+                        <thead className="text-[#d4af37] border-b border-gray-700">
+                            <tr>
+                                <th className="py-2 pr-3">MPC No.</th>
+                                <th className="py-2 pr-3">Name</th>
+                                <th className="py-2 pr-3">Email</th>
+                                <th className="py-2 pr-3">Status</th>
+                                <th className="py-2"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {filteredMembers.map(member => (
+                                <tr key={member.id} className="border-b border-gray-800">
+                                    <td className="py-2 pr-3">{member.mpcNumber}</td>
+                                    <td className="py-2 pr-3">{member.name}</td>
+                                    <td className="py-2 pr-3 break-all">{member.email}</td>
+                                    <td className={`py-2 pr-3 ${member.status === 'suspended' ? 'text-red-300' : 'text-green-400'}`}>{member.status}</td>
+                                    <td className="py-2 text-right">
+                                        <button
+                                            onClick={() => handleToggleStatus(member)}
+                                            className="border border-[#d4af37] text-[#d4af37] px-3 py-1 rounded-full text-xs hover:bg-[#d4af37]/20 transition duration-150"
+                                        >
+                                            {member.status === 'suspended' ? 'Reactivate' : 'Suspend'}
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+MemberRosterAdmin.propTypes = {
+    userId: PropTypes.string,
+    setMessage: PropTypes.func
+};
+
+export default MemberRosterAdmin;
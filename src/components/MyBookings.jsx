@@ -0,0 +1,220 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { getCoPlayers, getGuests, getOpenMatchPlaces } from '../lib/players';
+import { requoteBooking } from '../lib/pricing';
+import { RECENT_BOOKINGS_DAYS, RESERVATION_STATUS, getBookingCourtName, getBookingStart, getBookingTimeRange, parseDate } from '../lib/scheduling';
+import MatchRoster from './MatchRoster';
+import OpenMatchManager from './OpenMatchManager';
+import PlayersEditor from './PlayersEditor';
+
+const formatBookingDate = (dateString) =>
+    parseDate(dateString).toLocaleDateString('en-US', { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+
+const describePastStatus = (booking) => {
+    if (booking.status === RESERVATION_STATUS.CANCELLED) {
+        return `Cancelled${booking.lateCancelFee > 0 ? ` (late fee PHP ${booking.lateCancelFee.toFixed(2)})` : ''}`;
+    }
+    if (booking.status === RESERVATION_STATUS.NO_SHOW) {
+        return `No-show${booking.noShowFee > 0 ? ` (fee PHP ${booking.noShowFee.toFixed(2)})` : ''}`;
+    }
+    return 'Played';
+};
+
+/**
+ * The signed-in member's bookings: upcoming ones with quick actions, and past or cancelled
+ * ones from the last RECENT_BOOKINGS_DAYS days for reference.
+ * @param {object} props
+ * @param {Array<object>} props.bookings - The member's recent and upcoming booking documents.
+ * @param {Array<object>} props.playingBookings - Bookings by other members that list this member as a player.
+ * @param {Function} props.onCancel - Cancels a booking (with confirmation).
+ * @param {Function} props.onCancelSeries - Cancels the upcoming bookings of a weekly series, by seriesId.
+ * @param {Function} props.onUpdatePlayers - Saves new co-players and guests: (booking, {coPlayers, guests}) => Promise<boolean>.
+ * @param {Function} props.onShowDay - Opens the booking grid on a date (YYYY-MM-DD).
+ * @param {Function} props.setMessage - Shows a status message in the app banner.
+ */
+const MyBookings = ({ bookings, playingBookings, onCancel, onCancelSeries, onUpdatePlayers, onShowDay, setMessage }) => {
+    const [editingId, setEditingId] = useState(null);
+    const [draftPlayers, setDraftPlayers] = useState({ coPlayers: [], guests: [] });
+
+    const now = new Date();
+    const isUpcoming = (booking) =>
+        (booking.status === RESERVATION_STATUS.BOOKED || booking.status === RESERVATION_STATUS.HELD) && getBookingStart(booking) > now;
+    const byStart = (a, b) => getBookingStart(a) - getBookingStart(b);
+
+    // Waitlist holds that were never claimed keep their holdExpiresAt; they were never the member's booking
+    const isUnclaimedHold = (booking) => !!booking.holdExpiresAt;
+
+    const upcoming = bookings.filter(isUpcoming).sort(byStart);
+    const past = bookings.filter(booking => !isUpcoming(booking) && !isUnclaimedHold(booking)).sort((a, b) => byStart(b, a));
+
+    const playingUpcoming = playingBookings.filter(booking => booking.status === RESERVATION_STATUS.BOOKED && getBookingStart(booking) > now).sort(byStart);
+
+    const handleEditPlayers = (booking) => {
+        setEditingId(booking.id);
+        setDraftPlayers({ coPlayers: getCoPlayers(booking), guests: getGuests(booking) });
+    };
+
+    const handleSavePlayers = async (booking) => {
+        if (await onUpdatePlayers(booking, draftPlayers)) setEditingId(null);
+    };
+
+    const renderDetails = (booking) => (
+        <div className="text-sm">
+            <p className="font-semibold text-white">
+                {formatBookingDate(booking.date)}, {getBookingTimeRange(booking)}
+                {booking.seriesId && <span className="ml-2 text-xs font-normal text-[#d4af37]">Weekly</span>}
+            </p>
+            <p className="text-gray-400">
+                {getBookingCourtName(booking)} - PHP {(booking.estimatedCost || 0).toFixed(2)}
+            </p>
+            <MatchRoster booking={booking} />
+        </div>
+    );
+
+    return (
+        <div className="space-y-6 my-6">
+            <div className="bg-[#001a35] p-4 rounded-xl shadow-md">
+                <h2 className="text-lg font-bold text-[#d4af37] mb-3">Upcoming Bookings</h2>
+                {upcoming.length === 0 ? (
+                    <p className="text-gray-400 text-sm">You have no upcoming bookings.</p>
+                ) : (
+                    <div className="space-y-2">
+                        {upcoming.map(booking => (
+                            <div key={booking.id} className="p-3 bg-[#0e1f37] rounded-lg space-y-2">
+                                <div className="flex flex-wrap justify-between items-center gap-2">
+                                    {renderDetails(booking)}
+                                    <div className="flex flex-wrap gap-2">
+                                        <button
+                                            onClick={() => onShowDay(booking.date)}
+                                            className="border border-[#d4af37] text-[#d4af37] px-3 py-1 rounded-full text-xs hover:bg-[#d4af37]/20 transition duration-150"
+                                        >
+                                            View Day
+                                        </button>
+                                        {booking.status === RESERVATION_STATUS.BOOKED && (
+                                            <>
+                                                <button
+                                                    onClick={() => handleEditPlayers(booking)}
+                                                    className="border border-gray-600 text-gray-300 px-3 py-1 rounded-full text-xs hover:bg-gray-700 transition duration-150"
+                                                >
+                                                    Players
+                                                </button>
+                                                <button
+                                                    onClick={() => onCancel(booking)}
+                                                    className="bg-red-500 text-white px-3 py-1 rounded-full text-xs hover:bg-red-600 transition duration-150"
+                                                >
+                                                    Cancel
+                                                </button>
+                                                {booking.seriesId && (
+                                                    <button
+                                                        onClick={() => onCancelSeries(booking.seriesId)}
+                                                        className="border border-red-400 text-red-300 px-3 py-1 rounded-full text-xs hover:bg-red-500/20 transition duration-150"
+                                                    >
+                                                        Cancel Series
+                                                    </button>
+                                                )}
+                                            </>
+                                        )}
+                                    </div>
+                                </div>
+
+                                {booking.status === RESERVATION_STATUS.HELD && (
+                                    <p className="text-green-400 text-xs">Held for you from the waitlist. Claim it from the booking screen.</p>
+                                )}
+
+                                {booking.status === RESERVATION_STATUS.BOOKED && (
+                                    <OpenMatchManager booking={booking} setMessage={setMessage} />
+                                )}
+
+                                {editingId === booking.id && (
+                                    <div className="p-2 bg-black/30 rounded-lg space-y-2">
+                                        <PlayersEditor
+                                            bookerMpcNumber={booking.mpcNumber}
+                                            coPlayers={draftPlayers.coPlayers}
+                                            guests={draftPlayers.guests}
+                                            onChange={setDraftPlayers}
+                                            reservedPlaces={getOpenMatchPlaces(booking)}
+                                        />
+                                        <div className="flex flex-wrap items-center gap-2 text-sm">
+                                            <span className="text-gray-300">
+                                                New estimated cost: PHP {requoteBooking(booking, { guestCount: draftPlayers.guests.length }).total.toFixed(2)}
+                                            </span>
+                                            <button
+                                                onClick={() => handleSavePlayers(booking)}
+                                                className="px-3 py-1 bg-[#d4af37] text-[#001a35] font-bold rounded-lg text-xs hover:bg-yellow-400 transition duration-150"
+                                            >
+                                                Save
+                                            </button>
+                                            <button
+                                                onClick={() => setEditingId(null)}
+                                                className="px-3 py-1 border border-gray-600 text-gray-300 rounded-lg text-xs hover:bg-gray-700 transition duration-150"
+                                            >
+                                                Close
+                                            </button>
+                                        </div>
+                                    </div>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {playingUpcoming.length > 0 && (
+                <div className="bg-[#001a35] p-4 rounded-xl shadow-md">
+                    <h2 className="text-lg font-bold text-[#d4af37] mb-3">Playing With Others</h2>
+                    <div className="space-y-2">
+                        {playingUpcoming.map(booking => (
+                            <div key={booking.id} className="flex flex-wrap justify-between items-center gap-2 p-3 bg-[#0e1f37] rounded-lg">
+                                {renderDetails(booking)}
+                                <button
+                                    onClick={() => onShowDay(booking.date)}
+                                    className="border border-[#d4af37] text-[#d4af37] px-3 py-1 rounded-full text-xs hover:bg-[#d4af37]/20 transition duration-150"
+                                >
+                                    View Day
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            <div className="bg-[#001a35] p-4 rounded-xl shadow-md">
+                <h2 className="text-lg font-bold text-[#d4af37] mb-3">Past and Cancelled Bookings</h2>
+                {past.length === 0 ? (
+                    <p className="text-gray-400 text-sm">No past bookings in the last {RECENT_BOOKINGS_DAYS} days.</p>
+                ) : (
+                    <div className="space-y-2">
+                        {past.map(booking => (
+                            <div key={booking.id} className="flex flex-wrap justify-between items-center gap-2 p-3 bg-[#0e1f37] rounded-lg">
+                                {renderDetails(booking)}
+                                <div className="flex items-center gap-2">
+                                    <span className={`text-xs ${booking.status === RESERVATION_STATUS.BOOKED ? 'text-green-400' : 'text-red-300'}`}>
+                                        {describePastStatus(booking)}
+                                    </span>
+                                    <button
+                                        onClick={() => onShowDay(booking.date)}
+                                        className="border border-[#d4af37] text-[#d4af37] px-3 py-1 rounded-full text-xs hover:bg-[#d4af37]/20 transition duration-150"
+                                    >
+                                        View Day
+                                    </button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+MyBookings.propTypes = {
+    bookings: PropTypes.arrayOf(PropTypes.object),
+    playingBookings: PropTypes.arrayOf(PropTypes.object),
+    onCancel: PropTypes.func,
+    onCancelSeries: PropTypes.func,
+    onUpdatePlayers: PropTypes.func,
+    onShowDay: PropTypes.func,
+    setMessage: PropTypes.func
+};
+
+export default MyBookings;
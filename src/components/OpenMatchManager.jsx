@@ -0,0 +1,160 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { approveJoiner, closeMatch, openMatch, removeJoiner } from '../firebase/matches';
+import { JOIN_STATUS, MATCH_LEVELS, getJoiners, getMaxPlayersNeeded } from '../lib/matches';
+
+const selectClass = 'px-2 py-1 rounded-lg border border-[#d4af37] bg-[#001a35] text-white';
+
+/**
+ * The booker's controls for advertising an upcoming booking as an open match: level and
+ * players wanted, and approving or removing members who asked to join.
+ * @param {object} props
+ * @param {object} props.booking - The member's booking (status booked).
+ * @param {Function} props.setMessage - Shows a status message in the app banner.
+ */
+const OpenMatchManager = ({ booking, setMessage }) => {
+    const maxPlayers = getMaxPlayersNeeded(booking);
+    const [isEditing, setIsEditing] = useState(false);
+    const [level, setLevel] = useState(booking.openMatch?.level || MATCH_LEVELS[0]);
+    const [playersNeeded, setPlayersNeeded] = useState(booking.openMatch?.playersNeeded || maxPlayers);
+    const joiners = getJoiners(booking);
+
+    const handleSave = async () => {
+        try {
+            const refusal = await openMatch({ booking, level, playersNeeded });
+            setMessage(refusal || `Your booking on ${booking.date} is listed as an open match.`);
+            if (!refusal) setIsEditing(false);
+        } catch (error) {
+            console.error("Error opening match:", error);
+            setMessage("Failed to list the open match. Check console for details.");
+        }
+    };
+
+    const handleClose = async () => {
+        try {
+            const closed = await closeMatch(booking.id);
+            setMessage(closed ? 'Your booking is no longer listed as an open match.' : 'This booking can no longer be changed.');
+        } catch (error) {
+            console.error("Error closing match:", error);
+            setMessage("Failed to close the open match. Check console for details.");
+        }
+    };
+
+    const handleApprove = async (joiner) => {
+        try {
+            const refusal = await approveJoiner(booking.id, joiner.mpcNumber);
+            setMessage(refusal || `${joiner.name} is now playing in your match.`);
+        } catch (error) {
+            console.error("Error approving joiner:", error);
+            setMessage("Failed to approve the player. Check console for details.");
+        }
+    };
+
+    const handleRemove = async (joiner) => {
+        if (!window.confirm(`Remove ${joiner.name} from your match?`)) return;
+        try {
+            await removeJoiner(booking.id, joiner.mpcNumber);
+            setMessage(`${joiner.name} has been removed from your match.`);
+        } catch (error) {
+            console.error("Error removing joiner:", error);
+            setMessage("Failed to remove the player. Check console for details.");
+        }
+    };
+
+    const findPlayersButton = (
+        <button
+            onClick={() => setIsEditing(true)}
+            className="border border-green-500 text-green-400 px-3 py-1 rounded-full text-xs hover:bg-green-500/20 transition duration-150"
+        >
+            Find Players
+        </button>
+    );
+
+    // Not advertised and nobody has joined: just the way in
+    if (!booking.openMatch && !isEditing && joiners.length === 0) {
+        return maxPlayers >= 1 ? <div>{findPlayersButton}</div> : null;
+    }
+
+    return (
+        <div className="p-2 bg-black/30 rounded-lg space-y-2 text-sm">
+            {isEditing ? (
+                <div className="flex flex-wrap items-center gap-2">
+                    <select value={level} onChange={(e) => setLevel(e.target.value)} className={selectClass}>
+                        {MATCH_LEVELS.map(option => <option key={option} value={option}>{option}</option>)}
+                    </select>
+                    <select value={playersNeeded} onChange={(e) => setPlayersNeeded(Number(e.target.value))} className={selectClass}>
+                        {Array.from({ length: maxPlayers }, (_, i) => i + 1).map(num => (
+                            <option key={num} value={num}>{num} player{num !== 1 ? 's' : ''} wanted</option>
+                        ))}
+                    </select>
+                    <button
+                        onClick={handleSave}
+                        className="px-3 py-1 bg-[#d4af37] text-[#001a35] font-bold rounded-lg text-xs hover:bg-yellow-400 transition duration-150"
+                    >
+                        {booking.openMatch ? 'Save' : 'List Open Match'}
+                    </button>
+                    <button
+                        onClick={() => setIsEditing(false)}
+                        className="px-3 py-1 border border-gray-600 text-gray-300 rounded-lg text-xs hover:bg-gray-700 transition duration-150"
+                    >
+                        Close
+                    </button>
+                </div>
+            ) : booking.openMatch ? (
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                    <span className="text-green-400 font-semibold">
+                        Open match · {booking.openMatch.level} · {booking.openMatch.playersNeeded} player{booking.openMatch.playersNeeded !== 1 ? 's' : ''} wanted
+                    </span>
+                    <div className="flex gap-2">
+                        <button
+                            onClick={() => setIsEditing(true)}
+                            className="border border-gray-600 text-gray-300 px-3 py-1 rounded-full text-xs hover:bg-gray-700 transition duration-150"
+                        >
+                            Edit
+                        </button>
+                        <button
+                            onClick={handleClose}
+                            className="border border-red-400 text-red-300 px-3 py-1 rounded-full text-xs hover:bg-red-500/20 transition duration-150"
+                        >
+                            Stop Listing
+                        </button>
+                    </div>
+                </div>
+            ) : maxPlayers >= 1 && findPlayersButton}
+
+            {joiners.map(joiner => (
+                <div key={joiner.mpcNumber} className="flex flex-wrap items-center justify-between gap-2">
+                    <span className="text-white">
+                        {joiner.name} <span className="text-gray-500">({joiner.mpcNumber})</span>
+                        <span className={joiner.status === JOIN_STATUS.APPROVED ? 'text-green-400' : 'text-amber-300'}>
+                            {' · '}{joiner.status === JOIN_STATUS.APPROVED ? 'Playing' : 'Asked to join'}
+                        </span>
+                    </span>
+                    <div className="flex gap-2">
+                        {joiner.status === JOIN_STATUS.PENDING && (
+                            <button
+                                onClick={() => handleApprove(joiner)}
+                                className="px-3 py-1 bg-green-600 text-white rounded-full text-xs hover:bg-green-700 transition duration-150"
+                            >
+                                Approve
+                            </button>
+                        )}
+                        <button
+                            onClick={() => handleRemove(joiner)}
+                            className="border border-red-400 text-red-300 px-3 py-1 rounded-full text-xs hover:bg-red-500/20 transition duration-150"
+                        >
+                            Remove
+                        </button>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+OpenMatchManager.propTypes = {
+    booking: PropTypes.object,
+    setMessage: PropTypes.func
+};
+
+export default OpenMatchManager;
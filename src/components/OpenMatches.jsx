@@ -0,0 +1,157 @@
+import { collection, onSnapshot, query, where } from 'firebase/firestore';
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { BOOKINGS_PATH } from '../firebase/collections';
+import { db } from '../firebase/config';
+import { removeJoiner, requestToJoinMatch } from '../firebase/matches';
+import { JOIN_STATUS, MATCH_LEVELS, findJoiner, isListedOpenMatch } from '../lib/matches';
+import { isCoPlayerOf } from '../lib/players';
+import { normalizeMpcNumber } from '../lib/roster';
+import { RESERVATION_STATUS, formatDate, getBookingCourtName, getBookingStart, getBookingTimeRange, parseDate } from '../lib/scheduling';
+import MatchRoster from './MatchRoster';
+
+const formatMatchDate = (dateString) =>
+    parseDate(dateString).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+/**
+ * Open matches other members are looking to fill, and the matches the signed-in member has
+ * asked to join or been approved for.
+ * @param {object} props
+ * @param {{userId: string, mpcNumber: string, email: string}} props.member - The signed-in member.
+ * @param {Function} props.onShowDay - Opens the booking grid on a date (YYYY-MM-DD).
+ * @param {Function} props.setMessage - Shows a status message in the app banner.
+ */
+const OpenMatches = ({ member, onShowDay, setMessage }) => {
+    const [level, setLevel] = useState('');
+    const [bookings, setBookings] = useState([]);
+    const mpcNumber = normalizeMpcNumber(member.mpcNumber);
+    const now = new Date();
+    const byStart = (a, b) => getBookingStart(a) - getBookingStart(b);
+    const today = formatDate(now);
+
+    // Matches are only ever upcoming, so only bookings from today on are listened to
+    useEffect(() => {
+        const q = query(collection(db, BOOKINGS_PATH), where('date', '>=', today));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setBookings(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => {
+            console.error("Open Matches Snapshot Error:", error);
+            setMessage("Error fetching open matches.");
+        });
+        return () => unsubscribe();
+    }, [today, setMessage]);
+
+    const joined = bookings
+        .filter(booking => booking.status === RESERVATION_STATUS.BOOKED && getBookingStart(booking) > now && findJoiner(booking, mpcNumber))
+        .sort(byStart);
+    const open = bookings
+        .filter(booking => isListedOpenMatch(booking, now) && normalizeMpcNumber(booking.mpcNumber) !== mpcNumber && !findJoiner(booking, mpcNumber) && !isCoPlayerOf(booking, mpcNumber))
+        .filter(booking => !level || booking.openMatch.level === level || booking.openMatch.level === MATCH_LEVELS[0])
+        .sort(byStart);
+
+    const handleJoin = async (booking) => {
+        try {
+            const refusal = await requestToJoinMatch({ bookingId: booking.id, member });
+            setMessage(refusal || `You have asked to join the match on ${booking.date} at ${getBookingTimeRange(booking)}. The booker will confirm.`);
+        } catch (error) {
+            console.error("Error requesting to join match:", error);
+            setMessage("Failed to send your request. Please try again.");
+        }
+    };
+
+    const handleWithdraw = async (booking) => {
+        if (!window.confirm(`Withdraw from the match on ${booking.date} at ${getBookingTimeRange(booking)}?`)) return;
+        try {
+            const withdrawn = await removeJoiner(booking.id, mpcNumber);
+            setMessage(withdrawn ? 'You have withdrawn from the match.' : 'You are no longer on this match.');
+        } catch (error) {
+            console.error("Error withdrawing from match:", error);
+            setMessage("Failed to withdraw. Please try again.");
+        }
+    };
+
+    const renderMatch = (booking, actions) => (
+        <div key={booking.id} className="p-3 bg-[#0e1f37] rounded-lg flex flex-wrap justify-between items-center gap-2">
+            <div className="text-sm space-y-1">
+                <p className="font-semibold text-white">
+                    {formatMatchDate(booking.date)}, {getBookingTimeRange(booking)} · {getBookingCourtName(booking)}
+                    {booking.openMatch && <span className="ml-2 text-xs font-normal text-[#d4af37]">{booking.openMatch.level}</span>}
+                </p>
+                <MatchRoster booking={booking} />
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+                <button
+                    onClick={() => onShowDay(booking.date)}
+                    className="border border-[#d4af37] text-[#d4af37] px-3 py-1 rounded-full text-xs hover:bg-[#d4af37]/20 transition duration-150"
+                >
+                    View Day
+                </button>
+                {actions}
+            </div>
+        </div>
+    );
+
+    return (
+        <div className="space-y-6 my-6">
+            {joined.length > 0 && (
+                <div className="bg-[#001a35] p-4 rounded-xl shadow-md">
+                    <h2 className="text-lg font-bold text-[#d4af37] mb-3">Your Matches</h2>
+                    <div className="space-y-2">
+                        {joined.map(booking => {
+                            const isApproved = findJoiner(booking, mpcNumber).status === JOIN_STATUS.APPROVED;
+                            return renderMatch(booking, (
+                                <>
+                                    <span className={`text-xs ${isApproved ? 'text-green-400' : 'text-amber-300'}`}>
+                                        {isApproved ? 'You are playing' : 'Waiting for the booker'}
+                                    </span>
+                                    <button
+                                        onClick={() => handleWithdraw(booking)}
+                                        className="border border-red-400 text-red-300 px-3 py-1 rounded-full text-xs hover:bg-red-500/20 transition duration-150"
+                                    >
+                                        Withdraw
+                                    </button>
+                                </>
+                            ));
+                        })}
+                    </div>
+                </div>
+            )}
+
+            <div className="bg-[#001a35] p-4 rounded-xl shadow-md">
+                <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+                    <h2 className="text-lg font-bold text-[#d4af37]">Open Matches</h2>
+                    <select
+                        value={level}
+                        onChange={(e) => setLevel(e.target.value)}
+                        className="px-2 py-1 rounded-lg border border-[#d4af37] bg-[#0e1f37] text-white text-sm"
+                    >
+                        <option value="">All levels</option>
+                        {MATCH_LEVELS.slice(1).map(option => <option key={option} value={option}>{option}</option>)}
+                    </select>
+                </div>
+                {open.length === 0 ? (
+                    <p className="text-gray-400 text-sm">No open matches at the moment. List your own booking as an open match from My Bookings.</p>
+                ) : (
+                    <div className="space-y-2">
+                        {open.map(booking => renderMatch(booking, (
+                            <button
+                                onClick={() => handleJoin(booking)}
+                                className="px-3 py-1 bg-[#d4af37] text-[#001a35] font-bold rounded-full text-xs hover:bg-yellow-400 transition duration-150"
+                            >
+                                Ask to Join
+                            </button>
+                        )))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+OpenMatches.propTypes = {
+    member: PropTypes.shape({ userId: PropTypes.string, mpcNumber: PropTypes.string, email: PropTypes.string }),
+    onShowDay: PropTypes.func,
+    setMessage: PropTypes.func
+};
+
+export default OpenMatches;
@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { getMember } from '../firebase/members';
+import { PLAYERS_PER_MATCH } from '../lib/matches';
+import { normalizeMpcNumber } from '../lib/roster';
+import { MAX_GUESTS } from '../lib/scheduling';
+
+const inputClass = 'px-2 py-1 rounded-lg border border-[#d4af37] bg-[#001a35] text-white text-sm';
+
+/**
+ * Adds and removes the fellow members (by MPC number) and named guests playing in a booking.
+ * @param {object} props
+ * @param {string} props.bookerMpcNumber - The booker, who always plays.
+ * @param {Array<{mpcNumber: string, name: string}>} props.coPlayers - Fellow members.
+ * @param {Array<{name: string}>} props.guests - Named guests.
+ * @param {Function} props.onChange - Receives the new lists: ({coPlayers, guests}) => void.
+ * @param {number} [props.reservedPlaces] - Places kept for an open match, not available here.
+ */
+const PlayersEditor = ({ bookerMpcNumber, coPlayers, guests, onChange, reservedPlaces = 0 }) => {
+    const [mpcInput, setMpcInput] = useState('');
+    const [guestInput, setGuestInput] = useState('');
+    const [error, setError] = useState('');
+    const [isLookingUp, setIsLookingUp] = useState(false);
+
+    const placesLeft = PLAYERS_PER_MATCH - 1 - reservedPlaces - coPlayers.length - guests.length;
+
+    const handleAddMember = async () => {
+        const mpcNumber = normalizeMpcNumber(mpcInput);
+        if (!mpcNumber) return;
+        if (mpcNumber === normalizeMpcNumber(bookerMpcNumber) || coPlayers.some(player => player.mpcNumber === mpcNumber)) {
+            setError(`${mpcNumber} is already playing.`);
+            return;
+        }
+
+        setIsLookingUp(true);
+        try {
+            const member = await getMember(mpcNumber);
+            if (!member || member.status !== 'active') {
+                setError(`${mpcNumber} is not an active member. Add them as a guest instead.`);
+                return;
+            }
+            onChange({ coPlayers: [...coPlayers, { mpcNumber, name: member.name || mpcNumber }], guests });
+            setMpcInput('');
+            setError('');
+        } catch (lookupError) {
+            console.error("Member Lookup Error:", lookupError);
+            setError('Could not look up that member. Please try again.');
+        } finally {
+            setIsLookingUp(false);
+        }
+    };
+
+    const handleAddGuest = () => {
+        const name = guestInput.trim();
+        if (!name) return;
+        onChange({ coPlayers, guests: [...guests, { name }] });
+        setGuestInput('');
+        setError('');
+    };
+
+    const removeButton = (onClick) => (
+        <button type="button" onClick={onClick} className="text-red-300 hover:text-red-400 text-xs ml-1" aria-label="Remove player">✕</button>
+    );
+
+    return (
+        <div className="space-y-2 text-sm">
+            {(coPlayers.length > 0 || guests.length > 0) && (
+                <div className="flex flex-wrap gap-2">
+                    {coPlayers.map(player => (
+                        <span key={player.mpcNumber} className="px-2 py-1 rounded-full bg-[#0e1f37] border border-gray-600 text-white">
+                            {player.name} <span className="text-gray-500">({player.mpcNumber})</span>
+                            {removeButton(() => onChange({ coPlayers: coPlayers.filter(p => p.mpcNumber !== player.mpcNumber), guests }))}
+                        </span>
+                    ))}
+                    {guests.map((guest, index) => (
+                        <span key={`${guest.name}-${index}`} className="px-2 py-1 rounded-full bg-[#0e1f37] border border-gray-600 text-white">
+                            {guest.name} <span className="text-gray-500">(guest)</span>
+                            {removeButton(() => onChange({ coPlayers, guests: guests.filter((_, i) => i !== index) }))}
+                        </span>
+                    ))}
+                </div>
+            )}
+
+            {placesLeft > 0 ? (
+                <div className="flex flex-wrap gap-2">
+                    <div className="flex gap-1">
+                        <input
+                            type="text"
+                            value={mpcInput}
+                            onChange={(e) => setMpcInput(e.target.value)}
+                            placeholder="Member MPC number"
+                            className={`${inputClass} w-40`}
+                        />
+                        <button
+                            type="button"
+                            onClick={handleAddMember}
+                            disabled={isLookingUp || !mpcInput.trim()}
+                            className="px-3 py-1 border border-[#d4af37] text-[#d4af37] rounded-lg text-xs disabled:opacity-50 hover:bg-[#d4af37]/20 transition duration-150"
+                        >
+                            {isLookingUp ? 'Checking...' : 'Add Member'}
+                        </button>
+                    </div>
+                    {guests.length < MAX_GUESTS && (
+                        <div className="flex gap-1">
+                            <input
+                                type="text"
+                                value={guestInput}
+                                onChange={(e) => setGuestInput(e.target.value)}
+                                placeholder="Guest name"
+                                className={`${inputClass} w-40`}
+                            />
+                            <button
+                                type="button"
+                                onClick={handleAddGuest}
+                                disabled={!guestInput.trim()}
+                                className="px-3 py-1 border border-[#d4af37] text-[#d4af37] rounded-lg text-xs disabled:opacity-50 hover:bg-[#d4af37]/20 transition duration-150"
+                            >
+                                Add Guest
+                            </button>
+                        </div>
+                    )}
+                </div>
+            ) : (
+                <p className="text-gray-400 text-xs">The court is full.</p>
+            )}
+
+            {error && <p className="text-red-300 text-xs">{error}</p>}
+        </div>
+    );
+};
+
+PlayersEditor.propTypes = {
+    bookerMpcNumber: PropTypes.string,
+    coPlayers: PropTypes.arrayOf(PropTypes.shape({ mpcNumber: PropTypes.string, name: PropTypes.string })),
+    guests: PropTypes.arrayOf(PropTypes.shape({ name: PropTypes.string })),
+    onChange: PropTypes.func,
+    reservedPlaces: PropTypes.number
+};
+
+export default PlayersEditor;
@@ -0,0 +1,318 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { saveRateTable } from '../firebase/settings';
+import { DAY_TYPES, STANDARD_RATE, getGuestTiers, validateRate } from '../lib/pricing';
+import { MAX_GUESTS } from '../lib/scheduling';
+
+const EMPTY_FORM = { name: '', dayTypes: [], fromTime: '00:00', toTime: '24:00', courts: [], effectiveFrom: '', effectiveTo: '', courtPerHour: '', nonMemberPerHour: '0', guestTiers: Array(MAX_GUESTS).fill('') };
+
+const inputClass = 'w-full px-3 py-2 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white focus:outline-none focus:ring-2 focus:ring-[#d4af37]';
+
+const toAmount = (value) => (value === '' ? NaN : Number(value));
+
+// Converts a stored rate into the editable form shape (amounts as strings, one per guest)
+const rateToForm = (rate) => {
+    const guestTiers = getGuestTiers(rate);
+    return {
+        ...EMPTY_FORM,
+        ...rate,
+        courtPerHour: String(rate.courtPerHour),
+        nonMemberPerHour: String(rate.nonMemberPerHour || 0),
+        guestTiers: EMPTY_FORM.guestTiers.map((_, i) => (i < guestTiers.length ? String(guestTiers[i]) : ''))
+    };
+};
+
+// Converts the form back into the stored rate shape
+const formToRate = (form, id) => ({
+    id,
+    name: form.name.trim(),
+    dayTypes: form.dayTypes,
+    fromTime: form.fromTime,
+    toTime: form.toTime,
+    courts: form.courts,
+    effectiveFrom: form.effectiveFrom,
+    effectiveTo: form.effectiveTo,
+    courtPerHour: toAmount(form.courtPerHour),
+    nonMemberPerHour: toAmount(form.nonMemberPerHour),
+    // Blank fees after the last one entered are left out: later guests pay the last fee
+    guestTiers: form.guestTiers.slice(0, form.guestTiers.findLastIndex(fee => fee !== '') + 1).map(toAmount)
+});
+
+// "PHP 200" when every guest pays the same, otherwise "PHP 200 / 200 / 300"
+const describeGuestTiers = (rate) => `PHP ${getGuestTiers(rate).join(' / ')}`;
+
+const describeRate = (rate, courts) => [
+    rate.dayTypes.length === 0 ? 'Every day' : rate.dayTypes.map(type => DAY_TYPES.find(([key]) => key === type)[1]).join(', '),
+    `${rate.fromTime} - ${rate.toTime}`,
+    rate.courts.length === 0 ? 'All courts' : rate.courts.map(id => courts.find(court => court.id === id)?.name || id).join(', '),
+    rate.effectiveFrom || rate.effectiveTo ? `${rate.effectiveFrom || 'always'} to ${rate.effectiveTo || 'open-ended'}` : null
+].filter(Boolean).join(' · ');
+
+/**
+ * Admin screen for the rate table: member court rates and non-member rates per hour, and
+ * guest fees per guest, by kind of day, time
+ * band, court and effective dates, plus the holiday calendar. Each slot is charged the first
+ * rate in the list that matches it, so specific rates go above general ones.
+ * @param {object} props
+ * @param {{rates: Array<object>, holidays: Array<string>}} props.rateTable - The rate table in effect.
+ * @param {boolean} props.isUsingDefaults - True while no rate table is stored in Firestore.
+ * @param {Array<object>} props.courts - Courts currently in effect.
+ * @param {string} props.userId - The admin's uid.
+ * @param {Function} props.setMessage - Shows a status message in the app banner.
+ */
+const RateTableAdmin = ({ rateTable, isUsingDefaults, courts, userId, setMessage }) => {
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState(null);
+    const [formError, setFormError] = useState('');
+    const [holiday, setHoliday] = useState('');
+    const { rates, holidays } = rateTable;
+
+    const resetForm = () => {
+        setForm(EMPTY_FORM);
+        setEditingId(null);
+        setFormError('');
+    };
+
+    const save = async (changes, successMessage) => {
+        try {
+            await saveRateTable({ rates, holidays, ...changes }, userId);
+            setMessage(successMessage);
+            return true;
+        } catch (error) {
+            console.error("Error saving rate table:", error);
+            setMessage('Failed to save the rate table. Check console for details.');
+            return false;
+        }
+    };
+
+    const toggle = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const rate = formToRate(form, editingId || crypto.randomUUID());
+        const error = validateRate(rate);
+        if (error) {
+            setFormError(error);
+            return;
+        }
+
+        // New rates go first so they take effect over the general ones; reorder them with Up and Down
+        const updated = editingId
+            ? rates.map(existing => (existing.id === editingId ? rate : existing))
+            : [rate, ...rates];
+        if (await save({ rates: updated }, editingId ? `${rate.name} updated.` : `${rate.name} added.`)) resetForm();
+    };
+
+    const handleMove = (index, offset) => {
+        const updated = [...rates];
+        [updated[index], updated[index + offset]] = [updated[index + offset], updated[index]];
+        save({ rates: updated }, 'Rate order saved.');
+    };
+
+    const handleRemove = (rate) => {
+        if (!window.confirm(`Remove the rate "${rate.name}"? Existing bookings keep the price they were quoted.`)) return;
+        save({ rates: rates.filter(existing => existing.id !== rate.id) }, `${rate.name} removed.`);
+    };
+
+    const handleAddHoliday = async () => {
+        if (!holiday || holidays.includes(holiday)) return;
+        if (await save({ holidays: [...holidays, holiday].sort() }, `${holiday} added as a holiday.`)) setHoliday('');
+    };
+
+    return (
+        <div className="space-y-6">
+            <p className="text-gray-400 text-sm">
+                Every 30-minute slot is charged the first rate below that matches its day, start time and court: the court rate, plus the non-member rate for each guest.
+                Guests also pay the guest fees of the rate in effect when the booking starts; each guest can pay a different fee, and guests past the last fee pay the last one.
+                Slots no rate matches are charged the standard PHP {STANDARD_RATE.courtPerHour}/hr and {describeGuestTiers(STANDARD_RATE)} per guest.
+                The price is quoted and stored when a booking is made, so changes here do not affect existing bookings.
+            </p>
+
+            {isUsingDefaults && (
+                <div className="p-3 rounded-lg border border-yellow-700 bg-yellow-900/30 text-sm text-gray-300">
+                    The built-in standard rate is in effect. Adding or editing a rate saves the rate table to Firestore.
+                </div>
+            )}
+
+            {/* Existing Rates */}
+            <div className="space-y-3">
+                {rates.length === 0 && <p className="text-gray-400 text-sm">No rates. Every slot is charged the standard rate.</p>}
+                {rates.map((rate, index) => (
+                    <div key={rate.id} className="p-4 rounded-lg bg-[#0e1f37] flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                        <div>
+                            <p className="font-semibold text-[#d4af37]">
+                                {index + 1}. {rate.name} · PHP {rate.courtPerHour}/hr
+                                {rate.nonMemberPerHour > 0 && ` · Non-members +PHP ${rate.nonMemberPerHour}/hr`} · Guests {describeGuestTiers(rate)}
+                            </p>
+                            <p className="text-sm text-gray-300">{describeRate(rate, courts)}</p>
+                        </div>
+                        <div className="flex flex-wrap gap-2">
+                            <button
+                                onClick={() => handleMove(index, -1)}
+                                disabled={index === 0}
+                                className="px-3 py-1 border border-gray-600 text-gray-300 rounded-full text-sm disabled:opacity-40 hover:bg-gray-700 transition duration-150"
+                            >
+                                Up
+                            </button>
+                            <button
+                                onClick={() => handleMove(index, 1)}
+                                disabled={index === rates.length - 1}
+                                className="px-3 py-1 border border-gray-600 text-gray-300 rounded-full text-sm disabled:opacity-40 hover:bg-gray-700 transition duration-150"
+                            >
+                                Down
+                            </button>
+                            <button
+                                onClick={() => { setEditingId(rate.id); setForm(rateToForm(rate)); setFormError(''); }}
+                                className="px-3 py-1 border border-[#d4af37] text-[#d4af37] rounded-full text-sm hover:bg-[#d4af37]/20 transition duration-150"
+                            >
+                                Edit
+                            </button>
+                            <button
+                                onClick={() => handleRemove(rate)}
+                                className="px-3 py-1 border border-red-400 text-red-300 rounded-full text-sm hover:bg-red-500/20 transition duration-150"
+                            >
+                                Remove
+                            </button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {/* Add / Edit Form */}
+            <form onSubmit={handleSubmit} className="space-y-4 p-4 bg-[#0e1f37] rounded-lg">
+                <h3 className="text-xl font-bold text-[#d4af37]">{editingId ? 'Edit Rate' : 'Add Rate'}</h3>
+
+                {formError && (
+                    <div className="bg-red-700 text-white font-semibold p-3 rounded-lg text-center">{formError}</div>
+                )}
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <label className="block">
+                        <span className="block text-sm mb-1">Name</span>
+                        <input type="text" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} className={inputClass} placeholder="e.g. Evening lights" />
+                    </label>
+                    <div className="grid grid-cols-2 gap-2">
+                        <label className="block">
+                            <span className="block text-sm mb-1">Court rate, members (PHP/hr)</span>
+                            <input type="number" min="0" value={form.courtPerHour} onChange={(e) => setForm({ ...form, courtPerHour: e.target.value })} className={inputClass} />
+                        </label>
+                        <label className="block">
+                            <span className="block text-sm mb-1">Non-member rate, per guest (PHP/hr)</span>
+                            <input type="number" min="0" value={form.nonMemberPerHour} onChange={(e) => setForm({ ...form, nonMemberPerHour: e.target.value })} className={inputClass} />
+                        </label>
+                    </div>
+                    <div className="grid grid-cols-3 gap-2">
+                        {form.guestTiers.map((fee, i) => (
+                            <label key={i} className="block">
+                                <span className="block text-sm mb-1">Guest {i + 1} fee (PHP)</span>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={fee}
+                                    onChange={(e) => setForm({ ...form, guestTiers: form.guestTiers.map((existing, j) => (j === i ? e.target.value : existing)) })}
+                                    className={inputClass}
+                                    placeholder={i === 0 ? '' : 'Same as before'}
+                                />
+                            </label>
+                        ))}
+                    </div>
+                    <div className="grid grid-cols-2 gap-2">
+                        <label className="block">
+                            <span className="block text-sm mb-1">Slots starting from</span>
+                            <input type="text" value={form.fromTime} onChange={(e) => setForm({ ...form, fromTime: e.target.value })} className={inputClass} placeholder="HH:MM" />
+                        </label>
+                        <label className="block">
+                            <span className="block text-sm mb-1">Until</span>
+                            <input type="text" value={form.toTime} onChange={(e) => setForm({ ...form, toTime: e.target.value })} className={inputClass} placeholder="HH:MM" />
+                        </label>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2">
+                        <label className="block">
+                            <span className="block text-sm mb-1">Effective from</span>
+                            <input type="date" value={form.effectiveFrom} onChange={(e) => setForm({ ...form, effectiveFrom: e.target.value })} className={inputClass} />
+                        </label>
+                        <label className="block">
+                            <span className="block text-sm mb-1">Effective to</span>
+                            <input type="date" value={form.effectiveTo} onChange={(e) => setForm({ ...form, effectiveTo: e.target.value })} className={inputClass} />
+                        </label>
+                    </div>
+                </div>
+
+                <div>
+                    <span className="block text-sm mb-1">Days (none ticked: every day)</span>
+                    <div className="flex flex-wrap gap-4">
+                        {DAY_TYPES.map(([key, label]) => (
+                            <label key={key} className="flex items-center space-x-2 cursor-pointer">
+                                <input type="checkbox" checked={form.dayTypes.includes(key)} onChange={() => setForm({ ...form, dayTypes: toggle(form.dayTypes, key) })} />
+                                <span>{label}</span>
+                            </label>
+                        ))}
+                    </div>
+                </div>
+
+                <div>
+                    <span className="block text-sm mb-1">Courts (none ticked: every court)</span>
+                    <div className="flex flex-wrap gap-4">
+                        {courts.map(court => (
+                            <label key={court.id} className="flex items-center space-x-2 cursor-pointer">
+                                <input type="checkbox" checked={form.courts.includes(court.id)} onChange={() => setForm({ ...form, courts: toggle(form.courts, court.id) })} />
+                                <span>{court.name}</span>
+                            </label>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="flex justify-end space-x-4">
+                    {editingId && (
+                        <button type="button" onClick={resetForm} className="px-6 py-2 border border-gray-600 text-gray-300 rounded-lg hover:bg-gray-700 transition duration-150">
+                            Cancel Edit
+                        </button>
+                    )}
+                    <button type="submit" className="px-6 py-2 bg-[#d4af37] text-[#001a35] font-bold rounded-lg hover:bg-yellow-400 transition duration-300 shadow-md">
+                        {editingId ? 'Save Changes' : 'Add Rate'}
+                    </button>
+                </div>
+            </form>
+
+            {/* Holidays */}
+            <div className="p-4 bg-[#0e1f37] rounded-lg space-y-3">
+                <h3 className="text-xl font-bold text-[#d4af37]">Holidays</h3>
+                <div className="flex flex-wrap gap-2">
+                    {holidays.length === 0 && <span className="text-gray-400 text-sm">No holidays set.</span>}
+                    {holidays.map(date => (
+                        <span key={date} className="px-2 py-1 rounded-full bg-[#001a35] border border-gray-600 text-sm">
+                            {date}
+                            <button
+                                onClick={() => save({ holidays: holidays.filter(existing => existing !== date) }, `${date} is no longer a holiday.`)}
+                                className="text-red-300 hover:text-red-400 text-xs ml-1"
+                                aria-label={`Remove ${date}`}
+                            >
+                                ✕
+                            </button>
+                        </span>
+                    ))}
+                </div>
+                <div className="flex gap-2">
+                    <input type="date" value={holiday} onChange={(e) => setHoliday(e.target.value)} className={`${inputClass} sm:w-56`} />
+                    <button
+                        onClick={handleAddHoliday}
+                        disabled={!holiday}
+                        className="px-4 py-2 border border-[#d4af37] text-[#d4af37] rounded-lg disabled:opacity-50 hover:bg-[#d4af37]/20 transition duration-150"
+                    >
+                        Add Holiday
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+RateTableAdmin.propTypes = {
+    rateTable: PropTypes.shape({ rates: PropTypes.arrayOf(PropTypes.object), holidays: PropTypes.arrayOf(PropTypes.string) }),
+    isUsingDefaults: PropTypes.bool,
+    courts: PropTypes.arrayOf(PropTypes.object),
+    userId: PropTypes.string,
+    setMessage: PropTypes.func
+};
+
+export default RateTableAdmin;
@@ -0,0 +1,259 @@
+import { collection, onSnapshot, query, where } from 'firebase/firestore';
+import { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { BOOKINGS_PATH } from '../firebase/collections';
+import { db } from '../firebase/config';
+import { formatMonth } from '../lib/guests';
+import { getBookingOutcomes, getMonthlyTotals, getTopMembers, getUtilisationHeatmap } from '../lib/reports';
+import { DAYS, addDays, formatDate } from '../lib/scheduling';
+import { downloadCsv } from './csvDownload';
+
+const inputClass = 'px-3 py-2 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white focus:outline-none focus:ring-2 focus:ring-[#d4af37]';
+const smallButtonClass = 'border border-[#d4af37] text-[#d4af37] px-3 py-1 rounded-full text-xs hover:bg-[#d4af37]/20 transition duration-150';
+
+const formatAmount = (amount) => amount.toFixed(2);
+const formatPercent = (rate) => `${Math.round(rate * 100)}%`;
+const getUtilisation = (cell) => (cell.capacity > 0 ? cell.booked / cell.capacity : null);
+
+// The last four full weeks
+const getDefaultRange = () => {
+    const today = formatDate(new Date());
+    return { from: addDays(today, -28), to: addDays(today, -1) };
+};
+
+/**
+ * A report table with its own CSV export. Columns are [header, value(row)] pairs, so the
+ * table and the file always show the same figures.
+ * @param {object} props
+ * @param {string} props.title - The table heading.
+ * @param {Array<[string, Function]>} props.columns - Column headers and value getters.
+ * @param {Array<object>} props.rows - The rows.
+ * @param {string} props.fileName - The CSV file name.
+ */
+const ReportTable = ({ title, columns, rows, fileName }) => (
+    <div className="overflow-x-auto">
+        <div className="flex items-center justify-between gap-2 mb-2">
+            <h3 className="text-lg font-bold text-[#d4af37]">{title}</h3>
+            <button
+                onClick={() => downloadCsv(fileName, [columns.map(([header]) => header), ...rows.map(row => columns.map(([, value]) => value(row)))])}
+                className={smallButtonClass}
+            >
+                CSV
+            </button>
+        </div>
+        {rows.length === 0 ? (
+            <p className="text-gray-400 text-sm">Nothing to report for this range.</p>
+        ) : (
+            <table className="w-full text-sm text-left">
+                <thead className="text-[#d4af37] border-b border-gray-700">
+                    <tr>
+                        {columns.map(([header]) => <th key={header} className="py-2 pr-3">{header}</th>)}
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map((row, index) => (
+                        <tr key={index} className="border-b border-gray-800">
+                            {columns.map(([header, value]) => <td key={header} className="py-2 pr-3">{value(row)}</td>)}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        )}
+    </div>
+);
+
+ReportTable.propTypes = {
+    title: PropTypes.string,
+    columns: PropTypes.arrayOf(PropTypes.array),
+    rows: PropTypes.arrayOf(PropTypes.object),
+    fileName: PropTypes.string
+};
+
+/**
+ * Management reports over a chosen date range: court utilisation by hour and weekday as a
+ * heatmap, cancellation and no-show rates, top members by hours, guest volume and estimated
+ * revenue. Every table can be exported as CSV.
+ * @param {object} props
+ * @param {Array<object>} props.courts - Active courts (utilisation is measured against these).
+ * @param {Array<object>} props.specialSlotRules - Special slot rules currently in effect.
+ * @param {Function} props.setMessage - Shows a status message in the app banner.
+ */
+const ReportsAdmin = ({ courts, specialSlotRules, setMessage }) => {
+    const [range, setRange] = useState(getDefaultRange);
+    const [bookings, setBookings] = useState([]);
+
+    const isValidRange = !!range.from && !!range.to && range.from <= range.to;
+
+    // Live listener for the selected range only
+    useEffect(() => {
+        if (!isValidRange) {
+            setBookings([]);
+            return;
+        }
+
+        const q = query(
+            collection(db, BOOKINGS_PATH),
+            where('date', '>=', range.from),
+            where('date', '<=', range.to)
+        );
+
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setBookings(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => {
+            console.error("Reports Snapshot Error:", error);
+            setMessage("Error fetching bookings for the selected range.");
+        });
+
+        return () => unsubscribe();
+    }, [isValidRange, range.from, range.to, setMessage]);
+
+    const report = useMemo(() => isValidRange ? {
+        heatmap: getUtilisationHeatmap({ bookings, from: range.from, to: range.to, courtCount: courts.length, specialSlotRules }),
+        outcomes: getBookingOutcomes(bookings),
+        topMembers: getTopMembers(bookings),
+        months: getMonthlyTotals(bookings)
+    } : null, [bookings, range.from, range.to, isValidRange, courts.length, specialSlotRules]);
+
+    const fileName = (name) => `${name}-${range.from}-to-${range.to}.csv`;
+
+    const outcomeRows = report ? [
+        ['Bookings', report.outcomes.total, ''],
+        ['Cancelled', report.outcomes.cancelled, formatPercent(report.outcomes.cancellationRate)],
+        ['Cancelled late', report.outcomes.lateCancelled, formatPercent(report.outcomes.lateCancellationRate)],
+        ['Started', report.outcomes.started, ''],
+        ['No-shows', report.outcomes.noShows, formatPercent(report.outcomes.noShowRate)]
+    ] : [];
+
+    const revenueTotal = report ? report.months.reduce((sum, month) => sum + month.revenue, 0) : 0;
+
+    return (
+        <div className="space-y-8">
+            <div className="flex flex-wrap items-end gap-4">
+                <label className="block">
+                    <span className="block text-sm mb-1">From</span>
+                    <input type="date" value={range.from} onChange={(e) => setRange(current => ({ ...current, from: e.target.value }))} className={inputClass} />
+                </label>
+                <label className="block">
+                    <span className="block text-sm mb-1">To</span>
+                    <input type="date" value={range.to} onChange={(e) => setRange(current => ({ ...current, to: e.target.value }))} className={inputClass} />
+                </label>
+                <p className="text-gray-400 text-sm pb-2">
+                    {bookings.length} booking record{bookings.length !== 1 ? 's' : ''} in range, measured against {courts.length} active court{courts.length !== 1 ? 's' : ''}.
+                </p>
+            </div>
+
+            {!report ? (
+                <p className="text-red-300 text-sm">Please choose a range that ends on or after the day it starts.</p>
+            ) : (
+                <>
+                    {/* Utilisation heatmap */}
+                    <div className="overflow-x-auto">
+                        <div className="flex items-center justify-between gap-2 mb-2">
+                            <h3 className="text-lg font-bold text-[#d4af37]">Court Utilisation</h3>
+                            <button
+                                onClick={() => downloadCsv(fileName('utilisation'), [
+                                    ['Hour', ...DAYS],
+                                    ...report.heatmap.map(row => [row.hour, ...row.days.map(cell => {
+                                        const utilisation = getUtilisation(cell);
+                                        return utilisation === null ? '' : formatPercent(utilisation);
+                                    })])
+                                ])}
+                                className={smallButtonClass}
+                            >
+                                CSV
+                            </button>
+                        </div>
+                        <p className="text-gray-400 text-xs mb-2">
+                            Share of bookable court time booked. FCFS, Americano and closed windows and staff blocks are not bookable and are left out.
+                        </p>
+                        <table className="text-xs text-center">
+                            <thead className="text-[#d4af37]">
+                                <tr>
+                                    <th className="py-1 pr-2 text-left">Hour</th>
+                                    {DAYS.map(day => <th key={day} className="py-1 px-2 w-14">{day}</th>)}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {report.heatmap.map(row => (
+                                    <tr key={row.hour}>
+                                        <td className="py-1 pr-2 text-left text-gray-300">{row.hour}</td>
+                                        {row.days.map((cell, day) => {
+                                            const utilisation = getUtilisation(cell);
+                                            return (
+                                                <td
+                                                    key={day}
+                                                    title={`${cell.booked} of ${cell.capacity} court-slots booked`}
+                                                    className={`py-1 px-2 border border-[#001a35] ${utilisation === null ? 'bg-gray-800 text-gray-500' : utilisation >= 0.5 ? 'text-[#001a35] font-semibold' : 'text-white'}`}
+                                                    style={utilisation === null ? undefined : { backgroundColor: `rgba(212, 175, 55, ${0.1 + utilisation * 0.9})` }}
+                                                >
+                                                    {utilisation === null ? '-' : formatPercent(utilisation)}
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <ReportTable
+                        title="Cancellations and No-shows"
+                        columns={[['Outcome', row => row[0]], ['Count', row => row[1]], ['Rate', row => row[2]]]}
+                        rows={outcomeRows}
+                        fileName={fileName('outcomes')}
+                    />
+
+                    <ReportTable
+                        title="Top Members by Hours"
+                        columns={[
+                            ['MPC No.', row => row.mpcNumber],
+                            ['Hours', row => row.hours],
+                            ['Bookings', row => row.bookings],
+                            ['Guests', row => row.guests]
+                        ]}
+                        rows={report.topMembers}
+                        fileName={fileName('top-members')}
+                    />
+
+                    <ReportTable
+                        title="Guest Volume"
+                        columns={[
+                            ['Month', row => formatMonth(row.month)],
+                            ['Bookings', row => row.bookings],
+                            ['Bookings with guests', row => row.bookingsWithGuests],
+                            ['Guests', row => row.guests],
+                            ['Different guests', row => row.distinctGuests]
+                        ]}
+                        rows={report.months}
+                        fileName={fileName('guests')}
+                    />
+
+                    <ReportTable
+                        title={`Estimated Revenue (PHP ${formatAmount(revenueTotal)})`}
+                        columns={[
+                            ['Month', row => formatMonth(row.month)],
+                            ['Court fees', row => formatAmount(row.courtFees)],
+                            ['Guest fees', row => formatAmount(row.guestFees)],
+                            ['Late cancellations', row => formatAmount(row.lateCancelFees)],
+                            ['No-shows', row => formatAmount(row.noShowFees)],
+                            ['Total', row => formatAmount(row.revenue)]
+                        ]}
+                        rows={report.months}
+                        fileName={fileName('revenue')}
+                    />
+                    <p className="text-gray-400 text-xs">
+                        Revenue counts court and guest fees at the prices bookings were quoted, including bookings still to come, plus late-cancellation and no-show fees.
+                    </p>
+                </>
+            )}
+        </div>
+    );
+};
+
+ReportsAdmin.propTypes = {
+    courts: PropTypes.arrayOf(PropTypes.object),
+    specialSlotRules: PropTypes.arrayOf(PropTypes.object),
+    setMessage: PropTypes.func
+};
+
+export default ReportsAdmin;
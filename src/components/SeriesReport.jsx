@@ -0,0 +1,47 @@
+import PropTypes from 'prop-types';
+import { parseDate } from '../lib/scheduling';
+
+const formatReportDate = (dateString) =>
+    parseDate(dateString).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+/**
+ * Per-date outcome of a recurring booking: the court each week was booked on, or why it was not.
+ * @param {object} props
+ * @param {{timeRange: string, results: Array<{date: string, courtName?: string, estimatedCost?: number, conflict?: string}>}|null} props.report
+ * @param {Function} props.onClose - Dismisses the report.
+ */
+const SeriesReport = ({ report, onClose }) => {
+    if (!report) return null;
+
+    return (
+        <div className="bg-[#001a35] p-4 rounded-xl my-6 shadow-md">
+            <div className="flex justify-between items-center mb-3">
+                <h2 className="text-lg font-bold text-[#d4af37]">Weekly Booking, {report.timeRange}</h2>
+                <button onClick={onClose} className="text-gray-400 text-sm hover:text-white">
+                    Dismiss
+                </button>
+            </div>
+            <div className="space-y-1">
+                {report.results.map(result => (
+                    <div key={result.date} className="flex flex-wrap justify-between gap-2 p-2 bg-[#0e1f37] rounded-lg text-sm">
+                        <span className="font-semibold text-white">{formatReportDate(result.date)}</span>
+                        {result.conflict ? (
+                            <span className="text-red-300">Not booked: {result.conflict}</span>
+                        ) : (
+                            <span className="text-green-400">
+                                Booked on {result.courtName}{result.estimatedCost !== undefined && ` · PHP ${result.estimatedCost.toFixed(2)}`}
+                            </span>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+SeriesReport.propTypes = {
+    report: PropTypes.shape({ timeRange: PropTypes.string, results: PropTypes.arrayOf(PropTypes.object) }),
+    onClose: PropTypes.func
+};
+
+export default SeriesReport;
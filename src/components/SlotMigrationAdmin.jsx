@@ -0,0 +1,77 @@
+import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { countLegacyReservations, migrateSlotReservations } from '../firebase/migrations';
+
+/**
+ * Admin tool that migrates per-slot reservation documents to block-level bookings.
+ * @param {object} props
+ * @param {string} props.userId - The admin's uid.
+ * @param {Function} props.setMessage - Shows a status message in the app banner.
+ */
+const SlotMigrationAdmin = ({ userId, setMessage }) => {
+    const [counts, setCounts] = useState(null);
+    const [isMigrating, setIsMigrating] = useState(false);
+
+    useEffect(() => {
+        countLegacyReservations()
+            .then(setCounts)
+            .catch(error => {
+                console.error("Legacy Reservation Count Error:", error);
+                setMessage("Error counting reservations to migrate.");
+            });
+    }, [setMessage]);
+
+    const handleMigrate = async () => {
+        if (!window.confirm('Migrate all per-slot reservations to bookings now? Members should not be booking while this runs.')) return;
+
+        setIsMigrating(true);
+        try {
+            const migrated = await migrateSlotReservations(userId);
+            setMessage(`Migrated ${migrated} booking${migrated !== 1 ? 's' : ''}.`);
+            setCounts(await countLegacyReservations());
+        } catch (error) {
+            console.error("Error migrating reservations:", error);
+            setMessage("The migration stopped with an error. It is safe to run it again. Check console for details.");
+        } finally {
+            setIsMigrating(false);
+        }
+    };
+
+    const pending = counts ? counts.slots + counts.history : 0;
+
+    return (
+        <div className="space-y-4">
+            <p className="text-gray-400 text-sm">
+                Bookings used to be stored as one document per 30-minute slot. Each booking is now one
+                document in <code>padelBookings</code>, and the slot documents only lock the court for it.
+                The migration turns every old block (including cancelled records) into a booking.
+            </p>
+            {counts === null ? (
+                <p className="text-gray-400">Checking for old reservations...</p>
+            ) : pending === 0 ? (
+                <p className="text-green-400 font-semibold">Nothing left to migrate.</p>
+            ) : (
+                <div className="flex flex-wrap items-center justify-between gap-4">
+                    <p>
+                        {counts.slots} slot document{counts.slots !== 1 ? 's' : ''} and {counts.history} cancelled
+                        record{counts.history !== 1 ? 's' : ''} to migrate.
+                    </p>
+                    <button
+                        onClick={handleMigrate}
+                        disabled={isMigrating}
+                        className="px-6 py-2 bg-[#d4af37] text-[#001a35] font-bold rounded-lg disabled:opacity-50 hover:bg-yellow-400 transition duration-300 shadow-md"
+                    >
+                        {isMigrating ? 'Migrating...' : 'Migrate to Bookings'}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+SlotMigrationAdmin.propTypes = {
+    userId: PropTypes.string,
+    setMessage: PropTypes.func
+};
+
+export default SlotMigrationAdmin;
@@ -0,0 +1,288 @@
+import { collection, deleteDoc, doc, setDoc, writeBatch } from 'firebase/firestore';
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { SPECIAL_SLOT_RULES_PATH } from '../firebase/collections';
+import { db } from '../firebase/config';
+import { DEFAULT_AMERICANO_CAPACITY } from '../lib/americano';
+import {
+    DAYS,
+    DEFAULT_SPECIAL_SLOTS,
+    SPECIAL_SLOT_STATUSES,
+    minutesToTime,
+    timeToMinutes,
+    validateSpecialSlotRule
+} from '../lib/scheduling';
+import { SPECIAL_SLOT_COLORS, getSpecialSlotColor } from './slotColors';
+
+const EMPTY_FORM = {
+    status: 'FCFS',
+    message: '',
+    color: 'purple',
+    days: [],
+    startTime: '12:00',
+    endTime: '16:00',
+    effectiveFrom: '',
+    effectiveUntil: '',
+    capacity: String(DEFAULT_AMERICANO_CAPACITY)
+};
+
+const inputClass = 'w-full px-3 py-2 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white focus:outline-none focus:ring-2 focus:ring-[#d4af37]';
+
+// Converts a stored rule into the editable form shape (times as HH:MM strings)
+const ruleToForm = (rule) => ({
+    status: rule.status,
+    message: rule.message,
+    color: rule.color || 'purple',
+    days: rule.days,
+    startTime: minutesToTime(rule.startHour * 60 + rule.startMinute),
+    endTime: minutesToTime(rule.endHour * 60 + rule.endMinute),
+    effectiveFrom: rule.effectiveFrom || '',
+    effectiveUntil: rule.effectiveUntil || '',
+    capacity: String(rule.capacity || DEFAULT_AMERICANO_CAPACITY)
+});
+
+// Converts the form back into the stored rule shape used by the scheduling engine
+const formToRule = (form) => {
+    const start = timeToMinutes(form.startTime);
+    const end = timeToMinutes(form.endTime);
+    return {
+        status: form.status,
+        message: form.message.trim(),
+        color: form.color,
+        days: [...form.days].sort(),
+        startHour: Math.floor(start / 60), startMinute: start % 60,
+        endHour: Math.floor(end / 60), endMinute: end % 60,
+        effectiveFrom: form.effectiveFrom || null,
+        effectiveUntil: form.effectiveUntil || null,
+        // Only Americano windows take sign-ups
+        ...(form.status === 'AMERICANO' ? { capacity: Number(form.capacity) } : {})
+    };
+};
+
+/**
+ * Admin screen for adding, editing and removing the special slot rules (FCFS, Americano, ...).
+ * @param {object} props
+ * @param {Array<object>} props.rules - Rules currently in effect (Firestore docs with id, or the built-in defaults).
+ * @param {boolean} props.isUsingDefaults - True while no rules are stored in Firestore.
+ * @param {Function} props.setMessage - Shows a status message in the app banner.
+ */
+const SpecialSlotRulesAdmin = ({ rules, isUsingDefaults, setMessage }) => {
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState(null);
+    const [formError, setFormError] = useState('');
+
+    const rulesCollection = collection(db, SPECIAL_SLOT_RULES_PATH);
+
+    const resetForm = () => {
+        setForm(EMPTY_FORM);
+        setEditingId(null);
+        setFormError('');
+    };
+
+    const toggleDay = (day) => {
+        setForm(prev => ({
+            ...prev,
+            days: prev.days.includes(day) ? prev.days.filter(d => d !== day) : [...prev.days, day]
+        }));
+    };
+
+    // Copies the built-in rules into Firestore so they can be edited individually
+    const saveDefaultsToFirestore = async (extraRule = null) => {
+        const batch = writeBatch(db);
+        DEFAULT_SPECIAL_SLOTS.forEach(rule => batch.set(doc(rulesCollection), rule));
+        if (extraRule) {
+            batch.set(doc(rulesCollection), extraRule);
+        }
+        await batch.commit();
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const rule = formToRule(form);
+        const error = validateSpecialSlotRule(rule);
+        if (error) {
+            setFormError(error);
+            return;
+        }
+
+        try {
+            if (isUsingDefaults) {
+                // Adding the first stored rule must not silently drop the built-in ones
+                await saveDefaultsToFirestore(rule);
+            } else {
+                await setDoc(editingId ? doc(rulesCollection, editingId) : doc(rulesCollection), rule);
+            }
+            setMessage(editingId ? 'Special slot rule updated.' : 'Special slot rule added.');
+            resetForm();
+        } catch (error) {
+            console.error("Error saving special slot rule:", error);
+            setFormError('Failed to save the rule. Check console for details.');
+        }
+    };
+
+    const handleDelete = async (ruleId) => {
+        try {
+            await deleteDoc(doc(rulesCollection, ruleId));
+            setMessage('Special slot rule removed.');
+            if (editingId === ruleId) resetForm();
+        } catch (error) {
+            console.error("Error deleting special slot rule:", error);
+            setMessage('Failed to remove the rule. Check console for details.');
+        }
+    };
+
+    const handleSaveDefaults = async () => {
+        try {
+            await saveDefaultsToFirestore();
+            setMessage('Built-in rules saved. They can now be edited individually.');
+        } catch (error) {
+            console.error("Error saving built-in special slot rules:", error);
+            setMessage('Failed to save the built-in rules. Check console for details.');
+        }
+    };
+
+    return (
+        <div className="bg-[#001a35] text-white p-6 rounded-xl shadow-lg">
+            <h2 className="text-2xl font-bold mb-2 text-[#d4af37]">Special Slot Rules</h2>
+            <p className="text-gray-400 text-sm mb-4">
+                Slots inside these windows are shown to members but cannot be booked online.
+                If every rule is removed the built-in schedule applies again; to switch a window off, set its effective-until date.
+            </p>
+
+            {isUsingDefaults && (
+                <div className="mb-4 p-3 rounded-lg border border-yellow-700 bg-yellow-900/30 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                    <span className="text-sm text-gray-300">The built-in schedule is active. Save it to Firestore to edit or remove individual rules.</span>
+                    <button
+                        onClick={handleSaveDefaults}
+                        className="px-4 py-2 bg-[#d4af37] text-[#001a35] font-bold rounded-lg hover:bg-yellow-400 transition duration-300"
+                    >
+                        Save Built-in Rules
+                    </button>
+                </div>
+            )}
+
+            {/* Existing Rules */}
+            <div className="space-y-3 mb-6">
+                {rules.map((rule, index) => {
+                    const color = getSpecialSlotColor(rule.color);
+                    return (
+                        <div key={rule.id || index} className={`p-4 rounded-lg ${color.card} flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2`}>
+                            <div>
+                                <p className={`font-semibold ${color.text}`}>{rule.status} - {rule.message}</p>
+                                <p className="text-sm text-gray-300">
+                                    {rule.days.map(d => DAYS[d]).join(', ')} · {minutesToTime(rule.startHour * 60 + rule.startMinute)} - {minutesToTime(rule.endHour * 60 + rule.endMinute)}
+                                </p>
+                                <p className="text-xs text-gray-400">
+                                    Effective {rule.effectiveFrom || 'always'} {rule.effectiveUntil ? `until ${rule.effectiveUntil}` : 'onwards'}
+                                    {rule.status === 'AMERICANO' && ` · Up to ${rule.capacity || DEFAULT_AMERICANO_CAPACITY} players`}
+                                </p>
+                            </div>
+                            {rule.id && (
+                                <div className="flex space-x-2">
+                                    <button
+                                        onClick={() => { setEditingId(rule.id); setForm(ruleToForm(rule)); setFormError(''); }}
+                                        className="px-3 py-1 border border-[#d4af37] text-[#d4af37] rounded-full text-sm hover:bg-[#d4af37]/20 transition duration-150"
+                                    >
+                                        Edit
+                                    </button>
+                                    <button
+                                        onClick={() => handleDelete(rule.id)}
+                                        className="px-3 py-1 bg-red-500 text-white rounded-full text-sm hover:bg-red-600 transition duration-150"
+                                    >
+                                        Remove
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            {/* Add / Edit Form */}
+            <form onSubmit={handleSave} className="space-y-4 p-4 bg-[#0e1f37] rounded-lg">
+                <h3 className="text-xl font-bold text-[#d4af37]">{editingId ? 'Edit Rule' : 'Add Rule'}</h3>
+
+                {formError && (
+                    <div className="bg-red-700 text-white font-semibold p-3 rounded-lg text-center">{formError}</div>
+                )}
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <label className="block">
+                        <span className="block text-sm mb-1">Status</span>
+                        <select value={form.status} onChange={(e) => setForm({ ...form, status: e.target.value })} className={inputClass}>
+                            {SPECIAL_SLOT_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+                        </select>
+                    </label>
+                    <label className="block">
+                        <span className="block text-sm mb-1">Colour</span>
+                        <select value={form.color} onChange={(e) => setForm({ ...form, color: e.target.value })} className={inputClass}>
+                            {Object.entries(SPECIAL_SLOT_COLORS).map(([key, color]) => <option key={key} value={key}>{color.label}</option>)}
+                        </select>
+                    </label>
+                </div>
+
+                <label className="block">
+                    <span className="block text-sm mb-1">Message shown to members</span>
+                    <input type="text" value={form.message} onChange={(e) => setForm({ ...form, message: e.target.value })} className={inputClass} placeholder="e.g. First Come First Serve Hours" />
+                </label>
+
+                <div>
+                    <span className="block text-sm mb-1">Days</span>
+                    <div className="flex flex-wrap gap-2">
+                        {DAYS.map((day, index) => (
+                            <label key={day} className="flex items-center space-x-1 cursor-pointer">
+                                <input type="checkbox" checked={form.days.includes(index)} onChange={() => toggleDay(index)} />
+                                <span>{day}</span>
+                            </label>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                    <label className="block">
+                        <span className="block text-sm mb-1">Start time</span>
+                        <input type="time" step="1800" value={form.startTime} onChange={(e) => setForm({ ...form, startTime: e.target.value })} className={inputClass} />
+                    </label>
+                    <label className="block">
+                        <span className="block text-sm mb-1">End time</span>
+                        <input type="time" step="1800" value={form.endTime} onChange={(e) => setForm({ ...form, endTime: e.target.value })} className={inputClass} />
+                    </label>
+                    <label className="block">
+                        <span className="block text-sm mb-1">Effective from (optional)</span>
+                        <input type="date" value={form.effectiveFrom} onChange={(e) => setForm({ ...form, effectiveFrom: e.target.value })} className={inputClass} />
+                    </label>
+                    <label className="block">
+                        <span className="block text-sm mb-1">Effective until (optional)</span>
+                        <input type="date" value={form.effectiveUntil} onChange={(e) => setForm({ ...form, effectiveUntil: e.target.value })} className={inputClass} />
+                    </label>
+                </div>
+
+                {form.status === 'AMERICANO' && (
+                    <label className="block">
+                        <span className="block text-sm mb-1">Player capacity per session</span>
+                        <input type="number" min="4" step="1" value={form.capacity} onChange={(e) => setForm({ ...form, capacity: e.target.value })} className={inputClass} />
+                    </label>
+                )}
+
+                <div className="flex justify-end space-x-4">
+                    {editingId && (
+                        <button type="button" onClick={resetForm} className="px-6 py-2 border border-gray-600 text-gray-300 rounded-lg hover:bg-gray-700 transition duration-150">
+                            Cancel Edit
+                        </button>
+                    )}
+                    <button type="submit" className="px-6 py-2 bg-[#d4af37] text-[#001a35] font-bold rounded-lg hover:bg-yellow-400 transition duration-300 shadow-md">
+                        {editingId ? 'Save Changes' : 'Add Rule'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+SpecialSlotRulesAdmin.propTypes = {
+    rules: PropTypes.arrayOf(PropTypes.object),
+    isUsingDefaults: PropTypes.bool,
+    setMessage: PropTypes.func
+};
+
+export default SpecialSlotRulesAdmin;
@@ -0,0 +1,244 @@
+import { collection, onSnapshot, query, where } from 'firebase/firestore';
+import { useEffect, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { BOOKINGS_PATH, MEMBERS_PATH, STATEMENT_PAYMENTS_PATH } from '../firebase/collections';
+import { db } from '../firebase/config';
+import { setStatementLinesPaid } from '../firebase/statements';
+import { normalizeMpcNumber } from '../lib/roster';
+import { addDays, formatDate, parseDate } from '../lib/scheduling';
+import { CHARGE_LABELS, buildStatements, getLineStatus, getStatementCsvRows } from '../lib/statements';
+import { downloadCsv } from './csvDownload';
+
+const inputClass = 'px-3 py-2 rounded-lg border-2 border-[#d4af37] bg-[#0e1f37] text-white focus:outline-none focus:ring-2 focus:ring-[#d4af37]';
+const smallButtonClass = 'border border-[#d4af37] text-[#d4af37] px-3 py-1 rounded-full text-xs disabled:opacity-50 hover:bg-[#d4af37]/20 transition duration-150';
+
+const formatDay = (dateString) => parseDate(dateString).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+const formatAmount = (amount) => `PHP ${amount.toFixed(2)}`;
+
+// Statements are usually run for the month just ended
+const getPreviousMonth = () => {
+    const firstOfMonth = `${formatDate(new Date()).slice(0, 7)}-01`;
+    const to = addDays(firstOfMonth, -1);
+    return { from: `${to.slice(0, 7)}-01`, to };
+};
+
+/**
+ * Admin screen for member account statements: each member's court fees, guest fees and
+ * late-cancellation and no-show charges for a period, with a paid/unpaid status per line,
+ * a CSV export for the accounting office and a printable view.
+ * @param {object} props
+ * @param {string} props.userId - The admin's uid.
+ * @param {Function} props.setMessage - Shows a status message in the app banner.
+ */
+const StatementsAdmin = ({ userId, setMessage }) => {
+    const [period, setPeriod] = useState(getPreviousMonth);
+    const [bookings, setBookings] = useState([]);
+    const [payments, setPayments] = useState([]);
+    const [members, setMembers] = useState(new Map());
+    const [search, setSearch] = useState('');
+    const [isUnpaidOnly, setIsUnpaidOnly] = useState(false);
+    const [savingIds, setSavingIds] = useState([]);
+
+    const isValidPeriod = !!period.from && !!period.to && period.from <= period.to;
+
+    // Live listeners for the period's bookings and the payments recorded against them
+    useEffect(() => {
+        if (!isValidPeriod) {
+            setBookings([]);
+            setPayments([]);
+            return;
+        }
+
+        const inPeriod = (path) => query(collection(db, path), where('date', '>=', period.from), where('date', '<=', period.to));
+
+        const unsubscribeBookings = onSnapshot(inPeriod(BOOKINGS_PATH), (snapshot) => {
+            setBookings(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => {
+            console.error("Statement Bookings Snapshot Error:", error);
+            setMessage("Error fetching bookings for the selected period.");
+        });
+        const unsubscribePayments = onSnapshot(inPeriod(STATEMENT_PAYMENTS_PATH), (snapshot) => {
+            setPayments(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => {
+            console.error("Statement Payments Snapshot Error:", error);
+            setMessage("Error fetching payments for the selected period.");
+        });
+
+        return () => {
+            unsubscribeBookings();
+            unsubscribePayments();
+        };
+    }, [isValidPeriod, period.from, period.to, setMessage]);
+
+    // Member names and emails for the statement headers
+    useEffect(() => {
+        const unsubscribe = onSnapshot(collection(db, MEMBERS_PATH), (snapshot) => {
+            setMembers(new Map(snapshot.docs.map(d => [d.id, d.data()])));
+        }, (error) => {
+            console.error("Statement Members Snapshot Error:", error);
+            setMessage("Error fetching the member roster.");
+        });
+        return () => unsubscribe();
+    }, [setMessage]);
+
+    const statements = useMemo(() => {
+        const term = search.trim().toLowerCase();
+        return buildStatements({ bookings, payments })
+            .filter(statement => !isUnpaidOnly || statement.unpaid > 0)
+            .filter(statement => !term || [statement.mpcNumber, members.get(normalizeMpcNumber(statement.mpcNumber))?.name]
+                .some(value => (value || '').toLowerCase().includes(term)));
+    }, [bookings, payments, members, search, isUnpaidOnly]);
+
+    const totals = statements.reduce((sum, statement) => ({
+        total: sum.total + statement.total,
+        unpaid: sum.unpaid + statement.unpaid
+    }), { total: 0, unpaid: 0 });
+
+    const getMember = (mpcNumber) => members.get(normalizeMpcNumber(mpcNumber)) || {};
+
+    const handleSetPaid = async (lines, paid) => {
+        const ids = lines.map(line => line.id);
+        setSavingIds(current => [...current, ...ids]);
+        try {
+            await setStatementLinesPaid({ lines, paid, actorId: userId });
+        } catch (error) {
+            console.error("Error updating statement lines:", error);
+            setMessage("Failed to update the payment status. Check console for details.");
+        } finally {
+            setSavingIds(current => current.filter(id => !ids.includes(id)));
+        }
+    };
+
+    const handleDownloadCsv = () => {
+        const rosterByMpc = new Map(statements.map(statement => [statement.mpcNumber, getMember(statement.mpcNumber)]));
+        downloadCsv(`statements-${period.from}-to-${period.to}.csv`, getStatementCsvRows(statements, rosterByMpc));
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-wrap items-end gap-4 print:hidden">
+                <label className="block">
+                    <span className="block text-sm mb-1">From</span>
+                    <input type="date" value={period.from} onChange={(e) => setPeriod(current => ({ ...current, from: e.target.value }))} className={inputClass} />
+                </label>
+                <label className="block">
+                    <span className="block text-sm mb-1">To</span>
+                    <input type="date" value={period.to} onChange={(e) => setPeriod(current => ({ ...current, to: e.target.value }))} className={inputClass} />
+                </label>
+                <input type="search" value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search MPC number or name" className={inputClass} />
+                <label className="flex items-center gap-2 text-sm pb-2">
+                    <input type="checkbox" checked={isUnpaidOnly} onChange={(e) => setIsUnpaidOnly(e.target.checked)} className="accent-[#d4af37]" />
+                    Unpaid only
+                </label>
+            </div>
+
+            {!isValidPeriod ? (
+                <p className="text-red-300 text-sm">Please choose a period that ends on or after the day it starts.</p>
+            ) : statements.length === 0 ? (
+                <p className="text-gray-400 text-sm">No charges for the selected period.</p>
+            ) : (
+                <>
+                    <div className="flex flex-wrap items-center justify-between gap-2 print:hidden">
+                        <p className="text-sm text-gray-300">
+                            {statements.length} member{statements.length !== 1 ? 's' : ''} · Total {formatAmount(totals.total)} · Unpaid {formatAmount(totals.unpaid)}
+                        </p>
+                        <div className="flex gap-2">
+                            <button onClick={handleDownloadCsv} className={smallButtonClass}>Download CSV</button>
+                            <button onClick={() => window.print()} className={smallButtonClass}>Print Statements</button>
+                        </div>
+                    </div>
+                    <p className="text-gray-400 text-xs print:hidden">
+                        Court and guest fees are charged once a booking has started; late-cancellation and no-show fees as soon as they are recorded.
+                    </p>
+
+                    <div className="print-area space-y-6">
+                        {statements.map(statement => {
+                            const member = getMember(statement.mpcNumber);
+                            const unpaidLines = statement.lines.filter(line => !line.paid);
+                            return (
+                                <div key={statement.mpcNumber} className="p-4 bg-[#0e1f37] rounded-lg print:bg-white print:text-black print:break-after-page">
+                                    <div className="flex flex-wrap items-start justify-between gap-2 mb-3">
+                                        <div>
+                                            <h3 className="text-lg font-bold text-[#d4af37] print:text-black">
+                                                {member.name || 'Member'} <span className="text-gray-400 text-sm font-normal print:text-gray-600">({statement.mpcNumber})</span>
+                                            </h3>
+                                            {member.email && <p className="text-xs text-gray-400 print:text-gray-600">{member.email}</p>}
+                                            <p className="text-xs text-gray-400 print:text-gray-600">Statement for {formatDay(period.from)} - {formatDay(period.to)}</p>
+                                        </div>
+                                        {unpaidLines.length > 0 && (
+                                            <button
+                                                onClick={() => handleSetPaid(unpaidLines, true)}
+                                                disabled={unpaidLines.some(line => savingIds.includes(line.id))}
+                                                className={`${smallButtonClass} print:hidden`}
+                                            >
+                                                Mark All Paid
+                                            </button>
+                                        )}
+                                    </div>
+                                    <div className="overflow-x-auto">
+                                        <table className="w-full text-sm text-left">
+                                            <thead className="text-[#d4af37] border-b border-gray-700 print:text-black">
+                                                <tr>
+                                                    <th className="py-2 pr-3">Date</th>
+                                                    <th className="py-2 pr-3">Time</th>
+                                                    <th className="py-2 pr-3">Court</th>
+                                                    <th className="py-2 pr-3">Charge</th>
+                                                    <th className="py-2 pr-3">Details</th>
+                                                    <th className="py-2 pr-3 text-right">Amount</th>
+                                                    <th className="py-2">Status</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {statement.lines.map(line => (
+                                                    <tr key={line.id} className="border-b border-gray-800 print:border-gray-300">
+                                                        <td className="py-2 pr-3 whitespace-nowrap">{formatDay(line.date)}</td>
+                                                        <td className="py-2 pr-3 whitespace-nowrap">{line.timeRange}</td>
+                                                        <td className="py-2 pr-3">{line.courtName}</td>
+                                                        <td className="py-2 pr-3">{CHARGE_LABELS[line.charge]}</td>
+                                                        <td className="py-2 pr-3">{line.description}</td>
+                                                        <td className="py-2 pr-3 text-right whitespace-nowrap">{formatAmount(line.amount)}</td>
+                                                        <td className="py-2 whitespace-nowrap">
+                                                            <span className={`print:text-black ${line.paid ? 'text-green-400' : 'text-red-300'}`}>
+                                                                {getLineStatus(line)}{line.paidAmount > 0 && !line.paid ? ` (${formatAmount(line.paidAmount)})` : ''}
+                                                            </span>
+                                                            <button
+                                                                onClick={() => handleSetPaid([line], !line.paid)}
+                                                                disabled={savingIds.includes(line.id)}
+                                                                className="ml-2 text-xs text-[#d4af37] underline disabled:opacity-50 print:hidden"
+                                                            >
+                                                                {line.paid ? 'Undo' : 'Mark paid'}
+                                                            </button>
+                                                        </td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                            <tfoot className="font-semibold">
+                                                <tr>
+                                                    <td colSpan={5} className="pt-2 pr-3 text-right">Total</td>
+                                                    <td className="pt-2 pr-3 text-right whitespace-nowrap">{formatAmount(statement.total)}</td>
+                                                    <td></td>
+                                                </tr>
+                                                <tr>
+                                                    <td colSpan={5} className="pr-3 text-right">Balance due</td>
+                                                    <td className="pr-3 text-right whitespace-nowrap">{formatAmount(statement.unpaid)}</td>
+                                                    <td></td>
+                                                </tr>
+                                            </tfoot>
+                                        </table>
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+StatementsAdmin.propTypes = {
+    userId: PropTypes.string,
+    setMessage: PropTypes.func
+};
+
+export default StatementsAdmin;
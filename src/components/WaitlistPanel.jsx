@@ -0,0 +1,73 @@
+import PropTypes from 'prop-types';
+import { getBlockTimeRange, parseDate } from '../lib/scheduling';
+import { WAITLIST_STATUS, getEntrySlots, getOfferExpiresAt, getQueuePosition, orderQueue } from '../lib/waitlist';
+
+const formatEntryDate = (dateString) =>
+    parseDate(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric', weekday: 'short' });
+
+const formatTime = (date) =>
+    date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+
+/**
+ * The signed-in member's waitlist entries: place in the queue, and courts held for them to claim.
+ * @param {object} props
+ * @param {Array<object>} props.entries - All open waitlist entries (needed to work out queue positions).
+ * @param {string} props.userId - The signed-in member's uid.
+ * @param {Function} props.onClaim - Opens the claim confirmation for an offered entry.
+ * @param {Function} props.onLeave - Leaves the queue or declines an offer.
+ */
+const WaitlistPanel = ({ entries, userId, onClaim, onLeave }) => {
+    const ownEntries = orderQueue(entries).filter(entry => entry.userId === userId);
+    if (ownEntries.length === 0) return null;
+
+    return (
+        <div className="bg-[#001a35] p-4 rounded-xl my-6 shadow-md">
+            <h2 className="text-lg font-bold text-[#d4af37] mb-3">Your Waitlist</h2>
+            <div className="space-y-2">
+                {ownEntries.map(entry => (
+                    <div key={entry.id} className="flex flex-wrap justify-between items-center gap-2 p-3 bg-[#0e1f37] rounded-lg">
+                        <div className="text-sm">
+                            <p className="font-semibold text-white">
+                                {formatEntryDate(entry.date)}, {getBlockTimeRange(getEntrySlots(entry))}
+                            </p>
+                            {entry.status === WAITLIST_STATUS.OFFERED ? (
+                                <p className="text-green-400">
+                                    {entry.courtName || entry.court} is held for you until {formatTime(getOfferExpiresAt(entry))}.
+                                </p>
+                            ) : (
+                                <p className="text-gray-400">
+                                    Position {getQueuePosition(entry, entries)} in the queue.
+                                </p>
+                            )}
+                        </div>
+                        <div className="flex gap-2">
+                            {entry.status === WAITLIST_STATUS.OFFERED && (
+                                <button
+                                    onClick={() => onClaim(entry)}
+                                    className="bg-green-600 text-white px-3 py-1 rounded-full text-xs font-bold hover:bg-green-700 transition duration-150"
+                                >
+                                    Claim
+                                </button>
+                            )}
+                            <button
+                                onClick={() => onLeave(entry)}
+                                className="border border-gray-600 text-gray-300 px-3 py-1 rounded-full text-xs hover:bg-gray-700 transition duration-150"
+                            >
+                                {entry.status === WAITLIST_STATUS.OFFERED ? 'Decline' : 'Leave'}
+                            </button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+WaitlistPanel.propTypes = {
+    entries: PropTypes.arrayOf(PropTypes.object),
+    userId: PropTypes.string,
+    onClaim: PropTypes.func,
+    onLeave: PropTypes.func
+};
+
+export default WaitlistPanel;
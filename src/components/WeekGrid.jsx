@@ -0,0 +1,109 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { TIME_SLOTS, addDays, buildDaySlots, parseDate } from '../lib/scheduling';
+import { getSpecialSlotColor } from './slotColors';
+
+/**
+ * Court availability for seven days side by side, one row per 30-minute slot. Special
+ * windows (FCFS, Americano, closed) are shaded in their rule colour. Clicking a cell selects
+ * it like the day grid does; selecting on another day moves the booking date there.
+ * @param {object} props
+ * @param {string} props.weekStart - First day shown (YYYY-MM-DD).
+ * @param {string} props.selectedDate - The date the current selection belongs to (YYYY-MM-DD).
+ * @param {Array<object>} props.reservations - Per-slot occupancy entries (see expandBookings).
+ * @param {string} props.userId - The signed-in member's uid.
+ * @param {string} props.mpcNumber - The signed-in member's MPC number.
+ * @param {Array<object>} props.selectedSlots - The selected slots on selectedDate.
+ * @param {Array<object>} props.specialSlotRules - The special slot rules in effect.
+ * @param {Array<object>} props.courts - The club's courts (see getActiveCourts).
+ * @param {string|null} props.lastBookableDate - Days after this are shown but not selectable.
+ * @param {Function} props.onSelect - Called with (slot, dateString) when a cell is clicked.
+ */
+const WeekGrid = ({ weekStart, selectedDate, reservations, userId, mpcNumber, selectedSlots, specialSlotRules, courts, lastBookableDate, onSelect }) => {
+    const days = useMemo(() => Array.from({ length: 7 }, (_, i) => {
+        const dateString = addDays(weekStart, i);
+        return {
+            dateString,
+            isBeyondWindow: !!lastBookableDate && dateString > lastBookableDate,
+            slots: buildDaySlots({
+                date: parseDate(dateString),
+                reservations,
+                userId,
+                mpcNumber,
+                selectedSlots: dateString === selectedDate ? selectedSlots : [],
+                specialSlotRules,
+                courts
+            })
+        };
+    }), [weekStart, selectedDate, reservations, userId, mpcNumber, selectedSlots, specialSlotRules, courts, lastBookableDate]);
+
+    const getCellStyle = (slot, isBeyondWindow) => {
+        if (slot.isSpecialSlot) return `${getSpecialSlotColor(slot.specialStatus.color).card} cursor-not-allowed`;
+        if (slot.isDisabled || isBeyondWindow) return 'bg-gray-800 text-gray-500 cursor-not-allowed';
+        // A fully booked selection is for the waitlist, as in the day grid
+        if (slot.isSelected) return `${slot.isFullyBooked ? 'bg-amber-800' : 'bg-green-700'} text-white cursor-pointer`;
+        if (slot.isFullyBooked) return 'bg-red-900 text-red-200 cursor-pointer';
+        if (slot.isUserBooking) return 'bg-indigo-700 text-white cursor-pointer';
+        return 'bg-[#001a35] text-[#d4af37] hover:bg-[#d4af37]/20 cursor-pointer';
+    };
+
+    const getCellLabel = (slot) => {
+        if (slot.isSpecialSlot) return slot.specialStatus.status;
+        if (slot.isFullyBooked) return 'Full';
+        if (slot.isUserBooking) return 'Yours';
+        return `${slot.availableCourts}/${slot.courtCount}`;
+    };
+
+    return (
+        <div className="overflow-x-auto bg-[#001a35] p-2 rounded-xl shadow-md">
+            <table className="w-full border-separate border-spacing-1 text-xs">
+                <thead>
+                    <tr>
+                        <th className="text-gray-400 font-medium text-left px-1">Time</th>
+                        {days.map(day => (
+                            <th key={day.dateString} className={`font-semibold px-1 ${day.dateString === selectedDate ? 'text-[#d4af37]' : 'text-white'}`}>
+                                {parseDate(day.dateString).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+                            </th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody>
+                    {TIME_SLOTS.map((time, row) => (
+                        <tr key={time}>
+                            <td className="text-gray-400 whitespace-nowrap px-1">{time.split(' - ')[0]}</td>
+                            {days.map(day => {
+                                const slot = day.slots[row];
+                                const isSelectable = !slot.isDisabled && !day.isBeyondWindow;
+                                return (
+                                    <td
+                                        key={day.dateString}
+                                        onClick={() => isSelectable && onSelect(slot, day.dateString)}
+                                        title={slot.isSpecialSlot ? slot.specialStatus.message : undefined}
+                                        className={`text-center rounded py-1 min-w-[3.5rem] transition duration-150 ${getCellStyle(slot, day.isBeyondWindow)}`}
+                                    >
+                                        {getCellLabel(slot)}
+                                    </td>
+                                );
+                            })}
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+WeekGrid.propTypes = {
+    weekStart: PropTypes.string,
+    selectedDate: PropTypes.string,
+    reservations: PropTypes.arrayOf(PropTypes.object),
+    userId: PropTypes.string,
+    mpcNumber: PropTypes.string,
+    selectedSlots: PropTypes.arrayOf(PropTypes.object),
+    specialSlotRules: PropTypes.arrayOf(PropTypes.object),
+    courts: PropTypes.arrayOf(PropTypes.object),
+    lastBookableDate: PropTypes.string,
+    onSelect: PropTypes.func
+};
+
+export default WeekGrid;
@@ -0,0 +1,11 @@
+import { formatCsv } from '../lib/csv';
+
+// Saves rows as a CSV file through the browser's download prompt
+export const downloadCsv = (fileName, rows) => {
+    const url = URL.createObjectURL(new Blob([formatCsv(rows)], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
@@ -0,0 +1,37 @@
+// Tailwind classes for special slot colours. Class names must appear in full
+// here (not built from strings) so Tailwind keeps them in the production build.
+export const SPECIAL_SLOT_COLORS = {
+    purple: {
+        label: 'Purple',
+        card: 'bg-purple-900 border-2 border-purple-500',
+        text: 'text-purple-300',
+        badge: 'text-purple-300 border-purple-500'
+    },
+    teal: {
+        label: 'Teal',
+        card: 'bg-teal-900 border-2 border-teal-500',
+        text: 'text-teal-300',
+        badge: 'text-teal-300 border-teal-500'
+    },
+    amber: {
+        label: 'Amber',
+        card: 'bg-amber-900 border-2 border-amber-500',
+        text: 'text-amber-300',
+        badge: 'text-amber-300 border-amber-500'
+    },
+    sky: {
+        label: 'Sky',
+        card: 'bg-sky-900 border-2 border-sky-500',
+        text: 'text-sky-300',
+        badge: 'text-sky-300 border-sky-500'
+    },
+    rose: {
+        label: 'Rose',
+        card: 'bg-rose-900 border-2 border-rose-500',
+        text: 'text-rose-300',
+        badge: 'text-rose-300 border-rose-500'
+    }
+};
+
+// Falls back to purple for unknown or missing colours
+export const getSpecialSlotColor = (color) => SPECIAL_SLOT_COLORS[color] || SPECIAL_SLOT_COLORS.purple;
@@ -0,0 +1,133 @@
+import {
+    createUserWithEmailAndPassword,
+    deleteUser,
+    sendEmailVerification,
+    sendPasswordResetEmail,
+    signInWithEmailAndPassword
+} from 'firebase/auth';
+import { doc, getDoc, runTransaction } from 'firebase/firestore';
+import { normalizeMpcNumber, verifyMemberLogin } from '../lib/roster';
+import { USERS_PATH } from './collections';
+import { auth, db } from './config';
+import { getMemberRef } from './members';
+
+export const getUserProfileRef = (uid) => doc(db, USERS_PATH, uid);
+
+// Friendly messages for the Firebase Auth errors members are likely to hit
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-credential': 'Incorrect email or password.',
+    'auth/wrong-password': 'Incorrect email or password.',
+    'auth/user-not-found': 'Incorrect email or password.',
+    'auth/invalid-email': 'Please enter a valid email address.',
+    'auth/email-already-in-use': 'An account already exists for this email. Please sign in instead.',
+    'auth/weak-password': 'Please choose a password of at least 6 characters.',
+    'auth/too-many-requests': 'Too many attempts. Please wait a few minutes and try again.',
+    'auth/network-request-failed': 'Network error. Please check your connection and try again.'
+};
+
+/**
+ * Converts a Firebase Auth error into a message for the member.
+ * @param {Error} error - The error thrown by Firebase Auth.
+ * @returns {string}
+ */
+export const describeAuthError = (error) =>
+    AUTH_ERROR_MESSAGES[error && error.code] || 'Something went wrong. Please try again.';
+
+// Why a roster entry cannot be linked to the account, or null if it can
+const getLinkRefusal = (member, mpcNumber, user) => {
+    const refusal = verifyMemberLogin(member, mpcNumber, user.email || '');
+    if (refusal) return refusal;
+    if (member.uid && member.uid !== user.uid) {
+        return `MPC Number ${mpcNumber} is already linked to another account. Please sign in with that account or contact the club office.`;
+    }
+    return null;
+};
+
+/**
+ * Checks whether the account's email has been verified. The ID token is refreshed once it
+ * has, so the security rules see the verified email straight away.
+ * @param {object} user - The Firebase Auth user.
+ * @returns {Promise<boolean>}
+ */
+const refreshEmailVerification = async (user) => {
+    await user.reload();
+    if (!user.emailVerified) return false;
+    await user.getIdToken(true);
+    return true;
+};
+
+/**
+ * Sends (or sends again) the link that verifies the account's email address.
+ * @param {object} user - The Firebase Auth user.
+ * @returns {Promise<void>}
+ */
+export const sendVerificationEmail = (user) => sendEmailVerification(user);
+
+/**
+ * Links the signed-in account to a roster entry once its email has been verified, so only
+ * someone with access to the member's inbox can claim the membership. The roster check, the
+ * one-account-per-member check and both writes happen in one transaction.
+ * @param {object} user - The Firebase Auth user.
+ * @param {string} mpcNumber - The MPC number entered by the member.
+ * @returns {Promise<string|null>} A message explaining why linking is refused, or null on success.
+ */
+export const linkMemberAccount = async (user, mpcNumber) => {
+    const normalizedMpc = normalizeMpcNumber(mpcNumber);
+    const memberRef = getMemberRef(normalizedMpc);
+
+    if (!await refreshEmailVerification(user)) {
+        return `Please verify your email address first: open the link we sent to ${user.email}, then try again.`;
+    }
+
+    return runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(memberRef);
+        const member = snapshot.exists() ? snapshot.data() : null;
+
+        const refusal = getLinkRefusal(member, normalizedMpc, user);
+        if (refusal) return refusal;
+
+        const linkedAt = new Date().toISOString();
+        transaction.update(memberRef, { uid: user.uid, linkedAt });
+        transaction.set(getUserProfileRef(user.uid), {
+            mpcNumber: normalizedMpc,
+            email: user.email,
+            name: member.name || '',
+            linkedAt
+        });
+        return null;
+    });
+};
+
+/**
+ * Creates an email/password account for a roster member and sends the email verification
+ * link. The account stays unlinked until the member has verified their email and links it
+ * (see {@link linkMemberAccount}); it is removed again if the roster refuses the member.
+ * @param {object} params
+ * @param {string} params.mpcNumber - The member's MPC number.
+ * @param {string} params.email - The member's email (must match the roster).
+ * @param {string} params.password - The chosen password.
+ * @returns {Promise<string|null>} A message explaining why registration is refused, or null on success.
+ */
+export const registerMember = async ({ mpcNumber, email, password }) => {
+    const credential = await createUserWithEmailAndPassword(auth, email.trim(), password);
+
+    let refusal;
+    try {
+        const normalizedMpc = normalizeMpcNumber(mpcNumber);
+        const snapshot = await getDoc(getMemberRef(normalizedMpc));
+        refusal = getLinkRefusal(snapshot.exists() ? snapshot.data() : null, normalizedMpc, credential.user);
+        if (!refusal) await sendVerificationEmail(credential.user);
+    } catch (error) {
+        await deleteUser(credential.user).catch(e => console.error("Error removing unlinked account:", e));
+        throw error;
+    }
+
+    if (refusal) {
+        await deleteUser(credential.user).catch(e => console.error("Error removing unlinked account:", e));
+    }
+    return refusal;
+};
+
+export const signInMember = (email, password) => signInWithEmailAndPassword(auth, email.trim(), password);
+
+export const sendPasswordReset = (email) => sendPasswordResetEmail(auth, email.trim());
@@ -0,0 +1,135 @@
+import { doc, runTransaction, updateDoc } from 'firebase/firestore';
+import { AMERICANO_STATUS } from '../lib/americano';
+import { normalizeMpcNumber } from '../lib/roster';
+import { AMERICANO_SESSIONS_PATH } from './collections';
+import { db } from './config';
+import { getMemberRef } from './members';
+import { logAdminAction } from './reservations';
+
+export const getAmericanoSessionRef = (sessionId) => doc(db, AMERICANO_SESSIONS_PATH, sessionId);
+
+/**
+ * Signs a member up for an Americano session, up to its capacity. The session document is
+ * created by the first sign-up, with the capacity of its Americano rule, which later
+ * sign-ups keep. The player's name is copied from the roster for the
+ * organiser's list and the standings.
+ * @param {object} params
+ * @param {object} params.session - The session (see getAmericanoSessions).
+ * @param {{userId: string, mpcNumber: string, email: string}} params.member - Who is signing up.
+ * @returns {Promise<string|null>} A refusal message, or null once the member is registered.
+ */
+export const joinAmericanoSession = ({ session, member }) =>
+    runTransaction(db, async (transaction) => {
+        const sessionRef = getAmericanoSessionRef(session.id);
+        const mpcNumber = normalizeMpcNumber(member.mpcNumber);
+        const [snapshot, roster] = await Promise.all([
+            transaction.get(sessionRef),
+            transaction.get(getMemberRef(mpcNumber))
+        ]);
+        const stored = snapshot.exists() ? snapshot.data() : null;
+        const players = stored ? stored.players : [];
+        const capacity = stored ? stored.capacity : session.capacity;
+
+        if (stored && stored.status !== AMERICANO_STATUS.OPEN) return 'Sign-ups for this session have closed.';
+        if (players.some(player => player.mpcNumber === mpcNumber)) return 'You are already signed up for this session.';
+        if (players.length >= capacity) return `This session is full (${capacity} players).`;
+
+        const now = new Date().toISOString();
+        const player = {
+            mpcNumber,
+            userId: member.userId,
+            email: member.email,
+            name: (roster.exists() && roster.data().name) || mpcNumber,
+            joinedAt: now
+        };
+
+        if (stored) {
+            transaction.update(sessionRef, { players: [...players, player], updatedAt: now });
+        } else {
+            transaction.set(sessionRef, {
+                date: session.date,
+                startTime: session.startTime,
+                endTime: session.endTime,
+                title: session.title,
+                capacity,
+                ruleId: session.ruleId,
+                players: [player],
+                status: AMERICANO_STATUS.OPEN,
+                rounds: [],
+                scores: {},
+                createdAt: now,
+                updatedAt: now
+            });
+        }
+        return null;
+    });
+
+/**
+ * Takes a member off an Americano session while sign-ups are still open.
+ * @param {string} sessionId - The session.
+ * @param {string} mpcNumber - The member's MPC number.
+ * @returns {Promise<boolean>} False if the member was not signed up or sign-ups have closed.
+ */
+export const leaveAmericanoSession = (sessionId, mpcNumber) =>
+    runTransaction(db, async (transaction) => {
+        const sessionRef = getAmericanoSessionRef(sessionId);
+        const snapshot = await transaction.get(sessionRef);
+        if (!snapshot.exists() || snapshot.data().status !== AMERICANO_STATUS.OPEN) return false;
+
+        const players = snapshot.data().players;
+        const remaining = players.filter(player => player.mpcNumber !== normalizeMpcNumber(mpcNumber));
+        if (remaining.length === players.length) return false;
+
+        transaction.update(sessionRef, { players: remaining, updatedAt: new Date().toISOString() });
+        return true;
+    });
+
+/**
+ * Stores a generated rotation and closes sign-ups. Any scores from an earlier rotation are
+ * cleared, since they refer to different matches.
+ * @param {object} params
+ * @param {string} params.sessionId - The session.
+ * @param {Array<object>} params.rounds - The rotation (see generateAmericanoRounds).
+ * @param {number} params.pointsPerMatch - Points played per match.
+ * @param {string} params.actorId - The organiser's uid.
+ * @returns {Promise<void>}
+ */
+export const saveAmericanoRotation = async ({ sessionId, rounds, pointsPerMatch, actorId }) => {
+    await updateDoc(getAmericanoSessionRef(sessionId), {
+        rounds,
+        pointsPerMatch,
+        scores: {},
+        status: AMERICANO_STATUS.SCHEDULED,
+        scheduledAt: new Date().toISOString(),
+        scheduledBy: actorId,
+        updatedAt: new Date().toISOString()
+    });
+    await logAdminAction({ action: 'americano_rotation', actorId, sessionId, roundCount: rounds.length });
+};
+
+/**
+ * Reopens sign-ups and discards the rotation and its scores.
+ * @param {string} sessionId - The session.
+ * @param {string} actorId - The organiser's uid.
+ * @returns {Promise<void>}
+ */
+export const reopenAmericanoSession = async (sessionId, actorId) => {
+    await updateDoc(getAmericanoSessionRef(sessionId), {
+        rounds: [],
+        scores: {},
+        status: AMERICANO_STATUS.OPEN,
+        updatedAt: new Date().toISOString()
+    });
+    await logAdminAction({ action: 'americano_reopen', actorId, sessionId });
+};
+
+/**
+ * Saves the scores of one round, leaving the other rounds' scores untouched.
+ * @param {string} sessionId - The session.
+ * @param {Object<string, {teamA: number, teamB: number}>} roundScores - Scores by match key (see getMatchKey).
+ * @returns {Promise<void>}
+ */
+export const saveAmericanoScores = async (sessionId, roundScores) => {
+    const fields = Object.fromEntries(Object.entries(roundScores).map(([key, score]) => [`scores.${key}`, score]));
+    await updateDoc(getAmericanoSessionRef(sessionId), { ...fields, updatedAt: new Date().toISOString() });
+};
@@ -0,0 +1,47 @@
+import { collection, doc, getCountFromServer, getDocs, query, where } from 'firebase/firestore';
+import { isActiveReservation } from '../lib/scheduling';
+import { commitInBatches } from './batches';
+import { BOOKINGS_PATH, BOOKING_ARCHIVE_PATH } from './collections';
+import { db } from './config';
+import { getLockRefs, logAdminAction } from './reservations';
+
+const bookingsBefore = (cutoffDate) => query(collection(db, BOOKINGS_PATH), where('date', '<', cutoffDate));
+
+/**
+ * Counts the bookings an archive run would move.
+ * @param {string} cutoffDate - Bookings dated before this day (YYYY-MM-DD) are counted.
+ * @returns {Promise<number>}
+ */
+export const countBookingsBefore = async (cutoffDate) => {
+    const snapshot = await getCountFromServer(bookingsBefore(cutoffDate));
+    return snapshot.data().count;
+};
+
+/**
+ * Moves bookings dated before the cutoff to the archive collection, keeping their ids, and
+ * removes their slot locks, which no longer protect anything. Each booking is copied before
+ * it is deleted, so running the archive again after an error is harmless.
+ * @param {string} cutoffDate - Bookings dated before this day (YYYY-MM-DD) are archived.
+ * @param {string} actorId - The admin's uid.
+ * @returns {Promise<number>} The number of bookings archived.
+ */
+export const archiveBookingsBefore = async (cutoffDate, actorId) => {
+    const snapshot = await getDocs(bookingsBefore(cutoffDate));
+    const archivedAt = new Date().toISOString();
+
+    const writes = [];
+    snapshot.docs.forEach(d => {
+        const booking = { id: d.id, ...d.data() };
+        writes.push(batch => batch.set(doc(db, BOOKING_ARCHIVE_PATH, d.id), { ...d.data(), archivedAt, archivedBy: actorId }));
+        if (isActiveReservation(booking)) {
+            getLockRefs(booking).forEach(lockRef => writes.push(batch => batch.delete(lockRef)));
+        }
+        writes.push(batch => batch.delete(d.ref));
+    });
+
+    await commitInBatches(writes);
+
+    await logAdminAction({ action: 'archive_bookings', actorId, cutoffDate, bookings: snapshot.size });
+
+    return snapshot.size;
+};
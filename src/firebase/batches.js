@@ -0,0 +1,19 @@
+import { writeBatch } from 'firebase/firestore';
+import { db } from './config';
+
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 450;
+
+/**
+ * Commits writes in as many batches as they need, one batch after another. Separate batches
+ * are not applied together, so callers keep their runs safe to repeat after an error.
+ * @param {Array<function(import('firebase/firestore').WriteBatch): void>} writes - Each adds one write to a batch.
+ * @returns {Promise<void>}
+ */
+export const commitInBatches = async (writes) => {
+    for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + BATCH_SIZE).forEach(write => write(batch));
+        await batch.commit();
+    }
+};
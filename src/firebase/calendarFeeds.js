@@ -0,0 +1,38 @@
+import { doc, writeBatch } from 'firebase/firestore';
+import { getUserProfileRef } from './accounts';
+import { CALENDAR_FEEDS_PATH } from './collections';
+import { calendarFeedUrl, db } from './config';
+
+// 128 random bits as hex: the token is the only secret protecting the feed
+const generateToken = () =>
+    Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Builds the subscription URL for a feed token.
+ * @param {string} token - The member's feed token.
+ * @returns {string|null} The URL, or null if no feed function is configured.
+ */
+export const getCalendarFeedUrl = (token) =>
+    calendarFeedUrl && token ? `${calendarFeedUrl}?token=${token}` : null;
+
+/**
+ * Creates a new private feed for the member, replacing (and disabling) any previous one.
+ * @param {object} params
+ * @param {string} params.userId - The member's uid.
+ * @param {string} params.mpcNumber - The member's MPC number (the feed lists its bookings).
+ * @param {string} [params.previousToken] - The token being replaced.
+ * @returns {Promise<string>} The new token.
+ */
+export const resetCalendarFeed = async ({ userId, mpcNumber, previousToken }) => {
+    const token = generateToken();
+    const batch = writeBatch(db);
+
+    if (previousToken) {
+        batch.delete(doc(db, CALENDAR_FEEDS_PATH, previousToken));
+    }
+    batch.set(doc(db, CALENDAR_FEEDS_PATH, token), { userId, mpcNumber, createdAt: new Date().toISOString() });
+    batch.update(getUserProfileRef(userId), { calendarFeedToken: token });
+
+    await batch.commit();
+    return token;
+};
@@ -0,0 +1,38 @@
+import { appId } from './config';
+
+// All app data lives under the shared artifacts/${appId}/public/data tree
+const dataPath = (name) => `artifacts/${appId}/public/data/${name}`;
+
+// Bookings: one document per block (court, time range, booker, guests, cost, status)
+export const BOOKINGS_PATH = dataPath('padelBookings');
+// Slot locks: one document per court and 30-minute slot, pointing at the booking holding it
+export const RESERVATIONS_PATH = dataPath('padelReservations');
+// Recurring weekly bookings: the series details and the per-date booking report
+export const BOOKING_SERIES_PATH = dataPath('bookingSeries');
+export const SPECIAL_SLOT_RULES_PATH = dataPath('specialSlotRules');
+// Courts: name, attributes (lighting, shade, ...), active flag and display order
+export const COURTS_PATH = dataPath('courts');
+// Admin role: a document keyed by the admin's Firebase uid
+export const ADMINS_PATH = dataPath('admins');
+// Audit trail of admin actions (cancellations, bookings on behalf, court blocks)
+export const ADMIN_LOG_PATH = dataPath('adminLog');
+// Member roster, keyed by normalised MPC number
+export const MEMBERS_PATH = dataPath('members');
+// Private per-user profiles (MPC number linked to the Firebase Auth account), keyed by uid
+export const USERS_PATH = `artifacts/${appId}/users`;
+// Club-wide settings documents (e.g. bookingPolicy)
+export const SETTINGS_PATH = dataPath('settings');
+// Cancelled per-slot documents from before bookings owned their block (read by the migration)
+export const RESERVATION_HISTORY_PATH = dataPath('reservationHistory');
+// One document per member, rewritten by each booking so concurrent bookings re-check quotas
+export const QUOTA_LOCKS_PATH = dataPath('quotaLocks');
+// Members waiting for a court on a fully booked block, in the order they joined
+export const WAITLIST_PATH = dataPath('waitlist');
+// Private calendar feed tokens, keyed by token, read by the calendarFeed function
+export const CALENDAR_FEEDS_PATH = dataPath('calendarFeeds');
+// Americano sessions, keyed by date and start time: sign-ups, rotation and scores
+export const AMERICANO_SESSIONS_PATH = dataPath('americanoSessions');
+// Paid statement lines, keyed by booking and charge (a missing document means unpaid)
+export const STATEMENT_PAYMENTS_PATH = dataPath('statementPayments');
+// Bookings from before the archive cutoff, moved out of padelBookings with their ids and fields unchanged
+export const BOOKING_ARCHIVE_PATH = dataPath('bookingArchive');
@@ -29,6 +29,9 @@ export const appId = import.meta.env.VITE_APP_ID || 'default-app-id';
 // Initial auth token from environment (optional)
 export const initialAuthToken = import.meta.env.VITE_INITIAL_AUTH_TOKEN || null;
 
+// Deployed calendarFeed function URL (optional; members' feed links are hidden without it)
+export const calendarFeedUrl = import.meta.env.VITE_CALENDAR_FEED_URL || null;
+
 // Initialize Firebase
 let app;
 let auth;
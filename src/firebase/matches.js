@@ -0,0 +1,159 @@
+import { deleteField, runTransaction } from 'firebase/firestore';
+import { JOIN_STATUS, findJoiner, getJoiners, getOpenSpots, validateOpenMatch } from '../lib/matches';
+import { normalizeMpcNumber } from '../lib/roster';
+import { RESERVATION_STATUS, getBookingStart } from '../lib/scheduling';
+import { db } from './config';
+import { getMemberRef } from './members';
+import { getBookingRef } from './reservations';
+
+// Open-match changes record their time in matchUpdatedAt, not updatedAt, so they do not
+// send the booker a "booking changed" email for every request to join.
+
+/**
+ * Runs a change to an upcoming booking's open match in a transaction.
+ * @param {string} bookingId - The booking.
+ * @param {Function} change - (booking, now) => {update?: object, result}; checks the fresh booking.
+ * @param {*} inactiveResult - Returned when the booking is no longer active.
+ * @returns {Promise<*>} The change's result.
+ */
+const changeMatch = (bookingId, change, inactiveResult) =>
+    runTransaction(db, async (transaction) => {
+        const bookingRef = getBookingRef(bookingId);
+        const snapshot = await transaction.get(bookingRef);
+        if (!snapshot.exists() || snapshot.data().status !== RESERVATION_STATUS.BOOKED) return inactiveResult;
+
+        const now = new Date().toISOString();
+        const { update, result } = change({ id: snapshot.id, ...snapshot.data() }, now);
+        if (update) {
+            transaction.update(bookingRef, { ...update, matchUpdatedAt: now });
+        }
+        return result;
+    });
+
+/**
+ * Advertises a booking as an open match, or changes its level and number of players. The
+ * booker's name is copied from the roster so other members can see whose match it is.
+ * @param {object} params
+ * @param {object} params.booking - The booking (with id).
+ * @param {string} params.level - One of MATCH_LEVELS.
+ * @param {number} params.playersNeeded - Players the booker is looking for.
+ * @returns {Promise<string|null>} A refusal message, or null once the match is open.
+ */
+export const openMatch = ({ booking, level, playersNeeded }) =>
+    runTransaction(db, async (transaction) => {
+        const bookingRef = getBookingRef(booking.id);
+        const [snapshot, roster] = await Promise.all([
+            transaction.get(bookingRef),
+            transaction.get(getMemberRef(booking.mpcNumber))
+        ]);
+        const fresh = snapshot.exists() ? snapshot.data() : null;
+        if (!fresh || fresh.status !== RESERVATION_STATUS.BOOKED) return 'This booking can no longer be changed.';
+
+        const error = validateOpenMatch({ level, playersNeeded }, fresh);
+        if (error) return error;
+
+        const now = new Date().toISOString();
+        transaction.update(bookingRef, {
+            openMatch: {
+                level,
+                playersNeeded,
+                bookerName: (roster.exists() && roster.data().name) || fresh.mpcNumber,
+                openedAt: fresh.openMatch?.openedAt || now
+            },
+            matchUpdatedAt: now
+        });
+        return null;
+    });
+
+/**
+ * Stops advertising a booking. Approved players stay on the booking; pending requests are dropped.
+ * @param {string} bookingId - The booking.
+ * @returns {Promise<boolean>} False if the booking is no longer active.
+ */
+export const closeMatch = (bookingId) =>
+    changeMatch(bookingId, (booking) => ({
+        update: {
+            openMatch: deleteField(),
+            joiners: getJoiners(booking).filter(joiner => joiner.status === JOIN_STATUS.APPROVED)
+        },
+        result: true
+    }), false);
+
+/**
+ * Asks to join an open match. The member's name is copied from the roster for the booker.
+ * @param {object} params
+ * @param {string} params.bookingId - The booking.
+ * @param {{userId: string, mpcNumber: string, email: string}} params.member - Who wants to play.
+ * @returns {Promise<string|null>} A refusal message, or null once the request is recorded.
+ */
+export const requestToJoinMatch = ({ bookingId, member }) =>
+    runTransaction(db, async (transaction) => {
+        const mpcNumber = normalizeMpcNumber(member.mpcNumber);
+        const bookingRef = getBookingRef(bookingId);
+        const [snapshot, roster] = await Promise.all([
+            transaction.get(bookingRef),
+            transaction.get(getMemberRef(mpcNumber))
+        ]);
+        const booking = snapshot.exists() ? snapshot.data() : null;
+
+        if (!booking || booking.status !== RESERVATION_STATUS.BOOKED || !booking.openMatch) return 'This match is no longer open.';
+        if (getBookingStart(booking) <= new Date()) return 'This match has already started.';
+        if (normalizeMpcNumber(booking.mpcNumber) === mpcNumber) return 'This is your own booking.';
+        if (findJoiner(booking, mpcNumber)) return 'You have already asked to join this match.';
+        if ((booking.coPlayers || []).some(player => player.mpcNumber === mpcNumber)) return 'You are already playing in this booking.';
+        if (getOpenSpots(booking) === 0) return 'This match is already full.';
+
+        const now = new Date().toISOString();
+        transaction.update(bookingRef, {
+            joiners: [...getJoiners(booking), {
+                mpcNumber,
+                userId: member.userId,
+                email: member.email,
+                name: (roster.exists() && roster.data().name) || mpcNumber,
+                status: JOIN_STATUS.PENDING,
+                requestedAt: now
+            }],
+            matchUpdatedAt: now
+        });
+        return null;
+    });
+
+/**
+ * Approves a request to join: the member becomes one of the booking's players.
+ * @param {string} bookingId - The booking.
+ * @param {string} mpcNumber - The joiner's MPC number.
+ * @returns {Promise<string|null>} A refusal message, or null once approved.
+ */
+export const approveJoiner = (bookingId, mpcNumber) =>
+    changeMatch(bookingId, (booking, now) => {
+        const joiner = findJoiner(booking, mpcNumber);
+        if (!joiner || joiner.status !== JOIN_STATUS.PENDING) return { result: 'This request has been withdrawn.' };
+        if (getOpenSpots(booking) === 0) return { result: 'The match is already full. Ask for more players first.' };
+        return {
+            update: {
+                joiners: getJoiners(booking).map(j => (j.mpcNumber === mpcNumber ? { ...j, status: JOIN_STATUS.APPROVED, approvedAt: now } : j)),
+                players: [...new Set([...(booking.players || []), mpcNumber])]
+            },
+            result: null
+        };
+    }, 'This booking can no longer be changed.');
+
+/**
+ * Takes a member off a match: the booker removing a joiner, or a joiner withdrawing.
+ * @param {string} bookingId - The booking.
+ * @param {string} mpcNumber - The joiner's MPC number.
+ * @returns {Promise<boolean>} False if the member was not on the match or the booking is no longer active.
+ */
+export const removeJoiner = (bookingId, mpcNumber) =>
+    changeMatch(bookingId, (booking) => {
+        if (!findJoiner(booking, mpcNumber)) return { result: false };
+        return {
+            update: {
+                joiners: getJoiners(booking).filter(joiner => joiner.mpcNumber !== mpcNumber),
+                // The booker and co-players always stay players
+                players: (booking.players || []).filter(player => player !== mpcNumber || player === booking.mpcNumber
+                    || (booking.coPlayers || []).some(coPlayer => coPlayer.mpcNumber === mpcNumber))
+            },
+            result: true
+        };
+    }, false);
@@ -0,0 +1,44 @@
+import { doc, getDoc, updateDoc } from 'firebase/firestore';
+import { normalizeMpcNumber } from '../lib/roster';
+import { commitInBatches } from './batches';
+import { MEMBERS_PATH } from './collections';
+import { db } from './config';
+
+export const getMemberRef = (mpcNumber) => doc(db, MEMBERS_PATH, normalizeMpcNumber(mpcNumber));
+
+/**
+ * Looks up a member on the roster.
+ * @param {string} mpcNumber - The MPC number (normalised before lookup).
+ * @returns {Promise<object|null>} The roster record, or null if the number is unknown.
+ */
+export const getMember = async (mpcNumber) => {
+    const snapshot = await getDoc(getMemberRef(mpcNumber));
+    return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+};
+
+/**
+ * Imports roster records, creating new members and updating existing ones by MPC number.
+ * Members not in the import are left untouched.
+ * @param {Array<object>} members - Parsed roster records ({mpcNumber, name, email, status}).
+ * @param {string} actorId - The importing admin's uid.
+ * @returns {Promise<number>} The number of records written.
+ */
+export const importRoster = async (members, actorId) => {
+    const importedAt = new Date().toISOString();
+
+    await commitInBatches(members.map(member => batch =>
+        batch.set(getMemberRef(member.mpcNumber), { ...member, importedAt, importedBy: actorId }, { merge: true })));
+
+    return members.length;
+};
+
+/**
+ * Changes a member's roster status (e.g. suspends or reactivates them).
+ * @param {string} mpcNumber - The member's MPC number.
+ * @param {'active'|'suspended'} status - The new status.
+ * @param {string} actorId - The admin's uid.
+ * @returns {Promise<void>}
+ */
+export const setMemberStatus = async (mpcNumber, status, actorId) => {
+    await updateDoc(getMemberRef(mpcNumber), { status, statusUpdatedAt: new Date().toISOString(), statusUpdatedBy: actorId });
+};
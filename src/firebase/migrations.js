@@ -0,0 +1,107 @@
+import { collection, doc, getDocs } from 'firebase/firestore';
+import { RESERVATION_STATUS, getSlotId, groupReservationsIntoBlocks } from '../lib/scheduling';
+import { commitInBatches } from './batches';
+import { BOOKINGS_PATH, RESERVATIONS_PATH, RESERVATION_HISTORY_PATH, WAITLIST_PATH } from './collections';
+import { db } from './config';
+import { getSlotRef, logAdminAction } from './reservations';
+
+// Per-slot documents written before bookings owned their block carry their own details and no bookingId
+const isLegacySlot = (data) => !data.bookingId;
+
+/**
+ * Counts the per-slot documents still waiting to be migrated.
+ * @returns {Promise<{slots: number, history: number}>}
+ */
+export const countLegacyReservations = async () => {
+    const [slots, history] = await Promise.all([getDocs(collection(db, RESERVATIONS_PATH)), getDocs(collection(db, RESERVATION_HISTORY_PATH))]);
+    return {
+        slots: slots.docs.filter(d => isLegacySlot(d.data())).length,
+        history: history.size
+    };
+};
+
+// Turns a block of legacy slot documents into a booking document
+const toBooking = (block) => {
+    const [first] = block.reservations;
+    const [startTime] = first.timeSlot.split(' - ');
+    const sum = (field) => block.reservations.reduce((total, r) => total + (r[field] || 0), 0);
+
+    return {
+        id: `legacy-${block.date}-${block.court.replace(/\s/g, '')}-${first.blockId ?? first.id}-${startTime.replace(':', '')}`,
+        data: {
+            date: block.date,
+            court: block.court,
+            startTime,
+            endTime: block.reservations[block.reservations.length - 1].timeSlot.split(' - ')[1],
+            timeSlots: block.reservations.map(r => r.timeSlot),
+            type: block.type,
+            status: block.status,
+            userId: first.userId || null,
+            mpcNumber: first.mpcNumber || null,
+            email: first.email || null,
+            players: first.mpcNumber ? [first.mpcNumber] : [],
+            guestCount: first.guestCount || 0,
+            estimatedCost: block.estimatedCost,
+            createdAt: first.timestamp || new Date().toISOString(),
+            updatedAt: first.timestamp || new Date().toISOString(),
+            // Fields that only some legacy documents have (block reason, staff, cancellation, no-show, waitlist hold)
+            ...Object.fromEntries(
+                ['blockReason', 'bookedBy', 'cancelledAt', 'cancelledBy', 'cancelReason', 'lateCancel', 'noShowAt', 'noShowBy', 'waitlistEntryId', 'holdExpiresAt']
+                    .filter(field => first[field] !== undefined)
+                    .map(field => [field, first[field]])
+            ),
+            ...(first.lateCancelFee !== undefined ? { lateCancelFee: sum('lateCancelFee') } : {}),
+            ...(first.noShowFee !== undefined ? { noShowFee: sum('noShowFee') } : {}),
+            migratedFrom: block.reservations.map(r => r.id)
+        }
+    };
+};
+
+/**
+ * Moves per-slot reservation data to booking documents. Each legacy block (including the
+ * cancelled records in reservationHistory) becomes one booking; the slot documents of
+ * active bookings are rewritten as locks pointing at it and the rest are removed. Booking
+ * ids are derived from the legacy data, so running the migration again is harmless.
+ * @param {string} actorId - The admin's uid.
+ * @returns {Promise<number>} The number of bookings written.
+ */
+export const migrateSlotReservations = async (actorId) => {
+    const [slotSnapshot, historySnapshot, waitlistSnapshot] = await Promise.all([
+        getDocs(collection(db, RESERVATIONS_PATH)),
+        getDocs(collection(db, RESERVATION_HISTORY_PATH)),
+        getDocs(collection(db, WAITLIST_PATH))
+    ]);
+
+    const slots = slotSnapshot.docs.filter(d => isLegacySlot(d.data())).map(d => ({ id: d.id, ...d.data() }));
+    const history = historySnapshot.docs.map(d => ({ ...d.data(), id: d.id }));
+    const bookings = groupReservationsIntoBlocks([...slots, ...history]).map(toBooking);
+
+    const writes = [];
+    bookings.forEach(({ id, data }) => {
+        writes.push(batch => batch.set(doc(db, BOOKINGS_PATH, id), data));
+
+        const isActive = data.status !== RESERVATION_STATUS.CANCELLED;
+        data.timeSlots.forEach(time => {
+            const lockRef = getSlotRef(data.date, { time, id: getSlotId(time) }, data.court);
+            if (isActive) {
+                writes.push(batch => batch.set(lockRef, { date: data.date, timeSlot: time, court: data.court, bookingId: id }));
+            } else if (data.migratedFrom.includes(lockRef.id)) {
+                // A cancelled slot document that was never reused
+                writes.push(batch => batch.delete(lockRef));
+            }
+        });
+
+        // Waitlist offers pointed at the held slot documents; point them at the booking instead
+        if (data.status === RESERVATION_STATUS.HELD && data.waitlistEntryId) {
+            const entry = waitlistSnapshot.docs.find(d => d.id === data.waitlistEntryId);
+            if (entry) writes.push(batch => batch.update(entry.ref, { bookingId: id }));
+        }
+    });
+    historySnapshot.docs.forEach(d => writes.push(batch => batch.delete(d.ref)));
+
+    await commitInBatches(writes);
+
+    await logAdminAction({ action: 'migrate_slot_reservations', actorId, bookings: bookings.length });
+
+    return bookings.length;
+};
@@ -0,0 +1,330 @@
+import { addDoc, collection, doc, getDocs, query, runTransaction, where, writeBatch } from 'firebase/firestore';
+import { getApprovedJoiners } from '../lib/matches';
+import { buildPlayerList, getOpenMatchPlaces, validateBookingPlayers } from '../lib/players';
+import { quoteBooking, requoteBooking } from '../lib/pricing';
+import { getQuotaWindowStart } from '../lib/policies';
+import { DEFAULT_COURTS, RESERVATION_STATUS, findAvailableCourt, getBookingStart, getSlotId, isActiveReservation } from '../lib/scheduling';
+import { ADMIN_LOG_PATH, BOOKINGS_PATH, QUOTA_LOCKS_PATH, RESERVATIONS_PATH, RESERVATION_HISTORY_PATH } from './collections';
+import { db } from './config';
+
+// Firestore Doc ID must be unique per court AND per time slot, so the doc itself acts as the slot lock
+export const getSlotRef = (dateString, slot, court) =>
+    doc(db, RESERVATIONS_PATH, `${dateString}-${slot.id}-${court.replace(/\s/g, '')}`);
+
+export const getBookingRef = (bookingId) => doc(db, BOOKINGS_PATH, bookingId);
+
+// One document per member, rewritten by each of their bookings (see checkQuotaInTransaction)
+const getQuotaLockRef = (mpcNumber) => doc(db, QUOTA_LOCKS_PATH, mpcNumber);
+
+// Lock documents of a booking's slots (all of them, or only the given time slots)
+export const getLockRefs = (booking, timeSlots = booking.timeSlots) =>
+    timeSlots.map(time => getSlotRef(booking.date, { time, id: getSlotId(time) }, booking.court));
+
+// Fields stored when a booking is repriced
+const priceChange = (quote) => ({ priceQuote: quote, estimatedCost: quote.total });
+
+/**
+ * Re-checks a member's quotas inside a running transaction, against their bookings fetched
+ * fresh from the server. Every booking by the member rewrites their quota lock, so two
+ * bookings made at the same time conflict and the retried one is checked again with the
+ * other counted. Call it with the transaction's other reads, before any write.
+ * @param {import('firebase/firestore').Transaction} transaction - The running transaction.
+ * @param {string} mpcNumber - The member's MPC number.
+ * @param {Function} checkQuota - (memberBookings) => refusal message or null.
+ * @returns {Promise<{refusal: string|null, lock: Function}>} The refusal, and a function
+ *   that records the new booking (by id) on the quota lock; call it with the other writes.
+ */
+export const checkQuotaInTransaction = async (transaction, mpcNumber, checkQuota) => {
+    const lockRef = getQuotaLockRef(mpcNumber);
+    await transaction.get(lockRef);
+    const refusal = checkQuota(await fetchMemberBookings(mpcNumber, getQuotaWindowStart()));
+    return {
+        refusal,
+        lock: (bookingId) => transaction.set(lockRef, { mpcNumber, bookingId, updatedAt: new Date().toISOString() })
+    };
+};
+
+/**
+ * Reserves a contiguous block of slots on a single court inside a running transaction, so
+ * callers can combine the slot locks with their own reads and writes. All slot reads happen
+ * here, before any write, so the caller must do its own reads first and its writes after.
+ * @param {import('firebase/firestore').Transaction} transaction - The running transaction.
+ * @param {object} params - See {@link reserveBlock}.
+ * @returns {Promise<{court: string, courtName: string, bookingId: string, estimatedCost: number}|{refusal: string}|null>}
+ *   The reserved court, the quota refusal, or null if no court was free for the whole block.
+ */
+export const reserveBlockInTransaction = async (transaction, { dateString, blockSlots, details, courts = DEFAULT_COURTS, rateTable = null, checkQuota = null }) => {
+    const quota = checkQuota ? await checkQuotaInTransaction(transaction, details.mpcNumber, checkQuota) : null;
+    if (quota && quota.refusal) return { refusal: quota.refusal };
+
+    const courtIds = courts.map(court => court.id);
+    const slotRefs = courtIds.flatMap(court => blockSlots.map(slot => ({ court, slot, ref: getSlotRef(dateString, slot, court) })));
+    const snapshots = await Promise.all(slotRefs.map(({ ref }) => transaction.get(ref)));
+    // Locks are deleted when their booking is cancelled; cancelled per-slot documents left
+    // from before the migration do not hold the slot either
+    const existingReservations = slotRefs
+        .filter((_, i) => snapshots[i].exists() && isActiveReservation(snapshots[i].data()))
+        .map(({ court, slot }) => ({ date: dateString, timeSlot: slot.time, court }));
+
+    const court = findAvailableCourt(existingReservations, dateString, blockSlots, courtIds);
+    if (!court) return null;
+    const courtName = courts.find(c => c.id === court).name;
+
+    // Priced once the court is known, as rates can differ per court
+    const priceQuote = rateTable
+        ? quoteBooking({ rateTable, dateString, court, timeSlots: blockSlots.map(slot => slot.time), guestCount: details.guestCount || 0 })
+        : null;
+    const pricing = priceQuote ? priceChange(priceQuote) : {};
+
+    const bookingRef = doc(collection(db, BOOKINGS_PATH));
+    const timestamp = new Date().toISOString();
+
+    transaction.set(bookingRef, {
+        date: dateString,
+        court,
+        courtName,
+        startTime: blockSlots[0].time.split(' - ')[0],
+        endTime: blockSlots[blockSlots.length - 1].time.split(' - ')[1],
+        timeSlots: blockSlots.map(slot => slot.time),
+        type: 'booking',
+        status: RESERVATION_STATUS.BOOKED,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        ...details,
+        ...pricing
+    });
+
+    blockSlots.forEach(slot => {
+        const index = slotRefs.findIndex(entry => entry.court === court && entry.slot === slot);
+        if (snapshots[index].exists()) {
+            // Keep the cancelled legacy record before the slot document is reused, noting the
+            // booking that took the slot
+            transaction.set(doc(collection(db, RESERVATION_HISTORY_PATH)), { id: snapshots[index].id, ...snapshots[index].data(), replacedBy: bookingRef.id });
+        }
+        transaction.set(slotRefs[index].ref, { date: dateString, timeSlot: slot.time, court, bookingId: bookingRef.id });
+    });
+    if (quota) quota.lock(bookingRef.id);
+
+    return { court, courtName, bookingId: bookingRef.id, estimatedCost: priceQuote ? priceQuote.total : details.estimatedCost };
+};
+
+/**
+ * Reserves a contiguous block of slots on a single court. The booking and its slot locks are
+ * checked and written in one transaction: either every slot is reserved on one free court,
+ * or nothing is written at all.
+ * @param {object} params
+ * @param {string} params.dateString - The block date (YYYY-MM-DD).
+ * @param {Array<{time: string, id: string}>} params.blockSlots - The slots to reserve, in order.
+ * @param {object} params.details - Fields stored on the booking (booker, players, guests, total cost, ...).
+ * @param {Array<object>} [params.courts] - Courts to consider ({id, name}), in order of preference.
+ * @param {object} [params.rateTable] - Rate table to price the booking on the assigned court; the
+ *   quote replaces the estimated cost in details.
+ * @param {Function} [params.checkQuota] - (memberBookings) => refusal message or null. Member
+ *   bookings pass their quota check here so it runs in the transaction (see checkQuotaInTransaction).
+ * @returns {Promise<{court: string, courtName: string, bookingId: string, estimatedCost: number}|{refusal: string}|null>}
+ *   The reserved court, the quota refusal, or null if no court was free for the whole block.
+ */
+export const reserveBlock = (params) =>
+    runTransaction(db, (transaction) => reserveBlockInTransaction(transaction, params));
+
+/**
+ * Reads slot locks inside a running transaction and returns a function that deletes those
+ * still held by the booking. Call it once the caller's own reads are done.
+ * @param {import('firebase/firestore').Transaction} transaction - The running transaction.
+ * @param {Array<import('firebase/firestore').DocumentReference>} lockRefs - The locks to release.
+ * @param {string} bookingId - The booking releasing them.
+ * @returns {Promise<Function>}
+ */
+export const prepareLockRelease = async (transaction, lockRefs, bookingId) => {
+    const locks = await Promise.all(lockRefs.map(ref => transaction.get(ref)));
+    return () => locks.forEach((lock, i) => {
+        if (lock.exists() && lock.data().bookingId === bookingId) {
+            transaction.delete(lockRefs[i]);
+        }
+    });
+};
+
+/**
+ * Fetches a member's bookings fresh from the server, used to re-check quotas at write time.
+ * Matches on MPC number so bookings made by staff on the member's behalf are included.
+ * @param {string} mpcNumber - The member's MPC number.
+ * @param {string} fromDate - First date to fetch (YYYY-MM-DD), see getQuotaWindowStart.
+ * @returns {Promise<Array<object>>} The booking documents.
+ */
+export const fetchMemberBookings = async (mpcNumber, fromDate) => {
+    const snapshot = await getDocs(query(collection(db, BOOKINGS_PATH), where('mpcNumber', '==', mpcNumber), where('date', '>=', fromDate)));
+    return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+};
+
+/**
+ * Fetches the bookings between two dates, inclusive, for checks that count every member's
+ * bookings (such as the monthly guest caps).
+ * @param {string} fromDate - First date (YYYY-MM-DD).
+ * @param {string} toDate - Last date (YYYY-MM-DD).
+ * @returns {Promise<Array<object>>}
+ */
+export const fetchBookingsBetween = async (fromDate, toDate) => {
+    const snapshot = await getDocs(query(collection(db, BOOKINGS_PATH), where('date', '>=', fromDate), where('date', '<=', toDate)));
+    return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+};
+
+/**
+ * Records an admin action in the audit log.
+ * @param {object} entry - The action (action, actorId, and action-specific fields).
+ * @returns {Promise<void>}
+ */
+export const logAdminAction = async (entry) => {
+    await addDoc(collection(db, ADMIN_LOG_PATH), { ...entry, timestamp: new Date().toISOString() });
+};
+
+/**
+ * Cancels a whole booking in one transaction: the booking is marked cancelled (it is never
+ * deleted) with when, by whom, why and any late-cancellation fee, and its slots are released.
+ * Admin cancellations are also written to the audit log.
+ * @param {object} params
+ * @param {object} params.booking - The booking to cancel (with id).
+ * @param {{uid: string, role: 'member'|'admin'}} params.actor - Who is cancelling.
+ * @param {string} [params.reason] - Why the booking was cancelled.
+ * @param {number} [params.lateCancelFee] - Late-cancellation fee in PHP.
+ * @returns {Promise<boolean>} False if the booking was no longer active.
+ */
+export const cancelBooking = ({ booking, actor, reason = '', lateCancelFee = 0 }) =>
+    runTransaction(db, async (transaction) => {
+        const bookingRef = getBookingRef(booking.id);
+        const snapshot = await transaction.get(bookingRef);
+        if (!snapshot.exists() || !isActiveReservation(snapshot.data())) return false;
+
+        const current = snapshot.data();
+        const releaseLocks = await prepareLockRelease(transaction, getLockRefs(current), booking.id);
+        const cancelledAt = new Date().toISOString();
+
+        transaction.update(bookingRef, {
+            status: RESERVATION_STATUS.CANCELLED,
+            cancelledAt,
+            cancelledBy: actor,
+            cancelReason: reason,
+            lateCancel: lateCancelFee > 0,
+            lateCancelFee: (current.lateCancelFee || 0) + lateCancelFee
+        });
+        releaseLocks();
+
+        if (actor.role === 'admin') {
+            transaction.set(doc(collection(db, ADMIN_LOG_PATH)), {
+                action: 'cancel',
+                reason,
+                actorId: actor.uid,
+                timestamp: cancelledAt,
+                bookingId: booking.id
+            });
+        }
+        return true;
+    });
+
+/**
+ * Shortens a booking to the given slots in one transaction: the booking's time range and
+ * estimated cost are updated and the removed slots are released.
+ * @param {object} params
+ * @param {object} params.booking - The booking to shorten (with id).
+ * @param {Array<string>} params.timeSlots - The slots to keep (contiguous, within the booking).
+ * @param {{uid: string, role: 'member'|'admin'}} params.actor - Who is shortening it.
+ * @param {number} [params.lateCancelFee] - Late-cancellation fee for the removed slots, in PHP.
+ * @returns {Promise<boolean>} False if the booking changed in the meantime.
+ */
+export const shortenBooking = ({ booking, timeSlots, actor, lateCancelFee = 0 }) =>
+    runTransaction(db, async (transaction) => {
+        const bookingRef = getBookingRef(booking.id);
+        const snapshot = await transaction.get(bookingRef);
+        if (!snapshot.exists()) return false;
+
+        const current = snapshot.data();
+        if (current.status !== RESERVATION_STATUS.BOOKED || current.timeSlots.join() !== booking.timeSlots.join()) return false;
+
+        const removed = current.timeSlots.filter(time => !timeSlots.includes(time));
+        const releaseLocks = await prepareLockRelease(transaction, getLockRefs(current, removed), booking.id);
+        const updatedAt = new Date().toISOString();
+
+        transaction.update(bookingRef, {
+            startTime: timeSlots[0].split(' - ')[0],
+            endTime: timeSlots[timeSlots.length - 1].split(' - ')[1],
+            timeSlots,
+            ...priceChange(requoteBooking(current, { timeSlots, guestCount: current.guestCount || 0 })),
+            lateCancelFee: (current.lateCancelFee || 0) + lateCancelFee,
+            updatedAt,
+            updatedBy: actor
+        });
+        releaseLocks();
+
+        if (actor.role === 'admin') {
+            transaction.set(doc(collection(db, ADMIN_LOG_PATH)), {
+                action: 'shorten',
+                actorId: actor.uid,
+                timestamp: updatedAt,
+                bookingId: booking.id,
+                removedSlots: removed
+            });
+        }
+        return true;
+    });
+
+/**
+ * Changes the fellow members and named guests playing in a booking, and recomputes its
+ * estimated cost from the guests.
+ * @param {object} params
+ * @param {object} params.booking - The booking (with id).
+ * @param {Array<{mpcNumber: string, name: string}>} params.coPlayers - Fellow members.
+ * @param {Array<{name: string}>} params.guests - Named guests.
+ * @param {{uid: string, role: 'member'|'admin'}} params.actor - Who is changing it.
+ * @returns {Promise<string|null>} Why the change was refused, or null if it was saved.
+ */
+export const updateBookingPlayers = ({ booking, coPlayers, guests, actor }) =>
+    runTransaction(db, async (transaction) => {
+        const bookingRef = getBookingRef(booking.id);
+        const snapshot = await transaction.get(bookingRef);
+        if (!snapshot.exists() || snapshot.data().status !== RESERVATION_STATUS.BOOKED) return 'This booking can no longer be changed.';
+
+        const current = snapshot.data();
+        // Guest fees are settled by who played, so members cannot change it afterwards
+        if (actor.role === 'member' && getBookingStart(current) <= new Date()) return 'Players cannot be changed once the booking has started.';
+        const error = validateBookingPlayers({ bookerMpcNumber: current.mpcNumber, coPlayers, guests, reservedPlaces: getOpenMatchPlaces(current) });
+        if (error) return error;
+
+        transaction.update(bookingRef, {
+            coPlayers,
+            guests,
+            guestCount: guests.length,
+            players: buildPlayerList(current.mpcNumber, coPlayers, getApprovedJoiners(current)),
+            ...priceChange(requoteBooking(current, { guestCount: guests.length })),
+            updatedAt: new Date().toISOString(),
+            updatedBy: actor
+        });
+        return null;
+    });
+
+/**
+ * Marks a past booking as a no-show and records the no-show fee.
+ * @param {object} params
+ * @param {object} params.booking - The booking (with id).
+ * @param {string} params.actorId - The admin's uid.
+ * @param {number} params.feePercent - No-show fee as a percentage of the booking's estimated cost.
+ * @returns {Promise<void>}
+ */
+export const markNoShow = async ({ booking, actorId, feePercent }) => {
+    const batch = writeBatch(db);
+    const markedAt = new Date().toISOString();
+
+    batch.update(getBookingRef(booking.id), {
+        status: RESERVATION_STATUS.NO_SHOW,
+        noShowAt: markedAt,
+        noShowBy: actorId,
+        noShowFee: (booking.estimatedCost || 0) * feePercent / 100
+    });
+
+    batch.set(doc(collection(db, ADMIN_LOG_PATH)), {
+        action: 'no_show',
+        actorId,
+        timestamp: markedAt,
+        bookingId: booking.id
+    });
+
+    await batch.commit();
+};
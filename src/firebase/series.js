@@ -0,0 +1,73 @@
+import { collection, doc, setDoc } from 'firebase/firestore';
+import { RESERVATION_STATUS } from '../lib/scheduling';
+import { BOOKING_SERIES_PATH } from './collections';
+import { db } from './config';
+import { reserveBlock } from './reservations';
+
+/**
+ * Books the same block on each date of a recurring series. Every occurrence is checked and
+ * reserved on its own: free dates are booked, and the rest are reported with the reason.
+ * The bookings share a seriesId so the series can be managed as a unit, and the series
+ * document records what was booked.
+ * @param {object} params
+ * @param {Array<string>} params.dates - The occurrence dates (YYYY-MM-DD), in order.
+ * @param {Array<{time: string, id: string}>} params.blockSlots - The slots of each occurrence.
+ * @param {object} params.details - Fields stored on every booking (booker, players, guests, cost, ...).
+ * @param {Array<object>} params.courts - Courts to consider each week ({id, name}), in order of preference.
+ * @param {object} [params.rateTable] - Rate table each occurrence is priced with.
+ * @param {Function} params.checkOccurrence - (dateString, seriesId, seriesBookings) => refusal message or null,
+ *   given the occurrences booked so far so guest caps can count them.
+ * @param {Function} [params.checkQuota] - (dateString, memberBookings) => refusal message or null,
+ *   run inside each occurrence's transaction against the member's fresh bookings.
+ * @returns {Promise<{seriesId: string, results: Array<{date: string, court?: string, courtName?: string, bookingId?: string, estimatedCost?: number, conflict?: string}>}>}
+ */
+export const reserveSeries = async ({ dates, blockSlots, details, courts, rateTable, checkOccurrence, checkQuota = null }) => {
+    const seriesRef = doc(collection(db, BOOKING_SERIES_PATH));
+    const timeSlots = blockSlots.map(slot => slot.time);
+    const seriesBookings = [];
+    const results = [];
+
+    for (const dateString of dates) {
+        const refusal = checkOccurrence(dateString, seriesRef.id, seriesBookings);
+        if (refusal) {
+            results.push({ date: dateString, conflict: refusal });
+            continue;
+        }
+
+        const reserved = await reserveBlock({
+            dateString,
+            blockSlots,
+            courts,
+            rateTable,
+            details: { ...details, seriesId: seriesRef.id },
+            checkQuota: checkQuota && ((memberBookings) => checkQuota(dateString, memberBookings))
+        });
+        if (!reserved || reserved.refusal) {
+            results.push({ date: dateString, conflict: reserved ? reserved.refusal : 'No court is free for the whole block.' });
+            continue;
+        }
+
+        seriesBookings.push({
+            id: reserved.bookingId,
+            date: dateString,
+            timeSlots,
+            type: 'booking',
+            status: RESERVATION_STATUS.BOOKED,
+            seriesId: seriesRef.id,
+            mpcNumber: details.mpcNumber,
+            guests: details.guests || []
+        });
+        results.push({ date: dateString, court: reserved.court, courtName: reserved.courtName, bookingId: reserved.bookingId, estimatedCost: reserved.estimatedCost });
+    }
+
+    await setDoc(seriesRef, {
+        userId: details.userId,
+        mpcNumber: details.mpcNumber,
+        timeSlots,
+        dates,
+        results,
+        createdAt: new Date().toISOString()
+    });
+
+    return { seriesId: seriesRef.id, results };
+};
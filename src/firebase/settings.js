@@ -0,0 +1,27 @@
+import { doc, setDoc } from 'firebase/firestore';
+import { SETTINGS_PATH } from './collections';
+import { db } from './config';
+
+export const getBookingPolicyRef = () => doc(db, SETTINGS_PATH, 'bookingPolicy');
+
+/**
+ * Saves the club's booking policy.
+ * @param {object} policy - The policy values.
+ * @param {string} actorId - The admin's uid.
+ * @returns {Promise<void>}
+ */
+export const saveBookingPolicy = async (policy, actorId) => {
+    await setDoc(getBookingPolicyRef(), { ...policy, updatedAt: new Date().toISOString(), updatedBy: actorId });
+};
+
+export const getRateTableRef = () => doc(db, SETTINGS_PATH, 'rateTable');
+
+/**
+ * Saves the club's rate table.
+ * @param {{rates: Array<object>, holidays: Array<string>}} rateTable - Rates in matching order, and holiday dates.
+ * @param {string} actorId - The admin's uid.
+ * @returns {Promise<void>}
+ */
+export const saveRateTable = async (rateTable, actorId) => {
+    await setDoc(getRateTableRef(), { ...rateTable, updatedAt: new Date().toISOString(), updatedBy: actorId });
+};
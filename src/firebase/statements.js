@@ -0,0 +1,43 @@
+import { collection, doc } from 'firebase/firestore';
+import { commitInBatches } from './batches';
+import { ADMIN_LOG_PATH, STATEMENT_PAYMENTS_PATH } from './collections';
+import { db } from './config';
+
+/**
+ * Marks statement lines paid or unpaid, and records the change in the audit log. Large
+ * selections are written in several batches; marking the same lines again after an error
+ * is harmless.
+ * @param {object} params
+ * @param {Array<object>} params.lines - Statement lines (id, bookingId, mpcNumber, date, charge, amount).
+ * @param {boolean} params.paid - True to mark the lines paid, false to mark them unpaid.
+ * @param {string} params.actorId - The admin's uid.
+ * @returns {Promise<void>}
+ */
+export const setStatementLinesPaid = async ({ lines, paid, actorId }) => {
+    const timestamp = new Date().toISOString();
+
+    const writes = lines.map(line => {
+        const paymentRef = doc(db, STATEMENT_PAYMENTS_PATH, line.id);
+        if (!paid) return batch => batch.delete(paymentRef);
+        // The date lets statements fetch a period's payments with the period's bookings
+        return batch => batch.set(paymentRef, {
+            bookingId: line.bookingId,
+            mpcNumber: line.mpcNumber,
+            date: line.date,
+            charge: line.charge,
+            amount: line.amount,
+            paidAt: timestamp,
+            markedBy: actorId
+        });
+    });
+
+    writes.push(batch => batch.set(doc(collection(db, ADMIN_LOG_PATH)), {
+        action: paid ? 'statement_paid' : 'statement_unpaid',
+        actorId,
+        timestamp,
+        chargeIds: lines.map(line => line.id),
+        amount: lines.reduce((sum, line) => sum + line.amount, 0)
+    }));
+
+    await commitInBatches(writes);
+};
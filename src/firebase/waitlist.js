@@ -0,0 +1,200 @@
+import { Timestamp, addDoc, collection, deleteField, doc, getDocs, query, runTransaction, where } from 'firebase/firestore';
+import { requoteBooking } from '../lib/pricing';
+import { RESERVATION_STATUS } from '../lib/scheduling';
+import {
+    WAITLIST_STATUS,
+    getEntrySlots,
+    getOfferExpiry,
+    hasEntryStarted,
+    isOfferExpired,
+    isOpenEntry,
+    orderQueue
+} from '../lib/waitlist';
+import { WAITLIST_PATH } from './collections';
+import { db } from './config';
+import { checkQuotaInTransaction, getBookingRef, getLockRefs, prepareLockRelease, reserveBlockInTransaction } from './reservations';
+
+/**
+ * Adds a member to the end of the queue for a block.
+ * @param {object} params
+ * @param {string} params.dateString - The block date (YYYY-MM-DD).
+ * @param {Array<{time: string}>} params.blockSlots - The slots of the block, in order.
+ * @param {{userId: string, mpcNumber: string, email: string}} params.member - Who is waiting.
+ * @returns {Promise<void>}
+ */
+export const joinWaitlist = async ({ dateString, blockSlots, member }) => {
+    await addDoc(collection(db, WAITLIST_PATH), {
+        date: dateString,
+        timeSlots: blockSlots.map(slot => slot.time),
+        userId: member.userId,
+        mpcNumber: member.mpcNumber,
+        email: member.email,
+        status: WAITLIST_STATUS.WAITING,
+        createdAt: new Date().toISOString()
+    });
+};
+
+/**
+ * Takes an entry out of the queue. If a court is held for it, the hold is released so the
+ * court can be offered to the next member.
+ * @param {string} entryId - The waitlist entry.
+ * @param {object} params
+ * @param {string} params.status - The closing status (left or expired).
+ * @param {string} params.reason - Recorded on released holds.
+ * @param {Function} [params.isDue] - Re-checked on the fresh entry; the entry is left alone when it returns false.
+ * @param {{uid: string|null, role: string}} [params.actor] - Recorded as cancelledBy on released
+ *   holds; the waiting member when not given.
+ * @returns {Promise<boolean>} True if the entry was closed.
+ */
+const closeEntry = (entryId, { status, reason, isDue = () => true, actor = null }) =>
+    runTransaction(db, async (transaction) => {
+        const entryRef = doc(db, WAITLIST_PATH, entryId);
+        const snapshot = await transaction.get(entryRef);
+        if (!snapshot.exists() || !isOpenEntry(snapshot.data()) || !isDue(snapshot.data())) return false;
+
+        const entry = snapshot.data();
+        const bookingRef = entry.status === WAITLIST_STATUS.OFFERED && entry.bookingId ? getBookingRef(entry.bookingId) : null;
+        const hold = bookingRef ? await transaction.get(bookingRef) : null;
+        const isHeld = !!hold && hold.exists() && hold.data().status === RESERVATION_STATUS.HELD && hold.data().waitlistEntryId === entryId;
+        const releaseLocks = isHeld ? await prepareLockRelease(transaction, getLockRefs(hold.data()), entry.bookingId) : () => {};
+        const closedAt = new Date().toISOString();
+
+        if (isHeld) {
+            transaction.update(bookingRef, {
+                status: RESERVATION_STATUS.CANCELLED,
+                cancelledAt: closedAt,
+                cancelledBy: actor || { uid: entry.userId, role: 'member' },
+                cancelReason: reason,
+                lateCancel: false,
+                lateCancelFee: 0
+            });
+            releaseLocks();
+        }
+
+        transaction.update(entryRef, { status, closedAt });
+        return true;
+    });
+
+/**
+ * Leaves the queue, or declines a court that is being held for the member.
+ * @param {string} entryId - The waitlist entry.
+ * @returns {Promise<boolean>} True if the entry was still open.
+ */
+export const leaveWaitlist = (entryId) =>
+    closeEntry(entryId, { status: WAITLIST_STATUS.LEFT, reason: 'Waitlist offer declined' });
+
+/**
+ * Holds a free court for a waiting entry and starts its claim window. The held booking
+ * occupies the slots like any other, so nobody else can take the court meanwhile. It is
+ * priced when the court is held, and the entry records the quoted cost.
+ * @returns {Promise<string|null>} The held court, or null if the entry moved on or no court is free.
+ */
+const offerCourt = (entryId, claimMinutes, courts, rateTable, now) =>
+    runTransaction(db, async (transaction) => {
+        const entryRef = doc(db, WAITLIST_PATH, entryId);
+        const snapshot = await transaction.get(entryRef);
+        if (!snapshot.exists() || snapshot.data().status !== WAITLIST_STATUS.WAITING) return null;
+
+        const entry = snapshot.data();
+        const offerExpiresAt = getOfferExpiry(entry, claimMinutes, now);
+        const held = await reserveBlockInTransaction(transaction, {
+            dateString: entry.date,
+            blockSlots: getEntrySlots(entry),
+            courts,
+            rateTable,
+            details: {
+                status: RESERVATION_STATUS.HELD,
+                userId: entry.userId,
+                mpcNumber: entry.mpcNumber,
+                email: entry.email,
+                players: [entry.mpcNumber],
+                guestCount: 0,
+                waitlistEntryId: entryId,
+                holdExpiresAt: offerExpiresAt.toISOString()
+            }
+        });
+        if (!held) return null;
+
+        transaction.update(entryRef, {
+            status: WAITLIST_STATUS.OFFERED,
+            offeredAt: now.toISOString(),
+            offerExpiresAt: Timestamp.fromDate(offerExpiresAt),
+            court: held.court,
+            courtName: held.courtName,
+            bookingId: held.bookingId,
+            quotedCost: held.estimatedCost
+        });
+        return held.courtName;
+    });
+
+// Lapsed offers are released by whichever client happens to run the queue, not by a person
+const EXPIRY_ACTOR = { uid: null, role: 'system' };
+
+/**
+ * Brings the queue for a date up to date: lapsed offers and started blocks are expired
+ * (releasing their holds), then freed courts are offered to waiting members in the order
+ * they joined. Every step is its own transaction, so any signed-in client can run this
+ * and concurrent runs do not double-offer a court.
+ * @param {string} dateString - The date (YYYY-MM-DD).
+ * @param {number} claimMinutes - The claim window from the booking policy.
+ * @param {Array<object>} courts - Courts that may be offered ({id, name}), in order of preference.
+ * @param {object} rateTable - The rate table held courts are priced with.
+ * @returns {Promise<void>}
+ */
+export const processWaitlist = async (dateString, claimMinutes, courts, rateTable) => {
+    const now = new Date();
+    const snapshot = await getDocs(query(collection(db, WAITLIST_PATH), where('date', '==', dateString)));
+    const queue = orderQueue(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+    const isDue = (entry) => isOfferExpired(entry, now) || hasEntryStarted(entry, now);
+
+    for (const entry of queue.filter(isDue)) {
+        await closeEntry(entry.id, { status: WAITLIST_STATUS.EXPIRED, reason: 'Waitlist offer expired', isDue, actor: EXPIRY_ACTOR });
+    }
+
+    for (const entry of queue.filter(e => e.status === WAITLIST_STATUS.WAITING && !isDue(e))) {
+        await offerCourt(entry.id, claimMinutes, courts, rateTable, now);
+    }
+};
+
+/**
+ * Turns a held court into the member's booking, provided the claim window is still open.
+ * The booking keeps the prices the court was held at, repriced for its guests.
+ * @param {string} entryId - The waitlist entry.
+ * @param {object} details - Booking fields to set (players, coPlayers, guests, guestCount).
+ * @param {Function} [checkQuota] - (memberBookings) => refusal message or null, run inside the
+ *   transaction (see checkQuotaInTransaction). The held booking is among the member's bookings.
+ * @returns {Promise<{courtName: string, estimatedCost: number}|{refusal: string}|null>} The booked
+ *   court and its cost, the quota refusal, or null if the offer is no longer available.
+ */
+export const claimWaitlistOffer = (entryId, details, checkQuota = null) =>
+    runTransaction(db, async (transaction) => {
+        const entryRef = doc(db, WAITLIST_PATH, entryId);
+        const snapshot = await transaction.get(entryRef);
+        if (!snapshot.exists()) return null;
+
+        const entry = snapshot.data();
+        if (entry.status !== WAITLIST_STATUS.OFFERED || isOfferExpired(entry)) return null;
+
+        const bookingRef = getBookingRef(entry.bookingId);
+        const hold = await transaction.get(bookingRef);
+        if (!hold.exists() || hold.data().status !== RESERVATION_STATUS.HELD || hold.data().waitlistEntryId !== entryId) {
+            return null;
+        }
+
+        const quota = checkQuota ? await checkQuotaInTransaction(transaction, entry.mpcNumber, checkQuota) : null;
+        if (quota && quota.refusal) return { refusal: quota.refusal };
+
+        const priceQuote = requoteBooking(hold.data(), { guestCount: details.guestCount });
+        const claimedAt = new Date().toISOString();
+        transaction.update(bookingRef, {
+            status: RESERVATION_STATUS.BOOKED,
+            updatedAt: claimedAt,
+            holdExpiresAt: deleteField(),
+            ...details,
+            priceQuote,
+            estimatedCost: priceQuote.total
+        });
+        transaction.update(entryRef, { status: WAITLIST_STATUS.CLAIMED, claimedAt });
+        if (quota) quota.lock(entry.bookingId);
+        return { courtName: entry.courtName || entry.court, estimatedCost: priceQuote.total };
+    });
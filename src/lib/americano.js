@@ -0,0 +1,295 @@
+// Americano sessions: which sessions a day has, the partner/opponent rotation across
+// courts and rounds, score checks and standings.
+import { getSlotId, isRuleEffective, minutesToTime, parseDate } from './scheduling';
+
+// Players per session when the Americano rule does not set a capacity
+export const DEFAULT_AMERICANO_CAPACITY = 16;
+// Points played per match (e.g. 24 serves) when the organiser does not choose otherwise
+export const DEFAULT_AMERICANO_POINTS = 24;
+
+export const AMERICANO_STATUS = {
+    OPEN: 'open', // Members can sign up
+    SCHEDULED: 'scheduled' // Rotation generated, sign-ups closed
+};
+
+/**
+ * The Americano sessions on a date: one per AMERICANO special slot rule in effect that day.
+ * @param {string} dateString - The date (YYYY-MM-DD).
+ * @param {Array<object>} rules - The special slot rules in effect.
+ * @returns {Array<{id: string, date: string, startTime: string, endTime: string, title: string, capacity: number, ruleId: string|null}>}
+ *   ruleId is null for the built-in schedule.
+ */
+export const getAmericanoSessions = (dateString, rules) => {
+    const date = parseDate(dateString);
+    return rules
+        .filter(rule => rule.status === 'AMERICANO' && rule.days.includes(date.getDay()) && isRuleEffective(rule, date))
+        .map(rule => {
+            const startTime = minutesToTime(rule.startHour * 60 + rule.startMinute);
+            return {
+                id: `${dateString}-${getSlotId(startTime)}`,
+                date: dateString,
+                startTime,
+                endTime: minutesToTime(rule.endHour * 60 + rule.endMinute),
+                title: rule.message,
+                capacity: rule.capacity || DEFAULT_AMERICANO_CAPACITY,
+                ruleId: rule.id || null
+            };
+        })
+        .sort((a, b) => a.startTime.localeCompare(b.startTime));
+};
+
+// Key of a match in a session's scores map
+export const getMatchKey = (round, matchIndex) => `${round}-${matchIndex}`;
+
+// Most rounds worth playing: enough for everyone to partner everyone else once
+export const getMaxAmericanoRounds = (playerCount) => (playerCount % 2 === 0 ? playerCount - 1 : playerCount);
+
+/**
+ * Checks whether a rotation can be generated.
+ * @param {number} playerCount - Registered players.
+ * @param {number} courtCount - Courts available for the session.
+ * @param {number} roundCount - Requested number of rounds.
+ * @returns {string|null} An error message, or null if a rotation can be generated.
+ */
+export const getAmericanoScheduleError = (playerCount, courtCount, roundCount) => {
+    if (playerCount < 4) return 'At least 4 players are needed for an Americano.';
+    if (courtCount < 1) return 'No courts are available for the session.';
+    if (!Number.isInteger(roundCount) || roundCount < 1 || roundCount > getMaxAmericanoRounds(playerCount)) {
+        return `Choose between 1 and ${getMaxAmericanoRounds(playerCount)} rounds.`;
+    }
+    return null;
+};
+
+// Rotations the search tries before settling for the best one found so far
+const ROTATION_SEARCH_LIMIT = 3000;
+// Ways of choosing who plays when several players have sat out equally often
+const LINEUP_LIMIT = 6;
+// Partner/opponent choices tried for each match, least-met first
+const MATCH_OPTION_LIMIT = 2;
+// Line-ups tried for each round, least-met first
+const ROUND_OPTION_LIMIT = 3;
+
+// Key of two players in the partner and opponent maps
+const getPairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+// Up to `limit` ways of choosing `size` of the items, keeping their order
+const getCombinations = (items, size, limit) => {
+    const combinations = [];
+    const pick = (start, chosen) => {
+        if (combinations.length >= limit) return;
+        if (chosen.length === size) {
+            combinations.push(chosen);
+            return;
+        }
+        for (let i = start; i <= items.length - (size - chosen.length); i++) pick(i + 1, [...chosen, items[i]]);
+    };
+    pick(0, []);
+    return combinations;
+};
+
+// How much a match repeats earlier opponents: squared, so one pair meeting a third time
+// costs more than two pairs meeting a second time
+const getMatchCost = ([teamA, teamB], meetings) => teamA.reduce((sum, a) => sum + teamB.reduce((inner, b) => inner + (meetings.get(getPairKey(a, b)) || 0) ** 2, 0), 0);
+
+/**
+ * The line-ups worth trying in a round. The players who have sat out most play (taking turns
+ * on a tie); nobody partners someone they have partnered before, and the line-ups whose
+ * opponents have met least come first.
+ */
+const getRoundOptions = (playerIds, roundIndex, matchCount, { restCounts, meetings, partnered }) => {
+    const restsOf = (playerId) => restCounts.get(playerId) || 0;
+    const turnOf = (playerId) => (playerIds.indexOf(playerId) - roundIndex + playerIds.length * roundIndex) % playerIds.length;
+    const byRest = [...playerIds].sort((a, b) => restsOf(b) - restsOf(a) || turnOf(a) - turnOf(b));
+    const playerCount = matchCount * 4;
+    const cutoff = restsOf(byRest[playerCount - 1]);
+    const certain = byRest.filter(playerId => restsOf(playerId) > cutoff);
+    const tied = byRest.filter(playerId => restsOf(playerId) === cutoff);
+
+    const options = [];
+    getCombinations(tied, playerCount - certain.length, LINEUP_LIMIT).forEach(chosen => {
+        const playing = [...certain, ...chosen];
+        const resting = byRest.filter(playerId => !playing.includes(playerId));
+        // The first unplaced player takes each of their least-met partner/opponent choices
+        const place = (unplaced, matches) => {
+            if (unplaced.length === 0) {
+                options.push({ matches, resting, cost: matches.reduce((sum, match) => sum + getMatchCost(match, meetings), 0) });
+                return;
+            }
+            const [first, ...others] = unplaced;
+            const candidates = [];
+            others.forEach(partner => {
+                if (partnered.has(getPairKey(first, partner))) return;
+                const rest = others.filter(playerId => playerId !== partner);
+                getCombinations(rest, 2, Infinity)
+                    .filter(([c, d]) => !partnered.has(getPairKey(c, d)))
+                    .forEach(opponents => candidates.push([[first, partner], opponents]));
+            });
+            candidates
+                .map(match => ({ match, cost: getMatchCost(match, meetings) }))
+                .sort((a, b) => a.cost - b.cost)
+                .slice(0, MATCH_OPTION_LIMIT)
+                .forEach(({ match }) => place(unplaced.filter(playerId => !match.flat().includes(playerId)), [...matches, match]));
+        };
+        place(playing, []);
+    });
+    return options.sort((a, b) => a.cost - b.cost).slice(0, ROUND_OPTION_LIMIT);
+};
+
+/**
+ * The circle method: partners rotate so nobody partners the same player twice, and each
+ * round's partnerships play their neighbours. Used when the search finds no rotation.
+ */
+const getCircleRotation = (playerIds, matchCount, roundCount) => {
+    // An odd player count gets a bye; whoever is paired with it sits out
+    let circle = playerIds.length % 2 === 0 ? [...playerIds] : [...playerIds, null];
+    const n = circle.length;
+    const rounds = [];
+    const restCounts = new Map();
+
+    for (let r = 0; r < roundCount; r++) {
+        const pairs = [];
+        const resting = [];
+        for (let i = 0; i < n / 2; i++) {
+            const pair = [circle[i], circle[n - 1 - i]];
+            if (pair.includes(null)) {
+                resting.push(...pair.filter(Boolean));
+            } else {
+                pairs.push(pair);
+            }
+        }
+
+        // Partnerships whose players have sat out most go on court first
+        const restsOf = (pair) => (restCounts.get(pair[0]) || 0) + (restCounts.get(pair[1]) || 0);
+        const ordered = [...pairs].sort((a, b) => restsOf(b) - restsOf(a));
+        const count = Math.min(matchCount, Math.floor(ordered.length / 2));
+        const matches = Array.from({ length: count }, (_, k) => [ordered[2 * k], ordered[2 * k + 1]]);
+        ordered.slice(count * 2).forEach(pair => resting.push(...pair));
+        resting.forEach(playerId => restCounts.set(playerId, (restCounts.get(playerId) || 0) + 1));
+
+        rounds.push({ matches, resting });
+
+        // Keep the first player fixed and rotate everyone else one place
+        circle = [circle[0], circle[n - 1], ...circle.slice(1, n - 1)];
+    }
+
+    return rounds;
+};
+
+/**
+ * Generates the Americano rotation. Nobody partners the same player twice, and players that
+ * do not fit on the courts sit out in turn, those who have sat out least going first. Within
+ * that, the line-ups are searched so that every player faces every other player at least
+ * once where the rounds and courts allow, spreading repeat meetings as evenly as possible.
+ * @param {Array<string>} playerIds - Registered players (MPC numbers), in sign-up order.
+ * @param {Array<{id: string, name: string}>} courts - Courts used for the session, in order.
+ * @param {number} roundCount - Rounds to generate (see getMaxAmericanoRounds).
+ * @returns {Array<{round: number, matches: Array<{court: string, courtName: string, teamA: Array<string>, teamB: Array<string>}>, resting: Array<string>}>}
+ */
+export const generateAmericanoRounds = (playerIds, courts, roundCount) => {
+    const matchCount = Math.min(courts.length, Math.floor(playerIds.length / 4));
+    const opponentPairs = (playerIds.length * (playerIds.length - 1)) / 2;
+    let best = null;
+    let bestCovered = -1;
+    let visits = 0;
+
+    // Depth-first over the rounds, least-met line-ups first, so the first rotation reached is
+    // the greedy one; stops once every pair of players has met or at the search limit
+    const search = (roundIndex, plan, state) => {
+        visits += 1;
+        if (roundIndex === roundCount) {
+            if (state.meetings.size > bestCovered) {
+                best = plan;
+                bestCovered = state.meetings.size;
+            }
+            return;
+        }
+        const stillPossible = (roundCount - roundIndex) * matchCount * 4;
+        if (Math.min(opponentPairs, state.meetings.size + stillPossible) <= bestCovered) return;
+
+        for (const { matches, resting } of getRoundOptions(playerIds, roundIndex, matchCount, state)) {
+            if (bestCovered === opponentPairs || visits > ROTATION_SEARCH_LIMIT) return;
+
+            const restCounts = new Map(state.restCounts);
+            resting.forEach(playerId => restCounts.set(playerId, (restCounts.get(playerId) || 0) + 1));
+            const meetings = new Map(state.meetings);
+            const partnered = new Set(state.partnered);
+            matches.forEach(([teamA, teamB]) => {
+                partnered.add(getPairKey(...teamA));
+                partnered.add(getPairKey(...teamB));
+                teamA.forEach(a => teamB.forEach(b => meetings.set(getPairKey(a, b), (meetings.get(getPairKey(a, b)) || 0) + 1)));
+            });
+            search(roundIndex + 1, [...plan, { matches, resting }], { restCounts, meetings, partnered });
+        }
+    };
+    search(0, [], { restCounts: new Map(), meetings: new Map(), partnered: new Set() });
+
+    return (best || getCircleRotation(playerIds, matchCount, roundCount)).map(({ matches, resting }, r) => ({
+        round: r + 1,
+        matches: matches.map(([teamA, teamB], k) => ({
+            court: courts[k].id,
+            courtName: courts[k].name,
+            teamA,
+            teamB
+        })),
+        resting
+    }));
+};
+
+/**
+ * Validates a match score.
+ * @param {{teamA: number, teamB: number}} score - Points won by each team.
+ * @param {number} pointsPerMatch - Points played per match (0 = any total).
+ * @returns {string|null} An error message, or null if the score is valid.
+ */
+export const validateMatchScore = (score, pointsPerMatch) => {
+    if (![score.teamA, score.teamB].every(points => Number.isInteger(points) && points >= 0)) {
+        return 'Scores must be whole numbers of 0 or more.';
+    }
+    if (pointsPerMatch && score.teamA + score.teamB !== pointsPerMatch) {
+        return `The two scores must add up to ${pointsPerMatch} points.`;
+    }
+    return null;
+};
+
+/**
+ * Final standings: every player is credited with the points their team won in each match.
+ * Ties are broken by matches won, then by name.
+ * @param {Array<{mpcNumber: string, name?: string}>} players - Registered players.
+ * @param {Array<object>} rounds - The generated rotation.
+ * @param {Object<string, {teamA: number, teamB: number}>} scores - Entered scores, by match key.
+ * @returns {Array<{mpcNumber: string, name: string, points: number, played: number, won: number, rank: number}>}
+ */
+export const computeAmericanoStandings = (players, rounds, scores) => {
+    const table = new Map(players.map(player => [player.mpcNumber, {
+        mpcNumber: player.mpcNumber,
+        name: player.name || player.mpcNumber,
+        points: 0,
+        played: 0,
+        won: 0
+    }]));
+
+    const credit = (team, points, opponentPoints) => team.forEach(mpcNumber => {
+        const row = table.get(mpcNumber);
+        if (!row) return; // The player has since left the session
+        row.points += points;
+        row.played += 1;
+        if (points > opponentPoints) row.won += 1;
+    });
+
+    rounds.forEach(round => round.matches.forEach((match, index) => {
+        const score = scores[getMatchKey(round.round, index)];
+        if (!score) return;
+        credit(match.teamA, score.teamA, score.teamB);
+        credit(match.teamB, score.teamB, score.teamA);
+    }));
+
+    const sorted = [...table.values()].sort((a, b) => b.points - a.points || b.won - a.won || a.name.localeCompare(b.name));
+    const standings = [];
+    sorted.forEach((row, i) => {
+        const previous = standings[i - 1];
+        // Players level on points and wins share a rank
+        const isTied = previous && previous.points === row.points && previous.won === row.won;
+        standings.push({ ...row, rank: isTied ? previous.rank : i + 1 });
+    });
+    return standings;
+};
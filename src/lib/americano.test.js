@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { generateAmericanoRounds, getMaxAmericanoRounds } from './americano';
+
+const makePlayers = (count) => Array.from({ length: count }, (_, i) => `MPC${100 + i}`);
+const makeCourts = (count) => Array.from({ length: count }, (_, i) => ({ id: `court-${i + 1}`, name: `Court ${i + 1}` }));
+const pairKey = (a, b) => [a, b].sort().join('|');
+
+// Every pair of players, once
+const allPairs = (players) => players.flatMap((a, i) => players.slice(i + 1).map(b => pairKey(a, b)));
+
+const tally = (rounds) => {
+    const partners = [];
+    const opponents = new Set();
+    rounds.forEach(round => round.matches.forEach(({ teamA, teamB }) => {
+        partners.push(pairKey(...teamA), pairKey(...teamB));
+        teamA.forEach(a => teamB.forEach(b => opponents.add(pairKey(a, b))));
+    }));
+    return { partners, opponents };
+};
+
+describe('generateAmericanoRounds', () => {
+    it.each([
+        [8, 2],
+        [6, 1],
+        [12, 3],
+        [16, 4]
+    ])('has every pair of %i players on %i court(s) face each other', (playerCount, courtCount) => {
+        const players = makePlayers(playerCount);
+        const rounds = generateAmericanoRounds(players, makeCourts(courtCount), getMaxAmericanoRounds(playerCount));
+        const { opponents } = tally(rounds);
+
+        expect([...opponents].sort()).toEqual(allPairs(players).sort());
+    });
+
+    it('never partners the same two players twice', () => {
+        [6, 7, 8, 10, 13].forEach(playerCount => {
+            const rounds = generateAmericanoRounds(makePlayers(playerCount), makeCourts(2), getMaxAmericanoRounds(playerCount));
+            const { partners } = tally(rounds);
+
+            expect(new Set(partners).size).toBe(partners.length);
+        });
+    });
+
+    it('places every player once per round and spreads the rests evenly', () => {
+        const players = makePlayers(10);
+        const rounds = generateAmericanoRounds(players, makeCourts(2), getMaxAmericanoRounds(10));
+        const rests = new Map(players.map(player => [player, 0]));
+
+        rounds.forEach(round => {
+            const placed = [...round.matches.flatMap(match => [...match.teamA, ...match.teamB]), ...round.resting];
+            expect(placed.sort()).toEqual([...players].sort());
+            round.resting.forEach(player => rests.set(player, rests.get(player) + 1));
+        });
+        expect(Math.max(...rests.values()) - Math.min(...rests.values())).toBeLessThanOrEqual(1);
+    });
+
+    it('assigns the matches to the courts in order', () => {
+        const rounds = generateAmericanoRounds(makePlayers(8), makeCourts(3), 3);
+
+        expect(rounds).toHaveLength(3);
+        rounds.forEach((round, i) => {
+            expect(round.round).toBe(i + 1);
+            expect(round.matches.map(match => match.courtName)).toEqual(['Court 1', 'Court 2']);
+        });
+    });
+});
@@ -0,0 +1,71 @@
+// Minimal RFC 4180 CSV parsing and writing: quoted fields, escaped quotes ("") and
+// newlines inside quotes. Written cells that a spreadsheet would run as a formula are
+// prefixed with a quote.
+
+/**
+ * Parses CSV text into rows of string fields. Blank lines are skipped.
+ * @param {string} text - The CSV content.
+ * @returns {Array<Array<string>>} The rows.
+ */
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const endField = () => {
+        row.push(field);
+        field = '';
+    };
+    const endRow = () => {
+        endField();
+        if (row.some(value => value.trim() !== '')) {
+            rows.push(row);
+        }
+        row = [];
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    endRow();
+
+    return rows;
+};
+
+// Spreadsheets run text starting with these as a formula (CSV injection)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quotes a field only when it contains a comma, quote or line break. Text that a spreadsheet
+// would read as a formula, such as a guest named "=HYPERLINK(...)", is prefixed with a quote.
+const formatField = (value) => {
+    const raw = value === null || value === undefined ? '' : String(value);
+    const text = typeof value !== 'number' && FORMULA_START.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats rows of fields as CSV text, one CRLF-terminated line per row.
+ * @param {Array<Array<*>>} rows - The rows; null and undefined become empty fields.
+ * @returns {string} The CSV content.
+ */
+export const formatCsv = (rows) => rows.map(row => row.map(formatField).join(',')).join('\r\n') + '\r\n';
@@ -0,0 +1,20 @@
+import { describe, expect, it } from 'vitest';
+import { formatCsv, parseCsv } from './csv';
+
+describe('formatCsv', () => {
+    it('quotes fields with commas, quotes and line breaks', () => {
+        const csv = formatCsv([['Name', 'Details'], ['Ana', 'Court 1, "lights"\non']]);
+
+        expect(parseCsv(csv)).toEqual([['Name', 'Details'], ['Ana', 'Court 1, "lights"\non']]);
+    });
+
+    it('keeps text a spreadsheet would run as a formula from being run', () => {
+        const csv = formatCsv([['=HYPERLINK("http://example.com")', '+1', '-2', '@SUM(A1)', '\tTab', 'Ana']]);
+
+        expect(parseCsv(csv)).toEqual([[`'=HYPERLINK("http://example.com")`, "'+1", "'-2", "'@SUM(A1)", "'\tTab", 'Ana']]);
+    });
+
+    it('leaves numbers as they are', () => {
+        expect(formatCsv([[-50, 12.5]])).toBe('-50,12.5\r\n');
+    });
+});
@@ -0,0 +1,114 @@
+// Guest registry: visits by named guests per calendar month, counted per guest and per
+// sponsoring member from the guests recorded on bookings, and the checks against the monthly caps.
+import { RESERVATION_STATUS, parseDate } from './scheduling';
+
+// What happens when a booking would take a guest or a member over a monthly cap
+export const GUEST_LIMIT_ACTIONS = {
+    WARN: 'warn', // The booking goes ahead and the member is told
+    BLOCK: 'block' // The booking is refused
+};
+
+// Guests are identified by name; spacing and case do not make a different guest
+export const getGuestKey = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// YYYY-MM of a date
+export const getMonth = (dateString) => dateString.slice(0, 7);
+
+// First and last possible date of a month, for date-range queries (YYYY-MM-DD strings compare in order)
+export const getMonthRange = (month) => ({ from: `${month}-01`, to: `${month}-31` });
+
+export const formatMonth = (month) =>
+    parseDate(`${month}-01`).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+// Cancelled bookings and staff blocks bring no guests; no-shows still used their guest visits
+const countsAsVisit = (booking) =>
+    booking.type !== 'block' && (booking.status === RESERVATION_STATUS.BOOKED || booking.status === RESERVATION_STATUS.NO_SHOW);
+
+/**
+ * Lists guest visits: one per guest per day, however many bookings they play in that day.
+ * @param {Array<object>} bookings - Booking documents.
+ * @returns {Array<{key: string, name: string, date: string, mpcNumber: string}>}
+ */
+export const listGuestVisits = (bookings) => {
+    const visits = new Map();
+    bookings.filter(countsAsVisit).forEach(booking => {
+        (booking.guests || []).forEach(guest => {
+            const key = getGuestKey(guest.name);
+            const visitKey = `${key}|${booking.date}`;
+            if (key && !visits.has(visitKey)) {
+                visits.set(visitKey, { key, name: guest.name.trim(), date: booking.date, mpcNumber: booking.mpcNumber });
+            }
+        });
+    });
+    return [...visits.values()];
+};
+
+/**
+ * Checks the named guests of a prospective booking against the monthly guest caps.
+ * @param {object} params
+ * @param {object} params.policy - The booking policy (maxGuestVisitsPerGuest, maxGuestVisitsPerMember).
+ * @param {Array<object>} params.bookings - Existing bookings, at least those in the booking's month.
+ * @param {string} params.dateString - The date of the booking (YYYY-MM-DD).
+ * @param {string} params.mpcNumber - The sponsoring member.
+ * @param {Array<{name: string}>} params.guests - The booking's guests.
+ * @param {string} [params.bookingId] - The booking being changed, left out of the counts.
+ * @returns {Array<string>} The caps that would be exceeded, empty if none.
+ */
+export const checkGuestLimits = ({ policy, bookings, dateString, mpcNumber, guests, bookingId = null }) => {
+    if (!policy.maxGuestVisitsPerGuest && !policy.maxGuestVisitsPerMember) return [];
+
+    const month = getMonth(dateString);
+    const visits = listGuestVisits(bookings.filter(b => b.id !== bookingId && getMonth(b.date) === month));
+    // A guest already visiting that day uses no extra visit
+    const newGuests = [...new Map(guests.map(guest => [getGuestKey(guest.name), guest.name.trim()])).entries()]
+        .filter(([key]) => !visits.some(visit => visit.key === key && visit.date === dateString));
+    const problems = [];
+
+    if (policy.maxGuestVisitsPerGuest) {
+        newGuests.forEach(([key, name]) => {
+            const count = visits.filter(visit => visit.key === key).length;
+            if (count + 1 > policy.maxGuestVisitsPerGuest) {
+                problems.push(`${name} has already visited ${count} time${count !== 1 ? 's' : ''} in ${formatMonth(month)}. Guests may visit at most ${policy.maxGuestVisitsPerGuest} times a month.`);
+            }
+        });
+    }
+
+    if (policy.maxGuestVisitsPerMember) {
+        const sponsored = visits.filter(visit => visit.mpcNumber === mpcNumber).length;
+        if (newGuests.length > 0 && sponsored + newGuests.length > policy.maxGuestVisitsPerMember) {
+            problems.push(`Member ${mpcNumber} has sponsored ${sponsored} guest visit${sponsored !== 1 ? 's' : ''} in ${formatMonth(month)}. Each member may sponsor at most ${policy.maxGuestVisitsPerMember} a month.`);
+        }
+    }
+
+    return problems;
+};
+
+/**
+ * Summarises a month's guest visits for the admin report.
+ * @param {Array<object>} bookings - The month's booking documents.
+ * @returns {{guests: Array<{key: string, name: string, dates: Array<string>, sponsors: Array<string>}>,
+ *   members: Array<{mpcNumber: string, visits: number, guests: Array<string>}>}} Each sorted by most visits.
+ */
+export const buildGuestReport = (bookings) => {
+    const guests = new Map();
+    const members = new Map();
+
+    listGuestVisits(bookings).forEach(visit => {
+        const guest = guests.get(visit.key) || { key: visit.key, name: visit.name, dates: [], sponsors: [] };
+        guest.dates.push(visit.date);
+        if (!guest.sponsors.includes(visit.mpcNumber)) guest.sponsors.push(visit.mpcNumber);
+        guests.set(visit.key, guest);
+
+        const member = members.get(visit.mpcNumber) || { mpcNumber: visit.mpcNumber, visits: 0, guests: [] };
+        member.visits += 1;
+        if (!member.guests.includes(visit.name)) member.guests.push(visit.name);
+        members.set(visit.mpcNumber, member);
+    });
+
+    return {
+        guests: [...guests.values()]
+            .map(guest => ({ ...guest, dates: guest.dates.sort() }))
+            .sort((a, b) => b.dates.length - a.dates.length || a.name.localeCompare(b.name)),
+        members: [...members.values()].sort((a, b) => b.visits - a.visits || a.mpcNumber.localeCompare(b.mpcNumber))
+    };
+};
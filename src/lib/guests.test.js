@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { buildGuestReport, checkGuestLimits, listGuestVisits } from './guests';
+import { DEFAULT_BOOKING_POLICY } from './policies';
+
+const policy = { ...DEFAULT_BOOKING_POLICY, maxGuestVisitsPerGuest: 2, maxGuestVisitsPerMember: 4 };
+
+const booking = (id, date, guests, overrides = {}) => ({
+    id,
+    date,
+    mpcNumber: 'A1',
+    status: 'booked',
+    guests: guests.map(name => ({ name })),
+    guestCount: guests.length,
+    ...overrides
+});
+
+describe('listGuestVisits', () => {
+    it('counts a guest once per day, whatever the spacing and case of the name', () => {
+        const visits = listGuestVisits([
+            booking('b1', '2026-10-05', ['Ana Cruz']),
+            booking('b2', '2026-10-05', [' ana  cruz ']),
+            booking('b3', '2026-10-06', ['Ana Cruz'])
+        ]);
+
+        expect(visits.map(visit => [visit.key, visit.date])).toEqual([['ana cruz', '2026-10-05'], ['ana cruz', '2026-10-06']]);
+    });
+
+    it('counts no-shows but not cancellations or staff blocks', () => {
+        const visits = listGuestVisits([
+            booking('b1', '2026-10-05', ['Ana'], { status: 'no_show' }),
+            booking('b2', '2026-10-06', ['Ben'], { status: 'cancelled' }),
+            booking('b3', '2026-10-07', ['Cy'], { type: 'block' })
+        ]);
+
+        expect(visits.map(visit => visit.name)).toEqual(['Ana']);
+    });
+});
+
+describe('checkGuestLimits', () => {
+    const october = [booking('b1', '2026-10-05', ['Ana']), booking('b2', '2026-10-12', ['Ana', 'Ben'])];
+    const check = (guests, overrides = {}) =>
+        checkGuestLimits({ policy, bookings: october, dateString: '2026-10-19', mpcNumber: 'A1', guests: guests.map(name => ({ name })), ...overrides });
+
+    it('refuses a guest over the monthly visits per guest', () => {
+        const problems = check(['Ana']);
+
+        expect(problems).toHaveLength(1);
+        expect(problems[0]).toMatch(/Ana has already visited 2 times in October 2026/);
+    });
+
+    it('refuses a member over the monthly guest visits they may sponsor', () => {
+        expect(check(['Cy'])).toEqual([]);
+        expect(check(['Cy', 'Dee'])).toEqual([expect.stringMatching(/Member A1 has sponsored 3 guest visits/)]);
+    });
+
+    it('does not count a guest already visiting that day again', () => {
+        expect(check(['Ana'], { dateString: '2026-10-12' })).toEqual([]);
+    });
+
+    it('leaves the booking being changed and other months out of the counts', () => {
+        expect(check(['Ana'], { bookingId: 'b2' })).toEqual([]);
+        expect(check(['Ana'], { dateString: '2026-11-02' })).toEqual([]);
+    });
+
+    it('checks nothing when the policy sets no caps', () => {
+        expect(check(['Ana', 'Cy', 'Dee'], { policy: { ...policy, maxGuestVisitsPerGuest: 0, maxGuestVisitsPerMember: 0 } })).toEqual([]);
+    });
+});
+
+describe('buildGuestReport', () => {
+    it('sorts guests and members by most visits', () => {
+        const report = buildGuestReport([
+            booking('b1', '2026-10-05', ['Ben']),
+            booking('b2', '2026-10-12', ['Ana', 'Ben'], { mpcNumber: 'B2' })
+        ]);
+
+        expect(report.guests.map(guest => [guest.name, guest.dates, guest.sponsors])).toEqual([
+            ['Ben', ['2026-10-05', '2026-10-12'], ['A1', 'B2']],
+            ['Ana', ['2026-10-12'], ['B2']]
+        ]);
+        expect(report.members.map(member => [member.mpcNumber, member.visits])).toEqual([['B2', 2], ['A1', 1]]);
+    });
+});
@@ -0,0 +1,53 @@
+// Open matches: a booking advertised to other members to fill the four places on court,
+// and the members who ask to join it and are approved by the booker.
+import { RESERVATION_STATUS, getBookingStart } from './scheduling';
+
+// Padel is played two against two
+export const PLAYERS_PER_MATCH = 4;
+
+// Levels a booker can ask for
+export const MATCH_LEVELS = ['Any level', 'Beginner', 'Intermediate', 'Advanced'];
+
+export const JOIN_STATUS = {
+    PENDING: 'pending', // Asked to join, waiting for the booker
+    APPROVED: 'approved' // Accepted by the booker and listed among the booking's players
+};
+
+// Members who asked to join a booking, in the order they asked
+export const getJoiners = (booking) => booking.joiners || [];
+
+export const getApprovedJoiners = (booking) => getJoiners(booking).filter(joiner => joiner.status === JOIN_STATUS.APPROVED);
+
+export const findJoiner = (booking, mpcNumber) => getJoiners(booking).find(joiner => joiner.mpcNumber === mpcNumber) || null;
+
+// Places left to fill: the players the booker asked for, less those already approved
+export const getOpenSpots = (booking) =>
+    booking.openMatch ? Math.max(0, booking.openMatch.playersNeeded - getApprovedJoiners(booking).length) : 0;
+
+// Most players a booker can look for: the court holds four, and the booker, co-players and guests already play
+export const getMaxPlayersNeeded = (booking) =>
+    PLAYERS_PER_MATCH - 1 - (booking.coPlayers || []).length - (booking.guestCount || 0);
+
+// An open match is listed for other members while it is upcoming and has places left
+export const isListedOpenMatch = (booking, now = new Date()) =>
+    booking.status === RESERVATION_STATUS.BOOKED && !!booking.openMatch && getOpenSpots(booking) > 0 && getBookingStart(booking) > now;
+
+/**
+ * Validates the open-match settings of a booking.
+ * @param {{level: string, playersNeeded: number}} settings - The requested settings.
+ * @param {object} booking - The booking being opened (guests and approved joiners are counted).
+ * @returns {string|null} An error message, or null if the settings are valid.
+ */
+export const validateOpenMatch = ({ level, playersNeeded }, booking) => {
+    if (!MATCH_LEVELS.includes(level)) return 'Please choose a level.';
+    const max = getMaxPlayersNeeded(booking);
+    if (!Number.isInteger(playersNeeded) || playersNeeded < 1 || playersNeeded > max) {
+        return max < 1
+            ? 'This booking already has four players.'
+            : `You can look for between 1 and ${max} player${max !== 1 ? 's' : ''}.`;
+    }
+    if (playersNeeded < getApprovedJoiners(booking).length) {
+        return 'Remove an approved player before asking for fewer players.';
+    }
+    return null;
+};
@@ -0,0 +1,57 @@
+// Who is on court for a booking: the booker, fellow members added by MPC number, named
+// guests and members who joined an open match.
+import { PLAYERS_PER_MATCH, getApprovedJoiners } from './matches';
+import { normalizeMpcNumber } from './roster';
+import { MAX_GUESTS } from './scheduling';
+
+// Fellow members the booker added ({mpcNumber, name})
+export const getCoPlayers = (booking) => booking.coPlayers || [];
+
+// Named guests ({name}). Bookings from before guests were named only have a count.
+export const getGuests = (booking) =>
+    booking.guests || Array.from({ length: booking.guestCount || 0 }, (_, i) => ({ name: `Guest ${i + 1}` }));
+
+/**
+ * The MPC numbers stored in a booking's players field, which members' booking lists query.
+ * @param {string} bookerMpcNumber - The booker.
+ * @param {Array<{mpcNumber: string}>} coPlayers - Fellow members added by the booker.
+ * @param {Array<{mpcNumber: string}>} [joiners] - Members approved to join an open match.
+ * @returns {Array<string>}
+ */
+export const buildPlayerList = (bookerMpcNumber, coPlayers, joiners = []) =>
+    [...new Set([bookerMpcNumber, ...coPlayers.map(player => player.mpcNumber), ...joiners.map(joiner => joiner.mpcNumber)])];
+
+// A member plays in a booking someone else made
+export const isCoPlayerOf = (booking, mpcNumber) =>
+    !!mpcNumber && normalizeMpcNumber(booking.mpcNumber) !== normalizeMpcNumber(mpcNumber) && (booking.players || []).includes(normalizeMpcNumber(mpcNumber));
+
+// Places kept for an open match: those still advertised, or at least the players already approved
+export const getOpenMatchPlaces = (booking) => {
+    const approved = getApprovedJoiners(booking).length;
+    return booking.openMatch ? Math.max(booking.openMatch.playersNeeded, approved) : approved;
+};
+
+/**
+ * Validates the co-players and guests of a booking.
+ * @param {object} params
+ * @param {string} params.bookerMpcNumber - The booker.
+ * @param {Array<{mpcNumber: string}>} params.coPlayers - Fellow members.
+ * @param {Array<{name: string}>} params.guests - Named guests.
+ * @param {number} [params.reservedPlaces] - Places kept for an open match.
+ * @returns {string|null} An error message, or null if the players are valid.
+ */
+export const validateBookingPlayers = ({ bookerMpcNumber, coPlayers, guests, reservedPlaces = 0 }) => {
+    if (guests.length > MAX_GUESTS) return `At most ${MAX_GUESTS} guests can play in one booking.`;
+    if (guests.some(guest => !guest.name || !guest.name.trim())) return 'Please enter a name for every guest.';
+
+    const mpcNumbers = coPlayers.map(player => normalizeMpcNumber(player.mpcNumber));
+    if (mpcNumbers.includes(normalizeMpcNumber(bookerMpcNumber))) return 'The booker is already playing in this booking.';
+    if (new Set(mpcNumbers).size !== mpcNumbers.length) return 'Each member can only be added once.';
+
+    if (1 + coPlayers.length + guests.length + reservedPlaces > PLAYERS_PER_MATCH) {
+        return reservedPlaces > 0
+            ? `A court holds ${PLAYERS_PER_MATCH} players, including the ${reservedPlaces} place${reservedPlaces !== 1 ? 's' : ''} kept for your open match.`
+            : `A court holds ${PLAYERS_PER_MATCH} players.`;
+    }
+    return null;
+};
@@ -0,0 +1,124 @@
+// Per-member booking policies: daily/weekly hour quotas, a cap on upcoming bookings,
+// the advance-booking window and cancellation terms. The policy also holds the monthly
+// guest caps, which guests.js applies.
+import { GUEST_LIMIT_ACTIONS } from './guests';
+import { addDays, formatDate, getBookingStart, isActiveReservation, parseDate } from './scheduling';
+
+// Used until admins save a policy in Firestore. A limit or fee of 0 means "none".
+export const DEFAULT_BOOKING_POLICY = {
+    maxHoursPerDay: 2,
+    maxHoursPerWeek: 6,
+    maxFutureBookings: 3,
+    advanceBookingDays: 7,
+    cancellationCutoffHours: 6,
+    lateCancelFeePercent: 100, // Of the estimated cost of the cancelled slots
+    noShowFeePercent: 100, // Of the estimated cost of the missed slots
+    waitlistClaimMinutes: 60, // How long a freed court is held for the first waitlisted member
+    maxSeriesWeeks: 8, // Longest recurring weekly booking; 0 turns recurring bookings off
+    maxGuestVisitsPerGuest: 4, // Days the same guest may play in a calendar month
+    maxGuestVisitsPerMember: 8, // Guest visits one member may sponsor in a calendar month
+    guestLimitAction: GUEST_LIMIT_ACTIONS.WARN // Whether going over a guest cap is only flagged or refused
+};
+
+export const BOOKING_POLICY_FIELDS = [
+    { key: 'maxHoursPerDay', label: 'Max hours per member per day', step: 0.5 },
+    { key: 'maxHoursPerWeek', label: 'Max hours per member per week (Mon-Sun)', step: 0.5 },
+    { key: 'maxFutureBookings', label: 'Max upcoming bookings per member', step: 1 },
+    { key: 'advanceBookingDays', label: 'Days ahead members can book', step: 1 },
+    { key: 'cancellationCutoffHours', label: 'Free cancellation until (hours before start)', step: 0.5 },
+    { key: 'lateCancelFeePercent', label: 'Late cancellation fee (% of estimated cost)', step: 1 },
+    { key: 'noShowFeePercent', label: 'No-show fee (% of estimated cost)', step: 1 },
+    { key: 'waitlistClaimMinutes', label: 'Waitlist claim window (minutes)', step: 1 },
+    { key: 'maxSeriesWeeks', label: 'Max weeks in a recurring booking', step: 1 },
+    { key: 'maxGuestVisitsPerGuest', label: 'Max visits per guest per month', step: 1 },
+    { key: 'maxGuestVisitsPerMember', label: 'Max guest visits per member per month', step: 1 }
+];
+
+const SLOT_HOURS = 0.5;
+
+const formatHours = (hours) => `${hours} hour${hours !== 1 ? 's' : ''}`;
+
+// Monday of the week containing the date, as YYYY-MM-DD
+export const getWeekStart = (dateString) => {
+    const dayOfWeek = parseDate(dateString).getDay(); // 0 (Sun) to 6 (Sat)
+    return addDays(dateString, dayOfWeek === 0 ? -6 : 1 - dayOfWeek);
+};
+
+// Quotas only count bookings from the start of the current week, as no earlier week can be booked
+export const getQuotaWindowStart = (now = new Date()) => getWeekStart(formatDate(now));
+
+/**
+ * Returns the furthest date a member may book, or null if there is no advance limit.
+ * @param {object} policy - The booking policy.
+ * @param {Date} [now] - The current time.
+ * @returns {string|null} YYYY-MM-DD.
+ */
+export const getLastBookableDate = (policy, now = new Date()) =>
+    policy.advanceBookingDays ? addDays(formatDate(now), policy.advanceBookingDays) : null;
+
+/**
+ * Checks a prospective booking against the member's quotas and the advance window. Each
+ * occurrence of a recurring booking is checked on its own and counts as one upcoming booking.
+ * @param {object} params
+ * @param {object} params.policy - The booking policy.
+ * @param {Array<object>} params.memberBookings - The member's existing booking documents.
+ * @param {string} params.dateString - The date of the new booking (YYYY-MM-DD).
+ * @param {number} params.slotCount - Number of 30-minute slots in the new booking.
+ * @param {Date} [params.now] - The current time.
+ * @returns {string|null} A message explaining why the booking is refused, or null if allowed.
+ */
+export const checkBookingPolicy = ({ policy, memberBookings, dateString, slotCount, now = new Date() }) => {
+    const lastBookableDate = getLastBookableDate(policy, now);
+    if (lastBookableDate && dateString > lastBookableDate) {
+        return `Courts can be booked up to ${policy.advanceBookingDays} days ahead. The furthest date you can book today is ${lastBookableDate}.`;
+    }
+
+    const active = memberBookings.filter(b => b.type !== 'block' && isActiveReservation(b));
+    const newHours = slotCount * SLOT_HOURS;
+    const sumHours = (bookings) => bookings.reduce((sum, b) => sum + b.timeSlots.length * SLOT_HOURS, 0);
+
+    if (policy.maxHoursPerDay) {
+        const dayHours = sumHours(active.filter(b => b.date === dateString));
+        if (dayHours + newHours > policy.maxHoursPerDay) {
+            return `The limit is ${formatHours(policy.maxHoursPerDay)} per member per day. You already have ${formatHours(dayHours)} booked on ${dateString}.`;
+        }
+    }
+
+    if (policy.maxHoursPerWeek) {
+        const weekStart = getWeekStart(dateString);
+        const weekEnd = addDays(weekStart, 6);
+        const weekHours = sumHours(active.filter(b => b.date >= weekStart && b.date <= weekEnd));
+        if (weekHours + newHours > policy.maxHoursPerWeek) {
+            return `The limit is ${formatHours(policy.maxHoursPerWeek)} per member per week. You already have ${formatHours(weekHours)} booked for the week of ${weekStart}.`;
+        }
+    }
+
+    if (policy.maxFutureBookings) {
+        const upcomingCount = active.filter(b => getBookingStart(b).getTime() > now.getTime()).length;
+        if (upcomingCount >= policy.maxFutureBookings) {
+            return `You can hold at most ${policy.maxFutureBookings} upcoming booking${policy.maxFutureBookings !== 1 ? 's' : ''} at a time. Please wait until one has been played or cancel one first.`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Works out the terms for cancelling a booking, or the slots removed when shortening one:
+ * whether it is inside the cancellation cutoff and the late-cancellation fee that applies.
+ * @param {object} params
+ * @param {Date} params.start - When the cancelled time starts.
+ * @param {number} params.amount - The estimated cost being given up.
+ * @param {object} params.policy - The booking policy.
+ * @param {Date} [params.now] - The current time.
+ * @returns {{hasStarted: boolean, isLate: boolean, feePercent: number, fee: number}}
+ */
+export const getCancellationTerms = ({ start, amount, policy, now = new Date() }) => {
+    const hoursUntilStart = (start.getTime() - now.getTime()) / (60 * 60 * 1000);
+    const hasStarted = hoursUntilStart <= 0;
+    const isLate = !!policy.cancellationCutoffHours && hoursUntilStart < policy.cancellationCutoffHours;
+    const feePercent = isLate ? (policy.lateCancelFeePercent || 0) : 0;
+    const fee = amount * feePercent / 100;
+
+    return { hasStarted, isLate, feePercent, fee };
+};
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_BOOKING_POLICY, checkBookingPolicy, getCancellationTerms } from './policies';
+import { getWeeklyDates } from './scheduling';
+
+// Monday 2026-10-19, 08:00
+const NOW = new Date(2026, 9, 19, 8, 0);
+const policy = { ...DEFAULT_BOOKING_POLICY, maxHoursPerDay: 0, maxHoursPerWeek: 0, maxFutureBookings: 3, advanceBookingDays: 7 };
+
+const booking = (date, seriesId) => ({ id: `${date}-${seriesId || 'single'}`, date, timeSlots: ['18:00 - 18:30', '18:30 - 19:00'], status: 'booked', seriesId });
+
+// Books a weekly series the way the app does: each occurrence is checked against the
+// bookings made so far, including the earlier occurrences
+const bookSeries = (dates, existing = [], overrides = {}) => dates.reduce(({ booked, refused }, date) => {
+    const refusal = checkBookingPolicy({ policy: { ...policy, ...overrides }, memberBookings: booked, dateString: date, slotCount: 2, now: NOW });
+    return refusal
+        ? { booked, refused: [...refused, date] }
+        : { booked: [...booked, booking(date, 'series')], refused };
+}, { booked: existing, refused: [] });
+
+describe('checkBookingPolicy', () => {
+    it('refuses dates beyond the advance-booking window', () => {
+        expect(checkBookingPolicy({ policy, memberBookings: [], dateString: '2026-10-26', slotCount: 2, now: NOW })).toBeNull();
+        expect(checkBookingPolicy({ policy, memberBookings: [], dateString: '2026-10-27', slotCount: 2, now: NOW })).toMatch(/7 days ahead/);
+    });
+
+    it('checks every occurrence of a series against the advance window', () => {
+        const { refused } = bookSeries(getWeeklyDates('2026-10-19', 8));
+
+        expect(refused).toEqual(getWeeklyDates('2026-11-02', 6));
+    });
+
+    it('counts every occurrence of a series toward the upcoming-booking limit', () => {
+        const { booked, refused } = bookSeries(getWeeklyDates('2026-10-20', 4), [booking('2026-10-21')], { advanceBookingDays: 0 });
+
+        expect(booked).toHaveLength(3);
+        expect(refused).toEqual(['2026-11-03', '2026-11-10']);
+    });
+});
+
+describe('getCancellationTerms', () => {
+    const cutoffPolicy = { ...DEFAULT_BOOKING_POLICY, cancellationCutoffHours: 6, lateCancelFeePercent: 50 };
+    const terms = (start, overrides = {}) => getCancellationTerms({ start, amount: 600, policy: { ...cutoffPolicy, ...overrides }, now: NOW });
+
+    it('charges nothing before the cancellation cutoff', () => {
+        expect(terms(new Date(2026, 9, 19, 14, 0))).toEqual({ hasStarted: false, isLate: false, feePercent: 0, fee: 0 });
+    });
+
+    it('charges the late-cancellation fee on the amount given up inside the cutoff', () => {
+        expect(terms(new Date(2026, 9, 19, 13, 59))).toEqual({ hasStarted: false, isLate: true, feePercent: 50, fee: 300 });
+    });
+
+    it('reports a booking that has started', () => {
+        expect(terms(NOW)).toMatchObject({ hasStarted: true, isLate: true, fee: 300 });
+    });
+
+    it('never charges when the policy has no cutoff', () => {
+        expect(terms(new Date(2026, 9, 19, 9, 0), { cancellationCutoffHours: 0 })).toMatchObject({ isLate: false, fee: 0 });
+    });
+});
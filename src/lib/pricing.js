@@ -0,0 +1,160 @@
+// Court and guest pricing from the club's rate table: every 30-minute slot is priced by the
+// first rate that matches its date, start time and court. Members pay the court rate; guests,
+// who are not members, pay the non-member rate for the time they play and a guest fee that
+// can rise with each extra guest.
+import { COURT_FEE_PER_HOUR, GUEST_FEE_PER_PERSON, MAX_GUESTS, parseDate } from './scheduling';
+
+export const DAY_TYPES = [
+    ['weekday', 'Weekdays'],
+    ['weekend', 'Weekends'],
+    ['holiday', 'Holidays']
+];
+
+// Applies when no rate in the table matches a slot, and is the whole table until admins save one
+export const STANDARD_RATE = {
+    id: 'standard',
+    name: 'Standard',
+    dayTypes: [], // Empty: every kind of day
+    fromTime: '00:00',
+    toTime: '24:00',
+    courts: [], // Empty: every court
+    effectiveFrom: '',
+    effectiveTo: '',
+    courtPerHour: COURT_FEE_PER_HOUR, // Court rate for members
+    nonMemberPerHour: 0, // Charged for each guest on top of the court rate
+    guestTiers: [GUEST_FEE_PER_PERSON] // Guest fee of the 1st, 2nd, ... guest; later guests pay the last
+};
+
+export const DEFAULT_RATE_TABLE = { rates: [STANDARD_RATE], holidays: [] };
+
+const SLOT_HOURS = 0.5;
+const TIME_PATTERN = /^([01]\d|2[0-4]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The guest fee tiers of a rate or quote. Rates saved before tiers had one guestFee, and quotes one guestFeePerGuest
+export const getGuestTiers = (rateOrQuote) => rateOrQuote.guestTiers || [rateOrQuote.guestFeePerGuest ?? rateOrQuote.guestFee ?? GUEST_FEE_PER_PERSON];
+
+// The guest fee paid by the nth guest (1-based)
+const getTierFee = (guestTiers, position) => guestTiers[Math.min(position, guestTiers.length) - 1];
+
+// Holidays are priced as their own kind of day, whatever the weekday
+export const getDayType = (dateString, holidays = []) => {
+    if (holidays.includes(dateString)) return 'holiday';
+    const dayOfWeek = parseDate(dateString).getDay();
+    return dayOfWeek === 0 || dayOfWeek === 6 ? 'weekend' : 'weekday';
+};
+
+const rateMatches = (rate, { dateString, dayType, startTime, court }) =>
+    (rate.dayTypes.length === 0 || rate.dayTypes.includes(dayType)) &&
+    (rate.courts.length === 0 || rate.courts.includes(court)) &&
+    (!rate.effectiveFrom || dateString >= rate.effectiveFrom) &&
+    (!rate.effectiveTo || dateString <= rate.effectiveTo) &&
+    startTime >= rate.fromTime && startTime < rate.toTime;
+
+/**
+ * Finds the rate for one slot: the first matching rate in table order, or the standard rate.
+ * @param {object} rateTable - {rates, holidays}.
+ * @param {string} dateString - The date (YYYY-MM-DD).
+ * @param {string} time - The slot ("HH:MM - HH:MM").
+ * @param {string} court - The court id.
+ * @returns {object} The rate.
+ */
+export const findRate = (rateTable, dateString, time, court) => {
+    const slot = { dateString, dayType: getDayType(dateString, rateTable.holidays), startTime: time.split(' - ')[0], court };
+    return rateTable.rates.find(rate => rateMatches(rate, slot)) || STANDARD_RATE;
+};
+
+/**
+ * Prices a booking. Each slot is charged the court rate in effect for it, plus the non-member
+ * rate for each guest; guests also pay the guest fees of the rate in effect when the booking
+ * starts. The quote is stored on the booking.
+ * @param {object} params
+ * @param {object} params.rateTable - {rates, holidays}.
+ * @param {string} params.dateString - The booking date (YYYY-MM-DD).
+ * @param {string} params.court - The court id.
+ * @param {Array<string>} params.timeSlots - The booking's slots, in order.
+ * @param {number} params.guestCount - Number of guests.
+ * @returns {{slots: Array<{time: string, rateId: string, rateIndex: number, rateName: string, amount: number, nonMemberAmount: number}>,
+ *   guestCount: number, guestTiers: Array<number>, guestRateName: string,
+ *   courtFee: number, nonMemberFee: number, guestFee: number, total: number}} Amounts in PHP;
+ *   guestFee includes the non-member charge (nonMemberFee).
+ */
+export const quoteBooking = ({ rateTable, dateString, court, timeSlots, guestCount }) => {
+    const slots = timeSlots.map(time => {
+        const rate = findRate(rateTable, dateString, time, court);
+        // rateIndex lets the security rules look the rate up in the stored table (-1: the standard rate)
+        return { time, rateId: rate.id, rateIndex: rateTable.rates.indexOf(rate), rateName: rate.name, amount: rate.courtPerHour * SLOT_HOURS, nonMemberAmount: (rate.nonMemberPerHour || 0) * SLOT_HOURS };
+    });
+    const guestRate = timeSlots.length > 0 ? findRate(rateTable, dateString, timeSlots[0], court) : STANDARD_RATE;
+    return buildQuote(slots, guestCount, getGuestTiers(guestRate), guestRate.name);
+};
+
+const buildQuote = (slots, guestCount, guestTiers, guestRateName) => {
+    const courtFee = slots.reduce((sum, slot) => sum + slot.amount, 0);
+    const nonMemberFee = guestCount * slots.reduce((sum, slot) => sum + (slot.nonMemberAmount || 0), 0);
+    const tierFees = Array.from({ length: guestCount }, (_, i) => getTierFee(guestTiers, i + 1)).reduce((sum, fee) => sum + fee, 0);
+    const guestFee = nonMemberFee + tierFees;
+    return { slots, guestCount, guestTiers, guestRateName, courtFee, nonMemberFee, guestFee, total: courtFee + guestFee };
+};
+
+/**
+ * Reprices a booking after its slots or guests change, keeping the prices it was quoted at.
+ * Bookings made before quotes were stored are priced at the standard rate.
+ * @param {object} booking - The booking (priceQuote, timeSlots).
+ * @param {object} change
+ * @param {Array<string>} [change.timeSlots] - The slots kept (a subset of the booking's).
+ * @param {number} change.guestCount - The new number of guests.
+ * @returns {object} The new quote (see {@link quoteBooking}).
+ */
+export const requoteBooking = (booking, { timeSlots = booking.timeSlots, guestCount }) => {
+    const quote = booking.priceQuote;
+    if (!quote) {
+        return buildQuote(
+            timeSlots.map(time => ({ time, rateId: STANDARD_RATE.id, rateName: STANDARD_RATE.name, amount: STANDARD_RATE.courtPerHour * SLOT_HOURS, nonMemberAmount: 0 })),
+            guestCount, STANDARD_RATE.guestTiers, STANDARD_RATE.name
+        );
+    }
+    return buildQuote(quote.slots.filter(slot => timeSlots.includes(slot.time)), guestCount, getGuestTiers(quote), quote.guestRateName);
+};
+
+// The quote a booking was priced at; bookings made before quotes were stored are priced at the standard rate
+export const getBookingQuote = (booking) => booking.priceQuote || requoteBooking(booking, { guestCount: booking.guestCount || 0 });
+
+/**
+ * Groups a quote's adjacent slots charged at the same rate into line items for display.
+ * @param {object} quote - A quote from {@link quoteBooking}.
+ * @returns {Array<{timeRange: string, rateName: string, slotCount: number, amount: number}>}
+ */
+export const getQuoteLines = (quote) => quote.slots.reduce((lines, slot) => {
+    const last = lines[lines.length - 1];
+    if (last && last.rateId === slot.rateId && last.unitAmount === slot.amount) {
+        last.endTime = slot.time.split(' - ')[1];
+        last.slotCount += 1;
+        last.amount += slot.amount;
+    } else {
+        const [startTime, endTime] = slot.time.split(' - ');
+        lines.push({ rateId: slot.rateId, rateName: slot.rateName, unitAmount: slot.amount, startTime, endTime, slotCount: 1, amount: slot.amount });
+    }
+    return lines;
+}, []).map(({ rateName, startTime, endTime, slotCount, amount }) => ({ timeRange: `${startTime} - ${endTime}`, rateName, slotCount, amount }));
+
+/**
+ * Validates a rate before saving.
+ * @param {object} rate - The rate fields.
+ * @returns {string|null} An error message, or null if the rate is valid.
+ */
+export const validateRate = (rate) => {
+    if (!rate.name || !rate.name.trim()) return 'Please enter a name for the rate.';
+    if (!TIME_PATTERN.test(rate.fromTime) || !TIME_PATTERN.test(rate.toTime)) return 'Times must be in HH:MM format (24:00 for midnight).';
+    if (rate.fromTime >= rate.toTime) return 'The end time must be after the start time.';
+    if (!rate.dayTypes.every(type => DAY_TYPES.some(([key]) => key === type))) return 'Unknown kind of day.';
+    if (!Number.isFinite(rate.courtPerHour) || rate.courtPerHour < 0) return 'The court rate must be zero or more.';
+    if (!Number.isFinite(rate.nonMemberPerHour) || rate.nonMemberPerHour < 0) return 'The non-member rate must be zero or more.';
+    if (rate.guestTiers.length === 0 || rate.guestTiers.length > MAX_GUESTS) return `Enter a guest fee for 1 to ${MAX_GUESTS} guests.`;
+    if (!rate.guestTiers.every(fee => Number.isFinite(fee) && fee >= 0)) return 'Guest fees must be zero or more.';
+    if ((rate.effectiveFrom && !DATE_PATTERN.test(rate.effectiveFrom)) || (rate.effectiveTo && !DATE_PATTERN.test(rate.effectiveTo))) {
+        return 'Effective dates must be in YYYY-MM-DD format.';
+    }
+    if (rate.effectiveFrom && rate.effectiveTo && rate.effectiveFrom > rate.effectiveTo) return 'The rate must end after it starts.';
+    return null;
+};
@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import { STANDARD_RATE, quoteBooking, requoteBooking, validateRate } from './pricing';
+
+// 2026-10-24 is a Saturday
+const SATURDAY = '2026-10-24';
+const SLOTS = ['17:30 - 18:00', '18:00 - 18:30', '18:30 - 19:00'];
+
+const EVENING = {
+    ...STANDARD_RATE,
+    id: 'evening',
+    name: 'Evening lights',
+    fromTime: '18:00',
+    courtPerHour: 800,
+    nonMemberPerHour: 100,
+    guestTiers: [200, 250, 300]
+};
+const rateTable = { rates: [EVENING], holidays: [] };
+
+describe('quoteBooking', () => {
+    it('charges members the court rate of each slot', () => {
+        const quote = quoteBooking({ rateTable, dateString: SATURDAY, court: 'Court 1', timeSlots: SLOTS, guestCount: 0 });
+
+        expect(quote.slots.map(slot => slot.amount)).toEqual([250, 400, 400]);
+        expect(quote.slots.map(slot => slot.rateIndex)).toEqual([-1, 0, 0]);
+        expect(quote.courtFee).toBe(1050);
+        expect(quote.guestFee).toBe(0);
+    });
+
+    it('charges each guest the non-member rate of each slot and their guest fee tier', () => {
+        const quote = quoteBooking({ rateTable, dateString: SATURDAY, court: 'Court 1', timeSlots: SLOTS.slice(1), guestCount: 2 });
+
+        expect(quote.nonMemberFee).toBe(2 * (50 + 50));
+        expect(quote.guestFee).toBe(200 + 200 + 250);
+        expect(quote.total).toBe(800 + 650);
+    });
+
+    it('takes the guest fees from the rate in effect when the booking starts', () => {
+        const quote = quoteBooking({ rateTable, dateString: SATURDAY, court: 'Court 1', timeSlots: SLOTS, guestCount: 1 });
+
+        expect(quote.guestRateName).toBe('Standard');
+        expect(quote.guestFee).toBe(50 + 50 + 200);
+    });
+
+    it('charges guests past the last tier the last fee', () => {
+        const table = { rates: [{ ...EVENING, nonMemberPerHour: 0, guestTiers: [100, 150] }], holidays: [] };
+        const quote = quoteBooking({ rateTable: table, dateString: SATURDAY, court: 'Court 1', timeSlots: SLOTS.slice(1), guestCount: 3 });
+
+        expect(quote.guestFee).toBe(100 + 150 + 150);
+    });
+
+    it('prices rates saved with a single guest fee', () => {
+        const legacy = { ...EVENING, nonMemberPerHour: undefined, guestTiers: undefined, guestFee: 180 };
+        const quote = quoteBooking({ rateTable: { rates: [legacy], holidays: [] }, dateString: SATURDAY, court: 'Court 1', timeSlots: SLOTS.slice(1), guestCount: 2 });
+
+        expect(quote.guestFee).toBe(360);
+    });
+});
+
+describe('requoteBooking', () => {
+    it('keeps the quoted prices when guests or slots change', () => {
+        const priceQuote = quoteBooking({ rateTable, dateString: SATURDAY, court: 'Court 1', timeSlots: SLOTS.slice(1), guestCount: 1 });
+        const booking = { timeSlots: SLOTS.slice(1), priceQuote };
+
+        const moreGuests = requoteBooking(booking, { guestCount: 3 });
+        expect(moreGuests.guestFee).toBe(3 * 100 + 200 + 250 + 300);
+
+        const shorter = requoteBooking(booking, { timeSlots: SLOTS.slice(1, 2), guestCount: 1 });
+        expect(shorter.total).toBe(400 + 50 + 200);
+    });
+
+    it('requotes quotes saved with a single guest fee per guest', () => {
+        const booking = {
+            timeSlots: SLOTS.slice(1),
+            priceQuote: {
+                slots: SLOTS.slice(1).map(time => ({ time, rateId: 'evening', rateName: 'Evening lights', amount: 400 })),
+                guestCount: 1, guestFeePerGuest: 220, guestRateName: 'Evening lights', courtFee: 800, guestFee: 220, total: 1020
+            }
+        };
+
+        expect(requoteBooking(booking, { guestCount: 2 }).total).toBe(800 + 440);
+    });
+});
+
+describe('validateRate', () => {
+    it('accepts the standard rate', () => {
+        expect(validateRate(STANDARD_RATE)).toBeNull();
+    });
+
+    it('refuses negative or missing amounts', () => {
+        expect(validateRate({ ...EVENING, nonMemberPerHour: -1 })).toMatch(/non-member/);
+        expect(validateRate({ ...EVENING, guestTiers: [] })).toMatch(/guest fee/);
+        expect(validateRate({ ...EVENING, guestTiers: [200, NaN] })).toMatch(/Guest fees/);
+    });
+});
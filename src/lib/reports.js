@@ -0,0 +1,156 @@
+// Management reports over a date range: court utilisation by weekday and hour, cancellation
+// and no-show rates, top members, guest volume and estimated revenue.
+import { getGuestKey, getMonth } from './guests';
+import { getGuests } from './players';
+import { getBookingQuote } from './pricing';
+import { DEFAULT_SPECIAL_SLOTS, RESERVATION_STATUS, TIME_SLOTS, addDays, getBookingStart, getSpecialSlotStatus, parseDate } from './scheduling';
+
+const SLOT_HOURS = 0.5;
+
+// Bookings that hold a court: booked (or from before statuses existed) and no-shows
+const holdsCourt = (booking) =>
+    !booking.status || booking.status === RESERVATION_STATUS.BOOKED || booking.status === RESERVATION_STATUS.NO_SHOW;
+
+const isMemberBooking = (booking) => booking.type !== 'block' && booking.status !== RESERVATION_STATUS.HELD;
+
+// Every date from one date to another, inclusive
+const listDates = (from, to) => {
+    const dates = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) dates.push(date);
+    return dates;
+};
+
+/**
+ * Calculates court utilisation by weekday and hour: the share of bookable court time that
+ * members booked. Time in FCFS, Americano and closed windows and court time blocked out by
+ * staff is not bookable, so it is left out of both sides.
+ * @param {object} params
+ * @param {Array<object>} params.bookings - The range's booking documents.
+ * @param {string} params.from - First date (YYYY-MM-DD).
+ * @param {string} params.to - Last date (YYYY-MM-DD).
+ * @param {number} params.courtCount - Number of courts in play.
+ * @param {Array<object>} [params.specialSlotRules] - Special slot rules in effect.
+ * @returns {Array<{hour: string, days: Array<{booked: number, capacity: number}>}>} One row per
+ *   hour; days are indexed Sunday (0) to Saturday (6) and counted in court-slots.
+ */
+export const getUtilisationHeatmap = ({ bookings, from, to, courtCount, specialSlotRules = DEFAULT_SPECIAL_SLOTS }) => {
+    const hours = [...new Set(TIME_SLOTS.map(slot => slot.slice(0, 2)))];
+    const rows = hours.map(hour => ({ hour: `${hour}:00`, days: Array.from({ length: 7 }, () => ({ booked: 0, capacity: 0 })) }));
+    const getCell = (dateString, slot) => rows[hours.indexOf(slot.slice(0, 2))].days[parseDate(dateString).getDay()];
+    const isBookable = (dateString, slot) =>
+        getSpecialSlotStatus(parseDate(dateString), slot.split(' - ')[0], specialSlotRules).status === 'BOOKABLE';
+
+    listDates(from, to).forEach(dateString => {
+        TIME_SLOTS.filter(slot => isBookable(dateString, slot)).forEach(slot => {
+            getCell(dateString, slot).capacity += courtCount;
+        });
+    });
+
+    bookings.filter(booking => booking.date >= from && booking.date <= to && holdsCourt(booking)).forEach(booking => {
+        booking.timeSlots.filter(slot => isBookable(booking.date, slot)).forEach(slot => {
+            const cell = getCell(booking.date, slot);
+            if (booking.type === 'block') {
+                cell.capacity = Math.max(0, cell.capacity - 1);
+            } else {
+                cell.booked += 1;
+            }
+        });
+    });
+
+    return rows;
+};
+
+/**
+ * Counts bookings by outcome. The no-show rate is taken over bookings that have started.
+ * @param {Array<object>} bookings - The range's booking documents.
+ * @param {Date} [now] - The current time.
+ * @returns {{total: number, cancelled: number, lateCancelled: number, started: number, noShows: number,
+ *   cancellationRate: number, lateCancellationRate: number, noShowRate: number}} Rates from 0 to 1.
+ */
+export const getBookingOutcomes = (bookings, now = new Date()) => {
+    const memberBookings = bookings.filter(isMemberBooking);
+    const cancelled = memberBookings.filter(b => b.status === RESERVATION_STATUS.CANCELLED);
+    const noShows = memberBookings.filter(b => b.status === RESERVATION_STATUS.NO_SHOW).length;
+    const started = memberBookings.filter(b => holdsCourt(b) && getBookingStart(b) <= now).length;
+    const lateCancelled = cancelled.filter(b => b.lateCancel || b.lateCancelFee > 0).length;
+    const rate = (count, total) => (total > 0 ? count / total : 0);
+
+    return {
+        total: memberBookings.length,
+        cancelled: cancelled.length,
+        lateCancelled,
+        started,
+        noShows,
+        cancellationRate: rate(cancelled.length, memberBookings.length),
+        lateCancellationRate: rate(lateCancelled, memberBookings.length),
+        noShowRate: rate(noShows, started)
+    };
+};
+
+/**
+ * Ranks members by the court hours they booked (cancelled bookings left out).
+ * @param {Array<object>} bookings - The range's booking documents.
+ * @param {number} [limit] - How many members to return.
+ * @returns {Array<{mpcNumber: string, bookings: number, hours: number, guests: number}>}
+ */
+export const getTopMembers = (bookings, limit = 10) => {
+    const members = new Map();
+    bookings.filter(b => isMemberBooking(b) && holdsCourt(b)).forEach(booking => {
+        const member = members.get(booking.mpcNumber) || { mpcNumber: booking.mpcNumber, bookings: 0, hours: 0, guests: 0 };
+        member.bookings += 1;
+        member.hours += booking.timeSlots.length * SLOT_HOURS;
+        member.guests += getGuests(booking).length;
+        members.set(booking.mpcNumber, member);
+    });
+    return [...members.values()]
+        .sort((a, b) => b.hours - a.hours || b.bookings - a.bookings || a.mpcNumber.localeCompare(b.mpcNumber, undefined, { numeric: true }))
+        .slice(0, limit);
+};
+
+/**
+ * Totals guest volume and estimated revenue per calendar month. Booked court and guest fees
+ * count at their quoted price, including bookings still to come; no-shows count their no-show
+ * fee instead, and late-cancellation fees count whatever happened to the booking.
+ * @param {Array<object>} bookings - The range's booking documents.
+ * @returns {Array<{month: string, bookings: number, bookingsWithGuests: number, guests: number,
+ *   distinctGuests: number, courtFees: number, guestFees: number, lateCancelFees: number,
+ *   noShowFees: number, revenue: number}>} Sorted by month.
+ */
+export const getMonthlyTotals = (bookings) => {
+    const months = new Map();
+    const guestKeys = new Map();
+
+    bookings.filter(isMemberBooking).forEach(booking => {
+        const month = getMonth(booking.date);
+        const totals = months.get(month) || {
+            month, bookings: 0, bookingsWithGuests: 0, guests: 0, distinctGuests: 0,
+            courtFees: 0, guestFees: 0, lateCancelFees: 0, noShowFees: 0, revenue: 0
+        };
+
+        if (holdsCourt(booking)) {
+            const guests = getGuests(booking);
+            totals.bookings += 1;
+            totals.guests += guests.length;
+            if (guests.length > 0) totals.bookingsWithGuests += 1;
+            if (booking.guests) { // Only named guests can be told apart
+                const keys = guestKeys.get(month) || new Set();
+                guests.forEach(guest => keys.add(getGuestKey(guest.name)));
+                guestKeys.set(month, keys);
+            }
+        }
+        if (booking.status === RESERVATION_STATUS.NO_SHOW) {
+            totals.noShowFees += booking.noShowFee || 0;
+        } else if (holdsCourt(booking)) {
+            const quote = getBookingQuote(booking);
+            totals.courtFees += quote.courtFee;
+            totals.guestFees += quote.guestFee;
+        }
+        totals.lateCancelFees += booking.lateCancelFee || 0;
+        totals.revenue = totals.courtFees + totals.guestFees + totals.lateCancelFees + totals.noShowFees;
+        months.set(month, totals);
+    });
+
+    return [...months.values()]
+        .map(totals => ({ ...totals, distinctGuests: (guestKeys.get(totals.month) || new Set()).size }))
+        .sort((a, b) => a.month.localeCompare(b.month));
+};
@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest';
+import { getBookingOutcomes, getMonthlyTotals, getTopMembers, getUtilisationHeatmap } from './reports';
+
+// Monday 2026-10-19, 08:00
+const NOW = new Date(2026, 9, 19, 8, 0);
+const MONDAY = 1;
+
+const booking = (id, overrides = {}) => ({
+    id,
+    date: '2026-10-12',
+    court: 'Court 1',
+    timeSlots: ['20:00 - 20:30', '20:30 - 21:00'],
+    status: 'booked',
+    mpcNumber: 'A1',
+    guestCount: 0,
+    ...overrides
+});
+
+const closedMondayEvening = { status: 'CLOSED', effectiveFrom: null, effectiveUntil: null, days: [MONDAY], startHour: 18, startMinute: 0, endHour: 19, endMinute: 0 };
+
+describe('getUtilisationHeatmap', () => {
+    const heatmap = getUtilisationHeatmap({
+        bookings: [
+            booking('b1', { date: '2026-10-19' }),
+            booking('b2', { date: '2026-10-19', type: 'block', timeSlots: ['20:00 - 20:30'] }),
+            booking('b3', { date: '2026-10-19', status: 'cancelled', timeSlots: ['19:00 - 19:30'] }),
+            booking('b4', { date: '2026-10-19', timeSlots: ['18:00 - 18:30'] })
+        ],
+        from: '2026-10-19',
+        to: '2026-10-19',
+        courtCount: 2,
+        specialSlotRules: [closedMondayEvening]
+    });
+    const cell = (hour) => heatmap.find(row => row.hour === hour).days[MONDAY];
+
+    it('measures booked court-slots against the bookable time on the active courts', () => {
+        expect(cell('19:00')).toEqual({ booked: 0, capacity: 4 });
+    });
+
+    it('leaves court time blocked out by staff out of the bookable time', () => {
+        expect(cell('20:00')).toEqual({ booked: 2, capacity: 3 });
+    });
+
+    it('leaves special windows out of both sides', () => {
+        expect(cell('18:00')).toEqual({ booked: 0, capacity: 0 });
+    });
+});
+
+describe('getBookingOutcomes', () => {
+    it('takes cancellation rates over member bookings and the no-show rate over started ones', () => {
+        const outcomes = getBookingOutcomes([
+            booking('b1'),
+            booking('b2', { status: 'no_show' }),
+            booking('b3', { status: 'cancelled', lateCancelFee: 500 }),
+            booking('b4', { status: 'cancelled' }),
+            booking('b5', { date: '2026-10-26' }),
+            booking('b6', { type: 'block' }),
+            booking('b7', { status: 'held' })
+        ], NOW);
+
+        expect(outcomes).toEqual({
+            total: 5,
+            cancelled: 2,
+            lateCancelled: 1,
+            started: 2,
+            noShows: 1,
+            cancellationRate: 2 / 5,
+            lateCancellationRate: 1 / 5,
+            noShowRate: 1 / 2
+        });
+    });
+
+    it('reports rates of 0 when there are no bookings', () => {
+        expect(getBookingOutcomes([], NOW).noShowRate).toBe(0);
+    });
+});
+
+describe('getTopMembers', () => {
+    it('ranks members by court hours, leaving cancelled bookings out', () => {
+        const members = getTopMembers([
+            booking('b1', { mpcNumber: 'A2' }),
+            booking('b2', { mpcNumber: 'A10', timeSlots: ['20:00 - 20:30', '20:30 - 21:00', '21:00 - 21:30'] }),
+            booking('b3', { mpcNumber: 'A2', status: 'cancelled', timeSlots: ['08:00 - 08:30', '08:30 - 09:00'] })
+        ]);
+
+        expect(members.map(member => [member.mpcNumber, member.hours])).toEqual([['A10', 1.5], ['A2', 1]]);
+    });
+});
+
+describe('getMonthlyTotals', () => {
+    it('totals guests and the fees each booking brings in per month', () => {
+        const [october] = getMonthlyTotals([
+            booking('b1', { guests: [{ name: 'Ana' }], guestCount: 1 }),
+            booking('b2', { guests: [{ name: 'ana' }, { name: 'Ben' }], guestCount: 2 }),
+            booking('b3', { status: 'no_show', noShowFee: 250 }),
+            booking('b4', { status: 'cancelled', lateCancelFee: 500 })
+        ]);
+
+        expect(october).toMatchObject({
+            month: '2026-10',
+            bookings: 3,
+            bookingsWithGuests: 2,
+            guests: 3,
+            distinctGuests: 2,
+            courtFees: 1000,
+            guestFees: 600,
+            noShowFees: 250,
+            lateCancelFees: 500,
+            revenue: 2350
+        });
+    });
+});
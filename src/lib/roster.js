@@ -0,0 +1,111 @@
+// Member roster rules: CSV import parsing and login verification.
+import { parseCsv } from './csv';
+
+export const MEMBER_STATUSES = ['active', 'suspended'];
+
+// Header aliases accepted in roster CSV files (compared lowercased, spaces/punctuation removed)
+const COLUMN_ALIASES = {
+    mpcNumber: ['mpcnumber', 'mpcno', 'mpc', 'membernumber', 'memberno'],
+    name: ['name', 'membername', 'fullname'],
+    email: ['email', 'emailaddress'],
+    status: ['status', 'memberstatus']
+};
+
+// MPC numbers are used as document IDs, so they are trimmed and upper-cased consistently
+export const normalizeMpcNumber = (value) => String(value || '').trim().toUpperCase();
+
+const normalizeHeader = (value) => value.toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Parses a roster CSV export (MPC number, name, email, status) into member records.
+ * The first row must be a header; columns may appear in any order.
+ * @param {string} text - The CSV content.
+ * @returns {{members: Array<object>, errors: Array<string>}} Valid members and per-line problems.
+ */
+export const parseRosterCsv = (text) => {
+    const rows = parseCsv(text);
+    if (rows.length === 0) {
+        return { members: [], errors: ['The file is empty.'] };
+    }
+
+    const headers = rows[0].map(normalizeHeader);
+    const columns = {};
+    Object.entries(COLUMN_ALIASES).forEach(([key, aliases]) => {
+        columns[key] = headers.findIndex(header => aliases.includes(header));
+    });
+
+    const missing = ['mpcNumber', 'name', 'email'].filter(key => columns[key] === -1);
+    if (missing.length > 0) {
+        return { members: [], errors: [`Missing column(s): ${missing.join(', ')}. Expected a header row with MPC Number, Name, Email and Status.`] };
+    }
+
+    const members = [];
+    const errors = [];
+    const seen = new Set();
+
+    rows.slice(1).forEach((row, index) => {
+        const line = index + 2; // 1-based, after the header
+        const value = (key) => (columns[key] === -1 ? '' : (row[columns[key]] || '').trim());
+
+        const mpcNumber = normalizeMpcNumber(value('mpcNumber'));
+        const email = value('email').toLowerCase();
+        const status = (value('status') || 'active').toLowerCase();
+
+        if (!mpcNumber) {
+            errors.push(`Line ${line}: missing MPC number.`);
+            return;
+        }
+        if (mpcNumber.includes('/')) {
+            errors.push(`Line ${line}: MPC number "${mpcNumber}" may not contain "/".`);
+            return;
+        }
+        // Accounts are linked by matching the member's email, so every member needs one
+        if (!email) {
+            errors.push(`Line ${line}: missing email for MPC number ${mpcNumber}.`);
+            return;
+        }
+        if (!/\S+@\S+\.\S+/.test(email)) {
+            errors.push(`Line ${line}: invalid email "${email}".`);
+            return;
+        }
+        if (!MEMBER_STATUSES.includes(status)) {
+            errors.push(`Line ${line}: unknown status "${status}" (use ${MEMBER_STATUSES.join(' or ')}).`);
+            return;
+        }
+        if (seen.has(mpcNumber)) {
+            errors.push(`Line ${line}: duplicate MPC number ${mpcNumber}.`);
+            return;
+        }
+
+        seen.add(mpcNumber);
+        members.push({ mpcNumber, name: value('name'), email, status });
+    });
+
+    return { members, errors };
+};
+
+/**
+ * Checks a login attempt against the member's roster record.
+ * @param {object|null} member - The roster record, or null if the MPC number is unknown.
+ * @param {string} mpcNumber - The MPC number entered.
+ * @param {string} email - The email address entered.
+ * @returns {string|null} A message explaining why the login is refused, or null if allowed.
+ */
+export const verifyMemberLogin = (member, mpcNumber, email) => {
+    if (!member) {
+        return `MPC Number ${mpcNumber} is not on the member roster. Please check the number or contact the club office.`;
+    }
+    if (member.status === 'suspended') {
+        return `Membership ${mpcNumber} is currently suspended. Please contact the club office.`;
+    }
+    if (member.status !== 'active') {
+        return `Membership ${mpcNumber} is not active. Please contact the club office.`;
+    }
+    if (!member.email) {
+        return `No email address is on record for MPC Number ${mpcNumber}. Please contact the club office.`;
+    }
+    if (member.email.toLowerCase() !== email.trim().toLowerCase()) {
+        return `The email address does not match our records for MPC Number ${mpcNumber}.`;
+    }
+    return null;
+};
@@ -0,0 +1,24 @@
+import { describe, expect, it } from 'vitest';
+import { parseRosterCsv, verifyMemberLogin } from './roster';
+
+describe('parseRosterCsv', () => {
+    it('skips members without an email', () => {
+        const { members, errors } = parseRosterCsv('MPC Number,Name,Email,Status\nA1,Ana,ana@example.com,active\nb2,Ben,,active\n');
+
+        expect(members.map(member => member.mpcNumber)).toEqual(['A1']);
+        expect(errors).toEqual(['Line 3: missing email for MPC number B2.']);
+    });
+});
+
+describe('verifyMemberLogin', () => {
+    const member = { mpcNumber: 'A1', email: 'ana@example.com', status: 'active' };
+
+    it('accepts the email on record, ignoring case and spaces', () => {
+        expect(verifyMemberLogin(member, 'A1', ' Ana@Example.com ')).toBeNull();
+        expect(verifyMemberLogin(member, 'A1', 'ben@example.com')).toMatch(/does not match/);
+    });
+
+    it('refuses members with no email on record', () => {
+        expect(verifyMemberLogin({ ...member, email: '' }, 'A1', '')).toMatch(/No email address/);
+    });
+});
@@ -0,0 +1,553 @@
+// Pure scheduling engine: time slots, special slot windows, block selection,
+// court assignment and the standard fees. No React or Firebase imports so the
+// booking rules can be exercised without the UI.
+
+// Courts used until admins save their own. Bookings store the court id, so the built-in
+// ids are the names bookings have always used.
+export const DEFAULT_COURTS = [
+    { id: 'Court 1', name: 'Court 1', attributes: [], active: true, order: 1 },
+    { id: 'Court 2', name: 'Court 2', attributes: [], active: true, order: 2 }
+];
+
+// Maximum number of adjacent 30-minute slots in one block (2 hours)
+export const MAX_BLOCK_SLOTS = 4;
+
+// --- Special Slot Configuration ---
+export const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Statuses an admin can assign to a special window (all are non-bookable online)
+export const SPECIAL_SLOT_STATUSES = ['FCFS', 'AMERICANO', 'CLOSED'];
+
+// Built-in rules, used until admins store their own rules in Firestore.
+// effectiveFrom/effectiveUntil are inclusive YYYY-MM-DD dates (null = open-ended).
+export const DEFAULT_SPECIAL_SLOTS = [
+    // First Come First Serve Hours: Tuesday, Thursday (12:00 PM - 4:00 PM)
+    {
+        status: 'FCFS',
+        message: 'First Come First Serve Hours',
+        color: 'purple',
+        effectiveFrom: null, effectiveUntil: null,
+        days: [2, 4], // Tuesday (2), Thursday (4)
+        startHour: 12, startMinute: 0,
+        endHour: 16, endMinute: 0 // Slot starting at 15:30 ends at 16:00
+    },
+    // Americano Time Slots (Group Play): Wednesday, Friday (9:30 AM - 1:30 PM)
+    {
+        status: 'AMERICANO',
+        message: 'Americano Group Play',
+        color: 'purple',
+        effectiveFrom: null, effectiveUntil: null,
+        days: [3, 5], // Wednesday (3), Friday (5)
+        startHour: 9, startMinute: 30,
+        endHour: 13, endMinute: 30 // Slot starting at 13:00 ends at 13:30
+    }
+];
+
+// --- Standard rate, charged when the rate table has no matching rate (see pricing.js) ---
+export const COURT_FEE_PER_HOUR = 500; // PHP
+export const GUEST_FEE_PER_PERSON = 200; // PHP
+export const MAX_GUESTS = 3; // Guests per booking
+
+// How far back members see their own bookings (and the bookings they play in)
+export const RECENT_BOOKINGS_DAYS = 90;
+
+// Helper function to format date as YYYY-MM-DD
+export const formatDate = (date) => {
+    const d = new Date(date);
+    const year = d.getFullYear();
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+};
+
+// Helper function to parse a YYYY-MM-DD string as a local date (midnight)
+export const parseDate = (dateString) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+// Helper function to shift a YYYY-MM-DD string by a number of days
+export const addDays = (dateString, days) => {
+    const date = parseDate(dateString);
+    date.setDate(date.getDate() + days);
+    return formatDate(date);
+};
+
+// Helper function to get the local start time of a slot ("18:00 - 18:30") on a YYYY-MM-DD date
+export const getSlotStart = (dateString, timeSlot) => {
+    const date = parseDate(dateString);
+    const [hour, minute] = timeSlot.split(' - ')[0].split(':').map(Number);
+    date.setHours(hour, minute, 0, 0);
+    return date;
+};
+
+// Helper function to convert minutes since midnight to an 'HH:MM' string
+export const minutesToTime = (totalMinutes) => {
+    const h = Math.floor(totalMinutes / 60) % 24;
+    const m = totalMinutes % 60;
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+};
+
+// Helper function to convert an 'HH:MM' string to minutes since midnight
+export const timeToMinutes = (time) => {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+};
+
+// Define 30-minute time slots (06:00 to 21:00)
+export const generateTimeSlots = () => {
+    const slots = [];
+    const START_MINUTES = 6 * 60; // 6:00 AM
+    const END_MINUTES = 21 * 60; // 9:00 PM (Exclusive, last slot ends at 21:00)
+
+    for (let minutes = START_MINUTES; minutes < END_MINUTES; minutes += 30) {
+        const start = minutesToTime(minutes);
+        const end = minutesToTime(minutes + 30);
+        slots.push(`${start} - ${end}`);
+    }
+    return slots;
+};
+
+export const TIME_SLOTS = generateTimeSlots();
+
+// ID for Firestore path segment (e.g., "06:00 - 06:30" -> "06-00--06-30")
+export const getSlotId = (time) => time.replace(/:/g, '-').replace(/\s/g, '');
+
+/**
+ * Checks whether a special slot rule is in effect on a given date.
+ * @param {object} rule - The rule, with optional effectiveFrom/effectiveUntil (YYYY-MM-DD).
+ * @param {Date} date - The date being checked.
+ * @returns {boolean}
+ */
+export const isRuleEffective = (rule, date) => {
+    const dateString = formatDate(date);
+    if (rule.effectiveFrom && dateString < rule.effectiveFrom) return false;
+    if (rule.effectiveUntil && dateString > rule.effectiveUntil) return false;
+    return true;
+};
+
+/**
+ * Checks if a specific date and time slot falls under a special, non-bookable status.
+ * @param {Date} date - The date being checked.
+ * @param {string} timeSlotStart - The start time of the slot (e.g., "12:00").
+ * @param {Array<object>} [rules] - The special slot rules to apply.
+ * @returns {{status: string, message: string, color?: string}} The special status or {status: 'BOOKABLE', message: ''}.
+ */
+export const getSpecialSlotStatus = (date, timeSlotStart, rules = DEFAULT_SPECIAL_SLOTS) => {
+    const dayOfWeek = date.getDay(); // 0 (Sun) to 6 (Sat)
+
+    // Calculate total minutes since midnight for the slot start
+    const slotStartInMinutes = timeToMinutes(timeSlotStart);
+
+    for (const rule of rules) {
+        if (rule.days.includes(dayOfWeek) && isRuleEffective(rule, date)) {
+            // Calculate total minutes since midnight for rule start/end
+            const ruleStartInMinutes = rule.startHour * 60 + rule.startMinute;
+            const ruleEndInMinutes = rule.endHour * 60 + rule.endMinute;
+
+            // Check if the slot START time falls within the rule range
+            if (slotStartInMinutes >= ruleStartInMinutes && slotStartInMinutes < ruleEndInMinutes) {
+                return { status: rule.status, message: rule.message, color: rule.color || 'purple' };
+            }
+        }
+    }
+
+    return { status: 'BOOKABLE', message: '' };
+};
+
+/**
+ * Finds the special window (FCFS, Americano, closed) a block runs into on a date, if any.
+ * @param {string} dateString - The date (YYYY-MM-DD).
+ * @param {Array<{time: string}>} blockSlots - The slots of the block.
+ * @param {Array<object>} [rules] - The special slot rules to apply.
+ * @returns {string|null} The window's message, or null if every slot is bookable.
+ */
+export const getSpecialSlotConflict = (dateString, blockSlots, rules = DEFAULT_SPECIAL_SLOTS) => {
+    const date = parseDate(dateString);
+    const special = blockSlots
+        .map(slot => getSpecialSlotStatus(date, slot.time.split(' - ')[0], rules))
+        .find(status => status.status !== 'BOOKABLE');
+    return special ? special.message : null;
+};
+
+// The dates of a weekly series: the first date and the same weekday in each following week
+export const getWeeklyDates = (dateString, weeks) =>
+    Array.from({ length: weeks }, (_, i) => addDays(dateString, i * 7));
+
+/**
+ * Validates a special slot rule before it is saved.
+ * @param {object} rule - The rule to validate.
+ * @returns {string|null} An error message, or null if the rule is valid.
+ */
+export const validateSpecialSlotRule = (rule) => {
+    if (!SPECIAL_SLOT_STATUSES.includes(rule.status)) {
+        return 'Please choose a valid status.';
+    }
+    if (!rule.message || !rule.message.trim()) {
+        return 'Please enter the message shown to members.';
+    }
+    if (!Array.isArray(rule.days) || rule.days.length === 0) {
+        return 'Please select at least one day.';
+    }
+    const start = rule.startHour * 60 + rule.startMinute;
+    const end = rule.endHour * 60 + rule.endMinute;
+    if (start % 30 !== 0 || end % 30 !== 0) {
+        return 'Start and end times must fall on a 30-minute boundary.';
+    }
+    if (end <= start) {
+        return 'The end time must be after the start time.';
+    }
+    if (rule.effectiveFrom && rule.effectiveUntil && rule.effectiveUntil < rule.effectiveFrom) {
+        return 'The effective-until date must not be before the effective-from date.';
+    }
+    if (rule.capacity !== undefined && (!Number.isInteger(rule.capacity) || rule.capacity < 4)) {
+        return 'The player capacity must be a whole number of at least 4.';
+    }
+    return null;
+};
+
+/**
+ * Returns the display range of a contiguous block of selected slots.
+ * @param {Array<{time: string}>} blockSlots - Slots in chronological order.
+ * @returns {string} e.g. "18:00 - 19:00".
+ */
+export const getBlockTimeRange = (blockSlots) => {
+    const startTime = blockSlots[0].time.split(' - ')[0];
+    const endTime = blockSlots[blockSlots.length - 1].time.split(' - ')[1];
+    return `${startTime} - ${endTime}`;
+};
+
+/**
+ * Returns the slots covering a time range, e.g. "18:00" to "19:00" gives two slots.
+ * @param {string} startTime - Range start (e.g. "18:00").
+ * @param {string} endTime - Range end (e.g. "19:00").
+ * @returns {Array<{time: string, id: string}>} The slots, empty if the range is invalid.
+ */
+export const getSlotRange = (startTime, endTime) => TIME_SLOTS
+    .filter(time => {
+        const [start, end] = time.split(' - ');
+        return start >= startTime && end <= endTime;
+    })
+    .map(time => ({ time, id: getSlotId(time) }));
+
+/**
+ * Groups legacy per-slot reservation documents (written before bookings owned their block)
+ * into contiguous blocks on one court, so they can be migrated to booking documents.
+ * Slots sharing a blockId but separated by a gap, or with a different status (e.g. a cancelled
+ * middle slot), form separate blocks.
+ * @param {Array<object>} reservations - Reservation documents ({id, date, timeSlot, court, blockId, ...}).
+ * @returns {Array<object>} Blocks sorted by date, time and court, each with its reservations and summed cost.
+ */
+export const groupReservationsIntoBlocks = (reservations) => {
+    const groups = new Map();
+    reservations.forEach(r => {
+        const key = `${r.date}|${r.court}|${r.blockId ?? r.id}|${r.status || RESERVATION_STATUS.BOOKED}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(r);
+    });
+
+    const blocks = [];
+    groups.forEach((items, key) => {
+        const sorted = [...items].sort((a, b) => TIME_SLOTS.indexOf(a.timeSlot) - TIME_SLOTS.indexOf(b.timeSlot));
+
+        // Split into runs of immediately adjacent slots
+        let run = [];
+        const flush = () => {
+            if (run.length === 0) return;
+            const first = run[0];
+            blocks.push({
+                key: `${key}|${first.timeSlot}`,
+                date: first.date,
+                court: first.court,
+                blockId: first.blockId ?? null,
+                type: first.type || 'booking',
+                status: first.status || RESERVATION_STATUS.BOOKED,
+                timeRange: getBlockTimeRange(run.map(r => ({ time: r.timeSlot }))),
+                reservations: run,
+                userId: first.userId,
+                mpcNumber: first.mpcNumber,
+                email: first.email,
+                guestCount: first.guestCount || 0,
+                estimatedCost: run.reduce((sum, r) => sum + (r.estimatedCost || 0), 0)
+            });
+            run = [];
+        };
+        sorted.forEach(r => {
+            const previous = run[run.length - 1];
+            if (previous && TIME_SLOTS.indexOf(r.timeSlot) !== TIME_SLOTS.indexOf(previous.timeSlot) + 1) {
+                flush();
+            }
+            run.push(r);
+        });
+        flush();
+    });
+
+    return blocks.sort((a, b) =>
+        a.date.localeCompare(b.date) || a.timeRange.localeCompare(b.timeRange) || a.court.localeCompare(b.court)
+    );
+};
+
+// A booking's time range, e.g. "18:00 - 19:00"
+export const getBookingTimeRange = (booking) => `${booking.startTime} - ${booking.endTime}`;
+
+// When a booking starts
+export const getBookingStart = (booking) => getSlotStart(booking.date, booking.timeSlots[0]);
+
+// A booking's slots as slot objects ({time, id}), as used by the booking functions
+export const getBookingSlots = (booking) => booking.timeSlots.map(time => ({ time, id: getSlotId(time) }));
+
+/**
+ * Expands booking documents into one occupancy entry per slot, the shape the grid, court
+ * assignment and waitlist checks work with. Each entry keeps a reference to its booking.
+ * @param {Array<object>} bookings - Booking documents ({id, date, court, timeSlots, status, ...}).
+ * @returns {Array<object>} Entries of {id, bookingId, date, timeSlot, court, courtName, status, type, userId, mpcNumber, booking}.
+ */
+export const expandBookings = (bookings) => bookings.flatMap(booking => booking.timeSlots.map(timeSlot => ({
+    id: `${booking.id}-${getSlotId(timeSlot)}`,
+    bookingId: booking.id,
+    date: booking.date,
+    timeSlot,
+    court: booking.court,
+    courtName: getBookingCourtName(booking),
+    status: booking.status,
+    type: booking.type,
+    userId: booking.userId,
+    mpcNumber: booking.mpcNumber,
+    booking
+})));
+
+/**
+ * Works out the slots left after removing one slot from a booking. Only the first or last
+ * slot can be removed, so the booking stays one contiguous block.
+ * @param {object} booking - The booking.
+ * @param {string} timeSlot - The slot to remove.
+ * @returns {Array<string>|null} The remaining time slots, or null if the slot cannot be removed on its own.
+ */
+export const getShortenedSlots = (booking, timeSlot) => {
+    const { timeSlots } = booking;
+    if (timeSlots.length < 2) return null;
+    if (timeSlot === timeSlots[0]) return timeSlots.slice(1);
+    if (timeSlot === timeSlots[timeSlots.length - 1]) return timeSlots.slice(0, -1);
+    return null;
+};
+
+/**
+ * Applies a click on a slot to the current selection, enforcing the contiguity and
+ * max-4 rules. Clicking a selected slot shortens the block to the slots before it.
+ * @param {Array<object>} selectedSlots - Current selection in chronological order.
+ * @param {object} slot - The clicked slot (as built by buildDaySlots).
+ * @returns {{selectedSlots: Array<object>, message: string}} The new selection (unchanged if refused) and a message for the member.
+ */
+export const updateSelection = (selectedSlots, slot) => {
+    // Pre-checks (Disabling non-bookable slots in the render handles most of this).
+    // Fully booked slots stay selectable so members can join the waitlist for them.
+    if (slot.isDisabled || slot.isSpecialSlot) {
+        return { selectedSlots, message: '' };
+    }
+
+    const selectedIndex = selectedSlots.findIndex(s => s.id === slot.id);
+
+    if (selectedIndex !== -1) {
+        // CASE 1: Deselect/Shorten the selected block to all slots *before* the clicked one
+        const newSelectedSlots = selectedSlots.slice(0, selectedIndex);
+
+        if (newSelectedSlots.length === 0) {
+            return { selectedSlots: newSelectedSlots, message: 'Selection cleared.' };
+        }
+
+        // Get the start time of the new, shortened block
+        const startTime = newSelectedSlots[0].time.split(' - ')[0];
+        return {
+            selectedSlots: newSelectedSlots,
+            message: `Reservation block adjusted to ${newSelectedSlots.length * 30} minutes. Selection starts at ${startTime}.`
+        };
+    }
+
+    // CASE 2: Select/Extend the block
+    if (selectedSlots.length >= MAX_BLOCK_SLOTS) {
+        return { selectedSlots, message: `Maximum of ${MAX_BLOCK_SLOTS} adjacent slots (2 hours) can be selected.` };
+    }
+
+    if (slot.isUserBooking) {
+        return { selectedSlots, message: 'You already have a reservation in this block. Please cancel the existing reservation first if you wish to re-book.' };
+    }
+
+    if (selectedSlots.length === 0) {
+        // First slot selection
+        return { selectedSlots: [slot], message: `Slot selected. Select an adjacent slot to extend (max ${MAX_BLOCK_SLOTS}).` };
+    }
+
+    // Subsequent slot selection: Must be adjacent to the start or the end
+    const slotTimeIndex = TIME_SLOTS.indexOf(slot.time);
+    const firstTimeIndex = TIME_SLOTS.indexOf(selectedSlots[0].time);
+    const lastTimeIndex = TIME_SLOTS.indexOf(selectedSlots[selectedSlots.length - 1].time);
+
+    const isAdjacentBefore = slotTimeIndex === firstTimeIndex - 1;
+    const isAdjacentAfter = slotTimeIndex === lastTimeIndex + 1;
+
+    if (!isAdjacentBefore && !isAdjacentAfter) {
+        return { selectedSlots, message: 'Slots must be immediately adjacent to the start or end of the current selection to form a contiguous block.' };
+    }
+
+    // Add the new slot and sort to keep chronological order
+    const newSlots = [...selectedSlots, slot].sort((a, b) =>
+        TIME_SLOTS.indexOf(a.time) - TIME_SLOTS.indexOf(b.time)
+    );
+
+    return {
+        selectedSlots: newSlots,
+        message: `Extended selection to ${newSlots.length} slots. Total time: ${newSlots.length * 30} minutes.`
+    };
+};
+
+// Bookable courts in order of preference when assigning a block (lowest order first)
+export const getActiveCourts = (courts) => courts
+    .filter(court => court.active !== false)
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0) || a.name.localeCompare(b.name));
+
+// The court name to show for a booking; bookings made before courts had names store only the id
+export const getBookingCourtName = (booking) => booking.courtName || booking.court;
+
+/**
+ * Validates a court before it is saved.
+ * @param {object} court - The court ({name, attributes, active, order}).
+ * @param {Array<object>} courts - The other stored courts, to keep names unique.
+ * @returns {string|null} An error message, or null if the court is valid.
+ */
+export const validateCourt = (court, courts) => {
+    if (!court.name) return 'Please enter a court name.';
+    if (courts.some(other => other.id !== court.id && other.name.toLowerCase() === court.name.toLowerCase())) {
+        return `There is already a court named ${court.name}.`;
+    }
+    if (!Number.isFinite(court.order)) return 'The display order must be a number.';
+    return null;
+};
+
+/**
+ * Picks the first court (in preference order) that is free for every slot of a block.
+ * @param {Array<object>} reservations - Reservations to check against ({date, timeSlot, court}).
+ * @param {string} dateString - The block date (YYYY-MM-DD).
+ * @param {Array<{time: string}>} blockSlots - The slots of the block.
+ * @param {Array<string>} [courtIds] - Court ids in order of preference.
+ * @returns {string|null} The court id, or null if no single court is free for the whole block.
+ */
+export const findAvailableCourt = (reservations, dateString, blockSlots, courtIds = DEFAULT_COURTS.map(court => court.id)) => {
+    return courtIds.find(court => blockSlots.every(slot =>
+        !reservations.some(r => r.date === dateString && r.timeSlot === slot.time && r.court === court)
+    )) || null;
+};
+
+// Reservation statuses. Documents written before statuses existed have no status and count as booked.
+export const RESERVATION_STATUS = {
+    BOOKED: 'booked',
+    HELD: 'held', // Offered to a waitlisted member who has not claimed it yet
+    CANCELLED: 'cancelled',
+    NO_SHOW: 'no_show'
+};
+
+// A cancelled reservation no longer occupies its court; it is kept only as a record
+export const isActiveReservation = (reservation) => reservation.status !== RESERVATION_STATUS.CANCELLED;
+
+/**
+ * Checks whether a reservation belongs to the signed-in member: booked from their account,
+ * or booked for their MPC number (by staff, or from an older anonymous session).
+ * @param {object} reservation - The reservation document.
+ * @param {string|null} userId - The member's uid.
+ * @param {string} [mpcNumber] - The member's MPC number.
+ * @returns {boolean}
+ */
+export const isOwnReservation = (reservation, userId, mpcNumber = '') =>
+    (!!userId && reservation.userId === userId) ||
+    (!!mpcNumber && reservation.type !== 'block' && reservation.mpcNumber === mpcNumber);
+
+/**
+ * Builds the grid model for one day: availability, the member's own bookings,
+ * special windows, selection state and past-slot expiry.
+ * @param {object} params
+ * @param {Date} params.date - The day being displayed.
+ * @param {Array<object>} params.reservations - All known reservations.
+ * @param {string|null} params.userId - The signed-in member's uid.
+ * @param {string} [params.mpcNumber] - The signed-in member's MPC number.
+ * @param {Array<object>} [params.selectedSlots] - The current selection.
+ * @param {Array<object>} [params.specialSlotRules] - The special slot rules in effect.
+ * @param {Array<object>} [params.courts] - The courts; only active ones are shown.
+ * @param {Date} [params.now] - The current time (for expiring past slots).
+ * @returns {Array<object>} One entry per TIME_SLOTS item.
+ */
+export const buildDaySlots = ({ date, reservations, userId, mpcNumber = '', selectedSlots = [], specialSlotRules = DEFAULT_SPECIAL_SLOTS, courts = DEFAULT_COURTS, now = new Date() }) => {
+    const dateString = formatDate(date);
+    const activeCourts = getActiveCourts(courts);
+    const courtCount = activeCourts.length;
+    const bookedSlotGroups = reservations
+        .filter(r => r.date === dateString && isActiveReservation(r) && activeCourts.some(court => court.id === r.court))
+        .reduce((acc, r) => {
+            if (!acc[r.timeSlot]) {
+                acc[r.timeSlot] = [];
+            }
+            acc[r.timeSlot].push(r);
+            return acc;
+        }, {});
+
+    // Determine if the day is in the past (to disable past slots)
+    const todayStart = new Date(now);
+    todayStart.setHours(0, 0, 0, 0);
+    const dateStart = new Date(date);
+    dateStart.setHours(0, 0, 0, 0);
+    const isPastDay = dateStart.getTime() < todayStart.getTime();
+
+    return TIME_SLOTS.map((time) => {
+        const reservationsForTime = bookedSlotGroups[time] || [];
+        const bookedCount = reservationsForTime.length;
+        const availableCourts = courtCount - bookedCount;
+        const isFullyBooked = bookedCount >= courtCount;
+
+        // Find ALL user reservations for this time slot (could be one on each court)
+        const userReservations = reservationsForTime.filter(r => isOwnReservation(r, userId, mpcNumber));
+        // Courts blocked out by staff (maintenance, events, ...)
+        const blockedCount = reservationsForTime.filter(r => r.type === 'block').length;
+        // Each court's state, for per-court availability
+        const courtStates = activeCourts.map(court => {
+            const reservation = reservationsForTime.find(r => r.court === court.id);
+            return {
+                id: court.id,
+                name: court.name,
+                state: !reservation ? 'free'
+                    : reservation.type === 'block' ? 'blocked'
+                        : isOwnReservation(reservation, userId, mpcNumber) ? 'own' : 'booked'
+            };
+        });
+
+        const timeSlotStart = time.split(' - ')[0];
+
+        // Check for special status (FCFS/AMERICANO)
+        const specialStatus = getSpecialSlotStatus(date, timeSlotStart, specialSlotRules);
+
+        // Check if the slot is in the past for the current day
+        const slotStart = new Date(dateStart.getTime());
+        const [hour, minute] = timeSlotStart.split(':').map(Number);
+        slotStart.setHours(hour, minute, 0, 0);
+
+        const isSlotInPast = !isPastDay && (slotStart.getTime() < now.getTime());
+
+        const isSpecialSlot = specialStatus.status !== 'BOOKABLE';
+        const isSelected = selectedSlots.some(s => s.time === time);
+
+        return {
+            time,
+            id: getSlotId(time),
+            bookedCount,
+            blockedCount,
+            availableCourts,
+            courtCount,
+            courtStates,
+            isFullyBooked,
+            userReservations, // Array of user's bookings for this slot (at most one per court)
+            isUserBooking: userReservations.length > 0,
+            specialStatus: specialStatus,
+            isSpecialSlot: isSpecialSlot, // Export flag for easy checking
+            isSelected: isSelected,
+            // Disable if past, or if it falls under a non-bookable special rule
+            isDisabled: isPastDay || isSlotInPast || isSpecialSlot
+        };
+    });
+};
@@ -0,0 +1,173 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_RATE_TABLE, quoteBooking } from './pricing';
+import {
+    DEFAULT_COURTS,
+    MAX_BLOCK_SLOTS,
+    TIME_SLOTS,
+    buildDaySlots,
+    findAvailableCourt,
+    getSlotId,
+    getSlotRange,
+    getSpecialSlotConflict,
+    getSpecialSlotStatus,
+    parseDate,
+    updateSelection
+} from './scheduling';
+
+// 2026-10-19 is a Monday
+const MONDAY = '2026-10-19';
+const TUESDAY = '2026-10-20';
+const WEDNESDAY = '2026-10-21';
+const SATURDAY = '2026-10-24';
+
+const slot = (time) => ({ time, id: getSlotId(time) });
+const findSlot = (slots, time) => slots.find(s => s.time === time);
+
+describe('buildDaySlots', () => {
+    it('disables slots that have already started today', () => {
+        const slots = buildDaySlots({ date: parseDate(MONDAY), reservations: [], userId: null, now: new Date(2026, 9, 19, 18, 10) });
+
+        expect(findSlot(slots, '17:30 - 18:00').isDisabled).toBe(true);
+        expect(findSlot(slots, '18:00 - 18:30').isDisabled).toBe(true);
+        expect(findSlot(slots, '18:30 - 19:00').isDisabled).toBe(false);
+    });
+
+    it('disables every slot of a past day and none of a future one', () => {
+        const now = new Date(2026, 9, 20, 8, 0);
+        const past = buildDaySlots({ date: parseDate(MONDAY), reservations: [], userId: null, now });
+        const future = buildDaySlots({ date: parseDate(SATURDAY), reservations: [], userId: null, now });
+
+        expect(past.every(s => s.isDisabled)).toBe(true);
+        expect(future.some(s => s.isDisabled)).toBe(false);
+    });
+
+    it('counts booked courts and marks the member\'s own bookings', () => {
+        const reservations = [
+            { date: SATURDAY, timeSlot: '18:00 - 18:30', court: 'Court 1', userId: 'me', status: 'booked' },
+            { date: SATURDAY, timeSlot: '18:00 - 18:30', court: 'Court 2', userId: 'other', status: 'booked' },
+            { date: SATURDAY, timeSlot: '18:30 - 19:00', court: 'Court 1', userId: 'other', status: 'cancelled' }
+        ];
+        const slots = buildDaySlots({ date: parseDate(SATURDAY), reservations, userId: 'me', now: new Date(2026, 9, 19) });
+
+        expect(findSlot(slots, '18:00 - 18:30')).toMatchObject({ bookedCount: 2, isFullyBooked: true, isUserBooking: true });
+        expect(findSlot(slots, '18:30 - 19:00')).toMatchObject({ bookedCount: 0, availableCourts: DEFAULT_COURTS.length });
+    });
+
+    it('marks FCFS and Americano windows as special and not bookable', () => {
+        const now = new Date(2026, 9, 19);
+        const tuesday = buildDaySlots({ date: parseDate(TUESDAY), reservations: [], userId: null, now });
+        const wednesday = buildDaySlots({ date: parseDate(WEDNESDAY), reservations: [], userId: null, now });
+
+        expect(findSlot(tuesday, '12:00 - 12:30')).toMatchObject({ isSpecialSlot: true, isDisabled: true });
+        expect(findSlot(tuesday, '16:00 - 16:30').isSpecialSlot).toBe(false);
+        expect(findSlot(wednesday, '09:30 - 10:00').specialStatus.status).toBe('AMERICANO');
+    });
+});
+
+describe('special slot windows', () => {
+    it('matches FCFS hours on Tuesdays and Thursdays only', () => {
+        expect(getSpecialSlotStatus(parseDate(TUESDAY), '12:00').status).toBe('FCFS');
+        expect(getSpecialSlotStatus(parseDate(TUESDAY), '15:30').status).toBe('FCFS');
+        expect(getSpecialSlotStatus(parseDate(TUESDAY), '16:00').status).toBe('BOOKABLE');
+        expect(getSpecialSlotStatus(parseDate(MONDAY), '12:00').status).toBe('BOOKABLE');
+    });
+
+    it('matches Americano hours on Wednesdays and Fridays only', () => {
+        expect(getSpecialSlotStatus(parseDate(WEDNESDAY), '09:00').status).toBe('BOOKABLE');
+        expect(getSpecialSlotStatus(parseDate(WEDNESDAY), '09:30').status).toBe('AMERICANO');
+        expect(getSpecialSlotStatus(parseDate(WEDNESDAY), '13:00').status).toBe('AMERICANO');
+        expect(getSpecialSlotStatus(parseDate(WEDNESDAY), '13:30').status).toBe('BOOKABLE');
+    });
+
+    it('ignores rules outside their effective dates', () => {
+        const rules = [{ status: 'CLOSED', message: 'Resurfacing', days: [1], startHour: 6, startMinute: 0, endHour: 21, endMinute: 0, effectiveFrom: '2026-11-01', effectiveUntil: null }];
+
+        expect(getSpecialSlotStatus(parseDate(MONDAY), '10:00', rules).status).toBe('BOOKABLE');
+        expect(getSpecialSlotStatus(parseDate('2026-11-02'), '10:00', rules).status).toBe('CLOSED');
+    });
+
+    it('reports the window a block runs into', () => {
+        expect(getSpecialSlotConflict(TUESDAY, getSlotRange('11:00', '12:30'))).toBe('First Come First Serve Hours');
+        expect(getSpecialSlotConflict(TUESDAY, getSlotRange('10:00', '12:00'))).toBeNull();
+    });
+});
+
+describe('updateSelection', () => {
+    it('extends a block with adjacent slots before or after it', () => {
+        let { selectedSlots } = updateSelection([], slot('18:00 - 18:30'));
+        ({ selectedSlots } = updateSelection(selectedSlots, slot('18:30 - 19:00')));
+        ({ selectedSlots } = updateSelection(selectedSlots, slot('17:30 - 18:00')));
+
+        expect(selectedSlots.map(s => s.time)).toEqual(['17:30 - 18:00', '18:00 - 18:30', '18:30 - 19:00']);
+    });
+
+    it('refuses a slot that is not adjacent to the block', () => {
+        const selected = [slot('18:00 - 18:30')];
+        const result = updateSelection(selected, slot('19:00 - 19:30'));
+
+        expect(result.selectedSlots).toBe(selected);
+        expect(result.message).toMatch(/adjacent/);
+    });
+
+    it(`allows at most ${MAX_BLOCK_SLOTS} slots`, () => {
+        const selected = getSlotRange('18:00', '20:00');
+        const result = updateSelection(selected, slot('20:00 - 20:30'));
+
+        expect(selected).toHaveLength(MAX_BLOCK_SLOTS);
+        expect(result.selectedSlots).toBe(selected);
+        expect(result.message).toMatch(/Maximum/);
+    });
+
+    it('shortens the block to the slots before a clicked selected slot', () => {
+        const { selectedSlots } = updateSelection(getSlotRange('18:00', '20:00'), slot('19:00 - 19:30'));
+
+        expect(selectedSlots.map(s => s.time)).toEqual(['18:00 - 18:30', '18:30 - 19:00']);
+    });
+
+    it('ignores disabled and special slots', () => {
+        expect(updateSelection([], { ...slot('18:00 - 18:30'), isDisabled: true }).selectedSlots).toEqual([]);
+        expect(updateSelection([], { ...slot('12:00 - 12:30'), isSpecialSlot: true }).selectedSlots).toEqual([]);
+    });
+});
+
+describe('findAvailableCourt', () => {
+    const block = getSlotRange('18:00', '19:00');
+
+    it('picks the first court free for the whole block', () => {
+        const reservations = [{ date: SATURDAY, timeSlot: '18:30 - 19:00', court: 'Court 1' }];
+
+        expect(findAvailableCourt([], SATURDAY, block)).toBe('Court 1');
+        expect(findAvailableCourt(reservations, SATURDAY, block)).toBe('Court 2');
+    });
+
+    it('returns null when no single court is free for every slot', () => {
+        const reservations = [
+            { date: SATURDAY, timeSlot: '18:00 - 18:30', court: 'Court 1' },
+            { date: SATURDAY, timeSlot: '18:30 - 19:00', court: 'Court 2' }
+        ];
+
+        expect(findAvailableCourt(reservations, SATURDAY, block)).toBeNull();
+    });
+
+    it('ignores reservations on other dates', () => {
+        const reservations = [{ date: MONDAY, timeSlot: '18:00 - 18:30', court: 'Court 1' }];
+
+        expect(findAvailableCourt(reservations, SATURDAY, block)).toBe('Court 1');
+    });
+});
+
+describe('cost calculation', () => {
+    it('charges the standard court rate per slot and the guest fee per guest', () => {
+        const quote = quoteBooking({
+            rateTable: DEFAULT_RATE_TABLE,
+            dateString: SATURDAY,
+            court: 'Court 1',
+            timeSlots: TIME_SLOTS.slice(0, 3),
+            guestCount: 2
+        });
+
+        expect(quote.courtFee).toBe(750);
+        expect(quote.guestFee).toBe(400);
+        expect(quote.total).toBe(1150);
+    });
+});
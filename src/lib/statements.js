@@ -0,0 +1,124 @@
+// Member account statements: the court fees, guest fees, late-cancellation and no-show charges
+// each member owes for a period, one line per booking and charge, how much of each has been
+// paid, and the rows of the CSV export.
+import { getGuests } from './players';
+import { getBookingQuote } from './pricing';
+import { RESERVATION_STATUS, getBookingCourtName, getBookingStart, getBookingTimeRange } from './scheduling';
+
+export const CHARGE_TYPES = {
+    COURT: 'court',
+    GUESTS: 'guests',
+    LATE_CANCEL: 'late_cancel',
+    NO_SHOW: 'no_show'
+};
+
+export const CHARGE_LABELS = {
+    [CHARGE_TYPES.COURT]: 'Court fee',
+    [CHARGE_TYPES.GUESTS]: 'Guest fees',
+    [CHARGE_TYPES.LATE_CANCEL]: 'Late cancellation',
+    [CHARGE_TYPES.NO_SHOW]: 'No-show'
+};
+
+// A paid line is recorded under this id, so it stays paid however often statements are rebuilt
+export const getChargeId = (bookingId, charge) => `${bookingId}_${charge}`;
+
+// Documents written before statuses existed count as booked
+const isBooked = (booking) => !booking.status || booking.status === RESERVATION_STATUS.BOOKED;
+
+/**
+ * Lists the charges arising from bookings. Court and guest fees are charged once a booking
+ * has started; late-cancellation and no-show fees as soon as they are recorded. Staff blocks
+ * and held slots are never charged.
+ * @param {Array<object>} bookings - Booking documents.
+ * @param {Date} [now] - The current time.
+ * @returns {Array<{id: string, bookingId: string, mpcNumber: string, date: string, timeRange: string,
+ *   courtName: string, charge: string, description: string, amount: number}>} Sorted by date and time.
+ */
+export const getStatementLines = (bookings, now = new Date()) => bookings
+    .filter(booking => booking.type !== 'block' && booking.status !== RESERVATION_STATUS.HELD)
+    .flatMap(booking => {
+        const line = (charge, amount, description) => ({
+            id: getChargeId(booking.id, charge),
+            bookingId: booking.id,
+            mpcNumber: booking.mpcNumber,
+            date: booking.date,
+            timeRange: getBookingTimeRange(booking),
+            courtName: getBookingCourtName(booking),
+            charge,
+            description,
+            amount
+        });
+        const lines = [];
+
+        if (isBooked(booking) && getBookingStart(booking) <= now) {
+            const quote = getBookingQuote(booking);
+            lines.push(line(CHARGE_TYPES.COURT, quote.courtFee, `${booking.timeSlots.length * 30} minutes`));
+            if (quote.guestFee > 0) {
+                lines.push(line(CHARGE_TYPES.GUESTS, quote.guestFee, getGuests(booking).map(guest => guest.name).join(', ')));
+            }
+        }
+        if (booking.lateCancelFee > 0) {
+            lines.push(line(CHARGE_TYPES.LATE_CANCEL, booking.lateCancelFee, booking.status === RESERVATION_STATUS.CANCELLED ? 'Booking cancelled' : 'Booking shortened'));
+        }
+        if (booking.status === RESERVATION_STATUS.NO_SHOW && booking.noShowFee > 0) {
+            lines.push(line(CHARGE_TYPES.NO_SHOW, booking.noShowFee, 'Court not used'));
+        }
+        return lines;
+    })
+    .sort((a, b) => a.date.localeCompare(b.date) || a.timeRange.localeCompare(b.timeRange));
+
+/**
+ * Builds each member's statement from their charges and the lines already paid. A line keeps
+ * its id when its amount changes (a second late shortening, guests changed), so a line paid
+ * at a lower amount is part paid and still owes the difference.
+ * @param {object} params
+ * @param {Array<object>} params.bookings - The period's booking documents.
+ * @param {Array<{id: string, amount: number, paidAt: string}>} params.payments - Paid line records, keyed by charge id.
+ * @param {Date} [params.now] - The current time.
+ * @returns {Array<{mpcNumber: string, lines: Array<object>, total: number, paid: number, unpaid: number}>}
+ *   Sorted by MPC number; each line also has paid, paidAmount and paidAt.
+ */
+export const buildStatements = ({ bookings, payments, now = new Date() }) => {
+    const paymentsById = new Map(payments.map(payment => [payment.id, payment]));
+    const statements = new Map();
+
+    getStatementLines(bookings, now).forEach(line => {
+        const statement = statements.get(line.mpcNumber) || { mpcNumber: line.mpcNumber, lines: [], total: 0, paid: 0, unpaid: 0 };
+        const payment = paymentsById.get(line.id);
+        const paidAmount = payment ? Math.min(payment.amount ?? line.amount, line.amount) : 0;
+        const paid = !!payment && paidAmount >= line.amount;
+        statement.lines.push({ ...line, paid, paidAmount, paidAt: payment ? payment.paidAt : null });
+        statement.total += line.amount;
+        statement.paid += paidAmount;
+        statement.unpaid += line.amount - paidAmount;
+        statements.set(line.mpcNumber, statement);
+    });
+
+    return [...statements.values()].sort((a, b) => a.mpcNumber.localeCompare(b.mpcNumber, undefined, { numeric: true }));
+};
+
+// Paid, part paid (paid before the amount went up) or unpaid
+export const getLineStatus = (line) => (line.paid ? 'Paid' : line.paidAmount > 0 ? 'Part paid' : 'Unpaid');
+
+/**
+ * Lays statements out as CSV rows for the accounting office, one row per line.
+ * @param {Array<object>} statements - Statements from {@link buildStatements}.
+ * @param {Map<string, object>} members - Roster records by MPC number (for names).
+ * @returns {Array<Array<string>>} A header row followed by the lines.
+ */
+export const getStatementCsvRows = (statements, members) => [
+    ['MPC Number', 'Name', 'Date', 'Time', 'Court', 'Charge', 'Details', 'Amount (PHP)', 'Paid (PHP)', 'Status', 'Paid At'],
+    ...statements.flatMap(statement => statement.lines.map(line => [
+        line.mpcNumber,
+        members.get(line.mpcNumber)?.name || '',
+        line.date,
+        line.timeRange,
+        line.courtName,
+        CHARGE_LABELS[line.charge],
+        line.description,
+        line.amount.toFixed(2),
+        line.paidAmount.toFixed(2),
+        getLineStatus(line),
+        line.paidAt || ''
+    ]))
+];
@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import { CHARGE_TYPES, buildStatements, getChargeId, getStatementCsvRows, getStatementLines } from './statements';
+
+const NOW = new Date(2026, 9, 19, 8, 0);
+
+const booking = (id, overrides = {}) => ({
+    id,
+    date: '2026-10-12',
+    court: 'Court 1',
+    startTime: '18:00',
+    endTime: '19:00',
+    timeSlots: ['18:00 - 18:30', '18:30 - 19:00'],
+    status: 'booked',
+    mpcNumber: 'A1',
+    guestCount: 0,
+    ...overrides
+});
+
+const payment = (bookingId, charge, amount) => ({ id: getChargeId(bookingId, charge), amount, paidAt: '2026-10-13T10:00:00.000Z' });
+
+describe('getStatementLines', () => {
+    it('charges court and guest fees once the booking has started', () => {
+        const started = booking('b1', { guests: [{ name: 'Ana' }], guestCount: 1 });
+        const upcoming = booking('b2', { date: '2026-10-26' });
+
+        expect(getStatementLines([started, upcoming], NOW).map(line => [line.id, line.amount, line.description])).toEqual([
+            ['b1_court', 500, '60 minutes'],
+            ['b1_guests', 200, 'Ana']
+        ]);
+    });
+
+    it('charges late-cancellation and no-show fees as soon as they are recorded', () => {
+        const lines = getStatementLines([
+            booking('b1', { date: '2026-10-26', status: 'cancelled', lateCancelFee: 500 }),
+            booking('b2', { date: '2026-10-05', status: 'no_show', noShowFee: 250 })
+        ], NOW);
+
+        expect(lines.map(line => [line.id, line.amount, line.description])).toEqual([
+            ['b2_no_show', 250, 'Court not used'],
+            ['b1_late_cancel', 500, 'Booking cancelled']
+        ]);
+    });
+
+    it('never charges staff blocks or held courts', () => {
+        expect(getStatementLines([booking('b1', { type: 'block' }), booking('b2', { status: 'held' })], NOW)).toEqual([]);
+    });
+});
+
+describe('buildStatements', () => {
+    it('leaves the increase on a line paid at a lower amount unpaid', () => {
+        const shortenedTwice = booking('b1', { timeSlots: ['18:00 - 18:30'], lateCancelFee: 500 });
+        const [statement] = buildStatements({ bookings: [shortenedTwice], payments: [payment('b1', CHARGE_TYPES.LATE_CANCEL, 250)], now: NOW });
+        const lateFee = statement.lines.find(line => line.charge === CHARGE_TYPES.LATE_CANCEL);
+
+        expect(lateFee).toMatchObject({ amount: 500, paid: false, paidAmount: 250 });
+        expect(statement.paid).toBe(250);
+        expect(statement.unpaid).toBe(250 + 250);
+    });
+
+    it("totals each member's paid and unpaid lines, sorted by MPC number", () => {
+        const statements = buildStatements({
+            bookings: [booking('b1', { mpcNumber: 'A10' }), booking('b2', { mpcNumber: 'A2', guests: [{ name: 'Ana' }], guestCount: 1 })],
+            payments: [payment('b2', CHARGE_TYPES.COURT, 500)],
+            now: NOW
+        });
+
+        expect(statements.map(statement => [statement.mpcNumber, statement.total, statement.paid, statement.unpaid])).toEqual([
+            ['A2', 700, 500, 200],
+            ['A10', 500, 0, 500]
+        ]);
+        expect(statements[0].lines.map(line => [line.charge, line.paid, line.paidAt])).toEqual([
+            ['court', true, '2026-10-13T10:00:00.000Z'],
+            ['guests', false, null]
+        ]);
+    });
+});
+
+describe('getStatementCsvRows', () => {
+    it('writes one row per line with the member name and payment status', () => {
+        const statements = buildStatements({ bookings: [booking('b1')], payments: [payment('b1', CHARGE_TYPES.COURT, 500)], now: NOW });
+        const rows = getStatementCsvRows(statements, new Map([['A1', { name: 'Alice' }]]));
+
+        expect(rows).toHaveLength(2);
+        expect(rows[1]).toEqual(['A1', 'Alice', '2026-10-12', '18:00 - 19:00', 'Court 1', 'Court fee', '60 minutes', '500.00', '500.00', 'Paid', '2026-10-13T10:00:00.000Z']);
+    });
+});
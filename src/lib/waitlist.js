@@ -0,0 +1,78 @@
+// Waitlist queue logic: ordering, queue positions, offer expiry and which dates need processing.
+import { findAvailableCourt, getSlotId, getSlotStart, isActiveReservation } from './scheduling';
+
+export const WAITLIST_STATUS = {
+    WAITING: 'waiting',
+    OFFERED: 'offered', // A court is held for the member until offerExpiresAt
+    CLAIMED: 'claimed',
+    EXPIRED: 'expired', // The offer lapsed or the block started while still waiting
+    LEFT: 'left'
+};
+
+// Entries still in the queue (waiting for a court or holding an offer)
+export const isOpenEntry = (entry) =>
+    entry.status === WAITLIST_STATUS.WAITING || entry.status === WAITLIST_STATUS.OFFERED;
+
+// Two entries compete for a court when they are on the same date and share at least one slot
+export const entriesOverlap = (a, b) =>
+    a.date === b.date && a.timeSlots.some(time => b.timeSlots.includes(time));
+
+// Open entries in the order they joined
+export const orderQueue = (entries) =>
+    entries.filter(isOpenEntry).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+/**
+ * Position of an entry among the open entries competing for the same courts (1 = next in line).
+ * @param {object} entry - The waitlist entry.
+ * @param {Array<object>} entries - All known waitlist entries.
+ * @returns {number}
+ */
+export const getQueuePosition = (entry, entries) =>
+    orderQueue(entries).filter(other => other.id !== entry.id && entriesOverlap(entry, other) && other.createdAt < entry.createdAt).length + 1;
+
+// When an offer lapses. It is stored as a Firestore Timestamp so the security rules can compare
+// it with the clock; offers made before that hold an ISO string.
+export const getOfferExpiresAt = (entry) =>
+    typeof entry.offerExpiresAt.toDate === 'function' ? entry.offerExpiresAt.toDate() : new Date(entry.offerExpiresAt);
+
+// An offer lapses once its claim window has passed
+export const isOfferExpired = (entry, now = new Date()) =>
+    entry.status === WAITLIST_STATUS.OFFERED && getOfferExpiresAt(entry).getTime() <= now.getTime();
+
+// A waiting entry is pointless once its block has started
+export const hasEntryStarted = (entry, now = new Date()) =>
+    getSlotStart(entry.date, entry.timeSlots[0]).getTime() <= now.getTime();
+
+/**
+ * When an offer made now should expire: after the claim window, but never later than the block start.
+ * @param {object} entry - The waitlist entry.
+ * @param {number} claimMinutes - The claim window from the booking policy (0 holds the court until the block starts).
+ * @param {Date} [now] - The current time.
+ * @returns {Date}
+ */
+export const getOfferExpiry = (entry, claimMinutes, now = new Date()) => {
+    const start = getSlotStart(entry.date, entry.timeSlots[0]).getTime();
+    const windowEnd = claimMinutes ? now.getTime() + claimMinutes * 60 * 1000 : start;
+    return new Date(Math.min(windowEnd, start));
+};
+
+// The entry's block as slot objects ({time, id}), as used by the booking functions
+export const getEntrySlots = (entry) => entry.timeSlots.map(time => ({ time, id: getSlotId(time) }));
+
+/**
+ * Finds the dates whose queue needs attention: an offer has lapsed, a block has started,
+ * or a court has come free for a waiting entry (e.g. after a cancellation).
+ * @param {Array<object>} entries - Open waitlist entries.
+ * @param {Array<object>} reservations - Known reservations for those dates.
+ * @param {Array<string>} courtIds - The courts that can be offered.
+ * @param {Date} [now] - The current time.
+ * @returns {Array<string>} Distinct dates (YYYY-MM-DD).
+ */
+export const getWaitlistDatesToProcess = (entries, reservations, courtIds, now = new Date()) => {
+    const active = reservations.filter(isActiveReservation);
+    const dates = orderQueue(entries)
+        .filter(entry => isOfferExpired(entry, now) || hasEntryStarted(entry, now) ||
+            (entry.status === WAITLIST_STATUS.WAITING && findAvailableCourt(active, entry.date, getEntrySlots(entry), courtIds) !== null))
+        .map(entry => entry.date);
+    return [...new Set(dates)];
+};
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import { getOfferExpiresAt, getOfferExpiry, getQueuePosition, getWaitlistDatesToProcess, isOfferExpired } from './waitlist';
+
+// Monday 2026-10-19, 08:00
+const NOW = new Date(2026, 9, 19, 8, 0);
+const SLOTS = ['18:00 - 18:30', '18:30 - 19:00'];
+
+const entry = (id, overrides = {}) => ({
+    id,
+    date: '2026-10-19',
+    timeSlots: SLOTS,
+    status: 'waiting',
+    createdAt: `2026-10-18T0${id.slice(1)}:00:00.000Z`,
+    ...overrides
+});
+
+// Both courts taken for the block
+const fullBlock = (date) => ['Court 1', 'Court 2'].flatMap(court => SLOTS.map(timeSlot => ({ date, timeSlot, court, status: 'booked' })));
+
+describe('getQueuePosition', () => {
+    it('counts the open entries that joined earlier for an overlapping block', () => {
+        const entries = [
+            entry('e1'),
+            entry('e2', { status: 'left' }),
+            entry('e3', { timeSlots: ['19:00 - 19:30'] }),
+            entry('e4', { date: '2026-10-20' }),
+            entry('e5', { timeSlots: ['18:30 - 19:00', '19:00 - 19:30'] }),
+            entry('e6')
+        ];
+
+        expect(getQueuePosition(entries[0], entries)).toBe(1);
+        expect(getQueuePosition(entries[5], entries)).toBe(3);
+    });
+});
+
+describe('getOfferExpiry', () => {
+    it('ends the claim window after the given minutes', () => {
+        expect(getOfferExpiry(entry('e1'), 30, NOW)).toEqual(new Date(2026, 9, 19, 8, 30));
+    });
+
+    it('never holds the court past the start of the block', () => {
+        expect(getOfferExpiry(entry('e1'), 30, new Date(2026, 9, 19, 17, 45))).toEqual(new Date(2026, 9, 19, 18, 0));
+        expect(getOfferExpiry(entry('e1'), 0, NOW)).toEqual(new Date(2026, 9, 19, 18, 0));
+    });
+});
+
+describe('isOfferExpired', () => {
+    const expiry = new Date(2026, 9, 19, 8, 30);
+
+    it('reads the expiry stored as a timestamp or, on older offers, as an ISO string', () => {
+        const stored = { toDate: () => expiry };
+
+        expect(getOfferExpiresAt({ offerExpiresAt: stored })).toEqual(expiry);
+        expect(getOfferExpiresAt({ offerExpiresAt: expiry.toISOString() })).toEqual(expiry);
+    });
+
+    it('lapses an offer once its claim window has passed', () => {
+        const offered = entry('e1', { status: 'offered', offerExpiresAt: { toDate: () => expiry } });
+
+        expect(isOfferExpired(offered, NOW)).toBe(false);
+        expect(isOfferExpired(offered, expiry)).toBe(true);
+        expect(isOfferExpired({ ...offered, status: 'waiting' }, expiry)).toBe(false);
+    });
+});
+
+describe('getWaitlistDatesToProcess', () => {
+    const courtIds = ['Court 1', 'Court 2'];
+
+    it('picks dates where a court has come free for a waiting entry', () => {
+        const entries = [entry('e1'), entry('e2', { date: '2026-10-20' })];
+        const reservations = [...fullBlock('2026-10-19'), ...fullBlock('2026-10-20').map((r, i) => (i < SLOTS.length ? { ...r, status: 'cancelled' } : r))];
+
+        expect(getWaitlistDatesToProcess(entries, reservations, courtIds, NOW)).toEqual(['2026-10-20']);
+    });
+
+    it('picks dates with a lapsed offer or a started block, once each', () => {
+        const entries = [
+            entry('e1', { date: '2026-10-18' }),
+            entry('e2', { date: '2026-10-18' }),
+            entry('e3', { date: '2026-10-21', status: 'offered', offerExpiresAt: new Date(2026, 9, 19, 7, 0).toISOString() }),
+            entry('e4', { date: '2026-10-22', status: 'claimed' })
+        ];
+        const reservations = ['2026-10-18', '2026-10-21', '2026-10-22'].flatMap(fullBlock);
+
+        expect(getWaitlistDatesToProcess(entries, reservations, courtIds, NOW)).toEqual(['2026-10-18', '2026-10-21']);
+    });
+});
@@ -1,9 +1,13 @@
 import react from '@vitejs/plugin-react'
 import { defineConfig } from 'vite'
+import { configDefaults } from 'vitest/config'
 
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
   base: '/mpc-court/',
+  test: {
+    // The security rules tests need the Firestore emulator (npm run test:rules)
+    exclude: [...configDefaults.exclude, 'firestore.rules.test.js'],
+  },
 })
-
@@ -0,0 +1,10 @@
+import { defineConfig } from 'vitest/config'
+
+// Security rules tests, run against the Firestore emulator by `npm run test:rules`
+export default defineConfig({
+  test: {
+    include: ['firestore.rules.test.js'],
+    environment: 'node',
+    testTimeout: 20000,
+  },
+})